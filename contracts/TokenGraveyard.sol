@@ -50,19 +50,23 @@ pragma solidity >=0.8.12 <0.9.0;
 /// @author stowerling.eth / stowerling.hbar
 /// @notice A trapdoor contract for permanently storing NFTs with royalty bypass via staking
 /// @dev Inherits TokenStaker for royalty-free transfers using HTS allowances
-/// @dev For NFTs WITHOUT royalties: associate token, then send directly via Hedera SDK
+/// @dev For NFTs WITHOUT royalties: associate token, send directly via Hedera SDK, then registerDirectBurial()
 /// @dev For NFTs WITH royalties: use stakeNFTsToTheGrave() to bypass royalty fees
+/// @dev For several royalty collections at once: stakeManyToTheGrave()
+/// @dev For fungible tokens: set an FT allowance, then stakeFungibleToTheGrave()
 /// @dev Version 2.1 - Supports royalty bypass, role-based access, LazyGasStation integration
 
 import {TokenStaker} from "./TokenStaker.sol";
 
 import {IRoles} from "./interfaces/IRoles.sol";
+import {IBurialHook} from "./interfaces/IBurialHook.sol";
 
 import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import {
     EnumerableSet
 } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import {
     ReentrancyGuard
 } from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
@@ -71,7 +75,7 @@ import {
 /// @author stowerling.eth / stowerling.hbar
 /// @notice A trapdoor contract for permanently storing NFTs with royalty bypass via staking
 /// @dev Inherits TokenStaker for royalty-free transfers using HTS allowances. Supports role-based access control.
-/// @dev For no-royalty NFTs: associate token then send directly via Hedera SDK (no contract call needed)
+/// @dev For no-royalty NFTs: associate token, send directly via Hedera SDK, then registerDirectBurial() to record it
 /// @dev For royalty NFTs: use stakeNFTsToTheGrave() to bypass royalty fees via allowance mechanism
 contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
     using SafeCast for uint256;
@@ -88,10 +92,36 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
     uint256 private _lazyCost;
     uint256 private _lazyBurnPercentage;
 
+    // Hbar association path (tinybars, 0 = disabled), revenue kept apart from $LAZY
+    uint256 private _hbarCost;
+    uint256 private _hbarRevenue;
+
     EnumerableSet.AddressSet private _admins;
     EnumerableSet.AddressSet private _contractUsers;
     EnumerableSet.AddressSet private _associatedTokens;
 
+    // Pricing overrides
+    EnumerableSet.AddressSet private _pricedTokens;
+    mapping(address => uint256) private _tokenLazyCost;
+    EnumerableSet.AddressSet private _waivedAccounts;
+
+    // Burial registry
+    uint256 private _totalBuried;
+    EnumerableSet.AddressSet private _buriedTokens;
+    EnumerableSet.AddressSet private _buriers;
+    mapping(address => uint256) private _buriedCountByToken;
+    mapping(address => uint256) private _buriedCountByUser;
+    mapping(address => mapping(address => uint256))
+        private _buriedCountByTokenAndUser;
+    mapping(address => EnumerableSet.AddressSet) private _tokenBuriers;
+    mapping(address => mapping(uint256 => bool)) private _buriedSerials;
+
+    // Fungible burials (token => total amount buried, smallest unit)
+    mapping(address => uint256) private _buriedFungibleByToken;
+
+    // Burn-to-redeem hooks (collection => IBurialHook)
+    mapping(address => address) private _burialHooks;
+
     // Custom errors
     error ZeroAddress();
     error ZeroAmount();
@@ -103,13 +133,20 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
     error HTSTransferFailed();
     error LazyTransferFailed();
     error HbarTransferFailed();
+    error SerialNotHeld(address token, uint256 serial);
+    error SerialAlreadyBuried(address token, uint256 serial);
+    error HookNotContract(address hook);
+    error HbarPaymentDisabled();
+    error IncorrectHbarPayment(uint256 expected, uint256 received);
+    error TokenAlreadyAssociated(address token);
+    error CannotBuryLazy();
 
     // Events
-    /// @notice Emitted when NFTs are permanently buried in the graveyard via staking
-    /// @param user The address that buried the NFTs
+    /// @notice Emitted when NFTs are permanently buried in the graveyard
+    /// @param user The address that buried the NFTs (for direct burials, the address that registered them)
     /// @param token The NFT collection address
     /// @param serials Array of serial numbers that were buried
-    /// @param viaStaking Always true (staking method bypasses royalties)
+    /// @param viaStaking True for staking burials, false for direct sends registered via registerDirectBurial
     event NFTsBuried(
         address indexed user,
         address indexed token,
@@ -117,6 +154,16 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         bool viaStaking
     );
 
+    /// @notice Emitted when fungible tokens are permanently buried in the graveyard
+    /// @param user The address that buried the tokens
+    /// @param token The fungible token address
+    /// @param amount The amount buried (in the token's smallest unit)
+    event FTBuried(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+
     /// @notice Emitted when a token is associated with the graveyard
     /// @param executor The address that initiated the association
     /// @param token The token that was associated
@@ -149,6 +196,43 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         uint256 indexed lazyBurnPercentage
     );
 
+    /// @notice Emitted when a collection's association cost override is set or cleared
+    /// @param executor The admin that changed the override
+    /// @param token The token the override applies to
+    /// @param lazyCost The override cost in $LAZY (0 when cleared)
+    /// @param overridden True if set, false if cleared (the global cost applies again)
+    event TokenCostUpdated(
+        address indexed executor,
+        address indexed token,
+        uint256 lazyCost,
+        bool overridden
+    );
+
+    /// @notice Emitted when an account's fee waiver is granted or revoked
+    /// @param executor The admin that changed the waiver
+    /// @param account The account whose associations are free while waived
+    /// @param waived True if granted, false if revoked
+    event WaiverUpdated(
+        address indexed executor,
+        address indexed account,
+        bool waived
+    );
+
+    /// @notice Emitted when the hbar association price is changed
+    /// @param executor The admin that changed the price
+    /// @param hbarCost The new price in tinybars (0 disables the hbar path)
+    event HbarCostUpdated(address indexed executor, uint256 hbarCost);
+
+    /// @notice Emitted when an association is paid in hbar
+    /// @param payer The account that paid
+    /// @param token The token that was associated
+    /// @param amount The amount paid (in tinybars)
+    event HbarAssociationPaid(
+        address indexed payer,
+        address indexed token,
+        uint256 amount
+    );
+
     /// @notice Emitted when $LAZY tokens are withdrawn from the contract
     /// @param executor The address that initiated the withdrawal
     /// @param receiver The address that received the tokens
@@ -169,6 +253,16 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         uint256 indexed amount
     );
 
+    /// @notice Emitted when a collection's burn-to-redeem hook is set or cleared
+    /// @param executor The admin that changed the hook
+    /// @param token The NFT collection address
+    /// @param hook The new hook (address(0) when cleared)
+    event BurialHookUpdated(
+        address indexed executor,
+        address indexed token,
+        address indexed hook
+    );
+
     /// @notice Emitted when the contract receives hbar or fallback is called
     /// @param message Description of what triggered the event
     /// @param sender The address that sent the transaction
@@ -246,16 +340,38 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
             return; // Already associated, no-op
         }
 
-        // Take $LAZY payment via LazyGasStation
-        if (_lazyCost > 0) {
-            lazyGasStation.drawLazyFrom(
-                msg.sender,
-                _lazyCost,
-                _lazyBurnPercentage
-            );
+        // Take $LAZY payment via LazyGasStation (token override / caller waiver applied)
+        bool paid = _handleAssociationPayment(tokenAddress);
+
+        _associateToken(tokenAddress, paid);
+    }
+
+    /// @notice Associate a token to the graveyard, paying in hbar instead of $LAZY
+    /// @dev msg.value must equal the hbar price exactly. Accounts and tokens that would pay no
+    /// $LAZY (fee waiver or zero override) pay no hbar either. Reverts rather than no-op when the
+    /// token is already associated so the payment is never kept for nothing.
+    /// @param tokenAddress EVM address of the token to associate
+    function associateTokenWithHbar(
+        address tokenAddress
+    ) external payable nonReentrant {
+        if (_hbarCost == 0) {
+            revert HbarPaymentDisabled();
+        }
+        if (_associatedTokens.contains(tokenAddress)) {
+            revert TokenAlreadyAssociated(tokenAddress);
+        }
+
+        uint256 cost = _hbarAssociationCost(tokenAddress, msg.sender);
+        if (msg.value != cost) {
+            revert IncorrectHbarPayment(cost, msg.value);
+        }
+
+        if (cost > 0) {
+            _hbarRevenue += cost;
+            emit HbarAssociationPaid(msg.sender, tokenAddress, cost);
         }
 
-        _associateToken(tokenAddress, true);
+        _associateToken(tokenAddress, cost > 0);
     }
 
     /// @notice Associate a token to the graveyard (free for admins and contract users)
@@ -324,20 +440,98 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         }
     }
 
+    /// @notice Internal helper to work out what an account pays to associate a token
+    /// @dev Waived accounts pay nothing, then a token override applies, then the global cost
+    /// @param tokenAddress The token to associate
+    /// @param account The account paying
+    /// @return lazyCost Cost in $LAZY
+    function _associationCost(
+        address tokenAddress,
+        address account
+    ) private view returns (uint256 lazyCost) {
+        if (_waivedAccounts.contains(account)) {
+            return 0;
+        }
+        if (_pricedTokens.contains(tokenAddress)) {
+            return _tokenLazyCost[tokenAddress];
+        }
+        return _lazyCost;
+    }
+
+    /// @notice Internal helper to work out what an account pays in hbar to associate a token
+    /// @param tokenAddress The token to associate
+    /// @param account The account paying
+    /// @return hbarCost Cost in tinybars (0 if the hbar path is disabled or the $LAZY cost is 0)
+    function _hbarAssociationCost(
+        address tokenAddress,
+        address account
+    ) private view returns (uint256 hbarCost) {
+        return _associationCost(tokenAddress, account) == 0 ? 0 : _hbarCost;
+    }
+
     /// @notice Internal helper to handle association payment
-    /// @dev Only charges if _lazyCost > 0
-    function _handleAssociationPayment() private {
-        if (_lazyCost > 0) {
-            lazyGasStation.drawLazyFrom(
-                msg.sender,
-                _lazyCost,
-                _lazyBurnPercentage
-            );
+    /// @dev Only charges if the caller's cost for the token is > 0
+    /// @param tokenAddress The token being associated
+    /// @return charged True if $LAZY was drawn from the caller
+    function _handleAssociationPayment(
+        address tokenAddress
+    ) private returns (bool charged) {
+        uint256 cost = _associationCost(tokenAddress, msg.sender);
+        if (cost > 0) {
+            lazyGasStation.drawLazyFrom(msg.sender, cost, _lazyBurnPercentage);
+            return true;
         }
+        return false;
+    }
+
+    /// @notice Internal helper to mark serials as buried in the burial registry
+    /// @dev Reverts if any serial has already been recorded so no serial is counted twice.
+    /// @dev Updates the total and per-collection counts only - no user is credited
+    /// @param tokenAddress Address of the NFT collection
+    /// @param serials Array of serial numbers buried
+    function _markBuried(
+        address tokenAddress,
+        uint256[] calldata serials
+    ) private {
+        uint256 count = serials.length;
+        for (uint256 i = 0; i < count; ) {
+            if (_buriedSerials[tokenAddress][serials[i]]) {
+                revert SerialAlreadyBuried(tokenAddress, serials[i]);
+            }
+            _buriedSerials[tokenAddress][serials[i]] = true;
+            unchecked {
+                ++i;
+            }
+        }
+
+        _totalBuried += count;
+        _buriedCountByToken[tokenAddress] += count;
+        _buriedTokens.add(tokenAddress);
+    }
+
+    /// @notice Internal helper to record serials buried by a known owner in the burial registry
+    /// @dev Marks the serials buried and credits the burier in the per-user counts
+    /// @param tokenAddress Address of the NFT collection
+    /// @param burier The address credited with the burial (the owner the serials were moved from)
+    /// @param serials Array of serial numbers buried
+    function _recordBurial(
+        address tokenAddress,
+        address burier,
+        uint256[] calldata serials
+    ) private {
+        _markBuried(tokenAddress, serials);
+
+        uint256 count = serials.length;
+        _buriedCountByUser[burier] += count;
+        _buriedCountByTokenAndUser[tokenAddress][burier] += count;
+
+        _buriers.add(burier);
+        _tokenBuriers[tokenAddress].add(burier);
     }
 
     /// @notice Internal helper to execute staking burial
-    /// @dev Handles association check, staking transfer, and event emission
+    /// @dev Handles association check, staking transfer, registry update, event emission and the collection's hook.
+    /// @dev Callers are nonReentrant, so a hook cannot re-enter any burial function
     /// @param tokenAddress Address of the NFT collection
     /// @param serials Array of serial numbers to bury
     /// @param nftOwner The address that owns the NFTs
@@ -350,10 +544,9 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
     ) private {
         // Check if token is associated, if not associate it
         if (!_associatedTokens.contains(tokenAddress)) {
-            if (paidAssociation) {
-                _handleAssociationPayment();
-            }
-            _associateToken(tokenAddress, paidAssociation);
+            bool paid = paidAssociation &&
+                _handleAssociationPayment(tokenAddress);
+            _associateToken(tokenAddress, paid);
         }
 
         // Use TokenStaker's batchMoveNFTs to transfer with allowances (bypasses royalties)
@@ -366,7 +559,14 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
             false // No delegation - NFTs are permanently locked
         );
 
+        _recordBurial(tokenAddress, nftOwner, serials);
+
         emit NFTsBuried(nftOwner, tokenAddress, serials, true);
+
+        address hook = _burialHooks[tokenAddress];
+        if (hook != address(0)) {
+            IBurialHook(hook).onNFTsBuried(nftOwner, tokenAddress, serials);
+        }
     }
 
     /// @notice Stake NFTs to the graveyard (for NFTs with royalties - bypasses royalty fees)
@@ -381,6 +581,45 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         _executeStakingBurial(tokenAddress, serials, msg.sender, true);
     }
 
+    /// @notice Stake NFTs of several collections to the graveyard in one call
+    /// @dev Each collection is associated on demand (one payment per newly associated collection) and
+    /// gets its own NFTsBuried event. The serial cap applies to the combined count.
+    /// @param tokenAddresses Addresses of the NFT collections
+    /// @param serials Serial numbers to stake and bury, one array per collection (max 50 in total)
+    function stakeManyToTheGrave(
+        address[] calldata tokenAddresses,
+        uint256[][] calldata serials
+    ) external nonReentrant {
+        uint256 collectionCount = tokenAddresses.length;
+        if (collectionCount == 0 || collectionCount != serials.length) {
+            revert BadArguments();
+        }
+
+        uint256 totalSerials;
+        for (uint256 i = 0; i < collectionCount; ) {
+            _validateSerials(serials[i]);
+            totalSerials += serials[i].length;
+            unchecked {
+                ++i;
+            }
+        }
+        if (totalSerials > MAX_STAKE_SERIALS) {
+            revert TooManySerials(totalSerials, MAX_STAKE_SERIALS);
+        }
+
+        for (uint256 i = 0; i < collectionCount; ) {
+            _executeStakingBurial(
+                tokenAddresses[i],
+                serials[i],
+                msg.sender,
+                true
+            );
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
     /// @notice Contract users can stake NFTs on behalf of others (e.g., token swap contracts)
     /// @dev Caller must be a registered contract user. User must have set NFT allowances to calling contract
     /// @param tokenAddress Address of the NFT collection
@@ -398,6 +637,62 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         _executeStakingBurial(tokenAddress, serials, onBehalfOf, false);
     }
 
+    /// @notice Stake fungible tokens to the graveyard (FT dust)
+    /// @dev User must have set an FT allowance of at least amount to this contract. $LAZY is refused
+    /// as the graveyard's $LAZY balance can be withdrawn by an admin.
+    /// @param tokenAddress Address of the fungible token
+    /// @param amount Amount to bury (in the token's smallest unit)
+    function stakeFungibleToTheGrave(
+        address tokenAddress,
+        uint256 amount
+    ) external nonReentrant {
+        if (amount == 0) {
+            revert ZeroAmount();
+        }
+        if (tokenAddress == lazyToken) {
+            revert CannotBuryLazy();
+        }
+
+        if (!_associatedTokens.contains(tokenAddress)) {
+            bool paid = _handleAssociationPayment(tokenAddress);
+            _associateToken(tokenAddress, paid);
+        }
+
+        moveFungible(tokenAddress, amount, msg.sender);
+
+        _buriedFungibleByToken[tokenAddress] += amount;
+
+        emit FTBuried(msg.sender, tokenAddress, amount);
+    }
+
+    /// @notice Register NFTs already sent directly to the graveyard (for NFTs without royalties)
+    /// @dev Verifies the graveyard holds every serial, then marks them buried and emits NFTsBuried with viaStaking = false.
+    /// @dev The graveyard cannot see who sent the serials, so anyone may register them and nobody is credited:
+    /// @dev the total and per-collection counts include them, the per-user counts and burier lists do not.
+    /// @dev The event's user is the account that registered the serials, not necessarily the sender
+    /// @param tokenAddress Address of the NFT collection
+    /// @param serials Array of serial numbers sent to the graveyard (max 50)
+    function registerDirectBurial(
+        address tokenAddress,
+        uint256[] calldata serials
+    ) external nonReentrant {
+        _validateSerials(serials);
+
+        uint256 serialCount = serials.length;
+        for (uint256 i = 0; i < serialCount; ) {
+            if (IERC721(tokenAddress).ownerOf(serials[i]) != address(this)) {
+                revert SerialNotHeld(tokenAddress, serials[i]);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+
+        _markBuried(tokenAddress, serials);
+
+        emit NFTsBuried(msg.sender, tokenAddress, serials, false);
+    }
+
     // ============================================
     // ROLE MANAGEMENT
     // ============================================
@@ -489,6 +784,81 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         emit CostUpdated(msg.sender, lazyCost, lazyBurnPercentage);
     }
 
+    /// @notice Set the hbar price of associateTokenWithHbar
+    /// @param hbarCost Price in tinybars (0 disables the hbar path)
+    function updateHbarCost(uint256 hbarCost) external onlyAdmin {
+        _hbarCost = hbarCost;
+        emit HbarCostUpdated(msg.sender, hbarCost);
+    }
+
+    /// @notice Override the association cost for one token (0 makes it free)
+    /// @dev The global burn percentage still applies to the override
+    /// @param tokenAddress The token the override applies to
+    /// @param lazyCost Cost in $LAZY to associate the token
+    function setTokenCost(
+        address tokenAddress,
+        uint256 lazyCost
+    ) external onlyAdmin {
+        if (tokenAddress == address(0)) {
+            revert ZeroAddress();
+        }
+        _pricedTokens.add(tokenAddress);
+        _tokenLazyCost[tokenAddress] = lazyCost;
+        emit TokenCostUpdated(msg.sender, tokenAddress, lazyCost, true);
+    }
+
+    /// @notice Remove a token's cost override so the global cost applies again
+    /// @param tokenAddress The token to clear
+    /// @return success True if an override was removed
+    function clearTokenCost(
+        address tokenAddress
+    ) external onlyAdmin returns (bool success) {
+        bool removed = _pricedTokens.remove(tokenAddress);
+        if (removed) {
+            delete _tokenLazyCost[tokenAddress];
+            emit TokenCostUpdated(msg.sender, tokenAddress, 0, false);
+        }
+        return removed;
+    }
+
+    /// @notice Grant or revoke an account's association fee waiver
+    /// @param account The account to update
+    /// @param waived True to waive the account's association fees
+    /// @return success True if the waiver changed
+    function setWaiver(
+        address account,
+        bool waived
+    ) external onlyAdmin returns (bool success) {
+        if (account == address(0)) {
+            revert ZeroAddress();
+        }
+        bool changed = waived
+            ? _waivedAccounts.add(account)
+            : _waivedAccounts.remove(account);
+        if (changed) {
+            emit WaiverUpdated(msg.sender, account, waived);
+        }
+        return changed;
+    }
+
+    /// @notice Set or clear the burn-to-redeem hook called after staking burials of a collection
+    /// @dev Direct burials (registerDirectBurial) have no proof of who sent the serials, so they never call the hook
+    /// @param tokenAddress Address of the NFT collection
+    /// @param hook IBurialHook contract, or address(0) to clear
+    function setBurialHook(
+        address tokenAddress,
+        address hook
+    ) external onlyAdmin {
+        if (tokenAddress == address(0)) {
+            revert ZeroAddress();
+        }
+        if (hook != address(0) && hook.code.length == 0) {
+            revert HookNotContract(hook);
+        }
+        _burialHooks[tokenAddress] = hook;
+        emit BurialHookUpdated(msg.sender, tokenAddress, hook);
+    }
+
     /// @notice Withdraw $LAZY from the contract
     /// @param receiver Address to receive the $LAZY
     /// @param amount Amount of $LAZY to withdraw
@@ -545,6 +915,90 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         return (_lazyCost, _lazyBurnPercentage);
     }
 
+    /// @notice Get the hbar association price and the hbar collected by it
+    /// @dev Revenue is cumulative and is not reduced by withdrawHbar
+    /// @return hbarCost Price in tinybars (0 = hbar path disabled)
+    /// @return hbarRevenue Total tinybars paid via associateTokenWithHbar
+    function getHbarCost()
+        external
+        view
+        returns (uint256 hbarCost, uint256 hbarRevenue)
+    {
+        return (_hbarCost, _hbarRevenue);
+    }
+
+    /// @notice Get what an account pays in hbar to associate a token via associateTokenWithHbar
+    /// @param tokenAddress The token to associate
+    /// @param account The account paying
+    /// @return hbarCost Cost in tinybars (0 if the hbar path is disabled or the account pays no $LAZY)
+    function getHbarAssociationCost(
+        address tokenAddress,
+        address account
+    ) external view returns (uint256 hbarCost) {
+        return _hbarAssociationCost(tokenAddress, account);
+    }
+
+    /// @notice Get the association cost of a token before any account waiver
+    /// @param tokenAddress The token to price
+    /// @return lazyCost Cost in $LAZY (the override if set, else the global cost)
+    /// @return lazyBurnPercentage Percentage of payment that gets burned
+    /// @return overridden True if the token has its own cost
+    function getTokenCost(
+        address tokenAddress
+    )
+        external
+        view
+        returns (uint256 lazyCost, uint256 lazyBurnPercentage, bool overridden)
+    {
+        overridden = _pricedTokens.contains(tokenAddress);
+        lazyCost = overridden ? _tokenLazyCost[tokenAddress] : _lazyCost;
+        return (lazyCost, _lazyBurnPercentage, overridden);
+    }
+
+    /// @notice Get what an account pays to associate a token (via associateToken or stakeNFTsToTheGrave)
+    /// @param tokenAddress The token to associate
+    /// @param account The account paying
+    /// @return lazyCost Cost in $LAZY after any token override and account waiver
+    /// @return lazyBurnPercentage Percentage of payment that gets burned
+    function getAssociationCost(
+        address tokenAddress,
+        address account
+    ) external view returns (uint256 lazyCost, uint256 lazyBurnPercentage) {
+        return (_associationCost(tokenAddress, account), _lazyBurnPercentage);
+    }
+
+    /// @notice Get all tokens with a cost override
+    /// @return tokens Array of token addresses
+    function getPricedTokens() external view returns (address[] memory tokens) {
+        return _pricedTokens.values();
+    }
+
+    /// @notice Check if an account's association fees are waived
+    /// @param account Address to check
+    /// @return waived True if the account associates for free
+    function isWaived(address account) external view returns (bool waived) {
+        return _waivedAccounts.contains(account);
+    }
+
+    /// @notice Get all accounts with a fee waiver
+    /// @return accounts Array of waived addresses
+    function getWaivedAccounts()
+        external
+        view
+        returns (address[] memory accounts)
+    {
+        return _waivedAccounts.values();
+    }
+
+    /// @notice Get the burn-to-redeem hook of a collection
+    /// @param tokenAddress Address of the NFT collection
+    /// @return hook IBurialHook called after staking burials (address(0) if none)
+    function getBurialHook(
+        address tokenAddress
+    ) external view returns (address hook) {
+        return _burialHooks[tokenAddress];
+    }
+
     /// @notice Check if a token is associated with the graveyard
     /// @param tokenAddress Address of the token to check
     /// @return isAssociated True if the token is associated
@@ -693,6 +1147,192 @@ contract TokenGraveyard is TokenStaker, IRoles, ReentrancyGuard {
         return tokens;
     }
 
+    // ============================================
+    // BURIAL REGISTRY
+    // ============================================
+
+    /// @notice Get the total number of serials buried via the contract
+    /// @return count Total serials buried across all collections
+    function getTotalBuried() external view returns (uint256 count) {
+        return _totalBuried;
+    }
+
+    /// @notice Get the number of serials of a collection buried via the contract
+    /// @param tokenAddress Address of the NFT collection
+    /// @return count Serials of the collection buried
+    function getBuriedCount(
+        address tokenAddress
+    ) external view returns (uint256 count) {
+        return _buriedCountByToken[tokenAddress];
+    }
+
+    /// @notice Get the number of serials buried by a user across all collections
+    /// @dev Staking burials only - direct burials are not attributed to a user
+    /// @param user Address credited with the burials
+    /// @return count Serials buried by the user
+    function getBuriedCountByUser(
+        address user
+    ) external view returns (uint256 count) {
+        return _buriedCountByUser[user];
+    }
+
+    /// @notice Get the total amount of a fungible token buried via stakeFungibleToTheGrave
+    /// @param tokenAddress Address of the fungible token
+    /// @return amount Amount buried (in the token's smallest unit)
+    function getBuriedFungibleAmount(
+        address tokenAddress
+    ) external view returns (uint256 amount) {
+        return _buriedFungibleByToken[tokenAddress];
+    }
+
+    /// @notice Check whether a serial has been recorded in the burial registry
+    /// @param tokenAddress Address of the NFT collection
+    /// @param serial Serial number to check
+    /// @return buried True if the serial was buried via staking or registerDirectBurial
+    function isSerialBuried(
+        address tokenAddress,
+        uint256 serial
+    ) external view returns (bool buried) {
+        return _buriedSerials[tokenAddress][serial];
+    }
+
+    /// @notice Get the number of serials of a collection buried by a user
+    /// @param tokenAddress Address of the NFT collection
+    /// @param user Address credited with the burials
+    /// @return count Serials of the collection buried by the user
+    function getBuriedCountForUser(
+        address tokenAddress,
+        address user
+    ) external view returns (uint256 count) {
+        return _buriedCountByTokenAndUser[tokenAddress][user];
+    }
+
+    /// @notice Get the count of collections with at least one burial
+    /// @return count Number of buried collections
+    function getBuriedTokenCount() external view returns (uint256 count) {
+        return _buriedTokens.length();
+    }
+
+    /// @notice Get the count of users with at least one burial
+    /// @return count Number of buriers
+    function getBurierCount() external view returns (uint256 count) {
+        return _buriers.length();
+    }
+
+    /// @notice Get the count of users who buried serials of a collection
+    /// @param tokenAddress Address of the NFT collection
+    /// @return count Number of buriers for the collection
+    function getTokenBurierCount(
+        address tokenAddress
+    ) external view returns (uint256 count) {
+        return _tokenBuriers[tokenAddress].length();
+    }
+
+    /// @notice Get paginated list of buried collections with their burial counts
+    /// @param offset Starting index (0-based)
+    /// @param limit Maximum number of items to return
+    /// @return tokens Array of collection addresses in the requested range
+    /// @return counts Serials buried for each collection
+    function getBuriedTokensPaginated(
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory tokens, uint256[] memory counts)
+    {
+        uint256 total = _buriedTokens.length();
+        if (offset >= total) {
+            return (new address[](0), new uint256[](0));
+        }
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+        uint256 size = end - offset;
+        tokens = new address[](size);
+        counts = new uint256[](size);
+        for (uint256 i = 0; i < size; ) {
+            tokens[i] = _buriedTokens.at(offset + i);
+            counts[i] = _buriedCountByToken[tokens[i]];
+            unchecked {
+                ++i;
+            }
+        }
+        return (tokens, counts);
+    }
+
+    /// @notice Get paginated list of buriers with their burial counts
+    /// @param offset Starting index (0-based)
+    /// @param limit Maximum number of items to return
+    /// @return users Array of burier addresses in the requested range
+    /// @return counts Serials buried by each user
+    function getBuriersPaginated(
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory users, uint256[] memory counts)
+    {
+        uint256 total = _buriers.length();
+        if (offset >= total) {
+            return (new address[](0), new uint256[](0));
+        }
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+        uint256 size = end - offset;
+        users = new address[](size);
+        counts = new uint256[](size);
+        for (uint256 i = 0; i < size; ) {
+            users[i] = _buriers.at(offset + i);
+            counts[i] = _buriedCountByUser[users[i]];
+            unchecked {
+                ++i;
+            }
+        }
+        return (users, counts);
+    }
+
+    /// @notice Get paginated list of who buried serials of a collection
+    /// @param tokenAddress Address of the NFT collection
+    /// @param offset Starting index (0-based)
+    /// @param limit Maximum number of items to return
+    /// @return users Array of burier addresses in the requested range
+    /// @return counts Serials of the collection buried by each user
+    function getTokenBuriersPaginated(
+        address tokenAddress,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory users, uint256[] memory counts)
+    {
+        EnumerableSet.AddressSet storage buriers = _tokenBuriers[tokenAddress];
+        uint256 total = buriers.length();
+        if (offset >= total) {
+            return (new address[](0), new uint256[](0));
+        }
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+        uint256 size = end - offset;
+        users = new address[](size);
+        counts = new uint256[](size);
+        for (uint256 i = 0; i < size; ) {
+            users[i] = buriers.at(offset + i);
+            counts[i] = _buriedCountByTokenAndUser[tokenAddress][users[i]];
+            unchecked {
+                ++i;
+            }
+        }
+        return (users, counts);
+    }
+
     // ============================================
     // FALLBACK FUNCTIONS
     // ============================================
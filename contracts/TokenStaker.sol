@@ -74,6 +74,7 @@ contract TokenStaker is HederaTokenServiceLite {
     error FailedToInitialize();
     error BadArguments();
     error NFTTransferFailed(TransferDirection _direction);
+    error FTTransferFailed();
     error AssociationFailed();
     error BatchAssociationFailed();
 
@@ -434,4 +435,45 @@ contract TokenStaker is HederaTokenServiceLite {
             );
         }
     }
+
+    /// @notice Internal function to pull fungible tokens from a user to this contract
+    /// @dev The FT equivalent of the approval-based NFT move: the user's HTS allowance to this
+    /// contract is spent, so no hbar leg is needed
+    /// @param _tokenAddress Address of the fungible token
+    /// @param _amount Amount to move (in the token's smallest unit)
+    /// @param _sender Address the tokens are drawn from
+    function moveFungible(
+        address _tokenAddress,
+        uint256 _amount,
+        address _sender
+    ) internal {
+        int64 amount = SafeCast.toInt64(_amount.toInt256());
+
+        IHederaTokenServiceLite.TokenTransferList[]
+            memory _transfers = new IHederaTokenServiceLite.TokenTransferList[](
+                1
+            );
+        _transfers[0].token = _tokenAddress;
+        _transfers[0].transfers = new IHederaTokenServiceLite.AccountAmount[](
+            2
+        );
+
+        _transfers[0].transfers[0].accountID = _sender;
+        _transfers[0].transfers[0].amount = -amount;
+        _transfers[0].transfers[0].isApproval = true;
+
+        _transfers[0].transfers[1].accountID = address(this);
+        _transfers[0].transfers[1].amount = amount;
+
+        IHederaTokenServiceLite.TransferList memory _noHbar;
+
+        int256 response = HederaTokenServiceLite.cryptoTransfer(
+            _noHbar,
+            _transfers
+        );
+
+        if (response != HederaResponseCodes.SUCCESS) {
+            revert FTTransferFailed();
+        }
+    }
 }
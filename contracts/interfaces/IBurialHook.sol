@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+
+/// @title IBurialHook - Burn-to-Redeem Callback Interface
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Implemented by reward contracts that react to burials of a collection (e.g. "bury N old NFTs, get a new one")
+/// @dev Registered per collection by a graveyard admin via setBurialHook(). The hook does not need to be a contract user.
+/// @dev Called after a staking burial has moved and recorded the serials. A revert in the hook reverts the whole burial.
+interface IBurialHook {
+    /// @notice Called by the graveyard after serials of a hooked collection are buried via staking
+    /// @dev msg.sender is the graveyard. The graveyard's burial functions are locked (nonReentrant) during the call
+    /// @param burier The address credited with the burial (the NFT owner, also for on-behalf burials)
+    /// @param token The NFT collection address
+    /// @param serials Serial numbers buried
+    function onNFTsBuried(
+        address burier,
+        address token,
+        uint256[] calldata serials
+    ) external;
+}
@@ -4,7 +4,7 @@ pragma solidity >=0.8.12 <0.9.0;
 /// @title ITokenGraveyard - Composability Interface for TokenGraveyard Contract
 /// @author stowerling.eth / stowerling.hbar
 /// @notice Interface for permanent NFT storage with royalty bypass via staking
-/// @dev For NFTs WITHOUT royalties: associate token, then send directly via Hedera SDK
+/// @dev For NFTs WITHOUT royalties: associate token, send directly via Hedera SDK, then registerDirectBurial()
 /// @dev For NFTs WITH royalties: use stakeNFTsToTheGrave() to bypass royalty fees
 /// @dev Lean interface for contract-to-contract interactions. Admin functions are called directly via EOAs.
 interface ITokenGraveyard {
@@ -14,13 +14,15 @@ interface ITokenGraveyard {
     error TokenNotAssociated(address _token);
     error HTSAssociationFailed();
     error HTSTransferFailed();
+    error SerialNotHeld(address token, uint256 serial);
+    error SerialAlreadyBuried(address token, uint256 serial);
 
     // Events
-    /// @notice Emitted when NFTs are permanently buried in the graveyard via staking
+    /// @notice Emitted when NFTs are permanently buried in the graveyard
     /// @param user The address that buried the NFTs
     /// @param token The NFT collection address
     /// @param serials Array of serial numbers that were buried
-    /// @param viaStaking Always true (staking method bypasses royalties)
+    /// @param viaStaking True for staking burials, false for direct sends registered via registerDirectBurial
     event NFTsBuried(
         address indexed user,
         address indexed token,
@@ -28,6 +30,16 @@ interface ITokenGraveyard {
         bool viaStaking
     );
 
+    /// @notice Emitted when fungible tokens are permanently buried in the graveyard
+    /// @param user The address that buried the tokens
+    /// @param token The fungible token address
+    /// @param amount The amount buried (in the token's smallest unit)
+    event FTBuried(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+
     /// @notice Emitted when a token is associated with the graveyard
     /// @param executor The address that initiated the association
     /// @param token The token that was associated
@@ -63,6 +75,15 @@ interface ITokenGraveyard {
         uint256[] calldata serials
     ) external;
 
+    /// @notice Stake NFTs of several collections to the graveyard in one call
+    /// @dev Caller must have NFT allowances set for every collection. One NFTsBuried event per collection
+    /// @param tokenAddresses Addresses of the NFT collections
+    /// @param serials Serial numbers to stake and bury, one array per collection (max 50 in total)
+    function stakeManyToTheGrave(
+        address[] calldata tokenAddresses,
+        uint256[][] calldata serials
+    ) external;
+
     /// @notice Contract users can stake NFTs on behalf of others (e.g., token swap contracts)
     /// @dev Caller must be a registered contract user. User must have set NFT allowances to calling contract
     /// @param tokenAddress Address of the NFT collection
@@ -74,6 +95,24 @@ interface ITokenGraveyard {
         address onBehalfOf
     ) external;
 
+    /// @notice Stake fungible tokens to the graveyard (FT dust)
+    /// @dev Caller must have an FT allowance of at least amount set to the graveyard. $LAZY is refused
+    /// @param tokenAddress Address of the fungible token
+    /// @param amount Amount to bury (in the token's smallest unit)
+    function stakeFungibleToTheGrave(
+        address tokenAddress,
+        uint256 amount
+    ) external;
+
+    /// @notice Register NFTs already sent directly to the graveyard (for NFTs without royalties)
+    /// @dev Graveyard must hold every serial. No user is credited, since the sender cannot be proven
+    /// @param tokenAddress Address of the NFT collection
+    /// @param serials Array of serial numbers sent to the graveyard (max 50)
+    function registerDirectBurial(
+        address tokenAddress,
+        uint256[] calldata serials
+    ) external;
+
     // ============================================
     // VIEW FUNCTIONS
     // ============================================
@@ -85,10 +124,75 @@ interface ITokenGraveyard {
         address tokenAddress
     ) external view returns (bool isAssociated);
 
+    /// @notice Get what an account pays to associate a token (via associateToken or stakeNFTsToTheGrave)
+    /// @param tokenAddress The token to associate
+    /// @param account The account paying
+    /// @return lazyCost Cost in $LAZY after any token override and account waiver
+    /// @return lazyBurnPercentage Percentage of payment that gets burned
+    function getAssociationCost(
+        address tokenAddress,
+        address account
+    ) external view returns (uint256 lazyCost, uint256 lazyBurnPercentage);
+
+    /// @notice Get what an account pays in hbar to associate a token via associateTokenWithHbar
+    /// @param tokenAddress The token to associate
+    /// @param account The account paying
+    /// @return hbarCost Cost in tinybars (0 if the hbar path is disabled or the account pays no $LAZY)
+    function getHbarAssociationCost(
+        address tokenAddress,
+        address account
+    ) external view returns (uint256 hbarCost);
+
+    /// @notice Get the burn-to-redeem hook of a collection
+    /// @param tokenAddress Address of the NFT collection
+    /// @return hook IBurialHook called after staking burials (address(0) if none)
+    function getBurialHook(
+        address tokenAddress
+    ) external view returns (address hook);
+
     /// @notice Check if an address is a contract user
     /// @param account Address to check
     /// @return isContractUser True if the address is a contract user
     function isContractUser(
         address account
     ) external view returns (bool isContractUser);
+
+    /// @notice Check whether a serial has been recorded in the burial registry
+    /// @param tokenAddress Address of the NFT collection
+    /// @param serial Serial number to check
+    /// @return buried True if the serial was buried via staking or registerDirectBurial
+    function isSerialBuried(
+        address tokenAddress,
+        uint256 serial
+    ) external view returns (bool buried);
+
+    /// @notice Get the number of serials of a collection buried via the contract
+    /// @param tokenAddress Address of the NFT collection
+    /// @return count Serials of the collection buried
+    function getBuriedCount(
+        address tokenAddress
+    ) external view returns (uint256 count);
+
+    /// @notice Get the number of serials buried by a user across all collections
+    /// @param user Address credited with the burials
+    /// @return count Serials buried by the user
+    function getBuriedCountByUser(
+        address user
+    ) external view returns (uint256 count);
+
+    /// @notice Get the total amount of a fungible token buried via stakeFungibleToTheGrave
+    /// @param tokenAddress Address of the fungible token
+    /// @return amount Amount buried (in the token's smallest unit)
+    function getBuriedFungibleAmount(
+        address tokenAddress
+    ) external view returns (uint256 amount);
+
+    /// @notice Get the number of serials of a collection buried by a user
+    /// @param tokenAddress Address of the NFT collection
+    /// @param user Address credited with the burials
+    /// @return count Serials of the collection buried by the user
+    function getBuriedCountForUser(
+        address tokenAddress,
+        address user
+    ) external view returns (uint256 count);
 }
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+
+import {IBurialHook} from "../interfaces/IBurialHook.sol";
+import {ITokenGraveyard} from "../interfaces/ITokenGraveyard.sol";
+
+/// @title MockBurialHook - Local burn-to-redeem receiver
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Test-only. Credits buriers with one redemption per serial, and can be told to revert or
+/// to re-enter the graveyard so the reentrancy guard can be exercised
+contract MockBurialHook is IBurialHook {
+    enum Mode {
+        Accept,
+        Revert,
+        Reenter
+    }
+
+    error HookRejected();
+    error NotGraveyard(address caller);
+
+    address public immutable graveyard;
+    Mode public mode;
+    mapping(address => uint256) public redemptions;
+
+    event Redeemed(address indexed burier, address indexed token, uint256 count);
+
+    /// @param _graveyard The graveyard allowed to call the hook
+    constructor(address _graveyard) {
+        graveyard = _graveyard;
+    }
+
+    /// @notice Change how the next callback behaves
+    /// @param _mode Accept, Revert or Reenter
+    function setMode(Mode _mode) external {
+        mode = _mode;
+    }
+
+    /// @inheritdoc IBurialHook
+    function onNFTsBuried(
+        address burier,
+        address token,
+        uint256[] calldata serials
+    ) external {
+        if (msg.sender != graveyard) {
+            revert NotGraveyard(msg.sender);
+        }
+        if (mode == Mode.Revert) {
+            revert HookRejected();
+        }
+        if (mode == Mode.Reenter) {
+            ITokenGraveyard(graveyard).stakeNFTsToTheGrave(token, serials);
+        }
+
+        redemptions[burier] += serials.length;
+        emit Redeemed(burier, token, serials.length);
+    }
+}
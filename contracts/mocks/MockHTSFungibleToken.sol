@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+
+/// @notice The MockHederaTokenService functions used by the facade
+interface IMockHederaTokenServiceFungible {
+    function registerFungibleToken(address token) external;
+
+    function balanceOf(
+        address token,
+        address account
+    ) external view returns (uint256 balance);
+}
+
+/// @title MockHTSFungibleToken - ERC-20 facade for a fungible token held by MockHederaTokenService
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Test-only. Plays the part of the token address of an HTS fungible token: balances live in
+/// the mock precompile at 0x167 and this contract answers the ERC-20 reads Hedera exposes for HTS tokens
+contract MockHTSFungibleToken {
+    IMockHederaTokenServiceFungible private constant HTS =
+        IMockHederaTokenServiceFungible(address(0x167));
+
+    string public name;
+    string public symbol;
+    uint8 public decimals;
+
+    /// @notice Register the token with the mock precompile (which must already be installed)
+    /// @param _name Token name
+    /// @param _symbol Token symbol
+    /// @param _decimals Token decimals
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) {
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+        HTS.registerFungibleToken(address(this));
+    }
+
+    /// @notice Balance of an account
+    /// @param account Account to check
+    /// @return balance Balance (smallest unit)
+    function balanceOf(address account) external view returns (uint256 balance) {
+        return HTS.balanceOf(address(this), account);
+    }
+}
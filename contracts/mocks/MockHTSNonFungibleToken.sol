@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+
+/// @notice The MockHederaTokenService functions used by the facade
+interface IMockHederaTokenService {
+    function registerToken(address token, bool fallbackRoyalty) external;
+
+    function ownerOf(
+        address token,
+        uint256 serial
+    ) external view returns (address owner);
+}
+
+/// @title MockHTSNonFungibleToken - ERC-721 facade for a collection held by MockHederaTokenService
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Test-only. Plays the part of the token address of an HTS NFT: ownership lives in the mock
+/// precompile at 0x167 and this contract answers the ERC-721 reads Hedera exposes for HTS tokens
+contract MockHTSNonFungibleToken {
+    IMockHederaTokenService private constant HTS =
+        IMockHederaTokenService(address(0x167));
+
+    string public name;
+    string public symbol;
+
+    /// @notice Register the collection with the mock precompile (which must already be installed)
+    /// @param _name Collection name
+    /// @param _symbol Collection symbol
+    /// @param fallbackRoyalty Whether the collection carries a fallback royalty fee
+    constructor(string memory _name, string memory _symbol, bool fallbackRoyalty) {
+        name = _name;
+        symbol = _symbol;
+        HTS.registerToken(address(this), fallbackRoyalty);
+    }
+
+    /// @notice Owner of a serial, reverting for serials that were never minted (as ERC-721 does)
+    /// @param serial Serial number
+    /// @return owner Current owner
+    function ownerOf(uint256 serial) external view returns (address owner) {
+        owner = HTS.ownerOf(address(this), serial);
+        require(owner != address(0), "MockHTS: invalid serial");
+    }
+}
@@ -0,0 +1,425 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+pragma experimental ABIEncoderV2;
+
+import {HederaResponseCodes} from "../HederaResponseCodes.sol";
+import {
+    IHederaTokenServiceLite
+} from "../interfaces/IHederaTokenServiceLite.sol";
+
+/// @title MockHederaTokenService - Local stand-in for the HTS precompile
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Test-only. Install the deployed bytecode at 0x167 with hardhat_setCode so TokenStaker and
+/// TokenGraveyard can run on the in-process Hardhat network
+/// @dev Models NFT ownership, fungible balances, token association, approve-for-all and fungible
+/// allowances. Hbar legs of a
+/// cryptoTransfer are checked (balanced, debits authorised) but no hbar moves. Fallback royalties
+/// are not charged: an NFT transfer of a fallback-royalty token fails unless the transfer list
+/// credits the NFT sender with hbar, which is the case the staking bypass relies on.
+contract MockHederaTokenService is HederaResponseCodes {
+    struct MockToken {
+        bool exists;
+        bool fallbackRoyalty;
+        bool fungible;
+    }
+
+    mapping(address => MockToken) private _tokens;
+    // token => account => associated
+    mapping(address => mapping(address => bool)) private _associations;
+    // token => serial => owner
+    mapping(address => mapping(int64 => address)) private _owners;
+    // token => owner => operator => approved
+    mapping(address => mapping(address => mapping(address => bool)))
+        private _approvedForAll;
+    // token => account => balance (fungible)
+    mapping(address => mapping(address => uint256)) private _balances;
+    // token => owner => spender => allowance (fungible)
+    mapping(address => mapping(address => mapping(address => uint256)))
+        private _allowances;
+
+    // ============================================
+    // TEST SETUP
+    // ============================================
+
+    /// @notice Register an NFT collection (called by MockHTSNonFungibleToken on deployment)
+    /// @param token Address of the collection
+    /// @param fallbackRoyalty Whether the collection carries a fallback royalty fee
+    function registerToken(address token, bool fallbackRoyalty) external {
+        _tokens[token] = MockToken(true, fallbackRoyalty, false);
+    }
+
+    /// @notice Register a fungible token (called by MockHTSFungibleToken on deployment)
+    /// @param token Address of the token
+    function registerFungibleToken(address token) external {
+        _tokens[token] = MockToken(true, false, true);
+    }
+
+    /// @notice Mint fungible tokens to an account, associating it if needed
+    /// @param token Address of the token
+    /// @param to Account receiving the tokens
+    /// @param amount Amount to mint (smallest unit)
+    function mintFungibleTo(address token, address to, uint256 amount) external {
+        require(_tokens[token].fungible, "MockHTS: unknown fungible token");
+        _associations[token][to] = true;
+        _balances[token][to] += amount;
+    }
+
+    /// @notice Mint serials of a collection to an account, associating it if needed
+    /// @param token Address of the collection
+    /// @param to Account receiving the serials
+    /// @param serials Serial numbers to mint
+    function mintTo(address token, address to, int64[] calldata serials) external {
+        require(_tokens[token].exists, "MockHTS: unknown token");
+        _associations[token][to] = true;
+        for (uint256 i = 0; i < serials.length; ++i) {
+            require(_owners[token][serials[i]] == address(0), "MockHTS: serial exists");
+            _owners[token][serials[i]] = to;
+        }
+    }
+
+    // ============================================
+    // VIEWS
+    // ============================================
+
+    /// @notice Owner of a serial (address(0) if not minted)
+    /// @param token Address of the collection
+    /// @param serial Serial number
+    /// @return owner Current owner
+    function ownerOf(
+        address token,
+        uint256 serial
+    ) external view returns (address owner) {
+        return _owners[token][int64(uint64(serial))];
+    }
+
+    /// @notice Check whether an account is associated with a token
+    /// @param account Account to check
+    /// @param token Token to check
+    /// @return associated True if associated
+    function isAssociated(
+        address account,
+        address token
+    ) external view returns (bool associated) {
+        return _associations[token][account];
+    }
+
+    /// @notice Fungible balance of an account
+    /// @param token Address of the token
+    /// @param account Account to check
+    /// @return balance Balance (smallest unit)
+    function balanceOf(
+        address token,
+        address account
+    ) external view returns (uint256 balance) {
+        return _balances[token][account];
+    }
+
+    /// @notice Check a fungible allowance (same signature as the HTS precompile)
+    /// @param token Address of the token
+    /// @param owner Owner of the tokens
+    /// @param spender Spender
+    /// @return responseCode SUCCESS
+    /// @return amount Remaining allowance
+    function allowance(
+        address token,
+        address owner,
+        address spender
+    ) external view returns (int64 responseCode, uint256 amount) {
+        return (SUCCESS, _allowances[token][owner][spender]);
+    }
+
+    /// @notice Check an approve-for-all allowance (same signature as the HTS precompile)
+    /// @param token Address of the collection
+    /// @param owner Owner of the serials
+    /// @param operator Spender
+    /// @return responseCode SUCCESS
+    /// @return approved True if the operator may move all of the owner's serials
+    function isApprovedForAll(
+        address token,
+        address owner,
+        address operator
+    ) external view returns (int64 responseCode, bool approved) {
+        return (SUCCESS, _approvedForAll[token][owner][operator]);
+    }
+
+    // ============================================
+    // HTS PRECOMPILE FUNCTIONS
+    // ============================================
+
+    /// @notice Approve or revoke an operator for all of the caller's serials of a collection
+    /// @param token Address of the collection
+    /// @param operator Spender
+    /// @param approved True to approve, false to revoke
+    /// @return responseCode The response code for the status of the request
+    function setApprovalForAll(
+        address token,
+        address operator,
+        bool approved
+    ) external returns (int64 responseCode) {
+        if (!_tokens[token].exists) return INVALID_TOKEN_ID;
+        _approvedForAll[token][msg.sender][operator] = approved;
+        return SUCCESS;
+    }
+
+    /// @notice Set a fungible allowance from the caller to a spender
+    /// @param token Address of the token
+    /// @param spender Spender
+    /// @param amount Allowance (replaces any existing allowance)
+    /// @return responseCode The response code for the status of the request
+    function approve(
+        address token,
+        address spender,
+        uint256 amount
+    ) external returns (int64 responseCode) {
+        if (!_tokens[token].fungible) return INVALID_TOKEN_ID;
+        _allowances[token][msg.sender][spender] = amount;
+        return SUCCESS;
+    }
+
+    /// @notice Associate a token with an account (only the account itself may associate)
+    /// @param account Account to associate
+    /// @param token Token to associate
+    /// @return responseCode The response code for the status of the request
+    function associateToken(
+        address account,
+        address token
+    ) public returns (int64 responseCode) {
+        if (account != msg.sender) return INVALID_SIGNATURE;
+        if (_associations[token][account]) {
+            return TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT;
+        }
+        _associations[token][account] = true;
+        return SUCCESS;
+    }
+
+    /// @notice Associate several tokens with an account, failing if any is already associated
+    /// @param account Account to associate
+    /// @param tokens Tokens to associate
+    /// @return responseCode The response code for the status of the request
+    function associateTokens(
+        address account,
+        address[] calldata tokens
+    ) external returns (int64 responseCode) {
+        if (account != msg.sender) return INVALID_SIGNATURE;
+        for (uint256 i = 0; i < tokens.length; ++i) {
+            if (_associations[tokens[i]][account]) {
+                return TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT;
+            }
+        }
+        for (uint256 i = 0; i < tokens.length; ++i) {
+            _associations[tokens[i]][account] = true;
+        }
+        return SUCCESS;
+    }
+
+    /// @notice Transfer a single serial with no hbar leg
+    /// @param token Address of the collection
+    /// @param sender Current owner
+    /// @param receiver New owner
+    /// @param serialNumber Serial to transfer
+    /// @return responseCode The response code for the status of the request
+    function transferNFT(
+        address token,
+        address sender,
+        address receiver,
+        int64 serialNumber
+    ) external returns (int64 responseCode) {
+        IHederaTokenServiceLite.NftTransfer memory nftTransfer = IHederaTokenServiceLite
+            .NftTransfer(sender, receiver, serialNumber, false);
+        IHederaTokenServiceLite.AccountAmount[]
+            memory noHbar = new IHederaTokenServiceLite.AccountAmount[](0);
+
+        responseCode = _checkNftTransfer(token, nftTransfer, noHbar);
+        if (responseCode == SUCCESS) {
+            _owners[token][serialNumber] = receiver;
+        }
+    }
+
+    /// @notice Perform hbar, fungible and NFT transfers atomically - nothing moves unless every leg is valid
+    /// @param transferList Hbar transfers (checked, not applied)
+    /// @param tokenTransfers Fungible and NFT transfers
+    /// @return responseCode The response code for the status of the request
+    function cryptoTransfer(
+        IHederaTokenServiceLite.TransferList calldata transferList,
+        IHederaTokenServiceLite.TokenTransferList[] calldata tokenTransfers
+    ) external returns (int64 responseCode) {
+        IHederaTokenServiceLite.AccountAmount[] memory hbar = transferList
+            .transfers;
+
+        responseCode = _checkHbarTransfers(hbar);
+        if (responseCode != SUCCESS) return responseCode;
+
+        for (uint256 i = 0; i < tokenTransfers.length; ++i) {
+            if (tokenTransfers[i].transfers.length > 0) {
+                responseCode = _checkFungibleTransfers(
+                    tokenTransfers[i].token,
+                    tokenTransfers[i].transfers
+                );
+                if (responseCode != SUCCESS) return responseCode;
+            }
+            for (uint256 j = 0; j < tokenTransfers[i].nftTransfers.length; ++j) {
+                responseCode = _checkNftTransfer(
+                    tokenTransfers[i].token,
+                    tokenTransfers[i].nftTransfers[j],
+                    hbar
+                );
+                if (responseCode != SUCCESS) return responseCode;
+            }
+        }
+
+        for (uint256 i = 0; i < tokenTransfers.length; ++i) {
+            _applyFungibleTransfers(
+                tokenTransfers[i].token,
+                tokenTransfers[i].transfers
+            );
+            for (uint256 j = 0; j < tokenTransfers[i].nftTransfers.length; ++j) {
+                IHederaTokenServiceLite.NftTransfer
+                    calldata nftTransfer = tokenTransfers[i].nftTransfers[j];
+                _owners[tokenTransfers[i].token][
+                    nftTransfer.serialNumber
+                ] = nftTransfer.receiverAccountID;
+            }
+        }
+
+        return SUCCESS;
+    }
+
+    // ============================================
+    // INTERNAL CHECKS
+    // ============================================
+
+    /// @notice Check hbar legs balance and that unapproved debits come from the caller
+    /// @param hbar Hbar transfers
+    /// @return responseCode SUCCESS or the failure code
+    function _checkHbarTransfers(
+        IHederaTokenServiceLite.AccountAmount[] memory hbar
+    ) private view returns (int64 responseCode) {
+        int256 sum;
+        for (uint256 i = 0; i < hbar.length; ++i) {
+            sum += hbar[i].amount;
+            if (
+                hbar[i].amount < 0 &&
+                !hbar[i].isApproval &&
+                hbar[i].accountID != msg.sender
+            ) {
+                return INVALID_SIGNATURE;
+            }
+        }
+        return sum == 0 ? SUCCESS : INVALID_ACCOUNT_AMOUNTS;
+    }
+
+    /// @notice Check the fungible legs of one token balance, debits are funded and authorised and credited accounts are associated
+    /// @dev Each debit is checked on its own, so a list debiting the same account twice is not modelled
+    /// @param token Address of the token
+    /// @param legs Fungible transfers of the token
+    /// @return responseCode SUCCESS or the failure code
+    function _checkFungibleTransfers(
+        address token,
+        IHederaTokenServiceLite.AccountAmount[] calldata legs
+    ) private view returns (int64 responseCode) {
+        if (!_tokens[token].fungible) return INVALID_TOKEN_ID;
+
+        int256 sum;
+        for (uint256 i = 0; i < legs.length; ++i) {
+            address account = legs[i].accountID;
+            int64 amount = legs[i].amount;
+            sum += amount;
+
+            if (!_associations[token][account]) {
+                return TOKEN_NOT_ASSOCIATED_TO_ACCOUNT;
+            }
+            if (amount >= 0) continue;
+
+            uint256 debit = uint256(uint64(-amount));
+            if (_balances[token][account] < debit) {
+                return INSUFFICIENT_TOKEN_BALANCE;
+            }
+            if (legs[i].isApproval) {
+                if (_allowances[token][account][msg.sender] < debit) {
+                    return AMOUNT_EXCEEDS_ALLOWANCE;
+                }
+            } else if (account != msg.sender) {
+                return INVALID_SIGNATURE;
+            }
+        }
+        return sum == 0 ? SUCCESS : TRANSFERS_NOT_ZERO_SUM_FOR_TOKEN;
+    }
+
+    /// @notice Apply checked fungible legs, spending allowances for approved debits
+    /// @param token Address of the token
+    /// @param legs Fungible transfers of the token
+    function _applyFungibleTransfers(
+        address token,
+        IHederaTokenServiceLite.AccountAmount[] calldata legs
+    ) private {
+        for (uint256 i = 0; i < legs.length; ++i) {
+            address account = legs[i].accountID;
+            int64 amount = legs[i].amount;
+            if (amount >= 0) {
+                _balances[token][account] += uint256(uint64(amount));
+                continue;
+            }
+
+            uint256 debit = uint256(uint64(-amount));
+            _balances[token][account] -= debit;
+            if (legs[i].isApproval) {
+                _allowances[token][account][msg.sender] -= debit;
+            }
+        }
+    }
+
+    /// @notice Check a single NFT transfer against ownership, association, authorisation and royalties
+    /// @param token Address of the collection
+    /// @param nftTransfer The transfer
+    /// @param hbar Hbar legs of the same transaction
+    /// @return responseCode SUCCESS or the failure code
+    function _checkNftTransfer(
+        address token,
+        IHederaTokenServiceLite.NftTransfer memory nftTransfer,
+        IHederaTokenServiceLite.AccountAmount[] memory hbar
+    ) private view returns (int64 responseCode) {
+        MockToken memory mockToken = _tokens[token];
+        address sender = nftTransfer.senderAccountID;
+
+        if (!mockToken.exists) return INVALID_TOKEN_ID;
+        if (_owners[token][nftTransfer.serialNumber] == address(0)) {
+            return INVALID_NFT_ID;
+        }
+        if (_owners[token][nftTransfer.serialNumber] != sender) {
+            return SENDER_DOES_NOT_OWN_NFT_SERIAL_NO;
+        }
+        if (!_associations[token][nftTransfer.receiverAccountID]) {
+            return TOKEN_NOT_ASSOCIATED_TO_ACCOUNT;
+        }
+
+        if (nftTransfer.isApproval) {
+            if (!_approvedForAll[token][sender][msg.sender]) {
+                return SPENDER_DOES_NOT_HAVE_ALLOWANCE;
+            }
+        } else if (sender != msg.sender) {
+            return INVALID_SIGNATURE;
+        }
+
+        if (mockToken.fallbackRoyalty && !_creditsAccount(hbar, sender)) {
+            return INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE;
+        }
+
+        return SUCCESS;
+    }
+
+    /// @notice Whether the hbar legs credit an account
+    /// @param hbar Hbar transfers
+    /// @param account Account to look for
+    /// @return credited True if the account receives hbar
+    function _creditsAccount(
+        IHederaTokenServiceLite.AccountAmount[] memory hbar,
+        address account
+    ) private pure returns (bool credited) {
+        for (uint256 i = 0; i < hbar.length; ++i) {
+            if (hbar[i].accountID == account && hbar[i].amount > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
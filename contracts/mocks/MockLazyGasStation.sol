@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {
+    ERC20Burnable
+} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+
+/// @title MockLazyGasStation - Local stand-in for LazyGasStation
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Test-only. Implements the parts of ILazyGasStation the graveyard uses: hbar refills and
+/// $LAZY draws (pulled with an ERC-20 allowance, with the burn share burned)
+contract MockLazyGasStation {
+    error PermissionDenied(address _user);
+    error RefillFailed();
+
+    address public immutable lazyToken;
+    mapping(address => bool) private _contractUsers;
+
+    event LazyDrawn(address indexed user, uint256 amount, uint256 burnt);
+    event HbarRefilled(address indexed contractUser, uint256 amount);
+
+    modifier onlyContractUser() {
+        if (!_contractUsers[msg.sender]) {
+            revert PermissionDenied(msg.sender);
+        }
+        _;
+    }
+
+    /// @param _lazyToken Address of the (mock) $LAZY token
+    constructor(address _lazyToken) {
+        lazyToken = _lazyToken;
+    }
+
+    /// @notice Allow a contract to draw $LAZY and hbar
+    /// @param contractUser Address to add
+    /// @return added True if newly added
+    function addContractUser(
+        address contractUser
+    ) external returns (bool added) {
+        added = !_contractUsers[contractUser];
+        _contractUsers[contractUser] = true;
+    }
+
+    /// @notice Check whether an address is a contract user
+    /// @param account Address to check
+    /// @return True if a contract user
+    function isContractUser(address account) external view returns (bool) {
+        return _contractUsers[account];
+    }
+
+    /// @notice Send hbar to the calling contract
+    /// @param _amount Amount in tinybars (wei on the Hardhat network)
+    function refillHbar(uint256 _amount) external onlyContractUser {
+        (bool success, ) = payable(msg.sender).call{value: _amount}("");
+        if (!success) {
+            revert RefillFailed();
+        }
+        emit HbarRefilled(msg.sender, _amount);
+    }
+
+    /// @notice Draw $LAZY from a user, burning a percentage
+    /// @param _user User paying (must have approved this contract)
+    /// @param _amount Amount to draw
+    /// @param _burnPercentage Percentage of the amount to burn (0-100)
+    function drawLazyFrom(
+        address _user,
+        uint256 _amount,
+        uint256 _burnPercentage
+    ) external onlyContractUser {
+        IERC20(lazyToken).transferFrom(_user, address(this), _amount);
+        uint256 burnt = (_amount * _burnPercentage) / 100;
+        if (burnt > 0) {
+            ERC20Burnable(lazyToken).burn(burnt);
+        }
+        emit LazyDrawn(_user, _amount, burnt);
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.12 <0.9.0;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {
+    ERC20Burnable
+} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+
+/// @title MockLazyToken - Freely mintable stand-in for $LAZY
+/// @author stowerling.eth / stowerling.hbar
+/// @notice Test-only. 1 decimal like $LAZY; anyone can mint
+contract MockLazyToken is ERC20Burnable {
+    constructor() ERC20("Mock LAZY", "LAZY") {}
+
+    /// @notice Mint tokens to an account
+    /// @param to Receiver
+    /// @param amount Amount in the smallest unit
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @notice $LAZY has a single decimal place
+    /// @return The number of decimals
+    function decimals() public pure override returns (uint8) {
+        return 1;
+    }
+}
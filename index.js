@@ -8,6 +8,12 @@
  * const { TokenGraveyardABI, TokenStakerABI } = require('@lazysuperheroes/token-graveyard');
  * 
  * @example
+ * // Programmatic burial from a backend service
+ * const { GraveyardClient } = require('@lazysuperheroes/token-graveyard');
+ * const graveyard = new GraveyardClient({ client, mirrorUrl, graveyardId: '0.0.12345' });
+ * await graveyard.stakeNFTsToTheGrave('0.0.48486075', [1, 2, 3]);
+ *
+ * @example
  * // Import in Solidity (use direct paths)
  * import "@lazysuperheroes/token-graveyard/contracts/interfaces/ITokenGraveyard.sol";
  */
@@ -15,11 +21,38 @@
 // Export ABIs for JavaScript/TypeScript usage
 const TokenGraveyardABI = require('./abi/TokenGraveyard.json');
 const TokenStakerABI = require('./abi/TokenStaker.json');
+const { GraveyardClient } = require('./lib/GraveyardClient');
+const {
+	MirrorClient,
+	MirrorNodeError,
+	MirrorNotFoundError,
+	MirrorRateLimitError,
+	MirrorServerError,
+	MirrorRequestError,
+	MirrorNetworkError,
+} = require('./utils/mirrorClient');
+const { loadNetworkProfile, createNetworkClient } = require('./utils/networkProfile');
 
 module.exports = {
 	TokenGraveyardABI,
 	TokenStakerABI,
 
+	// Programmatic contract client
+	GraveyardClient,
+
+	// Mirror node client and the errors its requests throw
+	MirrorClient,
+	MirrorNodeError,
+	MirrorNotFoundError,
+	MirrorRateLimitError,
+	MirrorServerError,
+	MirrorRequestError,
+	MirrorNetworkError,
+
+	// Network profile (mirror node, relay, consensus nodes) from .env or a profile file
+	loadNetworkProfile,
+	createNetworkClient,
+
 	// Version info
 	version: require('./package.json').version,
 };
@@ -0,0 +1,367 @@
+/**
+ * GraveyardClient
+ * Programmatic access to the TokenGraveyard contract for backend services and tests
+ *
+ * Unlike the CLI scripts this class never reads process.argv or writes to the console (shared
+ * helpers are called in their quiet mode). Every method returns a promise; contract reverts,
+ * precheck rejections and network failures resolve to a failed result object (reverts with the
+ * decoded error) rather than being printed or thrown.
+ */
+
+const {
+	ContractExecuteTransaction,
+	ContractId,
+	Hbar,
+	TokenId,
+	TransactionReceiptQuery,
+	TransactionRecordQuery,
+} = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+const TokenGraveyardABI = require('../abi/TokenGraveyard.json');
+const {
+	EntityType,
+	checkTokenHasFallbackRoyalty,
+	homebrewPopulateAccountEvmAddress,
+} = require('../utils/hederaMirrorHelpers');
+const { readOnlyEVMFromMirrorNode, parseError } = require('../utils/solidityHelpers');
+const { estimateGas } = require('../utils/gasHelpers');
+
+// Fallback gas limits used when mirror node estimation is unavailable
+const GAS_LIMITS = {
+	ASSOCIATION: 800_000,
+	STAKING_BURIAL: 2_500_000,
+	DIRECT_BURIAL: 1_200_000,
+};
+
+class GraveyardClient {
+	/**
+	 * @param {object} options
+	 * @param {Client} options.client - Hedera client with the operator already set
+	 * @param {string} options.mirrorUrl - Mirror node base URL (e.g. https://testnet.mirrornode.hedera.com)
+	 * @param {ContractId|string} options.graveyardId - Deployed TokenGraveyard contract ID
+	 * @param {any[]} [options.abi] - Contract ABI, defaults to the packaged TokenGraveyard ABI
+	 */
+	constructor({ client, mirrorUrl, graveyardId, abi = TokenGraveyardABI } = {}) {
+		if (!client) {
+			throw new Error('GraveyardClient requires a Hedera client');
+		}
+		if (!mirrorUrl) {
+			throw new Error('GraveyardClient requires a mirror node base URL');
+		}
+		if (!graveyardId) {
+			throw new Error('GraveyardClient requires the graveyard contract ID');
+		}
+
+		this.client = client;
+		this.mirrorUrl = mirrorUrl;
+		this.graveyardId = typeof graveyardId === 'string' ? ContractId.fromString(graveyardId) : graveyardId;
+		this.iface = new ethers.Interface(abi);
+	}
+
+	/**
+	 * Operator account of the injected client (used as `from` for mirror queries)
+	 * @returns {AccountId}
+	 */
+	get operatorId() {
+		return this.client.operatorAccountId;
+	}
+
+	/**
+	 * Resolve a token to its EVM address
+	 * @param {TokenId|string} token - Token ID (0.0.x) or EVM address
+	 * @returns {Promise<string>}
+	 */
+	async resolveTokenAddress(token) {
+		const tokenStr = token.toString();
+		if (tokenStr.startsWith('0x')) {
+			return ethers.getAddress(tokenStr);
+		}
+		return await homebrewPopulateAccountEvmAddress(this.mirrorUrl, tokenStr, EntityType.TOKEN, true);
+	}
+
+	/**
+	 * Call a view function via the mirror node
+	 * @param {string} functionName
+	 * @param {any[]} params
+	 * @returns {Promise<ethers.Result>}
+	 */
+	async query(functionName, params = []) {
+		const encodedCall = this.iface.encodeFunctionData(functionName, params);
+		const result = await readOnlyEVMFromMirrorNode(
+			this.mirrorUrl,
+			this.graveyardId,
+			encodedCall,
+			this.operatorId,
+			false,
+		);
+		return this.iface.decodeFunctionResult(functionName, result);
+	}
+
+	/**
+	 * Estimate gas for a contract call, falling back to the supplied limit
+	 * @param {string} functionName
+	 * @param {any[]} params
+	 * @param {number} fallbackGas
+	 * @param {number} [valueTinybars=0] - hbar sent with a payable call
+	 * @returns {Promise<{ gasLimit: number, isEstimated: boolean, estimatedGas?: number }>}
+	 */
+	async estimateGas(functionName, params = [], fallbackGas = GAS_LIMITS.ASSOCIATION, valueTinybars = 0) {
+		return await estimateGas(
+			this.mirrorUrl,
+			this.graveyardId,
+			this.iface,
+			this.operatorId,
+			functionName,
+			params,
+			fallbackGas,
+			valueTinybars,
+			true,
+		);
+	}
+
+	/**
+	 * Execute a state-changing contract function
+	 * Failures resolve to a result with success false: a revert carries the receipt status and the
+	 * decoded error, a precheck rejection its precheck status, and any other SDK or network error
+	 * status UNKNOWN (with the transaction ID when the transaction was submitted).
+	 * @param {string} functionName
+	 * @param {any[]} params
+	 * @param {number} gasLimit
+	 * @param {number|Hbar} [payableAmount=0] - hbar to send with the call (a number is whole hbar)
+	 * @returns {Promise<{ success: boolean, status: string, transactionId: string|null, error: string|null, errorName: string|null }>}
+	 * @throws {Error} only if params cannot be encoded for functionName
+	 */
+	async execute(functionName, params, gasLimit, payableAmount = 0) {
+		const encodedCommand = this.iface.encodeFunctionData(functionName, params);
+
+		let transactionId = null;
+		try {
+			const response = await new ContractExecuteTransaction()
+				.setContractId(this.graveyardId)
+				.setGas(gasLimit)
+				.setFunctionParameters(Buffer.from(encodedCommand.slice(2), 'hex'))
+				.setPayableAmount(payableAmount)
+				.execute(this.client);
+			transactionId = response.transactionId;
+
+			const receipt = await new TransactionReceiptQuery()
+				.setTransactionId(transactionId)
+				.setValidateStatus(false)
+				.execute(this.client);
+
+			const status = receipt.status.toString();
+			const result = {
+				success: status === 'SUCCESS',
+				status,
+				transactionId: transactionId.toString(),
+				error: null,
+				errorName: null,
+			};
+
+			if (!result.success) {
+				const record = await new TransactionRecordQuery()
+					.setTransactionId(transactionId)
+					.setValidateReceiptStatus(false)
+					.execute(this.client);
+
+				const errorMessage = record.contractFunctionResult?.errorMessage;
+				const decoded = errorMessage ? parseError(this.iface, errorMessage, true) : status;
+				result.error = decoded?.message ?? String(decoded);
+				result.errorName = decoded?.name ?? null;
+			}
+
+			return result;
+		}
+		catch (err) {
+			// PrecheckStatusError carries the precheck status and transaction ID
+			const failedId = err.transactionId ?? transactionId;
+			return {
+				success: false,
+				status: err.status?.toString() ?? 'UNKNOWN',
+				transactionId: failedId ? failedId.toString() : null,
+				error: err.message,
+				errorName: null,
+			};
+		}
+	}
+
+	/**
+	 * Get cost configuration
+	 * @returns {Promise<{ lazyCost: string, lazyBurnPercentage: number }>}
+	 */
+	async getCost() {
+		const result = await this.query('getCost');
+		return {
+			lazyCost: result.lazyCost.toString(),
+			lazyBurnPercentage: Number(result.lazyBurnPercentage),
+		};
+	}
+
+	/**
+	 * Get what an account pays to associate a token (collection override and fee waiver applied)
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {AccountId|string} [account] - Payer, defaults to the operator
+	 * @returns {Promise<{ lazyCost: string, lazyBurnPercentage: number }>}
+	 */
+	async getAssociationCost(token, account = this.operatorId) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const accountStr = account.toString();
+		const accountAddress = accountStr.startsWith('0x')
+			? ethers.getAddress(accountStr)
+			: await homebrewPopulateAccountEvmAddress(this.mirrorUrl, accountStr, EntityType.ACCOUNT, true);
+		const result = await this.query('getAssociationCost', [tokenAddress, accountAddress]);
+		return {
+			lazyCost: result.lazyCost.toString(),
+			lazyBurnPercentage: Number(result.lazyBurnPercentage),
+		};
+	}
+
+	/**
+	 * Check if a token is associated with the graveyard
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @returns {Promise<boolean>}
+	 */
+	async isTokenAssociated(token) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const result = await this.query('isTokenAssociated', [tokenAddress]);
+		return result[0];
+	}
+
+	/**
+	 * Detect fallback royalties (tokens that must be buried via staking)
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @returns {Promise<{ hasFallback: boolean, fallbackFees: object[], royaltyFees: object[] }>}
+	 */
+	async checkTokenHasFallbackRoyalty(token) {
+		const tokenStr = token.toString();
+		const tokenIdStr = tokenStr.startsWith('0x')
+			? TokenId.fromSolidityAddress(tokenStr).toString()
+			: tokenStr;
+		return await checkTokenHasFallbackRoyalty(this.mirrorUrl, tokenIdStr);
+	}
+
+	/**
+	 * Associate a token with the graveyard (paid in $LAZY via LazyGasStation)
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {object} [options]
+	 * @param {number} [options.gasLimit] - Skip estimation and use this gas limit
+	 * @returns {Promise<object>} execution result, see execute()
+	 */
+	async associateToken(token, { gasLimit } = {}) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const params = [tokenAddress];
+		const gas = gasLimit ?? (await this.estimateGas('associateToken', params, GAS_LIMITS.ASSOCIATION)).gasLimit;
+		return await this.execute('associateToken', params, gas);
+	}
+
+	/**
+	 * Get what an account pays in hbar to associate a token via associateTokenWithHbar
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {AccountId|string} [account] - Payer, defaults to the operator
+	 * @returns {Promise<{ enabled: boolean, tinybars: number }>} enabled is false when the graveyard has no hbar price
+	 */
+	async getHbarAssociationCost(token, account = this.operatorId) {
+		const [hbarCost] = await this.query('getHbarCost');
+		if (hbarCost === 0n) {
+			return { enabled: false, tinybars: 0 };
+		}
+
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const accountStr = account.toString();
+		const accountAddress = accountStr.startsWith('0x')
+			? ethers.getAddress(accountStr)
+			: await homebrewPopulateAccountEvmAddress(this.mirrorUrl, accountStr, EntityType.ACCOUNT, true);
+		const result = await this.query('getHbarAssociationCost', [tokenAddress, accountAddress]);
+		return { enabled: true, tinybars: Number(result[0]) };
+	}
+
+	/**
+	 * Associate a token with the graveyard, paying the admin-set hbar price instead of $LAZY
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {object} [options]
+	 * @param {number} [options.gasLimit] - Skip estimation and use this gas limit
+	 * @returns {Promise<object>} execution result, see execute()
+	 */
+	async associateTokenWithHbar(token, { gasLimit } = {}) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const { tinybars } = await this.getHbarAssociationCost(tokenAddress);
+		const params = [tokenAddress];
+		const gas = gasLimit ?? (await this.estimateGas('associateTokenWithHbar', params, GAS_LIMITS.ASSOCIATION, tinybars)).gasLimit;
+		return await this.execute('associateTokenWithHbar', params, gas, Hbar.fromTinybars(tinybars));
+	}
+
+	/**
+	 * Bury NFTs via staking (bypasses royalties)
+	 * Requires an NFT allowance to the graveyard and, for unassociated tokens, a $LAZY allowance to LazyGasStation
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {number[]} serials - Serial numbers to bury (contract maximum 50)
+	 * @param {object} [options]
+	 * @param {number} [options.gasLimit] - Skip estimation and use this gas limit
+	 * @returns {Promise<object>} execution result, see execute()
+	 */
+	async stakeNFTsToTheGrave(token, serials, { gasLimit } = {}) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const params = [tokenAddress, serials];
+		const fallbackGas = GAS_LIMITS.STAKING_BURIAL * Math.ceil(serials.length / 8);
+		const gas = gasLimit ?? (await this.estimateGas('stakeNFTsToTheGrave', params, fallbackGas)).gasLimit;
+		return await this.execute('stakeNFTsToTheGrave', params, gas);
+	}
+
+	/**
+	 * Bury NFTs of several collections via staking in one call
+	 * Requires an NFT allowance to the graveyard per collection and, for unassociated tokens, a $LAZY
+	 * allowance to LazyGasStation covering every association fee
+	 * @param {{ token: TokenId|string, serials: number[] }[]} collections - at most 50 serials in total
+	 * @param {object} [options]
+	 * @param {number} [options.gasLimit] - Skip estimation and use this gas limit
+	 * @returns {Promise<object>} execution result, see execute()
+	 */
+	async stakeManyToTheGrave(collections, { gasLimit } = {}) {
+		const tokenAddresses = [];
+		for (const { token } of collections) {
+			tokenAddresses.push(await this.resolveTokenAddress(token));
+		}
+		const params = [tokenAddresses, collections.map(c => c.serials)];
+		const batches = collections.reduce((n, c) => n + Math.ceil(c.serials.length / 8), 0);
+		const fallbackGas = Math.min(GAS_LIMITS.STAKING_BURIAL * batches, 15_000_000);
+		const gas = gasLimit ?? (await this.estimateGas('stakeManyToTheGrave', params, fallbackGas)).gasLimit;
+		return await this.execute('stakeManyToTheGrave', params, gas);
+	}
+
+	/**
+	 * Bury fungible tokens (FT dust) via staking
+	 * Requires an FT allowance of at least amount to the graveyard and, for unassociated tokens, a $LAZY allowance to LazyGasStation
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {bigint|string} amount - Amount in the token's smallest unit (a string keeps amounts above 2^53 exact)
+	 * @param {object} [options]
+	 * @param {number} [options.gasLimit] - Skip estimation and use this gas limit
+	 * @returns {Promise<object>} execution result, see execute()
+	 * @throws {SyntaxError} if amount is not a whole number
+	 */
+	async stakeFungibleToTheGrave(token, amount, { gasLimit } = {}) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const params = [tokenAddress, BigInt(amount)];
+		const gas = gasLimit ?? (await this.estimateGas('stakeFungibleToTheGrave', params, GAS_LIMITS.STAKING_BURIAL)).gasLimit;
+		return await this.execute('stakeFungibleToTheGrave', params, gas);
+	}
+
+	/**
+	 * Record NFTs already sent directly to the graveyard in the burial registry
+	 * The graveyard must hold every serial; no user is credited, since the sender cannot be proven
+	 * @param {TokenId|string} token - Token ID or EVM address
+	 * @param {number[]} serials - Serial numbers sent to the graveyard (contract maximum 50)
+	 * @param {object} [options]
+	 * @param {number} [options.gasLimit] - Skip estimation and use this gas limit
+	 * @returns {Promise<object>} execution result, see execute()
+	 */
+	async registerDirectBurial(token, serials, { gasLimit } = {}) {
+		const tokenAddress = await this.resolveTokenAddress(token);
+		const params = [tokenAddress, serials];
+		const gas = gasLimit ?? (await this.estimateGas('registerDirectBurial', params, GAS_LIMITS.DIRECT_BURIAL)).gasLimit;
+		return await this.execute('registerDirectBurial', params, gas);
+	}
+}
+
+GraveyardClient.GAS_LIMITS = GAS_LIMITS;
+
+module.exports = { GraveyardClient };
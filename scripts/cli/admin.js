@@ -12,6 +12,13 @@
  *   add-user <account>        Add a contract user
  *   remove-user <account>     Remove a contract user
  *   set-cost <cost> <burn%>   Update cost configuration
+ *   set-hbar-cost <tinybars>  Set the hbar association price (0 disables paying in hbar)
+ *   set-token-cost <token> <cost>  Override a collection's association cost (0 = free)
+ *   clear-token-cost <token>  Remove a collection's cost override
+ *   waive <account>           Waive an account's association fees
+ *   unwaive <account>         Revoke an account's fee waiver
+ *   set-hook <token> <hook>   Set a collection's burn-to-redeem hook contract
+ *   clear-hook <token>        Remove a collection's burn-to-redeem hook
  *   withdraw-lazy <to> <amt>  Withdraw $LAZY tokens
  *   withdraw-hbar <to> <amt>  Withdraw hbar (in tinybars)
  *   drain-hbar                Withdraw ALL hbar to operator
@@ -19,12 +26,18 @@
  *
  * Options:
  *   --json              Output in JSON format
+ *   --no-cache          Skip the mirror lookup cache (see cache.js)
+ *   --profile <name>    Use a named profile from graveyard.profiles.json
+ *   --watch-only        Export unsigned transactions instead of submitting (see unsigned.js)
+ *   --export <file>     Unsigned transaction file (watch-only)
+ *   --valid-start <time>  Valid start of exported transactions (watch-only, default now)
  *   --confirm           Skip confirmation prompt (for scripting)
  *   --help, -h          Show help
  */
 
 const readline = require('readline');
-const { AccountId, AccountBalanceQuery } = require('@hashgraph/sdk');
+const { ethers } = require('ethers');
+const { AccountId, AccountBalanceQuery, Hbar } = require('@hashgraph/sdk');
 const { homebrewPopulateAccountEvmAddress, EntityType } = require('../../utils/hederaMirrorHelpers');
 const { createClient, validateGraveyardConfig } = require('./lib/client');
 const {
@@ -38,6 +51,8 @@ const {
 	error,
 	warning,
 } = require('./lib/format');
+const { getPositionalArgs } = require('./lib/args');
+const { reportUnsigned } = require('./lib/unsigned');
 const { executeContract, GAS_LIMITS, isAdmin, getGraveyardId } = require('./lib/contract');
 
 // Initialize output mode
@@ -87,6 +102,17 @@ Commands:
   add-user <account>         Add a contract user
   remove-user <account>      Remove a contract user
   set-cost <cost> <burn%>    Update cost (e.g., set-cost 10 25)
+  set-hbar-cost <tinybars>   Price of associating with hbar instead of $LAZY
+                             (0 disables the hbar path)
+  set-token-cost <token> <cost>
+                             Override a collection's association cost in raw $LAZY
+                             units (0 makes it free; burn % stays global)
+  clear-token-cost <token>   Remove a collection's cost override (global cost applies)
+  waive <account>            Let an account associate tokens without paying $LAZY
+  unwaive <account>          Revoke an account's fee waiver
+  set-hook <token> <hook>    Call an IBurialHook contract after staking burials of a
+                             collection (burn-to-redeem)
+  clear-hook <token>         Remove a collection's burn-to-redeem hook
   withdraw-lazy <to> <amt>   Withdraw $LAZY to account
   withdraw-hbar <to> <amt>   Withdraw hbar (tinybars)
   drain-hbar                 Withdraw ALL hbar to operator
@@ -94,12 +120,22 @@ Commands:
 
 Options:
   --json              Output in JSON format
+  --no-cache          Skip the mirror lookup cache (see cache.js)
+  --profile <name>    Use a named profile from graveyard.profiles.json
+  --watch-only        Export unsigned transactions instead of submitting them
+                      (also the default when no key is configured)
+  --export <file>     Unsigned transaction file (default unsigned-<txId>.json)
+  --valid-start <time>  Valid start of exported transactions (ISO time, default now)
   --confirm           Skip confirmation prompt
   --help, -h          Show this help
 
 Examples:
   node scripts/cli/admin.js add-admin 0.0.12345
   node scripts/cli/admin.js set-cost 10 25 --confirm
+  node scripts/cli/admin.js set-hbar-cost 100000000 --confirm
+  node scripts/cli/admin.js set-token-cost 0.0.48486075 0 --confirm
+  node scripts/cli/admin.js waive 0.0.12345
+  node scripts/cli/admin.js set-hook 0.0.48486075 0.0.98765
   node scripts/cli/admin.js drain-hbar --confirm
   node scripts/cli/admin.js balance --json
 `);
@@ -135,6 +171,11 @@ async function addAdmin(accountIdStr) {
 		GAS_LIMITS.SIMPLE_ADMIN
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'addAdmin',
@@ -181,6 +222,11 @@ async function removeAdmin(accountIdStr) {
 		GAS_LIMITS.SIMPLE_ADMIN
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'removeAdmin',
@@ -226,6 +272,11 @@ async function addUser(accountIdStr) {
 		GAS_LIMITS.SIMPLE_ADMIN
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'addContractUser',
@@ -271,6 +322,11 @@ async function removeUser(accountIdStr) {
 		GAS_LIMITS.SIMPLE_ADMIN
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'removeContractUser',
@@ -329,6 +385,11 @@ async function setCost(costStr, burnPercentStr) {
 		GAS_LIMITS.SIMPLE_ADMIN
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'updateCost',
@@ -345,6 +406,232 @@ async function setCost(costStr, burnPercentStr) {
 	}
 }
 
+/**
+ * Update the hbar association price
+ * @param {string} tinybarsStr
+ */
+async function setHbarCost(tinybarsStr) {
+	const tinybars = Number(tinybarsStr);
+	if (!Number.isInteger(tinybars) || tinybars < 0) {
+		error('Hbar cost must be a whole number of tinybars >= 0');
+		process.exit(2);
+	}
+
+	if (!isJsonMode()) {
+		header('Update Hbar Association Cost');
+		row('Tinybars', tinybars.toString());
+		row('Hbar', tinybars > 0 ? Hbar.fromTinybars(tinybars).toString() : 'disabled');
+		console.log('');
+	}
+
+	const confirmed = await confirm(tinybars > 0 ? 'Update the hbar association cost?' : 'Disable paying for association in hbar?');
+	if (!confirmed) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, { message: 'Cancelled by user' }));
+		}
+		else {
+			warning('Cancelled');
+		}
+		return;
+	}
+
+	const result = await executeContract(
+		'updateHbarCost',
+		[tinybars],
+		GAS_LIMITS.SIMPLE_ADMIN,
+	);
+
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(result.status === 'SUCCESS', {
+			operation: 'updateHbarCost',
+			hbarCostTinybars: tinybars,
+			status: result.status,
+		}));
+	}
+	else if (result.status === 'SUCCESS') {
+		success(tinybars > 0 ? `Hbar association cost set: ${tinybars} tinybars` : 'Hbar association disabled');
+	}
+	else {
+		error(`Failed: ${result.status}`);
+	}
+}
+
+/**
+ * Set or clear a collection's association cost override
+ * @param {string} tokenIdStr
+ * @param {string|null} costStr - Raw $LAZY cost, or null to clear
+ */
+async function setTokenCost(tokenIdStr, costStr) {
+	const cost = costStr === null ? null : Number(costStr);
+	if (cost !== null && (!Number.isInteger(cost) || cost < 0)) {
+		error('Cost must be a whole number >= 0 (raw $LAZY units)');
+		process.exit(2);
+	}
+
+	const { env } = createClient();
+	const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+
+	if (!isJsonMode()) {
+		header(cost === null ? 'Clear Collection Cost' : 'Set Collection Cost');
+		row('Token', tokenIdStr);
+		row('$LAZY Cost', cost === null ? 'global cost' : `${cost} raw${cost === 0 ? ' (free)' : ''}`);
+		console.log('');
+	}
+
+	const confirmed = await confirm(cost === null ? 'Remove this cost override?' : 'Set this cost override?');
+	if (!confirmed) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, { message: 'Cancelled by user' }));
+		}
+		else {
+			warning('Cancelled');
+		}
+		return;
+	}
+
+	const result = cost === null
+		? await executeContract('clearTokenCost', [tokenAddress], GAS_LIMITS.SIMPLE_ADMIN)
+		: await executeContract('setTokenCost', [tokenAddress, cost], GAS_LIMITS.SIMPLE_ADMIN);
+
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(result.status === 'SUCCESS', {
+			operation: cost === null ? 'clearTokenCost' : 'setTokenCost',
+			token: tokenIdStr,
+			lazyCost: cost,
+			status: result.status,
+		}));
+	}
+	else if (result.status === 'SUCCESS') {
+		success(cost === null ? `Cost override removed: ${tokenIdStr}` : `Cost override set: ${tokenIdStr} = ${cost}`);
+	}
+	else {
+		error(`Failed: ${result.status}`);
+	}
+}
+
+/**
+ * Grant or revoke an account's association fee waiver
+ * @param {string} accountIdStr
+ * @param {boolean} waived
+ */
+async function setWaiver(accountIdStr, waived) {
+	const { env } = createClient();
+	const evmAddress = await homebrewPopulateAccountEvmAddress(env, accountIdStr, EntityType.ACCOUNT);
+
+	if (!isJsonMode()) {
+		header(waived ? 'Waive Association Fees' : 'Revoke Fee Waiver');
+		row('Account', accountIdStr);
+		console.log('');
+	}
+
+	const confirmed = await confirm(waived ? 'Waive this account\'s association fees?' : 'Revoke this account\'s fee waiver?');
+	if (!confirmed) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, { message: 'Cancelled by user' }));
+		}
+		else {
+			warning('Cancelled');
+		}
+		return;
+	}
+
+	const result = await executeContract(
+		'setWaiver',
+		[evmAddress, waived],
+		GAS_LIMITS.SIMPLE_ADMIN,
+	);
+
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(result.status === 'SUCCESS', {
+			operation: 'setWaiver',
+			account: accountIdStr,
+			waived,
+			status: result.status,
+		}));
+	}
+	else if (result.status === 'SUCCESS') {
+		success(waived ? `Fees waived: ${accountIdStr}` : `Fee waiver revoked: ${accountIdStr}`);
+	}
+	else {
+		error(`Failed: ${result.status}`);
+	}
+}
+
+/**
+ * Set or clear a collection's burn-to-redeem hook
+ * @param {string} tokenIdStr
+ * @param {string|null} hookIdStr - Hook contract ID, or null to clear
+ */
+async function setHook(tokenIdStr, hookIdStr) {
+	const { env } = createClient();
+	const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+	const hookAddress = hookIdStr
+		? await homebrewPopulateAccountEvmAddress(env, hookIdStr, EntityType.CONTRACT)
+		: ethers.ZeroAddress;
+
+	if (!isJsonMode()) {
+		header(hookIdStr ? 'Set Burial Hook' : 'Clear Burial Hook');
+		row('Token', tokenIdStr);
+		row('Hook', hookIdStr || 'none');
+		if (hookIdStr) {
+			row('Note', 'Staking burials of this collection revert if the hook reverts');
+		}
+		console.log('');
+	}
+
+	const confirmed = await confirm(hookIdStr ? 'Set this burial hook?' : 'Remove the burial hook?');
+	if (!confirmed) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, { message: 'Cancelled by user' }));
+		}
+		else {
+			warning('Cancelled');
+		}
+		return;
+	}
+
+	const result = await executeContract(
+		'setBurialHook',
+		[tokenAddress, hookAddress],
+		GAS_LIMITS.SIMPLE_ADMIN,
+	);
+
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(result.status === 'SUCCESS', {
+			operation: 'setBurialHook',
+			token: tokenIdStr,
+			hook: hookIdStr || null,
+			status: result.status,
+		}));
+	}
+	else if (result.status === 'SUCCESS') {
+		success(hookIdStr ? `Burial hook set: ${hookIdStr}` : 'Burial hook removed');
+	}
+	else {
+		error(`Failed: ${result.status}`);
+	}
+}
+
 /**
  * Withdraw $LAZY
  * @param {string} receiverStr
@@ -384,6 +671,11 @@ async function withdrawLazy(receiverStr, amountStr) {
 		GAS_LIMITS.TOKEN_TRANSFER
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'withdrawLazy',
@@ -439,6 +731,11 @@ async function withdrawHbar(receiverStr, amountStr) {
 		GAS_LIMITS.HTS_OPERATION
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'withdrawHbar',
@@ -542,6 +839,11 @@ async function drainHbar() {
 		GAS_LIMITS.HTS_OPERATION
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'drainHbar',
@@ -562,7 +864,7 @@ async function drainHbar() {
  * Main entry point
  */
 async function main() {
-	const args = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
+	const args = getPositionalArgs();
 	const command = args[0];
 
 	if (process.argv.includes('--help') || process.argv.includes('-h') || !command) {
@@ -607,6 +909,49 @@ async function main() {
 			}
 			await setCost(args[1], args[2]);
 			break;
+		case 'set-hbar-cost':
+			if (args[1] === undefined) {
+				error('Tinybars required');
+				process.exit(2);
+			}
+			await setHbarCost(args[1]);
+			break;
+		case 'set-token-cost':
+			if (!args[1] || args[2] === undefined) {
+				error('Token ID and cost required');
+				process.exit(2);
+			}
+			await setTokenCost(args[1], args[2]);
+			break;
+		case 'clear-token-cost':
+			if (!args[1]) {
+				error('Token ID required');
+				process.exit(2);
+			}
+			await setTokenCost(args[1], null);
+			break;
+		case 'waive':
+		case 'unwaive':
+			if (!args[1]) {
+				error('Account ID required');
+				process.exit(2);
+			}
+			await setWaiver(args[1], command === 'waive');
+			break;
+		case 'set-hook':
+			if (!args[1] || !args[2]) {
+				error('Token ID and hook contract ID required');
+				process.exit(2);
+			}
+			await setHook(args[1], args[2]);
+			break;
+		case 'clear-hook':
+			if (!args[1]) {
+				error('Token ID required');
+				process.exit(2);
+			}
+			await setHook(args[1], null);
+			break;
 		case 'withdraw-lazy':
 			if (!args[1] || !args[2]) {
 				error('Receiver and amount required');
@@ -12,6 +12,11 @@
  *
  * Options:
  *   --json              Output in JSON format
+ *   --no-cache          Skip the mirror lookup cache (see cache.js)
+ *   --profile <name>    Use a named profile from graveyard.profiles.json
+ *   --watch-only        Export unsigned transactions instead of submitting (see unsigned.js)
+ *   --export <file>     Unsigned transaction file (watch-only)
+ *   --valid-start <time>  Valid start of exported transactions (watch-only, default now)
  *   --confirm           Skip confirmation prompt
  *   --help, -h          Show help
  */
@@ -30,6 +35,8 @@ const {
 	error,
 	warning,
 } = require('./lib/format');
+const { getPositionalArgs } = require('./lib/args');
+const { isWatchOnly, exportUnsigned, reportUnsigned } = require('./lib/unsigned');
 
 // Initialize output mode
 initOutputMode();
@@ -84,6 +91,12 @@ Arguments:
 
 Options:
   --json              Output in JSON format
+  --no-cache          Skip the mirror lookup cache (see cache.js)
+  --profile <name>    Use a named profile from graveyard.profiles.json
+  --watch-only        Export unsigned transactions instead of submitting them
+                      (also the default when no key is configured)
+  --export <file>     Unsigned transaction file (default unsigned-<txId>.json)
+  --valid-start <time>  Valid start of exported transactions (ISO time, default now)
   --confirm           Skip confirmation prompt
   --help, -h          Show this help
 
@@ -110,7 +123,7 @@ async function setLazyAllowance(amountStr) {
 		process.exit(2);
 	}
 
-	const { client, operatorId, operatorKey } = createClient();
+	const { client, operatorId } = createClient();
 	const { lazyTokenId, lazyGasStationId } = getContractConfig();
 
 	if (!lazyTokenId || !lazyGasStationId) {
@@ -138,11 +151,15 @@ async function setLazyAllowance(amountStr) {
 
 	try {
 		const tx = new AccountAllowanceApproveTransaction()
-			.approveTokenAllowance(lazyTokenId, operatorId, lazyGasStationId, amount)
-			.freezeWith(client);
+			.approveTokenAllowance(lazyTokenId, operatorId, lazyGasStationId, amount);
 
-		const signedTx = await tx.sign(operatorKey);
-		const result = await signedTx.execute(client);
+		if (isWatchOnly()) {
+			reportUnsigned(exportUnsigned([{ transaction: tx, description: `Approve ${amount} $LAZY to LazyGasStation` }]));
+			return;
+		}
+
+		// Signed by the operator (PRIVATE_KEY, keystore or signer command) on execute
+		const result = await tx.execute(client);
 		const receipt = await result.getReceipt(client);
 
 		const status = receipt.status.toString();
@@ -179,7 +196,7 @@ async function setLazyAllowance(amountStr) {
 async function setNftAllowance(tokenIdStr) {
 	const tokenId = TokenId.fromString(tokenIdStr);
 
-	const { client, operatorId, operatorKey } = createClient();
+	const { client, operatorId } = createClient();
 	const { graveyardId } = getContractConfig();
 
 	if (!graveyardId) {
@@ -208,11 +225,15 @@ async function setNftAllowance(tokenIdStr) {
 
 	try {
 		const tx = new AccountAllowanceApproveTransaction()
-			.approveTokenNftAllowanceAllSerials(tokenId, operatorId, graveyardId)
-			.freezeWith(client);
+			.approveTokenNftAllowanceAllSerials(tokenId, operatorId, graveyardId);
+
+		if (isWatchOnly()) {
+			reportUnsigned(exportUnsigned([{ transaction: tx, description: `Approve all serials of ${tokenIdStr} to the graveyard` }]));
+			return;
+		}
 
-		const signedTx = await tx.sign(operatorKey);
-		const result = await signedTx.execute(client);
+		// Signed by the operator (PRIVATE_KEY, keystore or signer command) on execute
+		const result = await tx.execute(client);
 		const receipt = await result.getReceipt(client);
 
 		const status = receipt.status.toString();
@@ -246,7 +267,7 @@ async function setNftAllowance(tokenIdStr) {
  * Main entry point
  */
 async function main() {
-	const args = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
+	const args = getPositionalArgs();
 	const command = args[0];
 
 	if (process.argv.includes('--help') || process.argv.includes('-h') || !command) {
@@ -12,7 +12,13 @@
  *
  * Options:
  *   --json              Output in JSON format
+ *   --no-cache          Skip the mirror lookup cache (see cache.js)
+ *   --profile <name>    Use a named profile from graveyard.profiles.json
+ *   --watch-only        Export unsigned transactions instead of submitting (see unsigned.js)
+ *   --export <file>     Unsigned transaction file (watch-only)
+ *   --valid-start <time>  Valid start of exported transactions (watch-only, default now)
  *   --confirm           Skip confirmation prompt
+ *   --hbar              Pay in hbar (associateTokenWithHbar) instead of $LAZY
  *   --help, -h          Show help
  */
 
@@ -31,7 +37,9 @@ const {
 	error,
 	warning,
 } = require('./lib/format');
-const { executeContract, GAS_LIMITS, isTokenAssociated, getCost } = require('./lib/contract');
+const { getPositionalArgs } = require('./lib/args');
+const { reportUnsigned } = require('./lib/unsigned');
+const { executeContract, GAS_LIMITS, isTokenAssociated, getAssociationPayment } = require('./lib/contract');
 
 // Initialize output mode
 initOutputMode();
@@ -76,7 +84,7 @@ Usage:
   node scripts/cli/associate.js free <token> [options]
 
 Commands:
-  <token>             Associate token (paid - charges $LAZY)
+  <token>             Associate token (paid - charges $LAZY, or hbar with --hbar)
   free <token>        Associate for free (admin/contract user only)
 
 Arguments:
@@ -84,17 +92,27 @@ Arguments:
 
 Options:
   --json              Output in JSON format
+  --no-cache          Skip the mirror lookup cache (see cache.js)
+  --profile <name>    Use a named profile from graveyard.profiles.json
+  --watch-only        Export unsigned transactions instead of submitting them
+                      (also the default when no key is configured)
+  --export <file>     Unsigned transaction file (default unsigned-<txId>.json)
+  --valid-start <time>  Valid start of exported transactions (ISO time, default now)
   --confirm           Skip confirmation prompt
+  --hbar              Pay the admin-set hbar price instead of $LAZY (offered
+                      automatically when your $LAZY allowance or balance is short)
   --help, -h          Show this help
 
 Prerequisites:
   - For paid association: $LAZY allowance to LazyGasStation
+    (check the price with: node scripts/cli/info.js cost <token>)
   - For free association: Must be admin or contract user
 
 Examples:
   node scripts/cli/associate.js 0.0.48486075
   node scripts/cli/associate.js free 0.0.48486075 --confirm
   node scripts/cli/associate.js 0.0.48486075 --json --confirm
+  node scripts/cli/associate.js 0.0.48486075 --hbar
 `);
 }
 
@@ -121,48 +139,84 @@ async function associateToken(tokenIdStr) {
 		return;
 	}
 
-	// Get cost info
-	const costData = await getCost();
+	// Get cost info (collection override and operator waiver applied) and the hbar alternative
+	const { lazy, hbar } = await getAssociationPayment(tokenAddress);
+	const lazyShort = lazy.required > 0 && (!lazy.sufficient || !lazy.balanceSufficient);
+
+	let payWithHbar = process.argv.includes('--hbar') && lazy.required > 0;
+	if (payWithHbar && !hbar.enabled) {
+		throw new Error('This graveyard does not accept hbar for association (hbar price not set)');
+	}
 
 	if (!isJsonMode()) {
 		header('Associate Token (Paid)');
 		row('Token', tokenIdStr);
-		row('$LAZY Cost', costData.lazyCost);
-		row('Burn %', `${costData.lazyBurnPercentage}%`);
-		warning('This will charge $LAZY from your account');
+		row('$LAZY Cost', lazy.required.toString());
+		if (lazy.required > 0) {
+			row('$LAZY Allowance', `${lazy.current} (to LazyGasStation)`);
+			row('$LAZY Balance', `${lazy.balance ?? 'unknown'}`);
+		}
+		if (hbar.enabled && lazy.required > 0) {
+			row('Hbar Alternative', `${hbar.required} tinybars`);
+		}
 		console.log('');
 	}
 
+	// Offer hbar when the $LAZY allowance or balance falls short (interactive only)
+	if (!payWithHbar && lazyShort && hbar.enabled && !isJsonMode() && !process.argv.includes('--confirm')) {
+		warning(lazy.balanceSufficient
+			? `Your $LAZY allowance to LazyGasStation is below ${lazy.required}`
+			: `Your $LAZY balance is below ${lazy.required}`);
+		payWithHbar = await confirm(`Pay ${hbar.required} tinybars in hbar instead?`);
+	}
+	else if (!payWithHbar && lazyShort && !isJsonMode()) {
+		warning('Your $LAZY allowance or balance is below the cost - the association will fail');
+	}
+
+	if (!isJsonMode()) {
+		if (payWithHbar) {
+			warning(`This will charge ${hbar.required} tinybars from your account`);
+		}
+		else if (lazy.required > 0) {
+			warning('This will charge $LAZY from your account');
+		}
+	}
+
 	const confirmed = await confirm('Proceed with association?');
 	if (!confirmed) {
 		if (isJsonMode()) {
 			output(createResponse(false, null, { message: 'Cancelled by user' }));
-		} else {
+		}
+		else {
 			warning('Cancelled');
 		}
 		return;
 	}
 
-	const result = await executeContract(
-		'associateToken',
-		[tokenAddress],
-		GAS_LIMITS.HTS_OPERATION
-	);
+	const result = payWithHbar
+		? await executeContract('associateTokenWithHbar', [tokenAddress], GAS_LIMITS.HTS_OPERATION, true, hbar.required)
+		: await executeContract('associateToken', [tokenAddress], GAS_LIMITS.HTS_OPERATION);
+
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
 
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
-			operation: 'associateToken',
+			operation: payWithHbar ? 'associateTokenWithHbar' : 'associateToken',
 			token: tokenIdStr,
-			paid: true,
-			lazyCost: costData.lazyCost,
+			paid: lazy.required > 0,
+			lazyCost: payWithHbar ? '0' : lazy.required.toString(),
+			hbarCostTinybars: payWithHbar ? hbar.required : 0,
 			status: result.status,
 		}));
-	} else {
-		if (result.status === 'SUCCESS') {
-			success(`Token ${tokenIdStr} associated`);
-		} else {
-			error(`Failed: ${result.status}`);
-		}
+	}
+	else if (result.status === 'SUCCESS') {
+		success(`Token ${tokenIdStr} associated${payWithHbar ? ' (paid in hbar)' : ''}`);
+	}
+	else {
+		error(`Failed: ${result.status}`);
 	}
 }
 
@@ -212,6 +266,11 @@ async function associateTokenFree(tokenIdStr) {
 		GAS_LIMITS.HTS_OPERATION
 	);
 
+	if (result.unsigned) {
+		reportUnsigned(result.unsigned);
+		return;
+	}
+
 	if (isJsonMode()) {
 		output(createResponse(result.status === 'SUCCESS', {
 			operation: 'associateTokenFree',
@@ -232,7 +291,7 @@ async function associateTokenFree(tokenIdStr) {
  * Main entry point
  */
 async function main() {
-	const args = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
+	const args = getPositionalArgs();
 
 	if (process.argv.includes('--help') || process.argv.includes('-h') || args.length === 0) {
 		showHelp();
@@ -5,23 +5,51 @@
  *
  * Usage:
  *   node scripts/cli/bury.js <token> <serials> [options]
+ *   node scripts/cli/bury.js plan <token> <serials> [--out plan.json]
+ *   node scripts/cli/bury.js execute <plan.json>
+ *   node scripts/cli/bury.js --manifest <file.csv|file.json> [--results file]
+ *   node scripts/cli/bury.js resume <journal.jsonl>
+ *   node scripts/cli/bury.js register <token> <serials>
+ *   node scripts/cli/bury.js ft <token> <amount>
+ *   node scripts/cli/bury.js certificate <transactionId> [--out file.json]
+ *   node scripts/cli/bury.js verify-certificate <file.json>
  *
  * The script automatically detects if the NFT has fallback royalties:
  *   - WITH fallback royalties: Uses staking method (bypasses royalties)
- *   - WITHOUT fallback royalties: Uses direct SDK transfer
+ *   - WITHOUT fallback royalties: Uses direct SDK transfer, then registers the burial on-chain
+ *
+ * Fungible tokens (FT dust) are buried with 'ft': the amount is in whole tokens, scaled by the
+ * token's decimals, and moved by the graveyard using an FT allowance.
+ *
+ * Every burial is planned first (read-only) and the reviewed plan is then executed verbatim.
  *
  * Options:
  *   --json              Output in JSON format
+ *   --no-cache          Skip the mirror lookup cache (see cache.js)
+ *   --profile <name>    Use a named profile from graveyard.profiles.json
+ *   --watch-only        Export unsigned transactions instead of submitting (see unsigned.js)
+ *   --export <file>     Unsigned transaction file (watch-only)
+ *   --valid-start <time>  Valid start of exported transactions (watch-only, default now)
  *   --confirm           Skip confirmation prompt (DANGEROUS)
  *   --force-stake       Force staking method even for no-royalty NFTs
  *   --force-send        Force direct send (will fail if NFT has royalties)
+ *   --hbar              Pay the association fee in hbar instead of $LAZY
+ *   --out <file>        Write the plan to a file (plan command)
+ *   --manifest <file>   Bulk burial across collections from a CSV/JSON manifest
+ *   --results <file>    Per-row result file for --manifest (default <manifest>.results.<ext>)
+ *   --per-collection    Stake each manifest collection separately instead of via stakeManyToTheGrave
+ *   --journal <file>    Journal file for this run (default burial-<timestamp>.journal.jsonl)
+ *   --except <serials>  Serials to keep when burying 'all'
+ *   --split             Split serial lists over the per-call limit into multiple calls
+ *   --out <file>        Certificate file (certificate command, HTML written alongside)
  *   --help, -h          Show help
  *
- * WARNING: NFT burial is PERMANENT and IRREVERSIBLE!
+ * WARNING: Burial is PERMANENT and IRREVERSIBLE!
  */
 
+const fs = require('fs');
 const readline = require('readline');
-const { TokenId, TransferTransaction, AccountId } = require('@hashgraph/sdk');
+const { TokenId } = require('@hashgraph/sdk');
 const {
 	initOutputMode,
 	isJsonMode,
@@ -33,28 +61,59 @@ const {
 	error,
 	warning,
 	info,
+	table,
 } = require('./lib/format');
+const { createClient, loadABI, initErrorInterfaces } = require('./lib/client');
+const { GAS_LIMITS, executeContract, buildContractTransaction, getGraveyardId } = require('./lib/contract');
 const {
-	executeContract,
-	GAS_LIMITS,
-	getCost,
-	getGraveyardId,
-	getLazyGasStationAddress,
-	getLazyTokenAddress,
-	isTokenAssociated,
-} = require('./lib/contract');
-const { createClient, initErrorInterfaces } = require('./lib/client');
+	buildBurialPlan,
+	buildFungibleBurialPlan,
+	combineStakingPlans,
+	exportBurialPlans,
+	executeBurialPlan,
+	validatePlan,
+	StepType,
+	MAX_STAKE_SERIALS,
+} = require('./lib/plan');
+const { getOption, getPositionalArgs } = require('./lib/args');
+const { isWatchOnly, exportUnsigned, reportUnsigned } = require('./lib/unsigned');
+const { parseSerials } = require('./lib/serials');
+const {
+	RowStatus,
+	loadManifest,
+	groupByToken,
+	defaultResultsPath,
+	writeResults,
+} = require('./lib/manifest');
+const {
+	EntryType,
+	defaultJournalPath,
+	openJournal,
+	readJournal,
+	journalPlan,
+	summariseJournal,
+} = require('./lib/journal');
+const {
+	toMirrorTransactionId,
+	defaultCertificatePath,
+	buildCertificate,
+	signCertificate,
+	verifyCertificate,
+	isSignerAccountKey,
+	compareCertificate,
+	renderCertificateHtml,
+} = require('./lib/certificate');
 const {
-	getNFTApprovedForAllAllowances,
-	checkTokenHasFallbackRoyalty,
-	getTokenDetails,
 	EntityType,
-	homebrewPopulateAccountNum,
-	checkMirrorAllowance,
-	homebrewPopulateAccountEvmAddress,
 	getSerialsOwned,
+	getContractResult,
+	getTokenDetails,
+	checkNFTOwnership,
+	getAccountKey,
+	homebrewPopulateAccountEvmAddress,
+	homebrewPopulateAccountNum,
 } = require('../../utils/hederaMirrorHelpers');
-const { setNFTAllowanceAll, setFTAllowance } = require('../../utils/hederaHelpers');
+const { createEventDecoder, toHederaId } = require('../../utils/eventDecoder');
 
 // Initialize output mode
 initOutputMode();
@@ -62,6 +121,9 @@ initOutputMode();
 // Initialize global error interfaces for decoding errors from all contracts
 initErrorInterfaces(['TokenGraveyard', 'LazyGasStation']);
 
+// Options that consume the following argument
+const VALUE_OPTIONS = ['out', 'manifest', 'results', 'journal', 'except'];
+
 // Readline interface for interactive prompts
 let rl;
 
@@ -87,146 +149,26 @@ const ask = (question) => new Promise(resolve => {
 });
 
 /**
- * Check $LAZY allowance and offer to set it
- * @returns {Promise<boolean>} true if allowance is sufficient or was set
- */
-async function checkAndSetLazyAllowance(requiredAmount) {
-	const { client, operatorId, env } = createClient();
-
-	// Get LAZY token and LazyGasStation addresses from graveyard contract state
-	const lazyTokenAddress = await getLazyTokenAddress();
-	const lazyGasStationAddress = await getLazyGasStationAddress();
-
-	// Convert EVM addresses to Hedera IDs
-	const lazyTokenId = await homebrewPopulateAccountNum(env, lazyTokenAddress, EntityType.TOKEN);
-	const lazyGasStationId = await homebrewPopulateAccountNum(env, lazyGasStationAddress, EntityType.CONTRACT);
-
-	if (!isJsonMode()) {
-		info('Checking $LAZY allowance (from contract state):');
-		row('  LazyGasStation', `${lazyGasStationId} (${lazyGasStationAddress})`);
-		row('  $LAZY Token', `${lazyTokenId} (${lazyTokenAddress})`);
-	}
-
-	try {
-		// Check current allowance
-		const allowance = await checkMirrorAllowance(
-			env,
-			operatorId,
-			lazyTokenId,
-			lazyGasStationId,
-		);
-		const currentAllowance = parseInt(allowance) || 0;
-
-		if (!isJsonMode()) {
-			row('  Current Allowance', currentAllowance.toString());
-			row('  Required', requiredAmount.toString());
-		}
-
-		if (currentAllowance >= requiredAmount) {
-			// Sufficient allowance
-			if (!isJsonMode()) {
-				success('$LAZY allowance sufficient');
-			}
-			return true;
-		}
-
-		if (isJsonMode()) {
-			// Cannot prompt in JSON mode
-			return false;
-		}
-
-		const setAllowance = await ask('  Would you like to set $LAZY allowance now? (yes/no): ');
-		if (setAllowance.toLowerCase() !== 'yes' && setAllowance.toLowerCase() !== 'y') {
-			return false;
-		}
-
-		const amountStr = await ask(`  Enter allowance amount (minimum ${requiredAmount}): `);
-		const amount = parseInt(amountStr);
-
-		if (isNaN(amount) || amount < requiredAmount) {
-			error(`Invalid amount. Must be at least ${requiredAmount}`);
-			return false;
-		}
-
-		console.log('  Setting $LAZY allowance...');
-
-		const status = await setFTAllowance(client, lazyTokenId, operatorId, lazyGasStationId, amount, 'Token burial allowance');
-
-		if (status === 'SUCCESS') {
-			success('$LAZY allowance set successfully');
-			return true;
-		}
-		else {
-			error(`Failed to set $LAZY allowance: ${status}`);
-			return false;
-		}
-	}
-	catch (err) {
-		if (!isJsonMode()) {
-			warning(`Could not check/set allowance: ${err.message}`);
-		}
-		return false;
-	}
-}
-
-/**
- * Check NFT allowance for staking and offer to set it
- * @returns {Promise<boolean>} true if allowance is sufficient or was set
+ * Multi-step confirmation for dangerous operations
+ * Closes the readline interface afterwards: signing may prompt for a keystore passphrase, which an
+ * open interface would echo.
+ * @param {string} [what='NFTs'] - What is being buried, for the warning text
  */
-async function checkAndSetNFTAllowance(tokenIdStr) {
-	const { client, operatorId, env } = createClient();
-
-	// Get graveyard ID from contract config
-	const graveyardId = getGraveyardId().toString();
-
+async function confirmBurial(what = 'NFTs') {
 	try {
-		// Check if "approve all" is set
-		const approvedForAll = await getNFTApprovedForAllAllowances(env, operatorId);
-
-		// Check if graveyard is approved for this token
-		if (approvedForAll && approvedForAll.has(graveyardId)) {
-			const tokens = approvedForAll.get(graveyardId);
-			if (tokens.includes(tokenIdStr)) {
-				return true;
-			}
-		}
-
-		if (isJsonMode()) {
-			return false;
-		}
-
-		console.log(`\n  NFT allowance to graveyard not set for token ${tokenIdStr}`);
-
-		const setAllowance = await ask('\n  Would you like to set NFT allowance (all serials) now? (yes/no): ');
-		if (setAllowance.toLowerCase() !== 'yes' && setAllowance.toLowerCase() !== 'y') {
-			return false;
-		}
-
-		console.log('  Setting NFT allowance...');
-
-		const status = await setNFTAllowanceAll(client, [tokenIdStr], operatorId, graveyardId, 'Sending to the graveyard');
-
-		if (status === 'SUCCESS') {
-			success('NFT allowance set successfully');
-			return true;
-		}
-		else {
-			error(`Failed to set NFT allowance: ${status}`);
-			return false;
-		}
+		return await askBurialConfirmation(what);
 	}
-	catch (err) {
-		if (!isJsonMode()) {
-			warning(`Could not check/set NFT allowance: ${err.message}`);
-		}
-		return false;
+	finally {
+		closeReadline();
 	}
 }
 
 /**
- * Multi-step confirmation for dangerous operations
+ * Ask the confirmation questions for confirmBurial
+ * @param {string} what
+ * @returns {Promise<boolean>}
  */
-async function confirmBurial(details) {
+async function askBurialConfirmation(what) {
 	if (process.argv.includes('--confirm')) {
 		return true;
 	}
@@ -239,19 +181,9 @@ async function confirmBurial(details) {
 	console.log('\n  ==========================================');
 	console.log('  WARNING: PERMANENT OPERATION');
 	console.log('  ==========================================\n');
-	console.log('  This action CANNOT be undone. NFTs will be');
+	console.log(`  This action CANNOT be undone. ${what} will be`);
 	console.log('  permanently locked in the graveyard forever.\n');
-
-	console.log('  Operation Details:');
-	row('Token', details.token);
-	row('Name', details.tokenName || 'Unknown');
-	row('Serials', details.serials.join(', '));
-	row('Count', `${details.serials.length} NFTs`);
-	row('Method', details.method);
-	if (details.hasFallback) {
-		row('Royalties', 'Has fallback fees - using staking to bypass');
-	}
-	console.log('');
+	console.log('  Exactly the transactions listed above will be submitted.\n');
 
 	// First confirmation
 	const confirm1 = await ask('  Do you understand this is permanent? (yes/no): ');
@@ -281,352 +213,360 @@ Token Graveyard NFT Burial - PERMANENT Storage
 
 Usage:
   node scripts/cli/bury.js <token> <serials> [options]
+  node scripts/cli/bury.js plan <token> <serials> [--out plan.json]
+  node scripts/cli/bury.js execute <plan.json> [options]
+  node scripts/cli/bury.js --manifest <file.csv|file.json> [options]
+  node scripts/cli/bury.js resume <journal.jsonl> [options]
+  node scripts/cli/bury.js register <token> <serials> [options]
+  node scripts/cli/bury.js ft <token> <amount> [options]
+  node scripts/cli/bury.js certificate <transactionId> [--out file.json]
+  node scripts/cli/bury.js verify-certificate <file.json>
 
 The script automatically detects if the NFT has fallback royalties:
   - WITH fallback royalties: Uses staking method (bypasses royalties)
-  - WITHOUT fallback royalties: Uses direct SDK transfer (cheaper)
+  - WITHOUT fallback royalties: Uses direct SDK transfer (cheaper), then
+    registers the sent serials so the graveyard emits NFTsBuried
+
+Commands:
+  <token> <serials>   Plan, confirm and execute a burial
+  plan                Build the burial plan only (no transactions sent)
+  execute <file>      Execute a previously saved plan exactly as written
+  resume <journal>    Reconcile an interrupted run and retry only what has not landed
+  register            Record serials already sent to the graveyard in the on-chain
+                      burial registry (if registration after a direct send failed)
+  ft <token> <amount> Bury fungible tokens (FT dust). The amount is in whole tokens
+                      (e.g., 12.5) and scaled by the token's decimals
+  certificate <txId>  Issue a signed proof-of-burial (JSON + printable HTML) for a
+                      staking or register transaction, after checking on the mirror
+                      node that every serial is still held by the graveyard
+  verify-certificate <file>
+                      Check a certificate's signature, that it was made with the
+                      signer account's key and that it matches the transaction
 
 Arguments:
   token     Token ID (e.g., 0.0.48486075)
-  serials   Comma-separated serial numbers (e.g., 1,2,3)
+  serials   Serial numbers and ranges (e.g., 1,2,3 or 1-50,75,90-100),
+            @file to read them from a file (comma, space or newline separated),
+            or 'all' for every serial you own (chunked automatically)
 
 Options:
   --json              Output in JSON format
+  --no-cache          Skip the mirror lookup cache (see cache.js)
+  --profile <name>    Use a named profile from graveyard.profiles.json
+  --watch-only        Export unsigned transactions instead of submitting them
+                      (also the default when no key is configured)
+  --export <file>     Unsigned transaction file (default unsigned-<txId>.json)
+  --valid-start <time>  Valid start of exported transactions (ISO time, default now)
   --confirm           Skip confirmation (DANGEROUS - for scripting)
   --force-stake       Force staking method even for no-royalty NFTs
   --force-send        Force direct send (will fail if royalties exist)
+  --hbar              Pay the association fee in hbar (associateTokenWithHbar)
+                      instead of $LAZY - offered automatically when your $LAZY
+                      allowance or balance falls short
+  --out <file>        Save the plan as JSON (plan command), or the certificate
+                      (certificate command, default burial-certificate-<txId>.json)
+  --manifest <file>   Bulk burial from a manifest (see below)
+  --results <file>    Per-row result file (default <manifest>.results.<ext>)
+  --per-collection    Stake each manifest collection in its own calls instead of
+                      combining them with stakeManyToTheGrave
+  --journal <file>    Journal for this run (default burial-<timestamp>.journal.jsonl)
+  --except <serials>  Serials to keep when burying 'all' (e.g., 1,2,3)
+  --split             Split lists over the per-call limit (50 staked, 10 sent)
+                      into multiple calls without asking
   --help, -h          Show this help
 
-Prerequisites (handled interactively):
-  - $LAZY allowance to LazyGasStation (for token association fee)
+The plan lists every transaction that will be submitted, including:
+  - $LAZY allowance to LazyGasStation (for token association fee), or the
+    hbar association payment with --hbar
   - For staking: NFT allowance to graveyard
+  - Contract calls with their gas limits (estimated via mirror node)
+
+Manifests:
+  CSV: one 'token,serial' pair per line (header and # comments ignored)
+  JSON: [{ "token": "0.0.x", "serials": [1, 2] }, { "token": "0.0.y", "serial": 5 }]
+  Rows are grouped by token and chunked to the per-call limit (50 staked, 10 sent).
+  Staking collections are combined into stakeManyToTheGrave calls (50 serials in
+  total per call) with one $LAZY allowance for all association fees.
+  Allowances and association are handled once per collection. Serials you do not
+  own are skipped. Each row is reported as buried, skipped-not-owned,
+  skipped-duplicate or failed (with the decoded error).
+
+Journals:
+  Every run appends each plan, submitted transaction and receipt to a JSON lines
+  journal. 'resume' checks mirror node ownership for every serial in the journal,
+  skips serials already held by the graveyard and re-plans the rest.
 
 Examples:
   node scripts/cli/bury.js 0.0.48486075 1,2,3
   node scripts/cli/bury.js 0.0.48486075 1,2,3,4,5 --confirm --json
-
-WARNING: NFT burial is PERMANENT and IRREVERSIBLE!
+  node scripts/cli/bury.js plan 0.0.48486075 1,2,3 --out plan.json
+  node scripts/cli/bury.js 0.0.48486075 all --except 1,2
+  node scripts/cli/bury.js 0.0.48486075 1-400 --split
+  node scripts/cli/bury.js 0.0.48486075 @serials.txt
+  node scripts/cli/bury.js execute plan.json
+  node scripts/cli/bury.js --manifest burials.csv --confirm
+  node scripts/cli/bury.js resume burial-2025-12-01T10-00-00-000Z.journal.jsonl
+  node scripts/cli/bury.js register 0.0.48486075 1,2,3
+  node scripts/cli/bury.js ft 0.0.731861 12.5
+  node scripts/cli/bury.js certificate 0.0.12345@1700000000.123456789
+  node scripts/cli/bury.js verify-certificate burial-certificate-0.0.12345-1700000000-123456789.json
+
+WARNING: Burial is PERMANENT and IRREVERSIBLE!
 `);
 }
 
 /**
- * Parse serials string to array
+ * Display a burial plan
+ * @param {object} plan
  */
-function parseSerials(serialsStr) {
-	const serials = serialsStr.split(',').map(s => {
-		const num = parseInt(s.trim(), 10);
-		if (isNaN(num) || num <= 0) {
-			throw new Error(`Invalid serial number: ${s}`);
+function displayPlan(plan) {
+	header('Token Graveyard - Burial Plan');
+
+	row('Network', plan.network);
+	row('Operator', plan.operator);
+	row('Graveyard', plan.graveyard);
+	console.log('');
+	row('Token', plan.token.id);
+	row('Name', plan.token.name || 'Unknown');
+	row('Symbol', plan.token.symbol || 'Unknown');
+	row('Serials', plan.serials.join(', '));
+	row('Count', `${plan.serials.length} NFTs`);
+
+	if (plan.royalty.hasFallback) {
+		row('Royalties', `YES - ${plan.royalty.fallbackFees.length} fallback fee(s)`);
+		plan.royalty.fallbackFees.forEach((fee, i) => {
+			const pct = ((fee.numerator / fee.denominator) * 100).toFixed(2);
+			row(`  Fee ${i + 1}`, `${pct}% to ${fee.collector_account_id}`);
+			row('  Fallback', `${fee.fallback_fee.amount / 100000000} HBAR`);
+		});
+	}
+	else {
+		row('Royalties', 'None detected');
+	}
+
+	row('Method', plan.method === 'staking' ? 'Staking (royalty bypass)' : 'Direct SDK Transfer');
+	if (plan.method === 'staking') {
+		row('Batches', `${plan.batches} (8 serials per batch)`);
+	}
+	row('Associated', plan.association.associated ? 'Yes' : 'No');
+
+	const { lazy, nft } = plan.allowances;
+	if (plan.association.payment === 'hbar') {
+		const hbarStep = plan.steps.find(s => s.function === 'associateTokenWithHbar');
+		row('Association Fee', `${hbarStep.payableTinybars} tinybars (hbar)`);
+	}
+	row('$LAZY Required', lazy.required > 0
+		? `${lazy.required} (current allowance: ${lazy.current ?? 'unknown'}, balance: ${lazy.balance ?? 'unknown'})`
+		: 'None');
+	row('NFT Allowance', nft.required
+		? (nft.approved ? 'Required - already set' : 'Required - will be set')
+		: 'Not required');
+
+	console.log('\n  Transactions:');
+	plan.steps.forEach((step, i) => {
+		let detail = '';
+		if (step.type === StepType.CONTRACT_CALL) {
+			detail = ` [gas ${step.gasLimit.toLocaleString()}${step.isEstimated ? ', estimated' : ', fallback'}]`;
 		}
-		return num;
+		console.log(`    ${i + 1}. ${step.description}${detail}`);
 	});
 
-	if (serials.length === 0) {
-		throw new Error('At least one serial number required');
+	if (plan.warnings.length > 0) {
+		console.log('');
+		plan.warnings.forEach(w => warning(w));
 	}
-
-	return serials;
+	console.log('');
 }
 
 /**
- * Send NFTs directly via Hedera SDK (no royalties)
+ * Report serials in the plan the operator does not own
+ * @param {object} plan
+ * @returns {boolean} true if ownership is verified or unknown
  */
-async function sendNFTsDirect(tokenId, serials) {
-	const { client, operatorId, env } = createClient();
+function checkPlanOwnership(plan) {
+	const { ownership } = plan;
 
-	// Get graveyard account ID from contract config
-	const graveyardAccountId = AccountId.fromString(getGraveyardId().toString());
-
-	// Get token EVM address
-	const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenId.toString(), EntityType.TOKEN);
+	if (ownership.verified === null || ownership.notOwned.length === 0) {
+		return true;
+	}
 
-	// Check if token is associated
-	let isAssociated = false;
-	try {
-		isAssociated = await isTokenAssociated(tokenAddress);
+	if (isJsonMode()) {
+		output(createResponse(false, null, {
+			message: 'You do not own some of the requested NFTs',
+			notOwned: ownership.notOwned,
+			owned: ownership.owned,
+		}));
 	}
-	catch (err) {
-		if (!isJsonMode()) {
-			warning(`Could not check association: ${err.message}`);
-		}
+	else {
+		error('You do not own all of the requested NFTs');
+		row('Requested', plan.serials.join(', '));
+		row('You own', ownership.owned.length > 0 ? ownership.owned.join(', ') : 'None');
+		row('Not owned', ownership.notOwned.join(', '));
+		console.log('');
 	}
+	return false;
+}
 
-	if (!isAssociated) {
-		if (!isJsonMode()) {
-			info('Token not yet associated - checking $LAZY allowance...');
-		}
-
-		// Check/set $LAZY allowance
-		const { lazyCost } = await getCost();
-		if (parseInt(lazyCost) > 0) {
-			const hasAllowance = await checkAndSetLazyAllowance(parseInt(lazyCost));
-			if (!hasAllowance) {
-				error('$LAZY allowance required for token association');
-				return { success: false, error: 'ALLOWANCE_MISSING' };
-			}
-		}
+/**
+ * Resolve every serial of a token the operator owns, minus any --except serials
+ * @param {string} tokenIdStr
+ * @returns {Promise<number[]>}
+ */
+async function resolveAllOwnedSerials(tokenIdStr) {
+	const { env, operatorId } = createClient();
 
-		if (!isJsonMode()) {
-			console.log('\n  Associating token with graveyard...');
-		}
+	if (!isJsonMode()) {
+		console.log(`\n  Resolving serials of ${tokenIdStr} owned by ${operatorId.toString()}...`);
+	}
 
-		const assocResult = await executeContract(
-			'associateToken',
-			[tokenAddress],
-			GAS_LIMITS.ASSOCIATION,
-		);
+	const owned = await getSerialsOwned(env, operatorId, tokenIdStr);
 
-		if (assocResult.status !== 'SUCCESS') {
-			error(`Token association failed: ${assocResult.status}`);
-			return { success: false, error: 'ASSOCIATION_FAILED' };
-		}
+	const exceptStr = getOption('except');
+	const except = new Set(exceptStr ? parseSerials(exceptStr) : []);
+	const serials = owned.filter(s => !except.has(s)).sort((a, b) => a - b);
 
-		if (!isJsonMode()) {
-			success('Token associated');
+	if (!isJsonMode()) {
+		row('Owned', `${owned.length} NFTs`);
+		if (except.size > 0) {
+			row('Excluded', `${owned.length - serials.length} NFTs (--except)`);
 		}
-	}
-	else if (!isJsonMode()) {
-		info('Token already associated with graveyard - no $LAZY required');
+		row('To Bury', `${serials.length} NFTs`);
 	}
 
-	// Send NFTs directly via SDK
-	if (!isJsonMode()) {
-		console.log('\n  Sending NFTs via TransferTransaction...');
+	if (serials.length === 0) {
+		throw new Error(`No serials of ${tokenIdStr} left to bury`);
 	}
 
-	try {
-		const transferTx = new TransferTransaction();
-
-		for (const serial of serials) {
-			transferTx.addNftTransfer(tokenId, serial, operatorId, graveyardAccountId);
-		}
-
-		const response = await transferTx.execute(client);
-		const receipt = await response.getReceipt(client);
-		const txStatus = receipt.status.toString();
-
-		return {
-			success: txStatus === 'SUCCESS',
-			status: txStatus,
-			method: 'direct_transfer',
-			transactionId: response.transactionId.toString(),
-		};
-	}
-	catch (err) {
-		return {
-			success: false,
-			error: err.message,
-			method: 'direct_transfer',
-		};
-	}
+	return serials;
 }
 
 /**
- * Stake NFTs to bury (bypasses royalties)
+ * Build a plan from command line arguments
+ * `all` as the serials argument buries every owned serial, chunked to the per-call limit
  */
-async function stakeNFTs(tokenId, serials) {
-	const tokenIdStr = tokenId.toString();
-	const { env } = createClient();
+async function planFromArgs(tokenIdStr, serialsStr) {
+	// Validate token ID format before any mirror queries
+	TokenId.fromString(tokenIdStr);
 
-	// Get token EVM address
-	const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+	const buryAll = serialsStr.toLowerCase() === 'all';
+	if (!buryAll && getOption('except')) {
+		throw new Error('--except can only be used with \'all\'');
+	}
+
+	const serials = buryAll ? await resolveAllOwnedSerials(tokenIdStr) : parseSerials(serialsStr);
 
 	if (!isJsonMode()) {
-		row('Token EVM Address', tokenAddress);
+		console.log('\n  Analyzing token...');
 	}
 
-	// Check if token is associated FIRST
-	let isAssociated = false;
+	const options = {
+		forceStake: process.argv.includes('--force-stake'),
+		forceSend: process.argv.includes('--force-send'),
+		split: buryAll || process.argv.includes('--split'),
+		payWithHbar: process.argv.includes('--hbar'),
+	};
+
+	let plan;
 	try {
-		isAssociated = await isTokenAssociated(tokenAddress);
-		if (!isJsonMode()) {
-			row('Token Associated', isAssociated ? 'Yes' : 'No');
-		}
+		plan = await buildBurialPlan(tokenIdStr, serials, options);
 	}
 	catch (err) {
-		if (!isJsonMode()) {
-			warning(`Could not check association: ${err.message}`);
+		if (err.code !== 'TOO_MANY_SERIALS') {
+			throw err;
 		}
-	}
-
-	// Check $LAZY allowance if token is not associated
-	if (!isAssociated) {
-		const { lazyCost } = await getCost();
-		if (parseInt(lazyCost) > 0) {
-			if (!isJsonMode()) {
-				info('Token not yet associated - checking $LAZY allowance...');
-			}
-			const hasAllowance = await checkAndSetLazyAllowance(parseInt(lazyCost));
-			if (!hasAllowance) {
-				error('$LAZY allowance required for token association');
-				return { success: false, error: 'ALLOWANCE_MISSING' };
-			}
+		if (!(await confirmSplit(err, serials.length))) {
+			err.message += ` Use --split to submit ${err.calls} calls instead.`;
+			throw err;
 		}
-	}
-	else if (!isJsonMode()) {
-		info('Token already associated - no $LAZY allowance required');
-	}
-
-	// Check NFT allowance LAST
-	const hasNFTAllowance = await checkAndSetNFTAllowance(tokenIdStr);
-	if (!hasNFTAllowance) {
-		error('NFT allowance to graveyard required for staking');
-		return { success: false, error: 'NFT_ALLOWANCE_MISSING' };
+		options.split = true;
+		plan = await buildBurialPlan(tokenIdStr, serials, options);
 	}
 
-	if (!isJsonMode()) {
-		console.log('\n  Staking NFTs to graveyard (bypassing royalties)...');
+	if (await confirmHbarPayment(plan)) {
+		plan = await buildBurialPlan(tokenIdStr, serials, { ...options, payWithHbar: true });
 	}
-
-	// Calculate gas based on serial count
-	const batchCount = Math.ceil(serials.length / 8);
-	const gasLimit = GAS_LIMITS.STAKING_BURIAL * batchCount;
-
-	const result = await executeContract(
-		'stakeNFTsToTheGrave',
-		[tokenAddress, serials],
-		gasLimit,
-	);
-
-	return {
-		success: result.status === 'SUCCESS',
-		status: result.status,
-		method: 'staking',
-		royaltyBypassed: true,
-		gasInfo: result.gasInfo,
-	};
+	return plan;
 }
 
 /**
- * Validate operator owns the NFTs they want to bury
- * @param {string} env
- * @param {string} operatorId
- * @param {string} tokenIdStr
- * @param {number[]} serials
- * @returns {Promise<{ valid: boolean, owned: number[], notOwned: number[] }>}
+ * Offer to pay the association fee in hbar when the $LAZY allowance or balance falls short
+ * @param {object} plan - plan paying in $LAZY
+ * @returns {Promise<boolean>} true to re-plan paying in hbar
  */
-async function validateNFTOwnership(env, operatorId, tokenIdStr, serials) {
-	const ownedSerials = await getSerialsOwned(env, operatorId, tokenIdStr);
-
-	if (ownedSerials === null) {
-		// Could not check ownership - return unknown status
-		return { valid: null, owned: [], notOwned: [], error: 'Could not check ownership' };
+async function confirmHbarPayment(plan) {
+	const { lazy } = plan.allowances;
+	const hbarCost = plan.association.hbarAlternative;
+	if (hbarCost === null || hbarCost === undefined || (lazy.sufficient && lazy.balanceSufficient)) {
+		return false;
+	}
+	if (isJsonMode() || process.argv.includes('--confirm')) {
+		// Non-interactive - require an explicit --hbar
+		return false;
 	}
 
-	const ownedSet = new Set(ownedSerials);
-	const owned = serials.filter(s => ownedSet.has(s));
-	const notOwned = serials.filter(s => !ownedSet.has(s));
-
-	return {
-		valid: notOwned.length === 0,
-		owned,
-		notOwned,
-	};
+	warning(lazy.balanceSufficient
+		? `Association needs a ${lazy.required} $LAZY (raw) allowance to LazyGasStation`
+		: `Association costs ${lazy.required} $LAZY (raw) but your balance is ${lazy.balance}`);
+	const answer = await ask(`  Pay ${hbarCost} tinybars in hbar instead? (yes/no): `);
+	return answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y';
 }
 
 /**
- * Main burial function - auto-detects method based on royalties
+ * Offer to split a serial list that exceeds the per-call limit
+ * @param {Error} err - TOO_MANY_SERIALS error from buildBurialPlan
+ * @param {number} count - number of serials requested
+ * @returns {Promise<boolean>} true to re-plan with splitting
  */
-async function buryNFTs(tokenIdStr, serialsStr) {
-	const tokenId = TokenId.fromString(tokenIdStr);
-	const serials = parseSerials(serialsStr);
-	const { env, operatorId } = createClient();
-
-	// Get token details
-	if (!isJsonMode()) {
-		header('Token Graveyard - NFT Burial');
-		console.log('\n  Analyzing token...');
+async function confirmSplit(err, count) {
+	if (isJsonMode() || process.argv.includes('--confirm')) {
+		// Non-interactive - require an explicit --split
+		return false;
 	}
 
-	const tokenDetails = await getTokenDetails(env, tokenIdStr);
+	warning(`${count} serials exceeds the limit of ${err.maxPerCall} per call`);
+	const answer = await ask(`  Split into ${err.calls} separate calls? (yes/no): `);
+	return answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y';
+}
 
-	// Validate NFT ownership before proceeding
+/**
+ * Open the journal for this run
+ * @returns {{ path: string, append: function(object): void }}
+ */
+function getJournal() {
+	const journal = openJournal(getOption('journal') || defaultJournalPath());
 	if (!isJsonMode()) {
-		console.log('  Validating NFT ownership...');
-	}
-
-	const ownership = await validateNFTOwnership(env, operatorId.toString(), tokenIdStr, serials);
-
-	if (ownership.valid === null) {
-		// Could not verify - warn but continue
-		if (!isJsonMode()) {
-			warning(`Could not verify ownership: ${ownership.error}`);
-		}
-	}
-	else if (!ownership.valid) {
-		// User doesn't own some/all of the requested serials
-		if (isJsonMode()) {
-			output(createResponse(false, null, {
-				message: 'You do not own some of the requested NFTs',
-				notOwned: ownership.notOwned,
-				owned: ownership.owned,
-			}));
-		}
-		else {
-			error('You do not own all of the requested NFTs');
-			row('Requested', serials.join(', '));
-			row('You own', ownership.owned.length > 0 ? ownership.owned.join(', ') : 'None');
-			row('Not owned', ownership.notOwned.join(', '));
-			console.log('');
-		}
-		return;
-	}
-	else if (!isJsonMode()) {
-		success(`Ownership verified for ${serials.length} NFTs`);
-	}
-
-	const royaltyInfo = await checkTokenHasFallbackRoyalty(env, tokenIdStr);
-
-	const forceStake = process.argv.includes('--force-stake');
-	const forceSend = process.argv.includes('--force-send');
-
-	// Determine method
-	let useStaking = royaltyInfo.hasFallback || forceStake;
-
-	if (forceSend && royaltyInfo.hasFallback) {
-		if (!isJsonMode()) {
-			warning('Token has fallback royalties - direct send may fail!');
-		}
-		useStaking = false;
-	}
-
-	// Validate serial count
-	if (!useStaking && serials.length > 10) {
-		error('Maximum 10 NFTs per direct send (Hedera limit). Use staking or reduce count.');
-		process.exit(2);
+		info(`Journal: ${journal.path}`);
 	}
+	return journal;
+}
 
-	if (!isJsonMode()) {
-		console.log('');
-		row('Token', tokenIdStr);
-		row('Name', tokenDetails?.name || 'Unknown');
-		row('Symbol', tokenDetails?.symbol || 'Unknown');
-		row('Serials', serials.join(', '));
-		row('Count', `${serials.length} NFTs`);
-
-		if (royaltyInfo.hasFallback) {
-			row('Royalties', `YES - ${royaltyInfo.fallbackFees.length} fallback fee(s)`);
-			royaltyInfo.fallbackFees.forEach((fee, i) => {
-				const pct = ((fee.numerator / fee.denominator) * 100).toFixed(2);
-				row(`  Fee ${i + 1}`, `${pct}% to ${fee.collector_account_id}`);
-				row('  Fallback', `${fee.fallback_fee.amount / 100000000} HBAR`);
-			});
-		}
-		else {
-			row('Royalties', 'None detected');
-		}
+/**
+ * Progress hooks for plan execution
+ * @param {object} plan
+ * @returns {{ onStep: function }}
+ */
+function progressHooks(plan) {
+	return {
+		onStep: (step, i) => {
+			if (!isJsonMode()) {
+				console.log(`\n  [${i + 1}/${plan.steps.length}] ${step.description}...`);
+			}
+		},
+	};
+}
 
-		row('Method', useStaking ? 'Staking (royalty bypass)' : 'Direct SDK Transfer');
+/**
+ * Confirm and execute a plan, then output the result
+ * Exits 1 (after reporting) if the operator does not own every serial or a required step fails
+ * @param {object} plan
+ */
+async function runPlan(plan) {
+	if (!checkPlanOwnership(plan)) {
+		closeReadline();
+		process.exit(1);
 	}
 
-	// Get confirmation
-	const confirmed = await confirmBurial({
-		token: tokenIdStr,
-		tokenName: tokenDetails?.name,
-		serials: serials,
-		method: useStaking ? 'Staking (royalty bypass)' : 'Direct SDK Transfer',
-		hasFallback: royaltyInfo.hasFallback,
-	});
+	const confirmed = await confirmBurial();
 
 	if (!confirmed) {
 		if (isJsonMode()) {
@@ -635,29 +575,29 @@ async function buryNFTs(tokenIdStr, serialsStr) {
 		return;
 	}
 
-	// Execute burial
-	let result;
-	if (useStaking) {
-		result = await stakeNFTs(tokenId, serials, tokenDetails);
-	}
-	else {
-		result = await sendNFTsDirect(tokenId, serials, tokenDetails);
+	// Watch-only: export the plan unsigned before anything is journalled
+	if (isWatchOnly()) {
+		reportUnsigned(exportBurialPlans([plan]));
+		return;
 	}
 
-	// Output result
+	const journal = getJournal();
+	const result = await executeBurialPlan(plan, journalPlan(journal, plan, progressHooks(plan)));
+
 	if (isJsonMode()) {
 		output(createResponse(result.success, {
-			token: tokenIdStr,
-			serials: serials,
+			token: plan.token.id,
+			serials: plan.serials,
+			journal: journal.path,
 			...result,
 		}));
 	}
 	else {
 		console.log('');
 		if (result.success) {
-			success(`${serials.length} NFTs permanently buried!`);
-			row('Token', tokenIdStr);
-			row('Serials', serials.join(', '));
+			success(`${plan.serials.length} NFTs permanently buried!`);
+			row('Token', plan.token.id);
+			row('Serials', plan.serials.join(', '));
 			row('Method', result.method);
 			if (result.transactionId) {
 				row('Transaction', result.transactionId);
@@ -665,38 +605,951 @@ async function buryNFTs(tokenIdStr, serialsStr) {
 			console.log('');
 		}
 		else {
-			error(`Burial failed: ${result.status || result.error}`);
+			const failed = result.steps[result.steps.length - 1];
+			error(`Burial failed at step ${result.failedStep.index + 1} (${result.failedStep.description}): ${failed.error || failed.status}`);
+			info(`Retry what has not landed with: node scripts/cli/bury.js resume ${journal.path}`);
 		}
+		reportRegistrationWarnings(plan, result);
+	}
+
+	if (!result.success) {
+		closeReadline();
+		process.exit(1);
 	}
 }
 
 /**
- * Main entry point
+ * Warn about direct sends that landed but could not be registered
+ * @param {object} plan
+ * @param {object} result - from executeBurialPlan
  */
-async function main() {
-	const args = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
-
-	if (process.argv.includes('--help') || process.argv.includes('-h') || args.length === 0) {
-		showHelp();
-		process.exit(args.length === 0 ? 2 : 0);
+function reportRegistrationWarnings(plan, result) {
+	if (!result.warnings || result.warnings.length === 0) {
+		return;
 	}
 
-	// Support legacy commands for backwards compatibility
-	if (args[0] === 'send' || args[0] === 'stake') {
-		if (!isJsonMode()) {
-			info(`Note: '${args[0]}' command is deprecated. Method is now auto-detected.`);
-		}
-		args.shift();
-	}
+	result.warnings.forEach(w => warning(`${plan.token.id}: ${w}`));
+	info(`The NFTs are buried. Record them with: node scripts/cli/bury.js register ${plan.token.id} <serials>`);
+}
 
-	if (args.length < 2) {
-		error('Token ID and serials required');
-		console.log('Usage: bury.js <token> <serials>');
-		process.exit(2);
+/**
+ * Plan, confirm and execute a burial
+ */
+async function buryNFTs(tokenIdStr, serialsStr) {
+	if (!isJsonMode()) {
+		header('Token Graveyard - NFT Burial');
 	}
 
-	try {
-		await buryNFTs(args[0], args[1]);
+	const plan = await planFromArgs(tokenIdStr, serialsStr);
+
+	if (!isJsonMode()) {
+		displayPlan(plan);
+	}
+
+	await runPlan(plan);
+}
+
+/**
+ * Build a plan and output it without sending any transaction
+ */
+async function planBurial(tokenIdStr, serialsStr) {
+	const plan = await planFromArgs(tokenIdStr, serialsStr);
+	const outFile = getOption('out');
+
+	if (outFile) {
+		fs.writeFileSync(outFile, JSON.stringify(plan, null, 2));
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(true, plan));
+	}
+	else {
+		displayPlan(plan);
+		if (outFile) {
+			success(`Plan written to ${outFile}`);
+			info(`Execute with: node scripts/cli/bury.js execute ${outFile}`);
+		}
+		else {
+			info('No transactions sent. Use --out <file> to save this plan.');
+		}
+		console.log('');
+	}
+}
+
+/**
+ * Execute a previously saved plan
+ */
+async function executePlanFile(planFile) {
+	if (!fs.existsSync(planFile)) {
+		throw new Error(`Plan file not found: ${planFile}`);
+	}
+
+	const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+
+	if (!isJsonMode()) {
+		displayPlan(plan);
+		info(`Plan created ${plan.createdAt} - on-chain state may have changed since`);
+	}
+
+	await runPlan(plan);
+}
+
+/**
+ * Map the outcome of an executed plan onto manifest rows
+ * Steps of a combined plan list their collections in `entries`; other steps bury `serials` of plan.token.
+ * @param {object} plan
+ * @param {object} result - from executeBurialPlan
+ * @param {Map<string, Map<number, object>>} rowsByToken - manifest rows by token, then serial
+ * @returns {object[]} row results
+ */
+function planResultsToRows(plan, result, rowsByToken) {
+	const results = [];
+	const failure = result.success ? null : result.steps[result.steps.length - 1];
+	const failureMsg = failure ? String(failure.error || failure.status) : null;
+
+	plan.steps.forEach((step, i) => {
+		const entries = step.entries ?? (step.serials ? [{ tokenId: plan.token.id, serials: step.serials }] : []);
+
+		const stepRows = entries.flatMap(({ tokenId, serials }) => serials.map(serial => rowsByToken.get(tokenId).get(serial)));
+
+		const stepResult = result.steps[i];
+		for (const r of stepRows) {
+			if (stepResult?.success) {
+				results.push({ ...r, status: RowStatus.BURIED, transactionId: stepResult.transactionId });
+			}
+			else if (stepResult) {
+				results.push({ ...r, status: RowStatus.FAILED, transactionId: stepResult.transactionId, error: failureMsg });
+			}
+			else {
+				results.push({
+					...r,
+					status: RowStatus.FAILED,
+					error: `Not attempted - step ${result.failedStep.index + 1} (${result.failedStep.description}) failed: ${failureMsg}`,
+				});
+			}
+		}
+	});
+
+	return results;
+}
+
+/**
+ * Bury everything listed in a manifest, one plan per collection
+ * Staking collections are combined into stakeManyToTheGrave calls unless --per-collection is given.
+ * Exits 1 (after writing the result file) if any submitted row failed - a cancelled run still exits 0.
+ * @param {string} manifestPath
+ */
+async function buryManifest(manifestPath) {
+	const rows = loadManifest(manifestPath);
+	const { groups, duplicates } = groupByToken(rows);
+	const resultsPath = getOption('results') || defaultResultsPath(manifestPath);
+
+	const results = duplicates.map(r => ({ ...r, status: RowStatus.SKIPPED_DUPLICATE }));
+
+	if (!isJsonMode()) {
+		header('Token Graveyard - Manifest Burial');
+		row('Manifest', manifestPath);
+		row('Rows', rows.length.toString());
+		row('Collections', groups.size.toString());
+		console.log('\n  Planning each collection...');
+	}
+
+	// Plan every collection before sending anything
+	const plans = [];
+	const rowsByToken = new Map();
+	for (const [tokenIdStr, tokenRows] of groups) {
+		const rowsBySerial = new Map(tokenRows.map(r => [r.serial, r]));
+		rowsByToken.set(tokenIdStr, rowsBySerial);
+
+		try {
+			const plan = await buildBurialPlan(tokenIdStr, tokenRows.map(r => r.serial), {
+				forceStake: process.argv.includes('--force-stake'),
+				forceSend: process.argv.includes('--force-send'),
+				split: true,
+				ownedOnly: true,
+				payWithHbar: process.argv.includes('--hbar'),
+			});
+
+			for (const serial of plan.skipped) {
+				results.push({ ...rowsBySerial.get(serial), status: RowStatus.SKIPPED_NOT_OWNED });
+			}
+			plans.push(plan);
+		}
+		catch (err) {
+			const status = err.code === 'NO_OWNED_SERIALS' ? RowStatus.SKIPPED_NOT_OWNED : RowStatus.FAILED;
+			for (const r of tokenRows) {
+				results.push({ ...r, status, error: status === RowStatus.FAILED ? err.message : undefined });
+			}
+		}
+	}
+
+	// Staking collections share stakeManyToTheGrave calls (one allowance and fewer transactions)
+	const stakingPlans = plans.filter(plan => plan.method === 'staking');
+	let combined = null;
+	if (stakingPlans.length > 1 && !process.argv.includes('--per-collection')) {
+		combined = await combineStakingPlans(stakingPlans);
+	}
+	const runs = combined ? [combined, ...plans.filter(plan => plan.method !== 'staking')] : plans;
+
+	if (!isJsonMode()) {
+		console.log('');
+		table(
+			['Token', 'Name', 'Burying', 'Skipped', 'Method', 'Transactions'],
+			plans.map(plan => [
+				plan.token.id,
+				plan.token.name || 'Unknown',
+				plan.serials.length,
+				plan.skipped.length,
+				combined && plan.method === 'staking' ? 'staking (combined)' : plan.method,
+				combined && plan.method === 'staking' ? '-' : plan.steps.length,
+			]),
+		);
+
+		if (combined) {
+			const calls = combined.steps.filter(step => step.function === 'stakeManyToTheGrave').length;
+			info(`${stakingPlans.length} staking collections combined into ${calls} stakeManyToTheGrave call(s) `
+				+ `(${combined.steps.length} transactions) - use --per-collection to stake them separately`);
+		}
+
+		const notPlanned = results.filter(r => r.status === RowStatus.FAILED);
+		if (notPlanned.length > 0) {
+			warning(`${notPlanned.length} row(s) could not be planned and will be reported as failed`);
+		}
+		console.log('');
+	}
+
+	let confirmed = plans.length > 0;
+	if (confirmed) {
+		if (!isJsonMode()) {
+			// Combined plan warnings already name their collection
+			runs.forEach(run => run.warnings.forEach(w => warning(run.token ? `${run.token.id}: ${w}` : w)));
+		}
+		confirmed = await confirmBurial();
+	}
+	else if (!isJsonMode()) {
+		warning('Nothing to bury');
+	}
+
+	if (confirmed) {
+		if (isWatchOnly()) {
+			reportUnsigned(exportBurialPlans(runs));
+			return;
+		}
+
+		const journal = getJournal();
+
+		for (let i = 0; i < runs.length; i++) {
+			const plan = runs[i];
+
+			if (!isJsonMode()) {
+				const what = plan.token
+					? `${plan.token.id} - ${plan.serials.length} NFTs via ${plan.method}`
+					: `${plan.collections.length} collections - ${plan.collections.reduce((n, c) => n + c.serials.length, 0)} NFTs via stakeManyToTheGrave`;
+				console.log(`\n  [${i + 1}/${runs.length}] ${what}`);
+			}
+
+			let result;
+			try {
+				result = await executeBurialPlan(plan, journalPlan(journal, plan));
+			}
+			catch (err) {
+				result = {
+					success: false,
+					steps: [{ success: false, error: err.message }],
+					failedStep: { index: 0, ...plan.steps[0] },
+				};
+			}
+
+			results.push(...planResultsToRows(plan, result, rowsByToken));
+			if (!isJsonMode() && plan.token) {
+				reportRegistrationWarnings(plan, result);
+			}
+		}
+	}
+	else {
+		// Cancelled - planned rows were never submitted
+		for (const plan of plans) {
+			for (const serial of plan.serials) {
+				results.push({ ...rowsByToken.get(plan.token.id).get(serial), status: RowStatus.FAILED, error: 'Cancelled by user' });
+			}
+		}
+	}
+
+	writeResults(resultsPath, results);
+
+	const counts = {};
+	for (const status of Object.values(RowStatus)) {
+		counts[status] = results.filter(r => r.status === status).length;
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(counts[RowStatus.FAILED] === 0, {
+			manifest: manifestPath,
+			resultsFile: resultsPath,
+			counts,
+			results,
+		}));
+	}
+	else {
+		console.log('');
+		row('Buried', counts[RowStatus.BURIED].toString());
+		row('Skipped (not owned)', counts[RowStatus.SKIPPED_NOT_OWNED].toString());
+		row('Skipped (duplicate)', counts[RowStatus.SKIPPED_DUPLICATE].toString());
+		row('Failed', counts[RowStatus.FAILED].toString());
+		row('Results', resultsPath);
+
+		if (counts[RowStatus.FAILED] === 0) {
+			success('Manifest burial complete');
+		}
+		else {
+			error(`${counts[RowStatus.FAILED]} row(s) failed - see ${resultsPath}`);
+		}
+		console.log('');
+	}
+
+	if (confirmed && counts[RowStatus.FAILED] > 0) {
+		closeReadline();
+		process.exit(1);
+	}
+}
+
+/**
+ * Reconcile a journal against mirror node ownership and retry serials that have not landed
+ * The journal's plans must be for the configured network, operator and graveyard.
+ * Exits 1 (after reporting) if any retried plan fails
+ * @param {string} journalPath
+ */
+async function resumeJournal(journalPath) {
+	const entries = readJournal(journalPath);
+	const tokens = summariseJournal(entries);
+
+	if (tokens.size === 0) {
+		throw new Error(`Journal ${journalPath} contains no burial plans`);
+	}
+
+	for (const entry of entries.filter(e => e.type === EntryType.PLAN)) {
+		try {
+			validatePlan(entry.plan);
+		}
+		catch (err) {
+			throw new Error(`Journal ${journalPath} cannot be resumed here: ${err.message}`);
+		}
+	}
+
+	const { env, operatorId } = createClient();
+	const graveyardId = getGraveyardId().toString();
+
+	if (!isJsonMode()) {
+		header('Token Graveyard - Resume Burial');
+		row('Journal', journalPath);
+		console.log('\n  Reconciling against mirror node ownership...');
+	}
+
+	// Classify every journaled serial by who holds it now
+	const reconciliation = [];
+	for (const [tokenIdStr, summary] of tokens) {
+		const [operatorOwned, graveyardOwned] = await Promise.all([
+			getSerialsOwned(env, operatorId, tokenIdStr),
+			getSerialsOwned(env, graveyardId, tokenIdStr),
+		]);
+
+		const operatorSet = new Set(operatorOwned);
+		const graveyardSet = new Set(graveyardOwned);
+
+		reconciliation.push({
+			token: tokenIdStr,
+			method: summary.method,
+			landed: summary.serials.filter(s => graveyardSet.has(s)),
+			pending: summary.serials.filter(s => operatorSet.has(s)),
+			elsewhere: summary.serials.filter(s => !graveyardSet.has(s) && !operatorSet.has(s)),
+		});
+	}
+
+	if (!isJsonMode()) {
+		console.log('');
+		table(
+			['Token', 'Method', 'Buried', 'To Retry', 'Held Elsewhere'],
+			reconciliation.map(r => [r.token, r.method, r.landed.length, r.pending.length, r.elsewhere.length]),
+		);
+		reconciliation
+			.filter(r => r.elsewhere.length > 0)
+			.forEach(r => warning(`${r.token}: serials ${r.elsewhere.join(', ')} are no longer held by you or the graveyard - skipping`));
+	}
+
+	const toRetry = reconciliation.filter(r => r.pending.length > 0);
+
+	if (toRetry.length === 0) {
+		if (isJsonMode()) {
+			output(createResponse(true, { journal: journalPath, reconciliation, results: [] }));
+		}
+		else {
+			success('Every journaled serial has already landed - nothing to retry');
+			console.log('');
+		}
+		return;
+	}
+
+	// Re-plan the remaining serials with the method originally chosen
+	const plans = [];
+	for (const r of toRetry) {
+		plans.push(await buildBurialPlan(r.token, r.pending, {
+			forceStake: r.method === 'staking',
+			forceSend: r.method !== 'staking',
+			split: true,
+			ownedOnly: true,
+			payWithHbar: process.argv.includes('--hbar'),
+		}));
+	}
+
+	if (!isJsonMode()) {
+		plans.forEach(plan => displayPlan(plan));
+	}
+
+	const confirmed = await confirmBurial();
+	if (!confirmed) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, { message: 'Cancelled by user' }));
+		}
+		return;
+	}
+
+	if (isWatchOnly()) {
+		reportUnsigned(exportBurialPlans(plans));
+		return;
+	}
+
+	const journal = openJournal(journalPath);
+	journal.append({ type: EntryType.RESUME, reconciliation });
+
+	const results = [];
+	for (const plan of plans) {
+		const result = await executeBurialPlan(plan, journalPlan(journal, plan, progressHooks(plan)));
+		results.push({ token: plan.token.id, serials: plan.serials, ...result });
+	}
+
+	const allSucceeded = results.every(r => r.success);
+
+	if (isJsonMode()) {
+		output(createResponse(allSucceeded, { journal: journalPath, reconciliation, results }));
+	}
+	else {
+		console.log('');
+		results.forEach(r => {
+			if (r.success) {
+				success(`${r.token}: ${r.serials.length} NFTs buried`);
+			}
+			else {
+				const failed = r.steps[r.steps.length - 1];
+				error(`${r.token}: failed at step ${r.failedStep.index + 1} (${r.failedStep.description}): ${failed.error || failed.status}`);
+			}
+			reportRegistrationWarnings({ token: { id: r.token } }, r);
+		});
+		if (!allSucceeded) {
+			info(`Run resume again to retry: node scripts/cli/bury.js resume ${journalPath}`);
+		}
+		console.log('');
+	}
+
+	if (!allSucceeded) {
+		closeReadline();
+		process.exit(1);
+	}
+}
+
+/**
+ * Register serials already sent directly to the graveyard in the on-chain burial registry
+ * Exits 1 (after reporting) if any registration call fails
+ * @param {string} tokenIdStr
+ * @param {string} serialsStr
+ */
+async function registerBurial(tokenIdStr, serialsStr) {
+	const serials = parseSerials(serialsStr);
+	const { env } = createClient();
+	const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+
+	if (!isJsonMode()) {
+		header('Token Graveyard - Register Direct Burial');
+		row('Token', tokenIdStr);
+		row('Serials', serials.join(', '));
+		console.log('');
+	}
+
+	const chunks = [];
+	for (let i = 0; i < serials.length; i += MAX_STAKE_SERIALS) {
+		chunks.push(serials.slice(i, i + MAX_STAKE_SERIALS));
+	}
+
+	if (isWatchOnly()) {
+		reportUnsigned(exportUnsigned(chunks.map(chunk => ({
+			transaction: buildContractTransaction('registerDirectBurial', [tokenAddress, chunk], GAS_LIMITS.DIRECT_BURIAL),
+			description: `Register ${chunk.length} sent NFTs in the burial registry`,
+		}))));
+		return;
+	}
+
+	const calls = [];
+	for (const chunk of chunks) {
+		const result = await executeContract('registerDirectBurial', [tokenAddress, chunk], GAS_LIMITS.DIRECT_BURIAL);
+		calls.push({
+			serials: chunk,
+			status: String(result.status),
+			transactionId: result.record?.transactionId?.toString(),
+		});
+		if (result.status !== 'SUCCESS') break;
+	}
+
+	const registered = calls.filter(c => c.status === 'SUCCESS').reduce((n, c) => n + c.serials.length, 0);
+	const allSucceeded = registered === serials.length;
+
+	if (isJsonMode()) {
+		output(createResponse(allSucceeded, { token: tokenIdStr, serials, calls }));
+	}
+	else {
+		calls.forEach(c => {
+			if (c.status === 'SUCCESS') {
+				success(`Registered ${c.serials.length} NFTs (${c.transactionId})`);
+			}
+			else {
+				error(`Registration failed for ${c.serials.join(', ')}: ${c.status}`);
+			}
+		});
+		console.log('');
+	}
+
+	if (!allSucceeded) {
+		closeReadline();
+		process.exit(1);
+	}
+}
+
+/**
+ * Display a fungible burial plan
+ * @param {object} plan - from buildFungibleBurialPlan
+ */
+function displayFungiblePlan(plan) {
+	header('Token Graveyard - Fungible Burial Plan');
+
+	row('Network', plan.network);
+	row('Operator', plan.operator);
+	row('Graveyard', plan.graveyard);
+	console.log('');
+	row('Token', plan.token.id);
+	row('Name', plan.token.name || 'Unknown');
+	row('Symbol', plan.token.symbol || 'Unknown');
+	row('Decimals', plan.token.decimals);
+	row('Amount', `${plan.amount.display} (${plan.amount.raw} raw)`);
+	row('Balance', plan.balance === null
+		? 'unknown'
+		: `${plan.balance / (10 ** plan.token.decimals)} (${plan.balance} raw)`);
+	row('Associated', plan.association.associated ? 'Yes' : 'No');
+
+	const { lazy, ft } = plan.allowances;
+	if (plan.association.payment === 'hbar') {
+		const hbarStep = plan.steps.find(s => s.function === 'associateTokenWithHbar');
+		row('Association Fee', `${hbarStep.payableTinybars} tinybars (hbar)`);
+	}
+	row('$LAZY Required', lazy.required > 0
+		? `${lazy.required} (current allowance: ${lazy.current ?? 'unknown'}, balance: ${lazy.balance ?? 'unknown'})`
+		: 'None');
+	row('FT Allowance', ft.sufficient ? `Already set (${ft.current} raw)` : 'Will be set');
+
+	console.log('\n  Transactions:');
+	plan.steps.forEach((step, i) => {
+		let detail = '';
+		if (step.type === StepType.CONTRACT_CALL) {
+			detail = ` [gas ${step.gasLimit.toLocaleString()}${step.isEstimated ? ', estimated' : ', fallback'}]`;
+		}
+		console.log(`    ${i + 1}. ${step.description}${detail}`);
+	});
+
+	if (plan.warnings.length > 0) {
+		console.log('');
+		plan.warnings.forEach(w => warning(w));
+	}
+	console.log('');
+}
+
+/**
+ * Plan, confirm and execute a fungible token burial
+ * @param {string} tokenIdStr
+ * @param {string} amountStr - Amount in whole tokens
+ */
+async function buryFungible(tokenIdStr, amountStr) {
+	// Validate token ID format before any mirror queries
+	TokenId.fromString(tokenIdStr);
+
+	if (!isJsonMode()) {
+		header('Token Graveyard - Fungible Burial');
+		console.log('\n  Analyzing token...');
+	}
+
+	const payWithHbar = process.argv.includes('--hbar');
+	let plan = await buildFungibleBurialPlan(tokenIdStr, amountStr, { payWithHbar });
+	if (await confirmHbarPayment(plan)) {
+		plan = await buildFungibleBurialPlan(tokenIdStr, amountStr, { payWithHbar: true });
+	}
+
+	if (!isJsonMode()) {
+		displayFungiblePlan(plan);
+	}
+
+	const confirmed = await confirmBurial(plan.token.symbol ? `${plan.token.symbol} tokens` : 'Tokens');
+	if (!confirmed) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, { message: 'Cancelled by user' }));
+		}
+		return;
+	}
+
+	if (isWatchOnly()) {
+		reportUnsigned(exportBurialPlans([plan]));
+		return;
+	}
+
+	const result = await executeBurialPlan(plan, progressHooks(plan));
+
+	if (isJsonMode()) {
+		output(createResponse(result.success, {
+			token: plan.token.id,
+			amount: plan.amount,
+			...result,
+		}));
+	}
+	else {
+		console.log('');
+		if (result.success) {
+			success(`${plan.amount.display} ${plan.token.symbol || 'tokens'} permanently buried!`);
+			row('Token', plan.token.id);
+			row('Amount', `${plan.amount.display} (${plan.amount.raw} raw)`);
+			if (result.transactionId) {
+				row('Transaction', result.transactionId);
+			}
+			console.log('');
+		}
+		else {
+			const failed = result.steps[result.steps.length - 1];
+			error(`Burial failed at step ${result.failedStep.index + 1} (${result.failedStep.description}): ${failed.error || failed.status}`);
+		}
+	}
+
+	if (!result.success) {
+		closeReadline();
+		process.exit(1);
+	}
+}
+
+/**
+ * Resolve an EVM address from an event to a Hedera ID (aliases via the mirror node)
+ * @param {string} env
+ * @param {string} address
+ * @returns {Promise<string>}
+ */
+async function resolveEventAddress(env, address) {
+	const id = toHederaId(address);
+	if (id !== address) return id;
+
+	try {
+		return await homebrewPopulateAccountNum(env, address);
+	}
+	catch {
+		return address;
+	}
+}
+
+/**
+ * The NFTsBuried events a graveyard emitted in a transaction
+ * @param {string} env
+ * @param {string} transactionId - Mirror form transaction ID or hash
+ * @param {string} graveyardId
+ * @returns {Promise<{ result: object, events: object[] }>} the contract result and its decoded events
+ * @throws {Error} if the call failed or buried nothing in this graveyard
+ */
+async function readBurialEvents(env, transactionId, graveyardId) {
+	const decoder = createEventDecoder(loadABI('TokenGraveyard'));
+
+	const result = await getContractResult(env, transactionId, decoder.iface);
+	if (!result.success) {
+		throw new Error(`No successful graveyard call found for ${transactionId}: ${result.error ?? result.result}`);
+	}
+
+	const events = [];
+	for (const log of result.logs) {
+		if (log.contract_id && log.contract_id !== graveyardId) continue;
+		const event = await decoder.decode(log, address => resolveEventAddress(env, address));
+		if (event?.name === 'NFTsBuried') events.push(event);
+	}
+	if (events.length === 0) {
+		throw new Error(`Transaction ${transactionId} did not bury NFTs in graveyard ${graveyardId}`);
+	}
+
+	return { result, events };
+}
+
+/**
+ * Why a signed certificate cannot be trusted, beyond its own signature
+ * Checks it is for this network and graveyard, that its key is the signer account's key on the
+ * mirror node and that it matches the transaction's NFTsBuried log(s).
+ * @param {{ certificate: object, signature: object }} signed
+ * @returns {Promise<string[]>} problems, empty if none
+ */
+async function checkCertificateOnMirror(signed) {
+	const { env, network } = createClient();
+	const graveyardId = getGraveyardId().toString();
+	const { certificate, signature } = signed;
+
+	if (certificate?.network !== network) {
+		return [`Certificate was issued on ${certificate?.network} but ENVIRONMENT is ${network}`];
+	}
+	if (certificate.graveyard !== graveyardId) {
+		return [`Certificate was issued for graveyard ${certificate.graveyard} but GRAVEYARD_CONTRACT_ID is ${graveyardId}`];
+	}
+
+	const problems = [];
+	if (!isSignerAccountKey(signature, await getAccountKey(env, signature?.signer))) {
+		problems.push(`Signing key is not the mirror node key of account ${signature?.signer}`);
+	}
+
+	try {
+		const { result, events } = await readBurialEvents(env, certificate.transactionId, graveyardId);
+		problems.push(...compareCertificate(certificate, {
+			hash: result.hash,
+			timestamp: result.timestamp,
+			burials: events.map(({ fields }) => ({ token: fields.token, burier: fields.user, viaStaking: fields.viaStaking, serials: fields.serials })),
+		}));
+	}
+	catch (err) {
+		problems.push(err.message);
+	}
+
+	return problems;
+}
+
+/**
+ * Issue a signed proof-of-burial certificate for a burial transaction
+ * Exits 1 (after writing the certificate) if any serial is no longer held by the graveyard
+ * @param {string} transactionIdStr - Transaction ID (SDK or mirror form) or hash
+ */
+async function issueCertificate(transactionIdStr) {
+	const { operatorId, signer, env, network } = createClient();
+	if (!signer.sign) {
+		throw new Error('Signing a certificate needs an operator key - set PRIVATE_KEY, KEYSTORE_FILE or SIGNER_COMMAND (this run is watch-only)');
+	}
+	const graveyardId = getGraveyardId().toString();
+	const transactionId = toMirrorTransactionId(transactionIdStr);
+	const { result, events } = await readBurialEvents(env, transactionId, graveyardId);
+
+	const burials = [];
+	for (const { fields } of events) {
+		const details = await getTokenDetails(env, fields.token);
+		const serials = [];
+		for (const serial of fields.serials) {
+			const nft = await checkNFTOwnership(env, fields.token, serial);
+			serials.push({ serial, owner: nft?.owner ?? null });
+		}
+		burials.push({
+			token: fields.token,
+			name: details?.name,
+			symbol: details?.symbol,
+			burier: fields.user,
+			viaStaking: fields.viaStaking,
+			serials,
+		});
+	}
+
+	const certificate = buildCertificate({
+		network,
+		graveyard: graveyardId,
+		transactionId,
+		transactionHash: result.hash,
+		consensusTimestamp: result.timestamp,
+		burials,
+	});
+	const signed = await signCertificate(certificate, signer, operatorId.toString());
+
+	const jsonPath = getOption('out') || defaultCertificatePath(transactionId);
+	const htmlPath = `${jsonPath.replace(/\.json$/i, '')}.html`;
+	fs.writeFileSync(jsonPath, JSON.stringify(signed, null, 2));
+	fs.writeFileSync(htmlPath, renderCertificateHtml(signed));
+
+	if (isJsonMode()) {
+		output(createResponse(certificate.verified, { file: jsonPath, html: htmlPath, ...signed }));
+	}
+	else {
+		header('Certificate of Burial');
+		row('Transaction', transactionId);
+		row('Consensus Time', certificate.consensusTime);
+		certificate.burials.forEach(b => {
+			console.log('');
+			row('Token', b.symbol ? `${b.token} (${b.symbol})` : b.token);
+			row(b.method === 'staking' ? 'Buried By' : 'Registered By', b.burier);
+			row('Method', b.method);
+			row('Serials', b.serials.map(x => x.serial).join(', '));
+		});
+		console.log('');
+		if (certificate.verified) {
+			success('Every serial is held by the graveyard');
+		}
+		else {
+			const missing = certificate.burials.flatMap(b => b.serials.filter(x => !x.heldByGraveyard).map(x => `${b.token}#${x.serial}`));
+			warning(`Not held by the graveyard: ${missing.join(', ')}`);
+		}
+		row('Signed By', operatorId.toString());
+		row('Certificate', jsonPath);
+		row('Printable', htmlPath);
+		console.log('');
+	}
+
+	if (!certificate.verified) {
+		closeReadline();
+		process.exit(1);
+	}
+}
+
+/**
+ * Check a certificate file: its signature, its signer's account key and its transaction
+ * Exits 1 if any check fails
+ * @param {string} filePath
+ */
+async function checkCertificateFile(filePath) {
+	const signed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	const signatureValid = verifyCertificate(signed);
+	const problems = signatureValid
+		? await checkCertificateOnMirror(signed)
+		: ['Signature does NOT match the certificate'];
+	const valid = problems.length === 0;
+
+	if (isJsonMode()) {
+		output(createResponse(valid, {
+			file: filePath,
+			valid,
+			signatureValid,
+			signer: signed.signature?.signer ?? null,
+			verified: signed.certificate?.verified ?? null,
+			problems,
+		}));
+	}
+	else {
+		header('Verify Certificate');
+		row('File', filePath);
+		row('Signer', signed.signature?.signer ?? 'none');
+		row('Transaction', signed.certificate?.transactionId ?? 'none');
+		if (valid) {
+			success('Signature is valid, made with the signer\'s account key, and matches the transaction');
+		}
+		else {
+			problems.forEach(problem => error(problem));
+		}
+		console.log('');
+	}
+
+	if (!valid) {
+		closeReadline();
+		process.exit(1);
+	}
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+	const args = getPositionalArgs(VALUE_OPTIONS);
+	const manifestPath = getOption('manifest');
+
+	if (process.argv.includes('--help') || process.argv.includes('-h') || (args.length === 0 && !manifestPath)) {
+		showHelp();
+		process.exit(args.length === 0 && !manifestPath ? 2 : 0);
+	}
+
+	if (manifestPath) {
+		try {
+			await buryManifest(manifestPath);
+			closeReadline();
+			process.exit(0);
+		}
+		catch (err) {
+			if (isJsonMode()) {
+				output(createResponse(false, null, err));
+			}
+			else {
+				error(err.message);
+			}
+			closeReadline();
+			process.exit(1);
+		}
+	}
+
+	// Support legacy commands for backwards compatibility
+	if (args[0] === 'send' || args[0] === 'stake') {
+		if (!isJsonMode()) {
+			info(`Note: '${args[0]}' command is deprecated. Method is now auto-detected.`);
+		}
+		args.shift();
+	}
+
+	const command = ['plan', 'execute', 'resume', 'register', 'ft', 'certificate', 'verify-certificate'].includes(args[0]) ? args.shift() : 'bury';
+
+	if (command === 'execute' && args.length < 1) {
+		error('Plan file required');
+		console.log('Usage: bury.js execute <plan.json>');
+		process.exit(2);
+	}
+
+	if (command === 'resume' && args.length < 1) {
+		error('Journal file required');
+		console.log('Usage: bury.js resume <journal.jsonl>');
+		process.exit(2);
+	}
+
+	if (command === 'certificate' && args.length < 1) {
+		error('Transaction ID required');
+		console.log('Usage: bury.js certificate <transactionId> [--out file.json]');
+		process.exit(2);
+	}
+
+	if (command === 'verify-certificate' && args.length < 1) {
+		error('Certificate file required');
+		console.log('Usage: bury.js verify-certificate <file.json>');
+		process.exit(2);
+	}
+
+	if (command === 'ft' && args.length < 2) {
+		error('Token ID and amount required');
+		console.log('Usage: bury.js ft <token> <amount>');
+		process.exit(2);
+	}
+
+	if (['plan', 'bury', 'register'].includes(command) && args.length < 2) {
+		error('Token ID and serials required');
+		console.log(`Usage: bury.js ${command === 'bury' ? '' : `${command} `}<token> <serials>`);
+		process.exit(2);
+	}
+
+	try {
+		switch (command) {
+		case 'plan':
+			await planBurial(args[0], args[1]);
+			break;
+		case 'execute':
+			await executePlanFile(args[0]);
+			break;
+		case 'resume':
+			await resumeJournal(args[0]);
+			break;
+		case 'register':
+			await registerBurial(args[0], args[1]);
+			break;
+		case 'ft':
+			await buryFungible(args[0], args[1]);
+			break;
+		case 'certificate':
+			await issueCertificate(args[0]);
+			break;
+		case 'verify-certificate':
+			await checkCertificateFile(args[0]);
+			break;
+		default:
+			await buryNFTs(args[0], args[1]);
+		}
 		closeReadline();
 		process.exit(0);
 	}
@@ -708,7 +1561,7 @@ async function main() {
 			error(err.message);
 		}
 		closeReadline();
-		process.exit(1);
+		process.exit(['TOO_MANY_SERIALS', 'INVALID_AMOUNT'].includes(err.code) ? 2 : 1);
 	}
 }
 
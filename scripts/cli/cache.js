@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Token Graveyard Lookup Cache
+ * Inspect or clear the on-disk cache of mirror node lookups shared by the CLI scripts
+ *
+ * Usage:
+ *   node scripts/cli/cache.js [command] [options]
+ *
+ * Commands:
+ *   status              Show what the cache holds (default)
+ *   clear               Delete the cache file
+ *
+ * Options:
+ *   --file <path>       Cache file (default GRAVEYARD_CACHE_FILE or .graveyard-cache.json)
+ *   --json              Output in JSON format
+ *   --help, -h          Show help
+ */
+
+const {
+	initOutputMode,
+	isJsonMode,
+	createResponse,
+	output,
+	header,
+	row,
+	table,
+	success,
+	info,
+	error,
+} = require('./lib/format');
+const { getOption, getPositionalArgs } = require('./lib/args');
+const { CACHE_TTL, defaultCachePath, describeCache, clearCache } = require('./lib/cache');
+
+// Initialize output mode
+initOutputMode();
+
+// Options that consume the following argument
+const VALUE_OPTIONS = ['file'];
+
+/**
+ * Show help
+ */
+function showHelp() {
+	console.log(`
+Token Graveyard Lookup Cache
+
+Every CLI script caches mirror node lookups on disk: ID <-> EVM address
+mappings forever, token details for ${CACHE_TTL.token / 60_000} minutes. Pass --no-cache to any
+script to bypass the cache for that run.
+
+Usage:
+  node scripts/cli/cache.js [command] [options]
+
+Commands:
+  status              Show what the cache holds (default)
+  clear               Delete the cache file
+
+Options:
+  --file <path>       Cache file (default GRAVEYARD_CACHE_FILE or .graveyard-cache.json)
+  --json              Output in JSON format (for scripting)
+  --help, -h          Show this help
+
+Examples:
+  node scripts/cli/cache.js
+  node scripts/cli/cache.js clear
+  node scripts/cli/info.js status --no-cache
+`);
+}
+
+/**
+ * Show what the cache holds
+ * @param {string} filePath
+ */
+function showStatus(filePath) {
+	const summary = describeCache(filePath);
+
+	if (isJsonMode()) {
+		output(createResponse(true, summary));
+		return;
+	}
+
+	header('Lookup Cache');
+	row('File', summary.path);
+	if (!summary.exists) {
+		info('No cache file yet');
+		console.log('');
+		return;
+	}
+	row('Size', `${summary.bytes.toLocaleString()} bytes`);
+
+	table(
+		['Mirror Node', 'Entries', 'Expired', 'Kinds'],
+		summary.mirrors.map(m => [
+			m.mirror,
+			String(m.entries),
+			String(m.expired),
+			Object.entries(m.kinds).map(([kind, count]) => `${kind} ${count}`).join(', '),
+		]),
+	);
+	console.log('');
+}
+
+/**
+ * Delete the cache file
+ * @param {string} filePath
+ */
+function clear(filePath) {
+	const removed = clearCache(filePath);
+
+	if (isJsonMode()) {
+		output(createResponse(true, { path: filePath, removed }));
+		return;
+	}
+
+	success(`Cleared ${removed} cached lookup(s) from ${filePath}`);
+}
+
+/**
+ * Parse arguments and run
+ */
+function main() {
+	const args = getPositionalArgs(VALUE_OPTIONS);
+	const command = args[0] || 'status';
+
+	if (process.argv.includes('--help') || process.argv.includes('-h')) {
+		showHelp();
+		process.exit(0);
+	}
+
+	const filePath = getOption('file') || defaultCachePath();
+
+	try {
+		switch (command) {
+		case 'status':
+			showStatus(filePath);
+			break;
+		case 'clear':
+			clear(filePath);
+			break;
+		default:
+			error(`Unknown command: ${command}`);
+			showHelp();
+			process.exit(2);
+		}
+		process.exit(0);
+	}
+	catch (err) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, err));
+		}
+		else {
+			error(err.message);
+		}
+		process.exit(1);
+	}
+}
+
+main();
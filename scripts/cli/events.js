@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * Token Graveyard Event Indexer
+ * Build and query a local database of graveyard events from mirror node logs
+ *
+ * Usage:
+ *   node scripts/cli/events.js [command] [options]
+ *
+ * Commands:
+ *   sync                Index new events (all pages after the saved cursor)
+ *   status              Show what the store holds
+ *   show <table>        List indexed events (burials, ftBurials, associations,
+ *                       roleChanges, costChanges, withdrawals)
+ *
+ * Options:
+ *   --store <file>      Event store (default graveyard-<contract>.events.json)
+ *   --full              Discard the store and re-index from the first log (sync)
+ *   --token <id>        Only events for this token (show)
+ *   --account <id>      Only events involving this account (show)
+ *   --limit <n>         Most recent n events (show, default 50)
+ *   --json              Output in JSON format
+ *   --no-cache          Skip the mirror lookup cache (see cache.js)
+ *   --profile <name>    Use a named profile from graveyard.profiles.json
+ *   --help, -h          Show help
+ */
+
+const { createEventDecoder } = require('../../utils/eventDecoder');
+const { createClient, loadABI, validateGraveyardConfig } = require('./lib/client');
+const {
+	initOutputMode,
+	isJsonMode,
+	createResponse,
+	output,
+	header,
+	row,
+	table,
+	success,
+	info,
+	error,
+} = require('./lib/format');
+const { getOption, getPositionalArgs } = require('./lib/args');
+const {
+	TABLES,
+	defaultStorePath,
+	emptyStore,
+	loadStore,
+	saveStore,
+	syncEvents,
+	queryTable,
+} = require('./lib/indexer');
+
+// Initialize output mode
+initOutputMode();
+
+// Options that consume the following argument
+const VALUE_OPTIONS = ['store', 'token', 'account', 'limit'];
+const DEFAULT_SHOW_LIMIT = 50;
+
+/**
+ * Show help
+ */
+function showHelp() {
+	console.log(`
+Token Graveyard Event Indexer
+
+Usage:
+  node scripts/cli/events.js [command] [options]
+
+Commands:
+  sync                Index new events (all pages after the saved cursor)
+  status              Show what the store holds (default)
+  show <table>        List indexed events. Tables:
+                        ${TABLES.join(', ')}
+
+Options:
+  --store <file>      Event store (default graveyard-<contract>.events.json)
+  --full              Discard the store and re-index from the first log (sync)
+  --token <id>        Only events for this token (show)
+  --account <id>      Only events involving this account (show)
+  --limit <n>         Most recent n events (show, default ${DEFAULT_SHOW_LIMIT})
+  --json              Output in JSON format (for scripting)
+  --no-cache          Skip the mirror lookup cache (see cache.js)
+  --profile <name>    Use a named profile from graveyard.profiles.json
+  --help, -h          Show this help
+
+Examples:
+  node scripts/cli/events.js sync
+  node scripts/cli/events.js show burials --token 0.0.48486075
+  node scripts/cli/events.js show roleChanges --json
+`);
+}
+
+/**
+ * Resolve the store path and the store it holds
+ * @param {boolean} [fresh=false] - Start from an empty store regardless of the file
+ * @returns {{ storePath: string, store: object, env: string, graveyardId: ContractId }}
+ */
+function openStore(fresh = false) {
+	const { env, network } = createClient();
+	const { graveyardId } = validateGraveyardConfig();
+	const storePath = getOption('store') || defaultStorePath(graveyardId.toString());
+
+	const store = fresh
+		? emptyStore(network, graveyardId.toString())
+		: loadStore(storePath, network, graveyardId.toString());
+
+	return { storePath, store, env, graveyardId };
+}
+
+/**
+ * Row counts per table
+ * @param {object} store
+ * @returns {object}
+ */
+function tableCounts(store) {
+	return Object.fromEntries(TABLES.map(t => [t, store[t].length]));
+}
+
+/**
+ * Index new events
+ */
+async function sync() {
+	const full = process.argv.includes('--full');
+	const { storePath, store, env, graveyardId } = openStore(full);
+	const decoder = createEventDecoder(loadABI('TokenGraveyard'));
+
+	if (!isJsonMode()) {
+		header('Event Indexer - Sync');
+		row('Store', storePath);
+		row('From', store.cursor ? store.cursor.timestamp : 'first log');
+	}
+
+	const result = await syncEvents(env, graveyardId.toString(), decoder, store, {
+		onPage: s => saveStore(storePath, s),
+	});
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			store: storePath,
+			cursor: store.cursor,
+			...result,
+			totals: tableCounts(store),
+		}));
+		return;
+	}
+
+	row('Pages', result.pages);
+	TABLES.forEach(t => row(`  ${t}`, `+${result.added[t]} (${store[t].length} total)`));
+	if (result.ignored > 0) {
+		row('Ignored', `${result.ignored} log(s) with no table`);
+	}
+	success(store.cursor ? `Indexed to ${store.cursor.timestamp}` : 'No graveyard logs yet');
+	console.log('');
+}
+
+/**
+ * Show what the store holds
+ */
+function status() {
+	const { storePath, store } = openStore();
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			store: storePath,
+			network: store.network,
+			contract: store.contract,
+			cursor: store.cursor,
+			lastSync: store.lastSync,
+			totals: tableCounts(store),
+		}));
+		return;
+	}
+
+	header('Event Store');
+	row('Store', storePath);
+	row('Graveyard', `${store.contract} (${store.network})`);
+	row('Last Sync', store.lastSync || 'never');
+	row('Cursor', store.cursor ? `${store.cursor.timestamp} #${store.cursor.index}` : 'none');
+	TABLES.forEach(t => row(`  ${t}`, store[t].length));
+	if (!store.lastSync) {
+		info('Run: node scripts/cli/events.js sync');
+	}
+	console.log('');
+}
+
+/**
+ * Describe a row for the human table
+ * @param {string} tableName
+ * @param {object} r
+ * @returns {string}
+ */
+function describeRow(tableName, r) {
+	switch (tableName) {
+	case 'burials':
+		return `${r.user} buried ${r.serials.length} of ${r.token} (${r.viaStaking ? 'staking' : 'direct'}): ${r.serials.join(', ')}`;
+	case 'ftBurials':
+		return `${r.user} buried ${r.amount} (raw) of ${r.token}`;
+	case 'associations':
+		if (r.paidInHbar) {
+			return `${r.executor} associated ${r.token} (paid ${r.hbarAmount} tinybars)`;
+		}
+		return `${r.executor} associated ${r.token}${r.paid ? ' (paid)' : ' (free)'}`;
+	case 'roleChanges':
+		return `${r.executor} ${r.added ? 'granted' : 'revoked'} ${r.role} ${r.added ? 'to' : 'from'} ${r.target}`;
+	case 'costChanges':
+		if (r.kind === 'token') {
+			return r.overridden
+				? `${r.executor} set the ${r.token} cost to ${r.lazyCost} (raw)`
+				: `${r.executor} cleared the ${r.token} cost override`;
+		}
+		if (r.kind === 'hbar') {
+			return `${r.executor} set the hbar association price to ${r.hbarCost} tinybars`;
+		}
+		if (r.kind === 'waiver') {
+			return `${r.executor} ${r.waived ? 'waived' : 'restored'} association fees for ${r.account}`;
+		}
+		return `${r.executor} set cost ${r.lazyCost} (raw), burn ${r.lazyBurnPercentage}%`;
+	default:
+		return `${r.executor} withdrew ${r.amount} ${r.asset === 'lazy' ? '$LAZY (raw)' : 'tinybars'} to ${r.receiver}`;
+	}
+}
+
+/**
+ * List indexed events
+ * @param {string} tableName
+ */
+function show(tableName) {
+	const { store } = openStore();
+	const limit = parseInt(getOption('limit') || DEFAULT_SHOW_LIMIT);
+	if (isNaN(limit) || limit <= 0) {
+		throw new Error('--limit must be a positive number');
+	}
+
+	const rows = queryTable(store, tableName, {
+		token: getOption('token'),
+		account: getOption('account'),
+	});
+	const shown = rows.slice(-limit);
+
+	if (isJsonMode()) {
+		output(createResponse(true, { table: tableName, total: rows.length, rows: shown }));
+		return;
+	}
+
+	header(`${tableName} (${rows.length})`);
+	if (rows.length === 0) {
+		info(store.lastSync ? 'No matching events.' : 'Store is empty. Run: node scripts/cli/events.js sync');
+		return;
+	}
+
+	table(
+		['Consensus Time', 'Event'],
+		shown.map(r => [new Date(parseFloat(r.timestamp) * 1000).toISOString(), describeRow(tableName, r)]),
+	);
+	if (shown.length < rows.length) {
+		info(`Showing the most recent ${shown.length}. Use --limit to see more.`);
+	}
+	console.log('');
+}
+
+/**
+ * Parse arguments and run
+ */
+async function main() {
+	const args = getPositionalArgs(VALUE_OPTIONS);
+	const command = args[0] || 'status';
+
+	if (process.argv.includes('--help') || process.argv.includes('-h')) {
+		showHelp();
+		process.exit(0);
+	}
+
+	try {
+		switch (command) {
+		case 'sync':
+			await sync();
+			break;
+		case 'status':
+			status();
+			break;
+		case 'show':
+			if (!args[1]) {
+				error(`Table required. Usage: events.js show <${TABLES.join('|')}>`);
+				process.exit(2);
+			}
+			show(args[1]);
+			break;
+		default:
+			error(`Unknown command: ${command}`);
+			showHelp();
+			process.exit(2);
+		}
+		process.exit(0);
+	}
+	catch (err) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, err));
+		}
+		else {
+			error(err.message);
+		}
+		process.exit(1);
+	}
+}
+
+main();
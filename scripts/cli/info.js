@@ -8,28 +8,51 @@
  *
  * Commands:
  *   status              Full contract status overview
- *   cost                Get cost configuration
+ *   cost [token]        Get cost configuration, or what a collection costs to associate
  *   tokens              List all associated tokens
  *   admins              List all admins
  *   users               List all contract users
  *   is-admin <account>  Check if account is admin
  *   is-user <account>   Check if account is contract user
  *   is-assoc <token>    Check if token is associated
+ *   buried [token]      Burial registry: all collections, or one collection's buriers
+ *   buriers             Burial registry: serials buried per user
+ *   buried-by <account> [token]  Serials buried by an account
+ *   hook <token>        Burn-to-redeem hook of a collection
+ *   stats               Burial leaderboards and burials per day (from NFTsBuried and FTBuried events)
+ *   audit               Check associations and held NFTs and tokens against the ledger (exit 1 on discrepancies)
+ *   profiles            List the named profiles in graveyard.profiles.json
  *
  * Options:
  *   --json              Output in JSON format
+ *   --no-cache          Skip the mirror lookup cache (see cache.js)
+ *   --profile <name>    Use a named profile from graveyard.profiles.json
+ *   --offset <n>        Registry page offset (default 0)
+ *   --limit <n>         Registry page size (default 100)
+ *   --from <date>       Stats window start (stats)
+ *   --to <date>         Stats window end, inclusive for a bare date (stats)
+ *   --days <n>          Stats for the last n days (stats)
+ *   --top <n>           Leaderboard size (stats, default 10)
+ *   --csv <file>        Also write the full stats as CSV (stats)
+ *   --store <file>      Event store to start from (stats, audit, see events.js)
  *   --quiet, -q         Minimal output
  *   --help, -h          Show help
  */
 
-const { AccountId, TokenId, ContractId } = require('@hashgraph/sdk');
+const fs = require('fs');
+const { AccountId, TokenId, ContractId, Hbar } = require('@hashgraph/sdk');
 const {
 	homebrewPopulateAccountEvmAddress,
 	homebrewPopulateAccountNum,
 	EntityType,
 	getTokenDetails,
+	getAccountTokens,
 } = require('../../utils/hederaMirrorHelpers');
-const { createClient, validateGraveyardConfig } = require('./lib/client');
+const { createEventDecoder } = require('../../utils/eventDecoder');
+const { describeNetworkProfile } = require('../../utils/networkProfile');
+const { createClient, loadABI, validateGraveyardConfig } = require('./lib/client');
+const { readProfiles, applyProfile, maskSettings } = require('./lib/profiles');
+const { KeySource, describeSigner } = require('./lib/signer');
 const {
 	initOutputMode,
 	isJsonMode,
@@ -38,11 +61,20 @@ const {
 	header,
 	row,
 	table,
+	success,
+	warning,
 	info,
 	error,
 } = require('./lib/format');
 const {
 	getCost,
+	getTokenCost,
+	getAssociationCost,
+	getPricedTokens,
+	getHbarCost,
+	getHbarAssociationCost,
+	isWaived,
+	getWaivedAccounts,
 	isAdmin,
 	isContractUser,
 	isTokenAssociated,
@@ -51,11 +83,36 @@ const {
 	getContractUsers,
 	getLazyGasStationAddress,
 	getLazyTokenAddress,
+	getTotalBuried,
+	getBuriedCount,
+	getBuriedCountByUser,
+	getBuriedCountForUser,
+	getBuriedTokensPaginated,
+	getBuriersPaginated,
+	getTokenBuriersPaginated,
+	getBurialHook,
 } = require('./lib/contract');
+const { getOption, getPositionalArgs } = require('./lib/args');
+const { defaultStorePath, loadStore, syncEvents } = require('./lib/indexer');
+const { parseWindow, aggregateBurials, aggregateFtBurials, statsToCsv } = require('./lib/stats');
+const { auditGraveyard, DISCREPANCIES } = require('./lib/audit');
 
 // Initialize output mode
 initOutputMode();
 
+// Options that consume the following argument
+const VALUE_OPTIONS = ['offset', 'limit', 'from', 'to', 'days', 'top', 'csv', 'store'];
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_TOP = 10;
+
+// How the operator signs, as shown by status
+const SIGNING_LABELS = {
+	[KeySource.PRIVATE_KEY]: 'PRIVATE_KEY',
+	[KeySource.KEYSTORE]: 'Encrypted keystore',
+	[KeySource.COMMAND]: 'Signer command',
+	[KeySource.WATCH_ONLY]: 'Watch-only (writes export unsigned transactions)',
+};
+
 /**
  * Show help
  */
@@ -68,7 +125,8 @@ Usage:
 
 Commands:
   status              Full contract status overview (default)
-  cost                Get cost configuration
+  cost                Get cost configuration, collection overrides and fee waivers
+  cost <token>        What the collection costs to associate (override and your waiver applied)
   tokens              List all associated tokens
   admins              List all admins
   users               List all contract users
@@ -76,8 +134,40 @@ Commands:
   is-user <account>   Check if account is contract user
   is-assoc <token>    Check if token is associated
 
+Burial Registry (staking burials recorded on-chain):
+  buried              Total buried and serials buried per collection
+  buried <token>      Serials of a collection buried, and who buried them
+  buriers             Accounts and the serials each has buried
+  buried-by <account> [token]
+                      Serials buried by an account (optionally for one collection)
+
+Burn-to-Redeem:
+  hook <token>        Hook contract called after staking burials of a collection
+
+Statistics (all NFTsBuried events - staking and registered direct sends - and FTBuried events):
+  stats               Top buriers, most buried collections, burials per day and
+                      fungible amounts buried per token
+
+Audit (for cron checks - exits 1 when a discrepancy is found):
+  audit               Compare getAssociatedTokens() with the graveyard's HTS associations,
+                      held NFTs with NFTsBuried totals, held fungible balances with
+                      FTBuried totals, and flag deleted tokens
+
+Profiles (graveyard.profiles.json, or GRAVEYARD_PROFILES_FILE):
+  profiles            List named profiles and the one in use
+
 Options:
   --json              Output in JSON format (for scripting)
+  --no-cache          Skip the mirror lookup cache (see cache.js)
+  --profile <name>    Use a named profile from graveyard.profiles.json
+  --offset <n>        Registry page offset (default 0)
+  --limit <n>         Registry page size (default ${DEFAULT_PAGE_SIZE})
+  --from <date>       Stats from this date (YYYY-MM-DD or ISO date-time)
+  --to <date>         Stats up to this date (a bare date includes the whole day)
+  --days <n>          Stats for the last n days
+  --top <n>           Leaderboard size (default ${DEFAULT_TOP})
+  --csv <file>        Also write full leaderboards and daily counts as CSV
+  --store <file>      Start from an events.js store instead of the first log (stats, audit)
   --quiet, -q         Minimal output
   --help, -h          Show this help
 
@@ -86,6 +176,12 @@ Examples:
   node scripts/cli/info.js tokens --json
   node scripts/cli/info.js is-admin 0.0.12345
   node scripts/cli/info.js is-assoc 0.0.48486075 --json
+  node scripts/cli/info.js cost 0.0.48486075
+  node scripts/cli/info.js buried 0.0.48486075
+  node scripts/cli/info.js buriers --offset 100 --limit 50
+  node scripts/cli/info.js stats --days 30 --csv stats.csv
+  node scripts/cli/info.js audit --json
+  node scripts/cli/info.js status --profile mainnet
 `);
 }
 
@@ -125,7 +221,7 @@ async function evmToHederaId(evmAddress, env, entityType) {
  * Full status overview
  */
 async function showStatus() {
-	const { operatorId, env } = createClient();
+	const { operatorId, signer, env, network, profile } = createClient();
 	const { graveyardId } = validateGraveyardConfig();
 
 	// Get EVM addresses
@@ -165,8 +261,10 @@ async function showStatus() {
 
 	if (isJsonMode()) {
 		output(createResponse(true, {
-			network: env,
+			network,
+			networkProfile: describeNetworkProfile(profile),
 			operator: operatorId.toString(),
+			signing: describeSigner(signer),
 			contract: {
 				id: graveyardId.toString(),
 				evmAddress: graveyardAddress,
@@ -194,15 +292,19 @@ async function showStatus() {
 				contractUsers: users.length,
 				associatedTokens: tokens.length,
 			},
-		}, null, { network: env }));
+		}, null, { network }));
 		return;
 	}
 
 	header('Token Graveyard Status');
 
 	console.log('\n  Environment');
-	row('Network', env.toUpperCase());
+	row('Network', network.toUpperCase());
+	row('Mirror Node', profile.mirrorUrl);
+	row('JSON-RPC Relay', profile.relayUrl);
+	if (profile.source !== '.env') row('Network Profile', profile.source);
 	row('Operator', operatorId.toString());
+	row('Signing', SIGNING_LABELS[signer.source] + (signer.keystore ? ` (${signer.keystore})` : ''));
 
 	console.log('\n  Graveyard Contract');
 	row('Contract ID', graveyardId.toString());
@@ -233,19 +335,54 @@ async function showStatus() {
 }
 
 /**
- * Show cost configuration
+ * Get the $LAZY token ID and a scaler from raw units to whole $LAZY
+ * @param {string} env
+ * @returns {Promise<{ lazyTokenId: string, decimals: number|undefined, scale: function(string): number|string }>}
  */
-async function showCost() {
-	const { env } = createClient();
-	const costData = await getCost();
-
-	// Get LAZY token address and details to scale cost
+async function getLazyScale(env) {
 	const lazyTokenAddress = await getLazyTokenAddress();
 	const lazyTokenId = await evmToHederaId(lazyTokenAddress, env, EntityType.TOKEN);
 	const lazyTokenInfo = await getTokenDetails(env, lazyTokenId);
-	const scaledLazyCost = lazyTokenInfo?.decimals
-		? Number(costData.lazyCost) / (10 ** lazyTokenInfo.decimals)
-		: costData.lazyCost;
+	const decimals = lazyTokenInfo?.decimals;
+	return {
+		lazyTokenId,
+		decimals,
+		scale: raw => (decimals ? Number(raw) / (10 ** decimals) : raw),
+	};
+}
+
+/**
+ * Show cost configuration
+ * With a token, shows what the operator pays to associate it
+ * @param {string} [tokenIdStr]
+ */
+async function showCost(tokenIdStr) {
+	if (tokenIdStr) {
+		await showTokenCost(tokenIdStr);
+		return;
+	}
+
+	const { env } = createClient();
+	const [costData, hbarData, pricedTokens, waivedAccounts] = await Promise.all([
+		getCost(),
+		getHbarCost(),
+		getPricedTokens(),
+		getWaivedAccounts(),
+	]);
+
+	// Get LAZY token details to scale cost
+	const { lazyTokenId, decimals, scale } = await getLazyScale(env);
+	const scaledLazyCost = scale(costData.lazyCost);
+
+	const overrides = await Promise.all(pricedTokens.map(async (addr) => {
+		const tokenCost = await getTokenCost(addr);
+		return {
+			tokenId: await evmToHederaId(addr, env, EntityType.TOKEN),
+			lazyCost: scale(tokenCost.lazyCost),
+			lazyCostRaw: tokenCost.lazyCost,
+		};
+	}));
+	const waived = await Promise.all(waivedAccounts.map(addr => evmToHederaId(addr, env, EntityType.ACCOUNT)));
 
 	if (isJsonMode()) {
 		output(createResponse(true, {
@@ -254,18 +391,89 @@ async function showCost() {
 			lazyBurnPercentage: costData.lazyBurnPercentage,
 			lazyToken: {
 				id: lazyTokenId,
-				decimals: lazyTokenInfo?.decimals,
+				decimals,
+			},
+			hbar: {
+				enabled: hbarData.hbarCost > 0,
+				costTinybars: hbarData.hbarCost,
+				revenueTinybars: hbarData.hbarRevenue,
 			},
+			tokenOverrides: overrides,
+			waivedAccounts: waived,
 		}));
 		return;
 	}
 
 	header('Cost Configuration');
 	row('$LAZY Token', lazyTokenId);
-	row('  Decimals', lazyTokenInfo?.decimals || 'Unknown');
+	row('  Decimals', decimals || 'Unknown');
 	row('$LAZY Cost', `${scaledLazyCost} $LAZY (${costData.lazyCost} raw)`);
 	row('Burn Percentage', `${costData.lazyBurnPercentage}%`);
 	row('Net to Treasury', `${100 - costData.lazyBurnPercentage}%`);
+
+	console.log('\n  Hbar Association');
+	row('Hbar Cost', hbarData.hbarCost > 0 ? `${Hbar.fromTinybars(hbarData.hbarCost).toString()} (${hbarData.hbarCost} tinybars)` : 'Disabled');
+	row('Hbar Collected', `${Hbar.fromTinybars(hbarData.hbarRevenue).toString()} (${hbarData.hbarRevenue} tinybars)`);
+
+	console.log(`\n  Collection Overrides (${overrides.length})`);
+	overrides.forEach(o => row(`  ${o.tokenId}`, `${o.lazyCost} $LAZY (${o.lazyCostRaw} raw)`));
+
+	console.log(`\n  Fee Waivers (${waived.length})`);
+	waived.forEach(account => row('  Account', account));
+	console.log('');
+}
+
+/**
+ * Show what a collection costs the operator to associate
+ * @param {string} tokenIdStr
+ */
+async function showTokenCost(tokenIdStr) {
+	const { env, operatorId } = createClient();
+	const [tokenAddress, operatorAddress] = await Promise.all([
+		homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN),
+		homebrewPopulateAccountEvmAddress(env, operatorId.toString(), EntityType.ACCOUNT),
+	]);
+
+	const [tokenCost, operatorCost, operatorWaived, associated, hbarData, operatorHbarCost] = await Promise.all([
+		getTokenCost(tokenAddress),
+		getAssociationCost(tokenAddress, operatorAddress),
+		isWaived(operatorAddress),
+		isTokenAssociated(tokenAddress),
+		getHbarCost(),
+		getHbarAssociationCost(tokenAddress, operatorAddress),
+	]);
+	const hbarEnabled = hbarData.hbarCost > 0;
+	const { lazyTokenId, scale } = await getLazyScale(env);
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			tokenId: tokenIdStr,
+			associated,
+			lazyCost: scale(tokenCost.lazyCost),
+			lazyCostRaw: tokenCost.lazyCost,
+			lazyBurnPercentage: tokenCost.lazyBurnPercentage,
+			overridden: tokenCost.overridden,
+			lazyToken: { id: lazyTokenId },
+			operator: {
+				account: operatorId.toString(),
+				waived: operatorWaived,
+				lazyCost: scale(operatorCost.lazyCost),
+				lazyCostRaw: operatorCost.lazyCost,
+				hbarCostTinybars: hbarEnabled ? operatorHbarCost : null,
+			},
+		}));
+		return;
+	}
+
+	header(`Association Cost - ${tokenIdStr}`);
+	row('Associated', associated ? 'Yes (no charge to bury)' : 'No');
+	row('$LAZY Cost', `${scale(tokenCost.lazyCost)} $LAZY (${tokenCost.lazyCost} raw)`);
+	row('Pricing', tokenCost.overridden ? 'Collection override' : 'Global cost');
+	row('Burn Percentage', `${tokenCost.lazyBurnPercentage}%`);
+	row(`You (${operatorId.toString()})`, operatorWaived
+		? 'Fees waived - 0 $LAZY'
+		: `${scale(operatorCost.lazyCost)} $LAZY (${operatorCost.lazyCost} raw)`);
+	row('  or in hbar', hbarEnabled ? `${operatorHbarCost} tinybars (associate.js --hbar)` : 'Not accepted');
 	console.log('');
 }
 
@@ -449,11 +657,442 @@ async function checkIsAssociated(tokenIdStr) {
 	console.log('');
 }
 
+/**
+ * Read registry pagination options
+ * @returns {{ offset: number, limit: number }}
+ */
+function getPagination() {
+	const offset = parseInt(getOption('offset') ?? '0', 10);
+	const limit = parseInt(getOption('limit') ?? `${DEFAULT_PAGE_SIZE}`, 10);
+
+	if (isNaN(offset) || offset < 0 || isNaN(limit) || limit <= 0) {
+		error('--offset must be >= 0 and --limit must be > 0');
+		process.exit(2);
+	}
+
+	return { offset, limit };
+}
+
+/**
+ * Resolve registry entries to Hedera IDs
+ * @param {{ address: string, count: number }[]} entries
+ * @param {string} env
+ * @param {string} entityType
+ * @returns {Promise<{ id: string, evmAddress: string, count: number }[]>}
+ */
+async function resolveRegistryEntries(entries, env, entityType) {
+	return await Promise.all(entries.map(async ({ address, count }) => ({
+		id: await evmToHederaId(address, env, entityType),
+		evmAddress: address,
+		count,
+	})));
+}
+
+/**
+ * Show registry page range summary
+ */
+function showPageRange(offset, shown, total) {
+	if (total > shown) {
+		info(`Showing ${shown === 0 ? 0 : offset + 1}-${offset + shown} of ${total} (use --offset/--limit to page)`);
+	}
+}
+
+/**
+ * Show buried collections (or one collection's buriers)
+ * @param {string} [tokenIdStr]
+ */
+async function showBuried(tokenIdStr) {
+	const { env } = createClient();
+	const { offset, limit } = getPagination();
+
+	if (tokenIdStr) {
+		const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+		const [count, page] = await Promise.all([
+			getBuriedCount(tokenAddress),
+			getTokenBuriersPaginated(tokenAddress, offset, limit),
+		]);
+		const buriers = await resolveRegistryEntries(page.entries, env, EntityType.ACCOUNT);
+
+		if (isJsonMode()) {
+			output(createResponse(true, {
+				tokenId: tokenIdStr,
+				evmAddress: tokenAddress,
+				buried: count,
+				burierCount: page.total,
+				offset,
+				buriers,
+			}));
+			return;
+		}
+
+		header(`Burial Registry - ${tokenIdStr}`);
+		row('Serials Buried', count.toString());
+		row('Buriers', page.total.toString());
+
+		if (buriers.length > 0) {
+			console.log('');
+			table(['#', 'Account ID', 'Serials Buried'], buriers.map((b, i) => [offset + i + 1, b.id, b.count]));
+			showPageRange(offset, buriers.length, page.total);
+		}
+		console.log('');
+		return;
+	}
+
+	const [total, page] = await Promise.all([
+		getTotalBuried(),
+		getBuriedTokensPaginated(offset, limit),
+	]);
+	const tokens = await resolveRegistryEntries(page.entries, env, EntityType.TOKEN);
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			totalBuried: total,
+			collectionCount: page.total,
+			offset,
+			collections: tokens,
+		}));
+		return;
+	}
+
+	header('Burial Registry');
+	row('Total Serials Buried', total.toString());
+	row('Collections', page.total.toString());
+
+	if (tokens.length === 0) {
+		info('\n  Nothing buried via the contract yet.');
+		return;
+	}
+
+	console.log('');
+	table(['#', 'Token ID', 'Serials Buried'], tokens.map((t, i) => [offset + i + 1, t.id, t.count]));
+	showPageRange(offset, tokens.length, page.total);
+	console.log('');
+}
+
+/**
+ * Show buriers and their totals
+ */
+async function showBuriers() {
+	const { env } = createClient();
+	const { offset, limit } = getPagination();
+	const page = await getBuriersPaginated(offset, limit);
+	const buriers = await resolveRegistryEntries(page.entries, env, EntityType.ACCOUNT);
+
+	if (isJsonMode()) {
+		output(createResponse(true, { burierCount: page.total, offset, buriers }));
+		return;
+	}
+
+	header(`Buriers (${page.total})`);
+
+	if (buriers.length === 0) {
+		info('Nothing buried via the contract yet.');
+		return;
+	}
+
+	table(['#', 'Account ID', 'Serials Buried'], buriers.map((b, i) => [offset + i + 1, b.id, b.count]));
+	showPageRange(offset, buriers.length, page.total);
+	console.log('');
+}
+
+/**
+ * Show serials buried by an account
+ * @param {string} accountIdStr
+ * @param {string} [tokenIdStr]
+ */
+async function showBuriedBy(accountIdStr, tokenIdStr) {
+	const { env } = createClient();
+	const evmAddress = await homebrewPopulateAccountEvmAddress(env, accountIdStr, EntityType.ACCOUNT);
+
+	let tokenAddress = null;
+	let count;
+	if (tokenIdStr) {
+		tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+		count = await getBuriedCountForUser(tokenAddress, evmAddress);
+	}
+	else {
+		count = await getBuriedCountByUser(evmAddress);
+	}
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			accountId: accountIdStr,
+			evmAddress,
+			tokenId: tokenIdStr || null,
+			buried: count,
+		}));
+		return;
+	}
+
+	header('Burials by Account');
+	row('Account', accountIdStr);
+	row('EVM Address', evmAddress);
+	if (tokenIdStr) {
+		row('Token', tokenIdStr);
+	}
+	row('Serials Buried', count.toString());
+	console.log('');
+}
+
+/**
+ * Show a collection's burn-to-redeem hook
+ * @param {string} tokenIdStr
+ */
+async function showHook(tokenIdStr) {
+	const { env } = createClient();
+	const tokenAddress = await homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN);
+	const hookAddress = await getBurialHook(tokenAddress);
+	const hasHook = !/^0x0{40}$/i.test(hookAddress);
+	const hookId = hasHook ? await evmToHederaId(hookAddress, env, EntityType.CONTRACT) : null;
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			tokenId: tokenIdStr,
+			hook: hookId,
+			hookEvmAddress: hasHook ? hookAddress : null,
+		}));
+		return;
+	}
+
+	header(`Burial Hook - ${tokenIdStr}`);
+	row('Hook', hasHook ? `${hookId} (${hookAddress})` : 'none');
+	console.log('');
+}
+
+/**
+ * Load every NFTsBuried and FTBuried event
+ * Starts from the events.js store when one exists and fetches only newer logs; the store
+ * file itself is left untouched (events.js sync owns it)
+ * @param {string} env
+ * @param {string} network
+ * @param {string} graveyardId
+ * @returns {Promise<{ burials: object[], ftBurials: object[], storePath: string|null }>}
+ */
+async function loadBurials(env, network, graveyardId) {
+	const storePath = getOption('store') || defaultStorePath(graveyardId);
+	const store = loadStore(storePath, network, graveyardId);
+	const decoder = createEventDecoder(loadABI('TokenGraveyard'));
+
+	await syncEvents(env, graveyardId, decoder, store);
+
+	return { burials: store.burials, ftBurials: store.ftBurials, storePath: fs.existsSync(storePath) ? storePath : null };
+}
+
+/**
+ * Show burial statistics: top buriers, most buried collections, burials per day and fungible burials
+ */
+async function showStats() {
+	const { env, network } = createClient();
+	const { graveyardId } = validateGraveyardConfig();
+
+	const top = parseInt(getOption('top') ?? `${DEFAULT_TOP}`, 10);
+	if (isNaN(top) || top <= 0) {
+		error('--top must be > 0');
+		process.exit(2);
+	}
+	let window;
+	try {
+		window = parseWindow({
+			from: getOption('from'),
+			to: getOption('to'),
+			days: getOption('days'),
+		});
+	}
+	catch (err) {
+		error(err.message);
+		process.exit(2);
+	}
+
+	const { burials, ftBurials, storePath } = await loadBurials(env, network, graveyardId.toString());
+	const stats = aggregateBurials(burials, window);
+	const ftStats = aggregateFtBurials(ftBurials, window);
+
+	// Names for every collection that is shown or exported
+	const csvPath = getOption('csv');
+	const named = [...(csvPath ? stats.tokens : stats.tokens.slice(0, top)), ...ftStats.tokens.slice(0, top)];
+	await Promise.all(named.map(async (t) => {
+		const details = await getTokenDetails(env, t.token);
+		t.name = details?.name ?? null;
+		t.symbol = details?.symbol ?? null;
+	}));
+
+	if (csvPath) {
+		fs.writeFileSync(csvPath, statsToCsv(stats));
+	}
+
+	const windowIso = {
+		from: window.from !== null ? new Date(window.from * 1000).toISOString() : null,
+		to: window.to !== null ? new Date(window.to * 1000).toISOString() : null,
+	};
+
+	if (isJsonMode()) {
+		output(createResponse(true, {
+			window: windowIso,
+			totals: stats.totals,
+			topBuriers: stats.users.slice(0, top),
+			topCollections: stats.tokens.slice(0, top),
+			perDay: stats.days,
+			fungible: {
+				totals: ftStats.totals,
+				topTokens: ftStats.tokens.slice(0, top),
+			},
+			csv: csvPath || null,
+		}));
+		return;
+	}
+
+	header('Graveyard Statistics');
+	row('Window', `${windowIso.from ?? 'first burial'} -> ${windowIso.to ?? 'now'}`);
+	row('Serials Buried', `${stats.totals.serials} (${stats.totals.viaStaking} staking, ${stats.totals.direct} direct)`);
+	row('Burials', stats.totals.burials.toString());
+	row('Buriers', stats.totals.buriers.toString());
+	row('Collections', stats.totals.collections.toString());
+	row('Fungible Burials', `${ftStats.totals.burials} (${ftStats.totals.tokens} token(s))`);
+
+	if (stats.totals.burials === 0 && ftStats.totals.burials === 0) {
+		info('\n  No burials in this window.');
+		return;
+	}
+
+	if (stats.totals.burials > 0) {
+		console.log('\n  Top Buriers');
+		table(['#', 'Account ID', 'Serials', 'Burials', 'Collections'],
+			stats.users.slice(0, top).map((u, i) => [i + 1, u.account, u.serials, u.burials, u.collections]));
+
+		console.log('\n  Most Buried Collections');
+		table(['#', 'Token ID', 'Name', 'Serials', 'Buriers'],
+			stats.tokens.slice(0, top).map((t, i) => [i + 1, t.token, t.symbol ? `${t.name} (${t.symbol})` : (t.name ?? '-'), t.serials, t.buriers]));
+
+		console.log('\n  Burials per Day (UTC)');
+		table(['Date', 'Serials', 'Burials', 'Buriers'], stats.days.map(d => [d.date, d.serials, d.burials, d.buriers]));
+	}
+
+	if (ftStats.totals.burials > 0) {
+		console.log('\n  Fungible Tokens Buried');
+		table(['#', 'Token ID', 'Name', 'Amount (raw)', 'Burials', 'Buriers'],
+			ftStats.tokens.slice(0, top).map((t, i) => [i + 1, t.token, t.symbol ? `${t.name} (${t.symbol})` : (t.name ?? '-'), t.amount, t.burials, t.buriers]));
+	}
+
+	if (csvPath) {
+		info(`CSV written to ${csvPath}`);
+	}
+	if (!storePath) {
+		info('Tip: run events.js sync to keep a local event store so stats only fetch new logs.');
+	}
+	console.log('');
+}
+
+/**
+ * Audit the graveyard against the mirror node: associations, held NFTs, fungible balances and deleted tokens
+ * Exits 1 when any discrepancy is found
+ */
+async function showAudit() {
+	const { env, network } = createClient();
+	const { graveyardId } = validateGraveyardConfig();
+	const graveyard = graveyardId.toString();
+
+	const addresses = await getAssociatedTokens();
+	const contractTokens = await Promise.all(addresses.map(addr => evmToHederaId(addr, env, EntityType.TOKEN)));
+
+	const accountTokens = await getAccountTokens(env, graveyard);
+
+	const { burials, ftBurials } = await loadBurials(env, network, graveyard);
+
+	const ids = new Set([...contractTokens, ...accountTokens.map(t => t.token_id), ...burials.map(b => b.token), ...ftBurials.map(b => b.token)]);
+	const tokenDetails = new Map(await Promise.all([...ids].map(async id => [id, await getTokenDetails(env, id)])));
+
+	const audit = auditGraveyard({ contractTokens, accountTokens, tokenDetails, burials, ftBurials });
+	const clean = audit.discrepancies === 0;
+
+	if (isJsonMode()) {
+		const err = clean ? null : { code: 'AUDIT_DISCREPANCIES', message: `${audit.discrepancies} discrepancy(ies) found` };
+		output(createResponse(clean, { graveyard, ...audit }, err));
+	}
+	else {
+		header('Graveyard Audit');
+		row('Graveyard', graveyard);
+		row('Tracked (contract)', contractTokens.length.toString());
+		row('Associated (HTS)', accountTokens.length.toString());
+		row('Collections Buried', new Set(burials.map(b => b.token)).size.toString());
+		row('Fungible Tokens Buried', new Set(ftBurials.map(b => b.token)).size.toString());
+
+		console.log('');
+		table(['Token', 'Name', 'Contract', 'HTS', 'Held', 'Buried', 'Status'],
+			audit.tokens.map(t => {
+				const types = audit.findings.filter(f => f.token === t.token).map(f => f.type);
+				return [t.token, t.name || 'Unknown', t.tracked ? 'yes' : 'no', t.associated ? 'yes' : 'no',
+					t.held, t.buried, types.length > 0 ? types.join(', ') : 'ok'];
+			}));
+
+		console.log('');
+		for (const finding of audit.findings) {
+			const report = DISCREPANCIES.has(finding.type) ? error : warning;
+			report(`${finding.token}: ${finding.message}`);
+		}
+
+		if (clean) {
+			success('No discrepancies');
+		}
+		else {
+			error(`${audit.discrepancies} discrepancy(ies) found`);
+		}
+		console.log('');
+	}
+
+	if (!clean) {
+		process.exit(1);
+	}
+}
+
+/**
+ * List the named profiles and the one this run uses
+ */
+function showProfiles() {
+	const active = applyProfile();
+	const file = readProfiles();
+
+	const profiles = Object.entries(file.profiles).map(([name, settings]) => ({
+		name,
+		default: name === file.default,
+		active: name === active,
+		environment: settings.ENVIRONMENT ?? null,
+		graveyard: settings.GRAVEYARD_CONTRACT_ID ?? null,
+		settings: maskSettings(settings),
+	}));
+
+	if (isJsonMode()) {
+		output(createResponse(true, { file: file.path, default: file.default, active, profiles }));
+		return;
+	}
+
+	header(`Profiles (${profiles.length})`);
+	row('File', file.path);
+	if (profiles.length === 0) {
+		info(file.exists ? 'No profiles defined' : 'No profiles file - settings come from .env');
+		console.log('');
+		return;
+	}
+
+	table(
+		['', 'Name', 'Environment', 'Graveyard', 'Settings'],
+		profiles.map(p => [
+			p.active ? '*' : '',
+			p.default ? `${p.name} (default)` : p.name,
+			p.environment ?? '(.env)',
+			p.graveyard ?? '(.env)',
+			Object.keys(p.settings).join(', '),
+		]),
+	);
+	console.log('');
+	info('* = in use. Select a profile with --profile <name> or GRAVEYARD_PROFILE');
+	console.log('');
+}
+
 /**
  * Parse arguments and run
  */
 async function main() {
-	const args = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
+	const args = getPositionalArgs(VALUE_OPTIONS);
 	const command = args[0] || 'status';
 	const param = args[1];
 
@@ -468,7 +1107,7 @@ async function main() {
 			await showStatus();
 			break;
 		case 'cost':
-			await showCost();
+			await showCost(param);
 			break;
 		case 'tokens':
 			await showTokens();
@@ -500,6 +1139,35 @@ async function main() {
 			}
 			await checkIsAssociated(param);
 			break;
+		case 'buried':
+			await showBuried(param);
+			break;
+		case 'buriers':
+			await showBuriers();
+			break;
+		case 'buried-by':
+			if (!param) {
+				error('Account ID required. Usage: info.js buried-by 0.0.12345 [token]');
+				process.exit(2);
+			}
+			await showBuriedBy(param, args[2]);
+			break;
+		case 'hook':
+			if (!param) {
+				error('Token ID required. Usage: info.js hook 0.0.48486075');
+				process.exit(2);
+			}
+			await showHook(param);
+			break;
+		case 'stats':
+			await showStats();
+			break;
+		case 'audit':
+			await showAudit();
+			break;
+		case 'profiles':
+			showProfiles();
+			break;
 		default:
 			error(`Unknown command: ${command}`);
 			showHelp();
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Token Graveyard Keystore
+ * Create and inspect the encrypted keystore the CLI can sign with instead of a raw PRIVATE_KEY
+ *
+ * Usage:
+ *   node scripts/cli/keystore.js <command> [options]
+ *
+ * Commands:
+ *   create              Encrypt PRIVATE_KEY (or a key typed at the prompt) into a keystore
+ *   inspect [file]      Show a keystore's account and public key (default KEYSTORE_FILE)
+ *
+ * Options:
+ *   --out <file>        Keystore to create (default KEYSTORE_FILE or graveyard.keystore.json)
+ *   --force             Overwrite an existing keystore
+ *   --json              Output in JSON format
+ *   --help, -h          Show help
+ */
+
+const fs = require('fs');
+const { AccountId, PrivateKey } = require('@hashgraph/sdk');
+const {
+	initOutputMode,
+	isJsonMode,
+	createResponse,
+	output,
+	header,
+	row,
+	success,
+	info,
+	error,
+} = require('./lib/format');
+const { getOption, getPositionalArgs } = require('./lib/args');
+const {
+	DEFAULT_KEYSTORE_FILE,
+	encryptKeystore,
+	readKeystore,
+	promptHidden,
+} = require('./lib/signer');
+
+require('dotenv').config();
+
+// Initialize output mode
+initOutputMode();
+
+// Options that consume the following argument
+const VALUE_OPTIONS = ['out'];
+
+/**
+ * Show help
+ */
+function showHelp() {
+	console.log(`
+Token Graveyard Keystore
+
+Encrypts the operator key with a passphrase (scrypt + AES-256-GCM). Point
+KEYSTORE_FILE at the keystore and remove PRIVATE_KEY from .env: the CLI asks
+for the passphrase the first time it signs, or reads KEYSTORE_PASSPHRASE.
+
+Usage:
+  node scripts/cli/keystore.js <command> [options]
+
+Commands:
+  create              Encrypt PRIVATE_KEY (or a key typed at the prompt)
+  inspect [file]      Show a keystore's account and public key
+
+Options:
+  --out <file>        Keystore to create (default KEYSTORE_FILE or ${DEFAULT_KEYSTORE_FILE})
+  --force             Overwrite an existing keystore
+  --json              Output in JSON format (for scripting)
+  --help, -h          Show this help
+
+Environment:
+  PRIVATE_KEY         Key to encrypt (prompted for if not set)
+  ACCOUNT_ID          Stored with the key, used when ACCOUNT_ID is not set
+  KEYSTORE_PASSPHRASE Passphrase (prompted for twice if not set)
+
+Examples:
+  node scripts/cli/keystore.js create --out operator.keystore.json
+  node scripts/cli/keystore.js inspect operator.keystore.json
+`);
+}
+
+/**
+ * Passphrase for a new keystore (KEYSTORE_PASSPHRASE, else typed twice)
+ * @returns {Promise<string>}
+ */
+async function newPassphrase() {
+	if (process.env.KEYSTORE_PASSPHRASE) {
+		return process.env.KEYSTORE_PASSPHRASE;
+	}
+
+	const passphrase = await promptHidden('New passphrase: ');
+	if (await promptHidden('Repeat passphrase: ') !== passphrase) {
+		throw new Error('Passphrases do not match');
+	}
+	return passphrase;
+}
+
+/**
+ * Keystore fields that are safe to show
+ * @param {string} filePath
+ * @param {object} keystore
+ * @returns {object}
+ */
+function describeKeystore(filePath, keystore) {
+	return {
+		file: filePath,
+		accountId: keystore.accountId,
+		keyType: keystore.keyType,
+		publicKey: keystore.publicKey,
+		kdf: keystore.crypto.kdf,
+		cipher: keystore.crypto.cipher,
+	};
+}
+
+/**
+ * Encrypt the operator key into a keystore file
+ */
+async function createKeystore() {
+	const filePath = getOption('out') || process.env.KEYSTORE_FILE || DEFAULT_KEYSTORE_FILE;
+	if (fs.existsSync(filePath) && !process.argv.includes('--force')) {
+		throw new Error(`${filePath} already exists - pass --force to overwrite it`);
+	}
+
+	const accountId = process.env.ACCOUNT_ID ? AccountId.fromString(process.env.ACCOUNT_ID).toString() : null;
+	const privateKey = PrivateKey.fromString(process.env.PRIVATE_KEY || await promptHidden('Private key: '));
+	const passphrase = await newPassphrase();
+
+	const keystore = await encryptKeystore(privateKey, passphrase, { accountId });
+	fs.writeFileSync(filePath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+
+	const summary = describeKeystore(filePath, keystore);
+	if (isJsonMode()) {
+		output(createResponse(true, summary));
+		return;
+	}
+
+	success(`Keystore written to ${filePath}`);
+	row('Account', summary.accountId ?? '(not stored - set ACCOUNT_ID)');
+	row('Key Type', summary.keyType);
+	row('Public Key', summary.publicKey);
+	console.log('');
+	info(`Set KEYSTORE_FILE=${filePath} and remove PRIVATE_KEY from .env`);
+	console.log('');
+}
+
+/**
+ * Show a keystore without decrypting it
+ * @param {string} filePath
+ */
+function inspectKeystore(filePath) {
+	const summary = describeKeystore(filePath, readKeystore(filePath));
+
+	if (isJsonMode()) {
+		output(createResponse(true, summary));
+		return;
+	}
+
+	header('Keystore');
+	row('File', summary.file);
+	row('Account', summary.accountId ?? '(not stored)');
+	row('Key Type', summary.keyType);
+	row('Public Key', summary.publicKey);
+	row('Encryption', `${summary.kdf} + ${summary.cipher}`);
+	console.log('');
+}
+
+/**
+ * Parse arguments and run
+ */
+async function main() {
+	const args = getPositionalArgs(VALUE_OPTIONS);
+	const command = args[0];
+
+	if (process.argv.includes('--help') || process.argv.includes('-h') || !command) {
+		showHelp();
+		process.exit(command ? 0 : 2);
+	}
+
+	try {
+		switch (command) {
+		case 'create':
+			await createKeystore();
+			break;
+		case 'inspect':
+			inspectKeystore(args[1] || process.env.KEYSTORE_FILE || DEFAULT_KEYSTORE_FILE);
+			break;
+		default:
+			error(`Unknown command: ${command}`);
+			showHelp();
+			process.exit(2);
+		}
+		process.exit(0);
+	}
+	catch (err) {
+		if (isJsonMode()) {
+			output(createResponse(false, null, err));
+		}
+		else {
+			error(err.message);
+		}
+		process.exit(1);
+	}
+}
+
+main();
@@ -0,0 +1,59 @@
+/**
+ * Command Line Argument Utilities
+ * Shared parsing for options that take a value (e.g. --out plan.json)
+ */
+
+/**
+ * Get the value of an option passed as `--name value` or `--name=value`
+ * @param {string} name - Option name without leading dashes
+ * @param {string[]} argv
+ * @returns {string|undefined}
+ */
+function getOption(name, argv = process.argv) {
+	const flag = `--${name}`;
+
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === flag) {
+			return argv[i + 1];
+		}
+		if (argv[i].startsWith(`${flag}=`)) {
+			return argv[i].substring(flag.length + 1);
+		}
+	}
+
+	return undefined;
+}
+
+// Value-taking options every script accepts (see profiles.js and unsigned.js)
+const GLOBAL_VALUE_OPTIONS = ['profile', 'export', 'valid-start'];
+
+/**
+ * Get positional arguments, skipping flags and the values of value-taking options
+ * @param {string[]} valueOptions - Option names (without dashes) that consume the next argument
+ * @param {string[]} argv
+ * @returns {string[]}
+ */
+function getPositionalArgs(valueOptions = [], argv = process.argv) {
+	const valueFlags = new Set([...GLOBAL_VALUE_OPTIONS, ...valueOptions].map(name => `--${name}`));
+	const positional = [];
+
+	const args = argv.slice(2);
+	for (let i = 0; i < args.length; i++) {
+		if (valueFlags.has(args[i])) {
+			// Skip the option's value as well
+			i++;
+			continue;
+		}
+		if (args[i].startsWith('-')) {
+			continue;
+		}
+		positional.push(args[i]);
+	}
+
+	return positional;
+}
+
+module.exports = {
+	getOption,
+	getPositionalArgs,
+};
@@ -0,0 +1,138 @@
+/**
+ * Graveyard Audit
+ * Checks the graveyard's on-chain records against the ledger as seen by the mirror node
+ *
+ * The contract's association set (getAssociatedTokens) should match the graveyard account's HTS
+ * associations, and for each NFT collection the graveyard should hold at least as many serials as
+ * the indexed NFTsBuried events (see indexer.js) say were buried. Held serials beyond that are
+ * direct sends that were never registered - reported, but not a discrepancy.
+ *
+ * Fungible tokens with FTBuried events are checked the same way on raw amounts. Fungible tokens
+ * that were never buried are left alone: the graveyard legitimately holds $LAZY between withdrawals.
+ */
+
+const FindingType = {
+	NOT_ASSOCIATED: 'not-associated',
+	UNTRACKED_ASSOCIATION: 'untracked-association',
+	DELETED: 'deleted',
+	MISSING_NFTS: 'missing-nfts',
+	UNREGISTERED_NFTS: 'unregistered-nfts',
+	MISSING_TOKENS: 'missing-tokens',
+	UNREGISTERED_TOKENS: 'unregistered-tokens',
+};
+
+// Finding types that mean the records and the ledger disagree (the rest are informational)
+const DISCREPANCIES = new Set([
+	FindingType.NOT_ASSOCIATED,
+	FindingType.UNTRACKED_ASSOCIATION,
+	FindingType.DELETED,
+	FindingType.MISSING_NFTS,
+	FindingType.MISSING_TOKENS,
+]);
+
+/**
+ * Serials buried per collection
+ * @param {object[]} burials - indexed burial rows
+ * @returns {Map<string, number>}
+ */
+function buriedSerialsByToken(burials) {
+	const counts = new Map();
+	for (const burial of burials) {
+		counts.set(burial.token, (counts.get(burial.token) ?? 0) + burial.serials.length);
+	}
+	return counts;
+}
+
+/**
+ * Raw amounts buried per fungible token
+ * @param {object[]} ftBurials - indexed ftBurials rows
+ * @returns {Map<string, bigint>}
+ */
+function buriedAmountsByToken(ftBurials) {
+	const amounts = new Map();
+	for (const burial of ftBurials) {
+		amounts.set(burial.token, (amounts.get(burial.token) ?? 0n) + BigInt(burial.amount));
+	}
+	return amounts;
+}
+
+/**
+ * Compare the contract's association set, the graveyard's HTS associations and the burial totals
+ * held and buried are serial counts, except for buried fungible tokens where they are raw amounts (strings)
+ * @param {object} params
+ * @param {string[]} params.contractTokens - Token IDs from getAssociatedTokens()
+ * @param {object[]} params.accountTokens - Graveyard token relationships from the mirror node ({ token_id, balance })
+ * @param {Map<string, object|null>} params.tokenDetails - Mirror node token details by token ID
+ * @param {object[]} params.burials - indexed burial rows
+ * @param {object[]} [params.ftBurials=[]] - indexed ftBurials rows
+ * @returns {{ tokens: object[], findings: object[], discrepancies: number }}
+ */
+function auditGraveyard({ contractTokens, accountTokens, tokenDetails, burials, ftBurials = [] }) {
+	const tracked = new Set(contractTokens);
+	const balances = new Map(accountTokens.map(t => [t.token_id, BigInt(t.balance)]));
+	const buried = buriedSerialsByToken(burials);
+	const buriedAmounts = buriedAmountsByToken(ftBurials);
+
+	const ids = [...new Set([...tracked, ...balances.keys(), ...buried.keys(), ...buriedAmounts.keys()])]
+		.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+	const tokens = [];
+	const findings = [];
+	for (const token of ids) {
+		const details = tokenDetails.get(token) ?? null;
+		const fungible = buriedAmounts.has(token);
+		const held = balances.get(token) ?? 0n;
+		const entry = {
+			token,
+			name: details?.name ?? null,
+			type: details?.type ?? null,
+			tracked: tracked.has(token),
+			associated: balances.has(token),
+			deleted: details?.deleted ?? false,
+			held: fungible ? held.toString() : Number(held),
+			buried: fungible ? buriedAmounts.get(token).toString() : buried.get(token) ?? 0,
+		};
+		tokens.push(entry);
+
+		const add = (type, message) => findings.push({ token, type, message });
+
+		if (entry.tracked && !entry.associated) {
+			add(FindingType.NOT_ASSOCIATED, 'Listed by getAssociatedTokens() but not associated with the graveyard account');
+		}
+		if (!entry.tracked && entry.associated) {
+			add(FindingType.UNTRACKED_ASSOCIATION, 'Associated with the graveyard account but missing from getAssociatedTokens()');
+		}
+		if (entry.deleted) {
+			add(FindingType.DELETED, 'Token has been deleted');
+		}
+		if (fungible) {
+			const amount = buriedAmounts.get(token);
+			if (held < amount) {
+				add(FindingType.MISSING_TOKENS, `Graveyard holds ${held} (raw) but ${amount} were buried (wiped or moved out)`);
+			}
+			else if (held > amount) {
+				add(FindingType.UNREGISTERED_TOKENS, `${held - amount} (raw) held beyond the FTBuried total (unregistered direct sends)`);
+			}
+		}
+		else if (entry.type === 'NON_FUNGIBLE_UNIQUE' || entry.buried > 0) {
+			if (entry.held < entry.buried) {
+				add(FindingType.MISSING_NFTS, `Graveyard holds ${entry.held} serial(s) but ${entry.buried} were buried (wiped or moved out)`);
+			}
+			else if (entry.held > entry.buried) {
+				add(FindingType.UNREGISTERED_NFTS, `${entry.held - entry.buried} held serial(s) have no NFTsBuried event (unregistered direct sends)`);
+			}
+		}
+	}
+
+	return {
+		tokens,
+		findings,
+		discrepancies: findings.filter(f => DISCREPANCIES.has(f.type)).length,
+	};
+}
+
+module.exports = {
+	FindingType,
+	DISCREPANCIES,
+	auditGraveyard,
+};
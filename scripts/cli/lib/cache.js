@@ -0,0 +1,198 @@
+/**
+ * Mirror Lookup Cache
+ * On-disk cache of mirror node lookups shared by every CLI script
+ *
+ * Entries are grouped by mirror node base URL, so testnet, mainnet and a local emulator never
+ * share answers. Each kind of entry has its own time to live: ID <-> EVM address mappings never
+ * change and are kept forever, token details (supply, deleted flag) expire after a few minutes.
+ * The file is rewritten whenever an entry is added, because the scripts end with process.exit.
+ *
+ * Pass --no-cache to bypass it for one run, or run `cache.js clear` to delete it.
+ */
+
+const fs = require('fs');
+const { getMirrorClient } = require('../../../utils/mirrorClient');
+
+const CACHE_VERSION = 1;
+const DEFAULT_CACHE_FILE = '.graveyard-cache.json';
+
+// Time to live per entry kind in ms (null = never expires)
+const CACHE_TTL = {
+	evmAddress: null,
+	entityId: null,
+	token: 5 * 60 * 1000,
+};
+
+/**
+ * Cache file path (GRAVEYARD_CACHE_FILE or .graveyard-cache.json in the working directory)
+ * @returns {string}
+ */
+function defaultCachePath() {
+	return process.env.GRAVEYARD_CACHE_FILE || DEFAULT_CACHE_FILE;
+}
+
+/**
+ * Whether the cache is bypassed for this run
+ * @param {string[]} argv
+ * @returns {boolean}
+ */
+function isCacheDisabled(argv = process.argv) {
+	return argv.includes('--no-cache');
+}
+
+/**
+ * Read a cache file, or an empty cache if it is missing, unreadable or from another version
+ * @param {string} filePath
+ * @returns {{ version: number, mirrors: object }}
+ */
+function readCacheFile(filePath) {
+	try {
+		const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		if (data.version === CACHE_VERSION && data.mirrors) {
+			return data;
+		}
+	}
+	catch {
+		// missing or corrupt - start again
+	}
+	return { version: CACHE_VERSION, mirrors: {} };
+}
+
+/**
+ * Cache entries for one mirror node, persisted to a JSON file
+ * Implements the { get, set } interface MirrorClient.cached() expects
+ */
+class DiskCache {
+	/**
+	 * @param {string} filePath
+	 * @param {string} baseUrl - Mirror node the entries came from
+	 * @param {object} [options]
+	 * @param {function(): number} [options.now=Date.now] - Clock (ms)
+	 */
+	constructor(filePath, baseUrl, { now = Date.now } = {}) {
+		this.path = filePath;
+		this.baseUrl = baseUrl;
+		this.now = now;
+		this.data = readCacheFile(filePath);
+	}
+
+	/**
+	 * Entries for this cache's mirror node
+	 * @returns {object} `${kind}:${id}` -> { value, expires }
+	 */
+	entries() {
+		this.data.mirrors[this.baseUrl] ??= {};
+		return this.data.mirrors[this.baseUrl];
+	}
+
+	/**
+	 * Look an entry up
+	 * @param {string} kind
+	 * @param {string} id
+	 * @returns {any} undefined on a miss or an expired entry
+	 */
+	get(kind, id) {
+		const entry = this.entries()[`${kind}:${id}`];
+		if (!entry || (entry.expires !== null && entry.expires <= this.now())) {
+			return undefined;
+		}
+		return entry.value;
+	}
+
+	/**
+	 * Store an entry and save the file
+	 * Kinds without a time to live in CACHE_TTL are not cached
+	 * @param {string} kind
+	 * @param {string} id
+	 * @param {any} value - JSON-serialisable
+	 */
+	set(kind, id, value) {
+		const ttl = CACHE_TTL[kind];
+		if (ttl === undefined) {
+			return;
+		}
+
+		this.entries()[`${kind}:${id}`] = {
+			value,
+			expires: ttl === null ? null : this.now() + ttl,
+		};
+		this.save();
+	}
+
+	/**
+	 * Write the file (via a temporary file, so a crash never leaves half a cache)
+	 */
+	save() {
+		const tmpPath = `${this.path}.${process.pid}.tmp`;
+		fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+		fs.renameSync(tmpPath, this.path);
+	}
+}
+
+/**
+ * Attach the disk cache to the shared mirror client for an environment
+ * Does nothing with --no-cache or when a cache is already attached
+ * @param {string} env - Mirror node (network name or base URL)
+ * @returns {DiskCache|null} the attached cache, null when bypassed
+ */
+function attachMirrorCache(env) {
+	if (isCacheDisabled()) {
+		return null;
+	}
+
+	const mirror = getMirrorClient(env);
+	mirror.cache ??= new DiskCache(defaultCachePath(), mirror.baseUrl);
+	return mirror.cache;
+}
+
+/**
+ * Summarise a cache file
+ * @param {string} filePath
+ * @param {number} [now=Date.now()]
+ * @returns {{ path: string, exists: boolean, bytes: number, mirrors: object[] }}
+ */
+function describeCache(filePath, now = Date.now()) {
+	const exists = fs.existsSync(filePath);
+	const { mirrors } = readCacheFile(filePath);
+
+	return {
+		path: filePath,
+		exists,
+		bytes: exists ? fs.statSync(filePath).size : 0,
+		mirrors: Object.entries(mirrors).map(([mirror, entries]) => {
+			const kinds = {};
+			let expired = 0;
+			for (const [key, entry] of Object.entries(entries)) {
+				const kind = key.substring(0, key.indexOf(':'));
+				kinds[kind] = (kinds[kind] ?? 0) + 1;
+				if (entry.expires !== null && entry.expires <= now) expired++;
+			}
+			return { mirror, entries: Object.keys(entries).length, expired, kinds };
+		}),
+	};
+}
+
+/**
+ * Delete a cache file
+ * @param {string} filePath
+ * @returns {number} entries removed (0 if there was no file)
+ */
+function clearCache(filePath) {
+	if (!fs.existsSync(filePath)) {
+		return 0;
+	}
+
+	const removed = describeCache(filePath).mirrors.reduce((sum, m) => sum + m.entries, 0);
+	fs.unlinkSync(filePath);
+	return removed;
+}
+
+module.exports = {
+	CACHE_TTL,
+	DiskCache,
+	defaultCachePath,
+	isCacheDisabled,
+	attachMirrorCache,
+	describeCache,
+	clearCache,
+};
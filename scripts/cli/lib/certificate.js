@@ -0,0 +1,271 @@
+/**
+ * Burial Certificates
+ * Proof-of-burial documents built from a graveyard transaction's NFTsBuried log(s)
+ *
+ * A certificate is { certificate, signature }. The operator signs the UTF-8 bytes of
+ * JSON.stringify(certificate). Verifying one checks the signature, that the signing key is the
+ * signer account's key on the mirror node and that the burials match the transaction's
+ * NFTsBuried log(s), so a re-signed or edited copy is rejected.
+ */
+
+const { PublicKey } = require('@hashgraph/sdk');
+
+const CERTIFICATE_VERSION = 1;
+
+/**
+ * Normalise a transaction ID to the mirror node form (0.0.x-seconds-nanos)
+ * Accepts SDK form (0.0.x@seconds.nanos), mirror form, or a transaction hash
+ * @param {string} transactionId
+ * @returns {string}
+ */
+function toMirrorTransactionId(transactionId) {
+	const match = transactionId.match(/^(\d+\.\d+\.\d+)@(\d+)\.(\d+)$/);
+	return match ? `${match[1]}-${match[2]}-${match[3].padStart(9, '0')}` : transactionId;
+}
+
+/**
+ * Default certificate path for a transaction (e.g. burial-certificate-0.0.1001-1700000000-000000000.json)
+ * @param {string} transactionId
+ * @returns {string}
+ */
+function defaultCertificatePath(transactionId) {
+	return `burial-certificate-${toMirrorTransactionId(transactionId).replace(/[^\w.-]/g, '_')}.json`;
+}
+
+/**
+ * Build the (unsigned) certificate body
+ * @param {object} params
+ * @param {string} params.network - testnet | mainnet
+ * @param {string} params.graveyard - Graveyard contract ID
+ * @param {string} params.transactionId - Mirror form transaction ID (or hash if that was given)
+ * @param {string} params.transactionHash
+ * @param {string} params.consensusTimestamp - seconds.nanos
+ * @param {object[]} params.burials - { token, name, symbol, burier, viaStaking, serials: [{ serial, owner }] }
+ * @returns {object}
+ */
+function buildCertificate({ network, graveyard, transactionId, transactionHash, consensusTimestamp, burials }) {
+	const entries = burials.map(b => ({
+		token: b.token,
+		name: b.name ?? null,
+		symbol: b.symbol ?? null,
+		burier: b.burier,
+		method: b.viaStaking ? 'staking' : 'direct',
+		serials: b.serials.map(s => ({
+			serial: s.serial,
+			owner: s.owner ?? null,
+			heldByGraveyard: s.owner === graveyard,
+		})),
+	}));
+
+	return {
+		version: CERTIFICATE_VERSION,
+		type: 'proof-of-burial',
+		network,
+		graveyard,
+		transactionId,
+		transactionHash,
+		consensusTimestamp,
+		consensusTime: new Date(parseFloat(consensusTimestamp) * 1000).toISOString(),
+		burials: entries,
+		verified: entries.every(b => b.serials.every(s => s.heldByGraveyard)),
+		verifiedAt: new Date().toISOString(),
+	};
+}
+
+/**
+ * Sign a certificate body with the operator's key
+ * @param {object} certificate - from buildCertificate
+ * @param {{ publicKey: PublicKey, sign: function(Uint8Array): Promise<Uint8Array> }} signer - from loadOperatorSigner
+ * @param {string} signerId - Account the key belongs to
+ * @returns {Promise<{ certificate: object, signature: object }>}
+ */
+async function signCertificate(certificate, signer, signerId) {
+	const message = Buffer.from(JSON.stringify(certificate), 'utf8');
+	return {
+		certificate,
+		signature: {
+			signer: signerId,
+			publicKey: signer.publicKey.toStringDer(),
+			algorithm: signer.publicKey.type,
+			value: Buffer.from(await signer.sign(message)).toString('hex'),
+		},
+	};
+}
+
+/**
+ * Check a signed certificate's signature against its embedded public key
+ * @param {{ certificate: object, signature: object }} signed
+ * @returns {boolean}
+ */
+function verifyCertificate(signed) {
+	if (!signed?.certificate || !signed?.signature?.publicKey || !signed?.signature?.value) {
+		return false;
+	}
+
+	try {
+		const publicKey = PublicKey.fromString(signed.signature.publicKey);
+		const message = Buffer.from(JSON.stringify(signed.certificate), 'utf8');
+		return publicKey.verify(message, Buffer.from(signed.signature.value, 'hex'));
+	}
+	catch {
+		return false;
+	}
+}
+
+/**
+ * Whether a mirror node account key is the key a certificate was signed with
+ * @param {{ publicKey: string }} signature
+ * @param {{ _type: string, key: string }|null} accountKey - The account's `key` from the mirror node
+ * @returns {boolean} false for key lists, threshold keys and unknown accounts
+ */
+function isSignerAccountKey(signature, accountKey) {
+	if (!accountKey?.key || !signature?.publicKey) {
+		return false;
+	}
+
+	try {
+		let key;
+		if (accountKey._type === 'ED25519') {
+			key = PublicKey.fromStringED25519(accountKey.key);
+		}
+		else if (accountKey._type === 'ECDSA_SECP256K1') {
+			key = PublicKey.fromStringECDSA(accountKey.key);
+		}
+		else {
+			return false;
+		}
+		return key.toStringDer() === PublicKey.fromString(signature.publicKey).toStringDer();
+	}
+	catch {
+		return false;
+	}
+}
+
+/**
+ * Burials reduced to what the transaction proves (token, burier, method, serials)
+ * @param {object[]} burials - Certificate burial entries
+ * @returns {string}
+ */
+function burialFingerprint(burials) {
+	return JSON.stringify((burials ?? []).map(b => ({
+		token: b.token,
+		burier: b.burier,
+		method: b.method,
+		serials: b.serials.map(s => s.serial).sort((x, y) => x - y),
+	})));
+}
+
+/**
+ * Compare a certificate with the transaction it names, as read back from the mirror node
+ * @param {object} certificate
+ * @param {object} transaction
+ * @param {string} transaction.hash
+ * @param {string} transaction.timestamp - seconds.nanos
+ * @param {object[]} transaction.burials - { token, burier, viaStaking, serials: number[] } from its NFTsBuried log(s)
+ * @returns {string[]} differences, empty if the certificate matches
+ */
+function compareCertificate(certificate, { hash, timestamp, burials }) {
+	const problems = [];
+
+	if (certificate.transactionHash !== hash) {
+		problems.push(`Transaction hash ${certificate.transactionHash} does not match ${hash}`);
+	}
+	if (certificate.consensusTimestamp !== timestamp) {
+		problems.push(`Consensus timestamp ${certificate.consensusTimestamp} does not match ${timestamp}`);
+	}
+
+	const onChain = burials.map(b => ({
+		token: b.token,
+		burier: b.burier,
+		method: b.viaStaking ? 'staking' : 'direct',
+		serials: b.serials.map(serial => ({ serial })),
+	}));
+	if (burialFingerprint(certificate.burials) !== burialFingerprint(onChain)) {
+		problems.push('Burials do not match the transaction\'s NFTsBuried log(s)');
+	}
+
+	return problems;
+}
+
+/**
+ * Escape text for HTML
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a signed certificate as a printable HTML page
+ * @param {{ certificate: object, signature: object }} signed
+ * @returns {string}
+ */
+function renderCertificateHtml(signed) {
+	const c = signed.certificate;
+	const s = signed.signature;
+
+	const burials = c.burials.map(b => `
+	<h2>${escapeHtml(b.name ?? b.token)}${b.symbol ? ` (${escapeHtml(b.symbol)})` : ''}</h2>
+	<table>
+		<tr><th>Token</th><td>${escapeHtml(b.token)}</td></tr>
+		<tr><th>${b.method === 'staking' ? 'Buried by' : 'Registered by'}</th><td>${escapeHtml(b.burier)}</td></tr>
+		<tr><th>Method</th><td>${escapeHtml(b.method)}</td></tr>
+		<tr><th>Serials</th><td>${b.serials.map(x => `${escapeHtml(x.serial)}${x.heldByGraveyard ? '' : ' (not held by the graveyard)'}`).join(', ')}</td></tr>
+	</table>`).join('\n');
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Certificate of Burial - ${escapeHtml(c.transactionId)}</title>
+<style>
+	body { font-family: Georgia, serif; max-width: 800px; margin: 40px auto; color: #222; }
+	h1 { text-align: center; border-bottom: 3px double #222; padding-bottom: 12px; }
+	h2 { margin-top: 28px; }
+	table { border-collapse: collapse; width: 100%; }
+	th { text-align: left; width: 180px; vertical-align: top; }
+	th, td { padding: 4px 8px; border-bottom: 1px solid #ddd; font-size: 14px; word-break: break-all; }
+	.status { text-align: center; font-size: 18px; margin: 20px 0; }
+	.signature { margin-top: 32px; font-family: monospace; font-size: 11px; word-break: break-all; }
+	@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+	<h1>Certificate of Burial</h1>
+	<p class="status">${c.verified
+		? 'Every serial below was held by the graveyard when this certificate was issued.'
+		: 'WARNING: not every serial below was held by the graveyard when this certificate was issued.'}</p>
+	<table>
+		<tr><th>Network</th><td>${escapeHtml(c.network)}</td></tr>
+		<tr><th>Graveyard</th><td>${escapeHtml(c.graveyard)}</td></tr>
+		<tr><th>Transaction ID</th><td>${escapeHtml(c.transactionId)}</td></tr>
+		<tr><th>Transaction Hash</th><td>${escapeHtml(c.transactionHash)}</td></tr>
+		<tr><th>Consensus Time</th><td>${escapeHtml(c.consensusTime)} (${escapeHtml(c.consensusTimestamp)})</td></tr>
+		<tr><th>Verified At</th><td>${escapeHtml(c.verifiedAt)}</td></tr>
+	</table>
+${burials}
+	<div class="signature">
+		<p>Signed by ${escapeHtml(s.signer)} (${escapeHtml(s.algorithm)})</p>
+		<p>Public key: ${escapeHtml(s.publicKey)}</p>
+		<p>Signature: ${escapeHtml(s.value)}</p>
+	</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+	toMirrorTransactionId,
+	defaultCertificatePath,
+	buildCertificate,
+	signCertificate,
+	verifyCertificate,
+	isSignerAccountKey,
+	compareCertificate,
+	renderCertificateHtml,
+};
@@ -4,47 +4,93 @@
  */
 
 const {
-	Client,
 	AccountId,
-	PrivateKey,
 	ContractId,
 	TokenId,
 } = require('@hashgraph/sdk');
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { attachMirrorCache } = require('./cache');
+const { applyProfile } = require('./profiles');
+const { loadOperatorSigner } = require('./signer');
+const { loadNetworkProfile, createNetworkClient } = require('../../../utils/networkProfile');
+const { getProfileMirrorClient } = require('../../../utils/mirrorClient');
 
 require('dotenv').config();
 
+// Settings createClient reads - the shared client is rebuilt if any of them change
+const CLIENT_SETTINGS = [
+	'ENVIRONMENT',
+	'NETWORK_PROFILE',
+	'MIRROR_NODE_URL',
+	'MIRROR_API_KEY',
+	'MIRROR_API_KEY_HEADER',
+	'RELAY_URL',
+	'CONSENSUS_NODES',
+	'ACCOUNT_ID',
+	'PRIVATE_KEY',
+	'KEYSTORE_FILE',
+	'KEYSTORE_PASSPHRASE',
+	'SIGNER_COMMAND',
+	'SIGNER_PUBLIC_KEY',
+	'SIGNER_TIMEOUT_MS',
+	'WATCH_ONLY',
+];
+
+// Client built by createClient, reused while the settings it was built from are unchanged
+let shared = null;
+
 /**
- * Create and configure Hedera client based on environment
- * @returns {{ client: Client, operatorId: AccountId, operatorKey: PrivateKey, env: string }}
+ * Create and configure Hedera client from the network profile (see utils/networkProfile.js)
+ * after applying the named profile for this run, if any (see profiles.js).
+ * env is the mirror node base URL to query, network is testnet/mainnet/previewnet/local.
+ * The client is built once per process and the mirror lookup cache attached to it (unless --no-cache).
+ * The operator signs through `signer` (see signer.js); operatorKey is only set for a raw PRIVATE_KEY
+ * and the client has no operator when the run is watch-only.
+ * @returns {{ client: Client, operatorId: AccountId, operatorKey: PrivateKey|null, signer: object, env: string, network: string, profile: object }}
  */
 function createClient() {
-	const env = process.env.ENVIRONMENT?.toUpperCase();
-
-	if (!env || (env !== 'TEST' && env !== 'MAIN')) {
-		throw new Error('ENVIRONMENT must be TEST or MAIN in .env file');
+	applyProfile();
+	const key = CLIENT_SETTINGS.map(name => process.env[name]).join('|');
+	if (shared?.key !== key) {
+		shared = { key, config: buildClient() };
+		attachMirrorCache(shared.config.env);
 	}
+	return shared.config;
+}
 
-	if (!process.env.PRIVATE_KEY || !process.env.ACCOUNT_ID) {
-		throw new Error('PRIVATE_KEY and ACCOUNT_ID required in .env file');
-	}
+/**
+ * Build the Hedera client from the environment
+ * ACCOUNT_ID falls back to the account stored in the keystore
+ * @returns {{ client: Client, operatorId: AccountId, operatorKey: PrivateKey|null, signer: object, env: string, network: string, profile: object }}
+ */
+function buildClient() {
+	const profile = loadNetworkProfile();
+	const signer = loadOperatorSigner();
 
-	const operatorKey = PrivateKey.fromString(process.env.PRIVATE_KEY);
-	const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
+	const accountId = process.env.ACCOUNT_ID || signer.accountId;
+	if (!accountId) {
+		throw new Error('ACCOUNT_ID required in .env file');
+	}
+	const operatorId = AccountId.fromString(accountId);
 
-	const client = env === 'TEST'
-		? Client.forTestnet()
-		: Client.forMainnet();
+	const client = createNetworkClient(profile);
+	if (signer.sign) {
+		client.setOperatorWith(operatorId, signer.publicKey, signer.sign);
+	}
 
-	client.setOperator(operatorId, operatorKey);
+	// Mirror queries carry the profile's API key header
+	getProfileMirrorClient(profile);
 
 	return {
 		client,
 		operatorId,
-		operatorKey,
-		env: env === 'TEST' ? 'testnet' : 'mainnet',
+		operatorKey: signer.privateKey,
+		signer,
+		env: profile.mirrorUrl,
+		network: profile.network,
+		profile,
 	};
 }
 
@@ -53,6 +99,8 @@ function createClient() {
  * @returns {{ graveyardId: ContractId | null, lazyTokenId: TokenId, lazyGasStationId: ContractId }}
  */
 function getContractConfig() {
+	applyProfile();
+
 	const graveyardId = process.env.GRAVEYARD_CONTRACT_ID
 		? ContractId.fromString(process.env.GRAVEYARD_CONTRACT_ID)
 		: null;
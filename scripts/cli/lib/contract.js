@@ -3,11 +3,20 @@
  * Wrapper around solidityHelpers for CLI usage
  */
 
+const { Hbar, ContractExecuteTransaction } = require('@hashgraph/sdk');
 const { ethers } = require('ethers');
 const { contractExecuteFunction, readOnlyEVMFromMirrorNode } = require('../../../utils/solidityHelpers');
 const { estimateGas } = require('../../../utils/gasHelpers');
-const { homebrewPopulateAccountEvmAddress, EntityType } = require('../../../utils/hederaMirrorHelpers');
+const {
+	homebrewPopulateAccountEvmAddress,
+	homebrewPopulateAccountNum,
+	checkMirrorAllowance,
+	checkMirrorBalance,
+	EntityType,
+} = require('../../../utils/hederaMirrorHelpers');
 const { createClient, loadABI, validateGraveyardConfig } = require('./client');
+const { isJsonMode } = require('./format');
+const { isWatchOnly, exportUnsigned } = require('./unsigned');
 
 // Default fallback gas limits for different operations
 const GAS_LIMITS = {
@@ -19,18 +28,21 @@ const GAS_LIMITS = {
 	STAKING_BURIAL: 2_500_000,
 };
 
+// TokenGraveyard interface, parsed once per process
+let graveyardIface = null;
+
 /**
  * Create contract interface
+ * The client and ABI are shared, so this is cheap to call for every query
  * @returns {{ iface: ethers.Interface, graveyardId: ContractId, client: Client, env: string, operatorId: AccountId }}
  */
 function setupContract() {
 	const { client, operatorId, env } = createClient();
 	const { graveyardId } = validateGraveyardConfig();
-	const abi = loadABI('TokenGraveyard');
-	const iface = new ethers.Interface(abi);
+	graveyardIface ??= new ethers.Interface(loadABI('TokenGraveyard'));
 
 	return {
-		iface,
+		iface: graveyardIface,
 		graveyardId,
 		client,
 		env,
@@ -64,9 +76,10 @@ async function queryContract(functionName, params = []) {
  * @param {string} functionName
  * @param {any[]} params
  * @param {number} fallbackGas - Fallback gas limit if estimation fails
+ * @param {number} [valueTinybars=0] - hbar sent with a payable call
  * @returns {Promise<{ gasLimit: number, isEstimated: boolean }>}
  */
-async function estimateContractGas(functionName, params = [], fallbackGas = GAS_LIMITS.HTS_OPERATION) {
+async function estimateContractGas(functionName, params = [], fallbackGas = GAS_LIMITS.HTS_OPERATION, valueTinybars = 0) {
 	const { iface, graveyardId, env, operatorId } = setupContract();
 
 	try {
@@ -78,12 +91,14 @@ async function estimateContractGas(functionName, params = [], fallbackGas = GAS_
 			functionName,
 			params,
 			fallbackGas,
+			valueTinybars,
+			isJsonMode(),
 		);
 		return gasInfo;
 	}
 	catch (err) {
 		// Fallback if gas estimation completely fails
-		console.log(`  Gas estimation unavailable, using fallback: ${fallbackGas.toLocaleString()}`);
+		if (!isJsonMode()) console.log(`  Gas estimation unavailable, using fallback: ${fallbackGas.toLocaleString()}`);
 		return {
 			gasLimit: fallbackGas,
 			isEstimated: false,
@@ -91,21 +106,55 @@ async function estimateContractGas(functionName, params = [], fallbackGas = GAS_
 	}
 }
 
+/**
+ * Build a contract call transaction (not frozen)
+ * @param {string} functionName
+ * @param {any[]} params
+ * @param {number} gasLimit
+ * @param {number} [payableTinybars=0]
+ * @returns {ContractExecuteTransaction}
+ */
+function buildContractTransaction(functionName, params, gasLimit, payableTinybars = 0) {
+	const { iface, graveyardId } = setupContract();
+	const encodedCall = iface.encodeFunctionData(functionName, params);
+
+	return new ContractExecuteTransaction()
+		.setContractId(graveyardId)
+		.setGas(gasLimit)
+		.setFunctionParameters(Buffer.from(encodedCall.slice(2), 'hex'))
+		.setPayableAmount(Hbar.fromTinybars(payableTinybars));
+}
+
 /**
  * Execute contract function
+ * A watch-only run exports the call unsigned instead, with status EXPORTED and the export in `unsigned` (see unsigned.js)
  * @param {string} functionName
  * @param {any[]} params
  * @param {number} gasLimit - Gas limit (if not provided, will estimate)
  * @param {boolean} useEstimation - Whether to try gas estimation first
- * @returns {Promise<{ status: string, result: any, record: any, gasInfo?: object }>}
+ * @param {number} [payableTinybars=0] - hbar to send with a payable function
+ * @returns {Promise<{ status: string, result: any, record: any, gasInfo?: object, unsigned?: object }>}
  */
-async function executeContract(functionName, params = [], gasLimit = GAS_LIMITS.HTS_OPERATION, useEstimation = true) {
+async function executeContract(functionName, params = [], gasLimit = GAS_LIMITS.HTS_OPERATION, useEstimation = true, payableTinybars = 0) {
 	const { iface, graveyardId, client } = setupContract();
 
 	// Try to estimate gas if requested
 	let gasInfo = { gasLimit, isEstimated: false };
 	if (useEstimation) {
-		gasInfo = await estimateContractGas(functionName, params, gasLimit);
+		gasInfo = await estimateContractGas(functionName, params, gasLimit, payableTinybars);
+	}
+
+	if (isWatchOnly()) {
+		return {
+			status: 'EXPORTED',
+			result: null,
+			record: null,
+			gasInfo,
+			unsigned: exportUnsigned([{
+				transaction: buildContractTransaction(functionName, params, gasInfo.gasLimit, payableTinybars),
+				description: functionName,
+			}]),
+		};
 	}
 
 	const [receipt, result, record] = await contractExecuteFunction(
@@ -115,6 +164,7 @@ async function executeContract(functionName, params = [], gasLimit = GAS_LIMITS.
 		gasInfo.gasLimit,
 		functionName,
 		params,
+		payableTinybars > 0 ? Hbar.fromTinybars(payableTinybars) : 0,
 	);
 
 	return {
@@ -137,6 +187,148 @@ async function getCost() {
 	};
 }
 
+/**
+ * Get a token's association cost before any account waiver
+ * @param {string} tokenAddress - Solidity address
+ * @returns {Promise<{ lazyCost: string, lazyBurnPercentage: number, overridden: boolean }>}
+ */
+async function getTokenCost(tokenAddress) {
+	const result = await queryContract('getTokenCost', [tokenAddress]);
+	return {
+		lazyCost: result.lazyCost.toString(),
+		lazyBurnPercentage: Number(result.lazyBurnPercentage),
+		overridden: result.overridden,
+	};
+}
+
+/**
+ * Get what an account pays to associate a token (token override and waiver applied)
+ * @param {string} tokenAddress - Solidity address
+ * @param {string} accountAddress - Solidity address of the payer
+ * @returns {Promise<{ lazyCost: string, lazyBurnPercentage: number }>}
+ */
+async function getAssociationCost(tokenAddress, accountAddress) {
+	const result = await queryContract('getAssociationCost', [tokenAddress, accountAddress]);
+	return {
+		lazyCost: result.lazyCost.toString(),
+		lazyBurnPercentage: Number(result.lazyBurnPercentage),
+	};
+}
+
+/**
+ * Get the hbar association price and the hbar it has collected
+ * @returns {Promise<{ hbarCost: number, hbarRevenue: number }>} tinybars (hbarCost 0 = hbar path disabled)
+ */
+async function getHbarCost() {
+	const result = await queryContract('getHbarCost', []);
+	return {
+		hbarCost: Number(result.hbarCost),
+		hbarRevenue: Number(result.hbarRevenue),
+	};
+}
+
+/**
+ * Get what an account pays in hbar to associate a token via associateTokenWithHbar
+ * @param {string} tokenAddress - Solidity address
+ * @param {string} accountAddress - Solidity address of the payer
+ * @returns {Promise<number>} tinybars
+ */
+async function getHbarAssociationCost(tokenAddress, accountAddress) {
+	const result = await queryContract('getHbarAssociationCost', [tokenAddress, accountAddress]);
+	return Number(result[0]);
+}
+
+/**
+ * Work out how the operator can pay to associate a token
+ * `lazy` reports the $LAZY cost against the operator's LazyGasStation allowance and balance;
+ * `hbar` is the associateTokenWithHbar alternative (only priced when $LAZY is owed)
+ * @param {string} tokenAddress - Solidity address
+ * @returns {Promise<{ lazy: object, hbar: { enabled: boolean, required: number }, warnings: string[] }>}
+ */
+async function getAssociationPayment(tokenAddress) {
+	const { env, operatorId } = setupContract();
+	const warnings = [];
+
+	const operatorAddress = await homebrewPopulateAccountEvmAddress(env, operatorId.toString(), EntityType.ACCOUNT);
+	const { lazyCost } = await getAssociationCost(tokenAddress, operatorAddress);
+
+	const lazy = {
+		required: parseInt(lazyCost),
+		current: null,
+		sufficient: true,
+		balance: null,
+		balanceSufficient: true,
+	};
+	const hbar = { enabled: false, required: 0 };
+
+	if (lazy.required === 0) {
+		return { lazy, hbar, warnings };
+	}
+
+	const lazyTokenAddress = await getLazyTokenAddress();
+	const lazyGasStationAddress = await getLazyGasStationAddress();
+	lazy.tokenId = await homebrewPopulateAccountNum(env, lazyTokenAddress, EntityType.TOKEN);
+	lazy.spenderId = await homebrewPopulateAccountNum(env, lazyGasStationAddress, EntityType.CONTRACT);
+
+	try {
+		lazy.current = parseInt(await checkMirrorAllowance(env, operatorId, lazy.tokenId, lazy.spenderId)) || 0;
+	}
+	catch (err) {
+		lazy.current = 0;
+		warnings.push(`Could not check $LAZY allowance: ${err.message}`);
+	}
+	lazy.sufficient = lazy.current >= lazy.required;
+
+	try {
+		lazy.balance = await checkMirrorBalance(env, operatorId, lazy.tokenId);
+	}
+	catch {
+		lazy.balance = null;
+	}
+	// Unknown balance (mirror error) is left to the contract call to reject
+	lazy.balanceSufficient = lazy.balance === null || lazy.balance >= lazy.required;
+
+	try {
+		hbar.enabled = (await getHbarCost()).hbarCost > 0;
+		if (hbar.enabled) {
+			hbar.required = await getHbarAssociationCost(tokenAddress, operatorAddress);
+		}
+	}
+	catch (err) {
+		warnings.push(`Could not check the hbar association price: ${err.message}`);
+	}
+
+	return { lazy, hbar, warnings };
+}
+
+/**
+ * Get all tokens with a cost override
+ * @returns {Promise<string[]>}
+ */
+async function getPricedTokens() {
+	const result = await queryContract('getPricedTokens', []);
+	return result[0];
+}
+
+/**
+ * Check if an account's association fees are waived
+ * @param {string} address - Solidity address
+ * @returns {Promise<boolean>}
+ */
+async function isWaived(address) {
+	const result = await queryContract('isWaived', [address]);
+	return result[0];
+}
+
+/**
+ * Get all accounts with a fee waiver
+ * @returns {Promise<string[]>}
+ */
+async function getWaivedAccounts() {
+	const result = await queryContract('getWaivedAccounts', []);
+	return result[0];
+}
+
 /**
  * Check if address is admin
  * @param {string} address - Solidity address
@@ -194,6 +386,109 @@ async function getContractUsers() {
 	return result[0];
 }
 
+/**
+ * Get total serials buried via the contract
+ * @returns {Promise<number>}
+ */
+async function getTotalBuried() {
+	const result = await queryContract('getTotalBuried', []);
+	return Number(result[0]);
+}
+
+/**
+ * Get serials of a collection buried via the contract
+ * @param {string} tokenAddress - Solidity address
+ * @returns {Promise<number>}
+ */
+async function getBuriedCount(tokenAddress) {
+	const result = await queryContract('getBuriedCount', [tokenAddress]);
+	return Number(result[0]);
+}
+
+/**
+ * Get the burn-to-redeem hook of a collection
+ * @param {string} tokenAddress - Solidity address
+ * @returns {Promise<string>} Hook address (zero address if none)
+ */
+async function getBurialHook(tokenAddress) {
+	const result = await queryContract('getBurialHook', [tokenAddress]);
+	return result[0];
+}
+
+/**
+ * Get serials buried by a user across all collections
+ * @param {string} userAddress - Solidity address
+ * @returns {Promise<number>}
+ */
+async function getBuriedCountByUser(userAddress) {
+	const result = await queryContract('getBuriedCountByUser', [userAddress]);
+	return Number(result[0]);
+}
+
+/**
+ * Get serials of a collection buried by a user
+ * @param {string} tokenAddress - Solidity address
+ * @param {string} userAddress - Solidity address
+ * @returns {Promise<number>}
+ */
+async function getBuriedCountForUser(tokenAddress, userAddress) {
+	const result = await queryContract('getBuriedCountForUser', [tokenAddress, userAddress]);
+	return Number(result[0]);
+}
+
+/**
+ * Zip paginated (addresses, counts) registry results
+ * @param {ethers.Result} result
+ * @returns {{ address: string, count: number }[]}
+ */
+function toRegistryEntries(result) {
+	const [addresses, counts] = result;
+	return addresses.map((address, i) => ({ address, count: Number(counts[i]) }));
+}
+
+/**
+ * Get a page of buried collections with their burial counts
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<{ total: number, entries: { address: string, count: number }[] }>}
+ */
+async function getBuriedTokensPaginated(offset, limit) {
+	const [total, result] = await Promise.all([
+		queryContract('getBuriedTokenCount', []),
+		queryContract('getBuriedTokensPaginated', [offset, limit]),
+	]);
+	return { total: Number(total[0]), entries: toRegistryEntries(result) };
+}
+
+/**
+ * Get a page of buriers with their burial counts
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<{ total: number, entries: { address: string, count: number }[] }>}
+ */
+async function getBuriersPaginated(offset, limit) {
+	const [total, result] = await Promise.all([
+		queryContract('getBurierCount', []),
+		queryContract('getBuriersPaginated', [offset, limit]),
+	]);
+	return { total: Number(total[0]), entries: toRegistryEntries(result) };
+}
+
+/**
+ * Get a page of who buried serials of a collection
+ * @param {string} tokenAddress - Solidity address
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<{ total: number, entries: { address: string, count: number }[] }>}
+ */
+async function getTokenBuriersPaginated(tokenAddress, offset, limit) {
+	const [total, result] = await Promise.all([
+		queryContract('getTokenBurierCount', [tokenAddress]),
+		queryContract('getTokenBuriersPaginated', [tokenAddress, offset, limit]),
+	]);
+	return { total: Number(total[0]), entries: toRegistryEntries(result) };
+}
+
 /**
  * Get graveyard contract address
  * @returns {Promise<string>} EVM address of graveyard
@@ -236,14 +531,31 @@ module.exports = {
 	setupContract,
 	queryContract,
 	executeContract,
+	buildContractTransaction,
 	estimateContractGas,
 	getCost,
+	getTokenCost,
+	getAssociationCost,
+	getPricedTokens,
+	getHbarCost,
+	getHbarAssociationCost,
+	getAssociationPayment,
+	isWaived,
+	getWaivedAccounts,
 	isAdmin,
 	isContractUser,
 	isTokenAssociated,
 	getAssociatedTokens,
 	getAdmins,
 	getContractUsers,
+	getTotalBuried,
+	getBuriedCount,
+	getBuriedCountByUser,
+	getBuriedCountForUser,
+	getBuriedTokensPaginated,
+	getBuriersPaginated,
+	getTokenBuriersPaginated,
+	getBurialHook,
 	getGraveyardAddress,
 	getGraveyardId,
 	getLazyGasStationAddress,
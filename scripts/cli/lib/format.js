@@ -4,12 +4,14 @@
  */
 
 const { AccountId, TokenId } = require('@hashgraph/sdk');
+const { applyProfile, getActiveProfile } = require('./profiles');
 
 // Global output mode
 let outputMode = 'human'; // 'human' | 'json' | 'quiet'
 
 /**
  * Initialize output mode from command line arguments
+ * Also applies the named profile, so responses made before or without a client are tagged with it.
  */
 function initOutputMode() {
 	if (process.argv.includes('--json')) {
@@ -17,6 +19,13 @@ function initOutputMode() {
 	} else if (process.argv.includes('--quiet') || process.argv.includes('-q')) {
 		outputMode = 'quiet';
 	}
+
+	try {
+		applyProfile();
+	}
+	catch {
+		// An unknown or malformed profile is reported by the first command that needs the settings
+	}
 }
 
 /**
@@ -36,7 +45,7 @@ function isJsonMode() {
 }
 
 /**
- * Create standardized response object
+ * Create standardized response object, tagged with the named profile used (null for plain .env)
  * @param {boolean} success
  * @param {any} data
  * @param {Error|null} error
@@ -47,6 +56,7 @@ function createResponse(success, data, error = null, context = {}) {
 	return {
 		success,
 		timestamp: new Date().toISOString(),
+		profile: getActiveProfile(),
 		...context,
 		data,
 		error: error ? {
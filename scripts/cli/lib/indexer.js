@@ -0,0 +1,287 @@
+/**
+ * Event Indexer
+ * Builds a local JSON database of TokenGraveyard events from mirror node contract logs
+ *
+ * The store holds one table per event family plus a cursor (consensus timestamp and log index
+ * of the last indexed log). A sync walks every log page after the cursor, following links.next,
+ * so re-running it only fetches what the store has not seen. The store is saved after each page,
+ * so an interrupted sync resumes where it stopped.
+ */
+
+const fs = require('fs');
+const { AccountId } = require('@hashgraph/sdk');
+const { homebrewPopulateAccountNum } = require('../../../utils/hederaMirrorHelpers');
+const { getMirrorClient } = require('../../../utils/mirrorClient');
+
+const STORE_VERSION = 1;
+const PAGE_SIZE = 100;
+
+// Event name -> store table
+const EVENT_TABLES = {
+	NFTsBuried: 'burials',
+	FTBuried: 'ftBurials',
+	TokenAssociated: 'associations',
+	RoleUpdated: 'roleChanges',
+	CostUpdated: 'costChanges',
+	TokenCostUpdated: 'costChanges',
+	WaiverUpdated: 'costChanges',
+	HbarCostUpdated: 'costChanges',
+	LazyWithdrawn: 'withdrawals',
+	HbarWithdrawn: 'withdrawals',
+};
+
+const TABLES = ['burials', 'ftBurials', 'associations', 'roleChanges', 'costChanges', 'withdrawals'];
+
+/**
+ * Default store path for a graveyard (e.g. graveyard-0.0.12345.events.json)
+ * @param {string} contractId
+ * @returns {string}
+ */
+function defaultStorePath(contractId) {
+	return `graveyard-${contractId}.events.json`;
+}
+
+/**
+ * Create an empty store
+ * @param {string} network - testnet | mainnet
+ * @param {string} contractId
+ * @returns {object}
+ */
+function emptyStore(network, contractId) {
+	const store = {
+		version: STORE_VERSION,
+		network,
+		contract: contractId,
+		cursor: null,
+		lastSync: null,
+		addresses: {},
+	};
+	TABLES.forEach(table => { store[table] = []; });
+	return store;
+}
+
+/**
+ * Load a store, or start an empty one if the file does not exist
+ * @param {string} filePath
+ * @param {string} network
+ * @param {string} contractId
+ * @returns {object}
+ * @throws {Error} if the file belongs to another network or graveyard
+ */
+function loadStore(filePath, network, contractId) {
+	if (!fs.existsSync(filePath)) {
+		return emptyStore(network, contractId);
+	}
+
+	const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	if (store.version !== STORE_VERSION) {
+		throw new Error(`Unsupported event store version in ${filePath}`);
+	}
+	if (store.network !== network || store.contract !== contractId) {
+		throw new Error(`${filePath} indexes ${store.contract} on ${store.network}, not ${contractId} on ${network}`);
+	}
+	// Stores written before a table existed (sync --full re-indexes its past events)
+	TABLES.forEach(table => { store[table] = store[table] ?? []; });
+
+	return store;
+}
+
+/**
+ * Save a store (written to a temp file then renamed, so a crash never leaves it half-written)
+ * @param {string} filePath
+ * @param {object} store
+ */
+function saveStore(filePath, store) {
+	const tmpPath = `${filePath}.tmp`;
+	fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2));
+	fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Compare a log position with the cursor
+ * @param {{ timestamp: string, index: number }} cursor
+ * @param {object} log - mirror node log
+ * @returns {boolean} true if the log is at or before the cursor
+ */
+function isIndexed(cursor, log) {
+	if (!cursor) return false;
+
+	const [logSec, logNanos] = log.timestamp.split('.').map(Number);
+	const [curSec, curNanos] = cursor.timestamp.split('.').map(Number);
+	if (logSec !== curSec) return logSec < curSec;
+	if (logNanos !== curNanos) return logNanos < curNanos;
+	return Number(log.index) <= Number(cursor.index);
+}
+
+/**
+ * Resolve an EVM address to a Hedera ID, caching the answer in the store
+ * Long-zero addresses convert directly; aliases are looked up on the mirror node
+ * @param {string} env
+ * @param {object} store
+ * @param {string} address
+ * @returns {Promise<string>} Hedera ID, or the address if it cannot be resolved
+ */
+async function resolveAddress(env, store, address) {
+	const key = address.toLowerCase();
+	if (store.addresses[key]) {
+		return store.addresses[key];
+	}
+
+	let id;
+	if (/^0x0{24}/.test(key)) {
+		id = AccountId.fromSolidityAddress(key).toString();
+	}
+	else {
+		try {
+			id = await homebrewPopulateAccountNum(env, address);
+		}
+		catch {
+			// Unknown to the mirror node - keep the address
+			return address;
+		}
+	}
+
+	store.addresses[key] = id;
+	return id;
+}
+
+/**
+ * Build the table row for a decoded event
+ * @param {object} event - from the event decoder (addresses already resolved)
+ * @returns {object}
+ */
+function toRow(event) {
+	const f = event.fields;
+	const row = {
+		timestamp: event.timestamp,
+		index: event.index,
+		transactionHash: event.transactionHash,
+		blockNumber: event.blockNumber,
+	};
+
+	switch (event.name) {
+	case 'NFTsBuried':
+		return { ...row, user: f.user, token: f.token, serials: f.serials, viaStaking: f.viaStaking };
+	case 'FTBuried':
+		return { ...row, user: f.user, token: f.token, amount: String(f.amount) };
+	case 'TokenAssociated':
+		return { ...row, executor: f.executor, token: f.token, paid: f.paidAssociation, paidInHbar: false, hbarAmount: null };
+	case 'RoleUpdated':
+		return { ...row, executor: f.executor, target: f.target, role: String(f.role), added: f.added };
+	case 'CostUpdated':
+		return { ...row, kind: 'global', executor: f.executor, lazyCost: String(f.lazyCost), lazyBurnPercentage: f.lazyBurnPercentage };
+	case 'TokenCostUpdated':
+		return { ...row, kind: 'token', executor: f.executor, token: f.token, lazyCost: String(f.lazyCost), overridden: f.overridden };
+	case 'WaiverUpdated':
+		return { ...row, kind: 'waiver', executor: f.executor, account: f.account, waived: f.waived };
+	case 'HbarCostUpdated':
+		return { ...row, kind: 'hbar', executor: f.executor, hbarCost: String(f.hbarCost) };
+	default:
+		return {
+			...row,
+			asset: event.name === 'LazyWithdrawn' ? 'lazy' : 'hbar',
+			executor: f.executor,
+			receiver: f.receiver,
+			amount: String(f.amount),
+		};
+	}
+}
+
+/**
+ * Index every graveyard log after the store's cursor
+ * HbarAssociationPaid has no table of its own: it marks the TokenAssociated that follows it in the
+ * same transaction as paid in hbar (paidInHbar, hbarAmount in tinybars).
+ * @param {string} env - Mirror node environment or URL
+ * @param {string} contractId - Graveyard contract ID
+ * @param {object} decoder - TokenGraveyard event decoder (utils/eventDecoder)
+ * @param {object} store - from loadStore (updated in place)
+ * @param {object} [hooks]
+ * @param {function(object): void} [hooks.onPage] - called after each page (e.g. to save the store)
+ * @returns {Promise<{ pages: number, added: object, ignored: number }>}
+ */
+async function syncEvents(env, contractId, decoder, store, hooks = {}) {
+	const mirror = getMirrorClient(env);
+	const resolve = address => resolveAddress(env, store, address);
+	const added = Object.fromEntries(TABLES.map(table => [table, 0]));
+	let pages = 0;
+	let ignored = 0;
+
+	// transactionHash:token -> tinybars paid, until the association it paid for is indexed
+	const hbarPayments = new Map();
+
+	// gte so logs sharing the cursor's timestamp (same transaction) are not skipped
+	let path = `/api/v1/contracts/${contractId}/results/logs?order=asc&limit=${PAGE_SIZE}`;
+	if (store.cursor) {
+		path += `&timestamp=gte:${store.cursor.timestamp}`;
+	}
+
+	for await (const page of mirror.pages(path)) {
+		const logs = page.logs || [];
+
+		for (const log of logs) {
+			if (isIndexed(store.cursor, log)) continue;
+
+			const event = await decoder.decode(log, resolve);
+			const table = event ? EVENT_TABLES[event.name] : null;
+
+			if (event?.name === 'HbarAssociationPaid') {
+				hbarPayments.set(`${event.transactionHash}:${event.fields.token}`, String(event.fields.amount));
+			}
+			else if (table) {
+				const row = toRow(event);
+				const payment = `${event.transactionHash}:${row.token}`;
+				if (event.name === 'TokenAssociated' && hbarPayments.has(payment)) {
+					row.paidInHbar = true;
+					row.hbarAmount = hbarPayments.get(payment);
+					hbarPayments.delete(payment);
+				}
+				store[table].push(row);
+				added[table]++;
+			}
+			else {
+				// GraveyardStatus or a log the ABI does not describe
+				ignored++;
+			}
+
+			store.cursor = { timestamp: log.timestamp, index: Number(log.index) };
+		}
+
+		pages++;
+		store.lastSync = new Date().toISOString();
+		if (hooks.onPage) hooks.onPage(store);
+	}
+
+	return { pages, added, ignored };
+}
+
+/**
+ * Rows of a table, optionally filtered to a token and/or an account
+ * An account matches any of user, executor, target, receiver or account
+ * @param {object} store
+ * @param {string} table
+ * @param {object} [filter]
+ * @param {string} [filter.token]
+ * @param {string} [filter.account]
+ * @returns {object[]}
+ */
+function queryTable(store, table, filter = {}) {
+	if (!TABLES.includes(table)) {
+		throw new Error(`Unknown table: ${table}. Tables: ${TABLES.join(', ')}`);
+	}
+
+	return store[table].filter(row => {
+		if (filter.token && row.token !== filter.token) return false;
+		if (filter.account && ![row.user, row.executor, row.target, row.receiver, row.account].includes(filter.account)) return false;
+		return true;
+	});
+}
+
+module.exports = {
+	TABLES,
+	defaultStorePath,
+	emptyStore,
+	loadStore,
+	saveStore,
+	syncEvents,
+	queryTable,
+};
@@ -0,0 +1,159 @@
+/**
+ * Burial Journals
+ * Append-only JSON lines record of every burial plan, submitted transaction and receipt
+ *
+ * A journal lets an interrupted run be reconciled later: each `plan` entry records the full
+ * plan, each `submit` entry is written before a step is sent and each `receipt` entry after
+ * it completes. Entries are appended synchronously so a crash never loses a submitted step.
+ */
+
+const fs = require('fs');
+
+const EntryType = {
+	PLAN: 'plan',
+	SUBMIT: 'submit',
+	RECEIPT: 'receipt',
+	RESUME: 'resume',
+};
+
+/**
+ * Default journal path for a new run (e.g. burial-2025-12-01T10-00-00-000Z.journal.jsonl)
+ * @returns {string}
+ */
+function defaultJournalPath() {
+	return `burial-${new Date().toISOString().replace(/[:.]/g, '-')}.journal.jsonl`;
+}
+
+/**
+ * Open a journal for appending
+ * @param {string} filePath
+ * @returns {{ path: string, append: function(object): void }}
+ */
+function openJournal(filePath) {
+	// Terminate a line truncated by an earlier crash so new entries start cleanly
+	if (fs.existsSync(filePath)) {
+		const content = fs.readFileSync(filePath, 'utf8');
+		if (content.length > 0 && !content.endsWith('\n')) {
+			fs.appendFileSync(filePath, '\n');
+		}
+	}
+
+	return {
+		path: filePath,
+		append(entry) {
+			fs.appendFileSync(filePath, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+		},
+	};
+}
+
+/**
+ * Read all entries from a journal, skipping lines truncated by a crash mid-write
+ * @param {string} filePath
+ * @returns {object[]}
+ */
+function readJournal(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Journal file not found: ${filePath}`);
+	}
+
+	const entries = [];
+	for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+		if (!line.trim()) continue;
+		try {
+			entries.push(JSON.parse(line));
+		}
+		catch {
+			// Truncated entry - the step it described is reconciled from mirror node ownership
+			continue;
+		}
+	}
+
+	return entries;
+}
+
+/**
+ * Record a plan and return executeBurialPlan hooks that journal each step
+ * A combined plan (combineStakingPlans) is recorded as its per-collection plans, so resume sees
+ * each collection, and its steps name the collection(s) they cover.
+ * @param {object} journal - from openJournal
+ * @param {object} plan
+ * @param {object} [hooks] - existing hooks to chain
+ * @returns {{ onStep: function, onResult: function }}
+ */
+function journalPlan(journal, plan, hooks = {}) {
+	for (const collectionPlan of plan.collections ?? [plan]) {
+		journal.append({ type: EntryType.PLAN, plan: collectionPlan });
+	}
+
+	const stepTokens = (step) => ({
+		token: step.token ?? plan.token?.id,
+		tokens: step.entries?.map(e => e.tokenId),
+	});
+
+	return {
+		onStep(step, i) {
+			journal.append({
+				type: EntryType.SUBMIT,
+				...stepTokens(step),
+				step: i,
+				stepType: step.type,
+				function: step.function,
+				serials: step.serials,
+				entries: step.entries,
+			});
+			if (hooks.onStep) hooks.onStep(step, i);
+		},
+		onResult(step, i, result) {
+			journal.append({
+				type: EntryType.RECEIPT,
+				...stepTokens(step),
+				step: i,
+				success: result.success,
+				status: result.status === undefined ? undefined : String(result.status),
+				transactionId: result.transactionId,
+				error: result.error,
+			});
+			if (hooks.onResult) hooks.onResult(step, i, result);
+		},
+	};
+}
+
+/**
+ * Summarise the plans in a journal per token
+ * Serials from every plan for the token are merged; later plans (from resumes) reuse the first method.
+ * @param {object[]} entries
+ * @returns {Map<string, { method: string, serials: number[], submitted: number, failed: number }>}
+ */
+function summariseJournal(entries) {
+	const tokens = new Map();
+
+	for (const entry of entries) {
+		if (entry.type === EntryType.PLAN) {
+			const { token, method, serials } = entry.plan;
+			if (!tokens.has(token.id)) {
+				tokens.set(token.id, { method, serials: [], submitted: 0, failed: 0 });
+			}
+			const summary = tokens.get(token.id);
+			summary.serials = [...new Set([...summary.serials, ...serials])];
+		}
+		else if (entry.type === EntryType.RECEIPT) {
+			for (const token of entry.tokens ?? [entry.token]) {
+				const summary = tokens.get(token);
+				if (!summary) continue;
+				summary.submitted++;
+				if (!entry.success) summary.failed++;
+			}
+		}
+	}
+
+	return tokens;
+}
+
+module.exports = {
+	EntryType,
+	defaultJournalPath,
+	openJournal,
+	readJournal,
+	journalPlan,
+	summariseJournal,
+};
@@ -0,0 +1,208 @@
+/**
+ * Burial Manifests
+ * Read bulk burial manifests (CSV or JSON) and write per-row result files
+ *
+ * CSV manifests have one `token,serial` pair per line. Blank lines, lines starting with `#`
+ * and a header as the first line are ignored.
+ *
+ * JSON manifests are an array of `{ "token": "0.0.x", "serial": 1 }` or
+ * `{ "token": "0.0.x", "serials": [1, 2, 3] }` entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TokenId } = require('@hashgraph/sdk');
+
+const RowStatus = {
+	BURIED: 'buried',
+	SKIPPED_NOT_OWNED: 'skipped-not-owned',
+	SKIPPED_DUPLICATE: 'skipped-duplicate',
+	FAILED: 'failed',
+};
+
+const RESULT_COLUMNS = ['row', 'token', 'serial', 'status', 'transactionId', 'error'];
+
+// shard.realm.num, optionally with a checksum (TokenId.fromString reads "0.0.abc" as 0.0.0)
+const TOKEN_ID_PATTERN = /^\d+\.\d+\.\d+(-[a-z]{5})?$/;
+
+/**
+ * Validate and normalise a single manifest entry
+ * @param {number} rowNum - 1-based row (line number for CSV, entry index for JSON)
+ * @param {string} token
+ * @param {string|number} serial
+ * @returns {{ row: number, token: string, serial: number }}
+ */
+function toRow(rowNum, token, serial) {
+	const tokenStr = String(token).trim();
+	let tokenIdStr = null;
+	if (TOKEN_ID_PATTERN.test(tokenStr)) {
+		try {
+			tokenIdStr = TokenId.fromString(tokenStr).toString();
+		}
+		catch {
+			// out of range - reported below
+		}
+	}
+	if (!tokenIdStr) {
+		throw new Error(`Manifest row ${rowNum}: invalid token ID '${token}'`);
+	}
+
+	const num = Number(String(serial).trim());
+	if (!Number.isInteger(num) || num <= 0) {
+		throw new Error(`Manifest row ${rowNum}: invalid serial number '${serial}'`);
+	}
+
+	return { row: rowNum, token: tokenIdStr, serial: num };
+}
+
+/**
+ * Parse CSV manifest content
+ * @param {string} content
+ * @returns {{ row: number, token: string, serial: number }[]}
+ */
+function parseCsvManifest(content) {
+	const rows = [];
+	const lines = content.split(/\r?\n/);
+	let firstLine = true;
+
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		if (!line || line.startsWith('#')) continue;
+
+		const cells = line.split(',').map(c => c.trim());
+
+		// Only the first line can be a header (e.g. token,serial) - a mistyped row is an error, not a header
+		const isHeader = firstLine && !TOKEN_ID_PATTERN.test(cells[0]) && !/^\d+$/.test(cells[1] ?? '');
+		firstLine = false;
+		if (isHeader) continue;
+
+		if (cells.length < 2) {
+			throw new Error(`Manifest row ${i + 1}: expected 'token,serial'`);
+		}
+
+		rows.push(toRow(i + 1, cells[0], cells[1]));
+	}
+
+	return rows;
+}
+
+/**
+ * Parse JSON manifest content
+ * @param {string} content
+ * @returns {{ row: number, token: string, serial: number }[]}
+ */
+function parseJsonManifest(content) {
+	const entries = JSON.parse(content);
+	if (!Array.isArray(entries)) {
+		throw new Error('JSON manifest must be an array of { token, serial } or { token, serials } entries');
+	}
+
+	const rows = [];
+	entries.forEach((entry, i) => {
+		const serials = Array.isArray(entry.serials) ? entry.serials : [entry.serial];
+		for (const serial of serials) {
+			rows.push(toRow(i + 1, entry.token, serial));
+		}
+	});
+
+	return rows;
+}
+
+/**
+ * Load a manifest file
+ * @param {string} filePath - .csv or .json manifest
+ * @returns {{ row: number, token: string, serial: number }[]}
+ */
+function loadManifest(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Manifest file not found: ${filePath}`);
+	}
+
+	const content = fs.readFileSync(filePath, 'utf8');
+	const rows = path.extname(filePath).toLowerCase() === '.json'
+		? parseJsonManifest(content)
+		: parseCsvManifest(content);
+
+	if (rows.length === 0) {
+		throw new Error(`Manifest ${filePath} contains no rows`);
+	}
+
+	return rows;
+}
+
+/**
+ * Group manifest rows by token, preserving first-seen order
+ * Repeated token/serial pairs are returned separately so they are not submitted twice
+ * @param {{ row: number, token: string, serial: number }[]} rows
+ * @returns {{ groups: Map<string, object[]>, duplicates: object[] }}
+ */
+function groupByToken(rows) {
+	const groups = new Map();
+	const seen = new Set();
+	const duplicates = [];
+
+	for (const r of rows) {
+		const key = `${r.token}/${r.serial}`;
+		if (seen.has(key)) {
+			duplicates.push(r);
+			continue;
+		}
+		seen.add(key);
+
+		if (!groups.has(r.token)) {
+			groups.set(r.token, []);
+		}
+		groups.get(r.token).push(r);
+	}
+
+	return { groups, duplicates };
+}
+
+/**
+ * Default results path alongside the manifest (e.g. burials.csv -> burials.results.csv)
+ * @param {string} manifestPath
+ * @returns {string}
+ */
+function defaultResultsPath(manifestPath) {
+	const ext = path.extname(manifestPath);
+	return `${manifestPath.slice(0, manifestPath.length - ext.length)}.results${ext || '.csv'}`;
+}
+
+/**
+ * Quote a CSV cell if needed
+ * @param {any} value
+ * @returns {string}
+ */
+function csvCell(value) {
+	const str = value === undefined || value === null ? '' : String(value);
+	return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Write per-row results (CSV or JSON based on extension)
+ * @param {string} filePath
+ * @param {object[]} results - rows with status, transactionId and error
+ */
+function writeResults(filePath, results) {
+	const sorted = [...results].sort((a, b) => a.row - b.row || a.serial - b.serial);
+
+	if (path.extname(filePath).toLowerCase() === '.json') {
+		fs.writeFileSync(filePath, JSON.stringify(sorted, null, 2));
+		return;
+	}
+
+	const lines = [RESULT_COLUMNS.join(',')];
+	for (const r of sorted) {
+		lines.push(RESULT_COLUMNS.map(col => csvCell(r[col])).join(','));
+	}
+	fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+module.exports = {
+	RowStatus,
+	loadManifest,
+	groupByToken,
+	defaultResultsPath,
+	writeResults,
+	csvCell,
+};
@@ -0,0 +1,798 @@
+/**
+ * Burial Planning
+ * Builds a dry-run plan of every transaction a burial will submit, then executes that plan verbatim
+ *
+ * Building a plan only performs read-only mirror node queries. The plan is plain JSON so it can
+ * be reviewed, saved to disk and executed later - execution never re-derives steps.
+ */
+
+const { TokenId, TransferTransaction, AccountId, AccountAllowanceApproveTransaction } = require('@hashgraph/sdk');
+const {
+	EntityType,
+	checkMirrorAllowance,
+	checkMirrorBalance,
+	checkTokenHasFallbackRoyalty,
+	getNFTApprovedForAllAllowances,
+	getSerialsOwned,
+	getTokenDetails,
+	homebrewPopulateAccountEvmAddress,
+} = require('../../../utils/hederaMirrorHelpers');
+const { setNFTAllowanceAll, setFTAllowance } = require('../../../utils/hederaHelpers');
+const { createClient } = require('./client');
+const {
+	GAS_LIMITS,
+	estimateContractGas,
+	executeContract,
+	buildContractTransaction,
+	getAssociationPayment,
+	getGraveyardId,
+	getLazyTokenAddress,
+	isTokenAssociated,
+} = require('./contract');
+const { isWatchOnly, exportUnsigned } = require('./unsigned');
+
+const PLAN_VERSION = 1;
+
+// Hedera limit on NFT transfers in a single TransferTransaction
+const MAX_DIRECT_SEND = 10;
+// TokenGraveyard.MAX_STAKE_SERIALS
+const MAX_STAKE_SERIALS = 50;
+// TokenStaker.MAX_NFTS_PER_TX - serials moved per HTS cryptoTransfer inside a staking call
+const SERIALS_PER_BATCH = 8;
+// Hedera per-transaction gas limit - caps fallbacks that scale with the number of collections
+const MAX_CONTRACT_GAS = 15_000_000;
+
+const StepType = {
+	SET_LAZY_ALLOWANCE: 'set_lazy_allowance',
+	SET_NFT_ALLOWANCE: 'set_nft_allowance',
+	SET_FT_ALLOWANCE: 'set_ft_allowance',
+	CONTRACT_CALL: 'contract_call',
+	NFT_TRANSFER: 'nft_transfer',
+};
+
+/**
+ * Check which of the requested serials the operator owns
+ * @returns {Promise<{ verified: boolean|null, owned: number[], notOwned: number[] }>}
+ */
+async function checkOwnership(env, operatorId, tokenIdStr, serials) {
+	let ownedSerials;
+	try {
+		ownedSerials = await getSerialsOwned(env, operatorId, tokenIdStr);
+	}
+	catch {
+		// Could not check ownership - unknown status
+		return { verified: null, owned: [], notOwned: [] };
+	}
+
+	const ownedSet = new Set(ownedSerials);
+	return {
+		verified: true,
+		owned: serials.filter(s => ownedSet.has(s)),
+		notOwned: serials.filter(s => !ownedSet.has(s)),
+	};
+}
+
+/**
+ * Plan how the operator pays for associating a token the graveyard may not hold yet
+ * Pushes the hbar association call or the $LAZY allowance step onto `steps`.
+ * Per-collection pricing and fee waivers are resolved on-chain for the operator.
+ * @param {string} tokenIdStr - Token ID
+ * @param {string} tokenAddress - Token EVM address
+ * @param {boolean} payWithHbar - Pay with associateTokenWithHbar instead of $LAZY
+ * @param {object[]} steps - Plan steps (appended to)
+ * @param {string[]} warnings - Plan warnings (appended to)
+ * @returns {Promise<{ association: object, lazy: object }>}
+ * @throws {Error} code HBAR_PAYMENT_DISABLED if hbar is requested but not accepted
+ */
+async function planAssociationPayment(tokenIdStr, tokenAddress, payWithHbar, steps, warnings) {
+	// Association state and $LAZY requirement
+	let associated = false;
+	try {
+		associated = await isTokenAssociated(tokenAddress);
+	}
+	catch (err) {
+		warnings.push(`Could not check association: ${err.message}`);
+	}
+
+	// $LAZY allowance to LazyGasStation (only needed when the token must be associated)
+	let lazy = { required: 0, current: null, sufficient: true, balance: null, balanceSufficient: true };
+	let hbar = { enabled: false, required: 0 };
+	if (!associated) {
+		const payment = await getAssociationPayment(tokenAddress);
+		({ lazy, hbar } = payment);
+		warnings.push(...payment.warnings);
+	}
+
+	const lazyCost = String(lazy.required);
+	payWithHbar = payWithHbar && lazy.required > 0;
+	if (payWithHbar && !hbar.enabled) {
+		const err = new Error('This graveyard does not accept hbar for association (hbar price not set)');
+		err.code = 'HBAR_PAYMENT_DISABLED';
+		throw err;
+	}
+
+	if (payWithHbar) {
+		// Association is paid up front in hbar, so no $LAZY is drawn later
+		lazy = { ...lazy, required: 0, sufficient: true, balanceSufficient: true };
+		const params = [tokenAddress];
+		const gasInfo = await estimateContractGas('associateTokenWithHbar', params, GAS_LIMITS.HTS_OPERATION, hbar.required);
+		steps.push({
+			type: StepType.CONTRACT_CALL,
+			description: `Associate ${tokenIdStr} with the graveyard, paying ${hbar.required} tinybars`,
+			function: 'associateTokenWithHbar',
+			params,
+			payableTinybars: hbar.required,
+			gasLimit: gasInfo.gasLimit,
+			isEstimated: gasInfo.isEstimated,
+		});
+	}
+	else if (lazy.required > 0) {
+		if (!lazy.balanceSufficient) {
+			warnings.push(`$LAZY balance ${lazy.balance} is below the ${lazy.required} (raw) association cost`
+				+ (hbar.enabled ? ` - use --hbar to pay ${hbar.required} tinybars instead` : ''));
+		}
+		if (!lazy.sufficient) {
+			steps.push({
+				type: StepType.SET_LAZY_ALLOWANCE,
+				description: `Approve ${lazy.required} $LAZY (raw) to LazyGasStation`,
+				tokenId: lazy.tokenId,
+				spenderId: lazy.spenderId,
+				amount: lazy.required,
+			});
+		}
+	}
+
+	return {
+		lazy,
+		association: {
+			associated,
+			lazyCost,
+			payment: payWithHbar ? 'hbar' : (lazy.required > 0 ? 'lazy' : 'none'),
+			// associateTokenWithHbar price, offered when $LAZY is owed and the graveyard accepts hbar
+			hbarAlternative: !associated && !payWithHbar && lazy.required > 0 && hbar.enabled ? hbar.required : null,
+		},
+	};
+}
+
+/**
+ * Build a burial plan without submitting any transaction
+ * @param {string} tokenIdStr - Token ID (e.g. 0.0.48486075)
+ * @param {number[]} serials - Serial numbers to bury
+ * @param {object} [options]
+ * @param {boolean} [options.forceStake] - Use staking even if the token has no fallback royalties
+ * @param {boolean} [options.forceSend] - Use direct send even if the token has fallback royalties
+ * @param {boolean} [options.split] - Split serials over several calls instead of failing on the per-call limit
+ * @param {boolean} [options.ownedOnly] - Leave serials the operator does not own out of the plan (listed in `skipped`)
+ * @param {boolean} [options.payWithHbar] - Pay for association with associateTokenWithHbar instead of $LAZY
+ * @returns {Promise<object>} the plan
+ */
+async function buildBurialPlan(tokenIdStr, serials, options = {}) {
+	const { operatorId, env, network } = createClient();
+	const graveyardId = getGraveyardId().toString();
+	const operatorIdStr = operatorId.toString();
+
+	const [tokenDetails, tokenAddress, royaltyInfo, ownership] = await Promise.all([
+		getTokenDetails(env, tokenIdStr),
+		homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN),
+		checkTokenHasFallbackRoyalty(env, tokenIdStr),
+		checkOwnership(env, operatorIdStr, tokenIdStr, serials),
+	]);
+
+	const warnings = [];
+
+	// Determine method
+	let useStaking = royaltyInfo.hasFallback || !!options.forceStake;
+	if (options.forceSend) {
+		if (royaltyInfo.hasFallback) {
+			warnings.push('Token has fallback royalties - direct send may fail!');
+		}
+		useStaking = false;
+	}
+
+	if (ownership.verified === null) {
+		warnings.push('Could not verify NFT ownership');
+	}
+
+	let skipped = [];
+	if (options.ownedOnly && ownership.verified) {
+		skipped = ownership.notOwned;
+		serials = ownership.owned;
+
+		if (serials.length === 0) {
+			const err = new Error(`Operator owns none of the requested serials of ${tokenIdStr}`);
+			err.code = 'NO_OWNED_SERIALS';
+			throw err;
+		}
+	}
+
+	const maxPerCall = useStaking ? MAX_STAKE_SERIALS : MAX_DIRECT_SEND;
+
+	if (!options.split && !useStaking && serials.length > MAX_DIRECT_SEND) {
+		const err = new Error(`Maximum ${MAX_DIRECT_SEND} NFTs per direct send (Hedera limit). Use staking or reduce count.`);
+		err.code = 'TOO_MANY_SERIALS';
+		err.maxPerCall = maxPerCall;
+		err.calls = Math.ceil(serials.length / maxPerCall);
+		throw err;
+	}
+	if (!options.split && useStaking && serials.length > MAX_STAKE_SERIALS) {
+		const err = new Error(`Maximum ${MAX_STAKE_SERIALS} NFTs per staking call. Reduce count.`);
+		err.code = 'TOO_MANY_SERIALS';
+		err.maxPerCall = maxPerCall;
+		err.calls = Math.ceil(serials.length / maxPerCall);
+		throw err;
+	}
+
+	const steps = [];
+	const { association, lazy } = await planAssociationPayment(tokenIdStr, tokenAddress, !!options.payWithHbar, steps, warnings);
+
+	// NFT allowance to the graveyard (staking only)
+	const nft = {
+		required: useStaking,
+		approved: false,
+	};
+
+	if (useStaking) {
+		try {
+			const approvedForAll = await getNFTApprovedForAllAllowances(env, operatorId);
+			nft.approved = !!approvedForAll.get(graveyardId)?.includes(tokenIdStr);
+		}
+		catch (err) {
+			warnings.push(`Could not check NFT allowance: ${err.message}`);
+		}
+
+		if (!nft.approved) {
+			steps.push({
+				type: StepType.SET_NFT_ALLOWANCE,
+				description: `Approve all serials of ${tokenIdStr} to the graveyard`,
+				tokenId: tokenIdStr,
+				spenderId: graveyardId,
+			});
+		}
+	}
+
+	const chunks = [];
+	for (let i = 0; i < serials.length; i += maxPerCall) {
+		chunks.push(serials.slice(i, i + maxPerCall));
+	}
+
+	let batches = 0;
+
+	if (useStaking) {
+		// Association (and its $LAZY payment) happens inside the first staking call, unless paid in hbar above
+		for (const chunk of chunks) {
+			const chunkBatches = Math.ceil(chunk.length / SERIALS_PER_BATCH);
+			const params = [tokenAddress, chunk];
+			const gasInfo = await estimateContractGas('stakeNFTsToTheGrave', params, GAS_LIMITS.STAKING_BURIAL * chunkBatches);
+			steps.push({
+				type: StepType.CONTRACT_CALL,
+				description: `Stake ${chunk.length} NFTs to the graveyard in ${chunkBatches} batch(es)`,
+				function: 'stakeNFTsToTheGrave',
+				params,
+				serials: chunk,
+				batches: chunkBatches,
+				gasLimit: gasInfo.gasLimit,
+				isEstimated: gasInfo.isEstimated,
+			});
+			batches += chunkBatches;
+		}
+	}
+	else {
+		if (!association.associated && association.payment !== 'hbar') {
+			const params = [tokenAddress];
+			const gasInfo = await estimateContractGas('associateToken', params, GAS_LIMITS.HTS_OPERATION);
+			steps.push({
+				type: StepType.CONTRACT_CALL,
+				description: `Associate ${tokenIdStr} with the graveyard`,
+				function: 'associateToken',
+				params,
+				gasLimit: gasInfo.gasLimit,
+				isEstimated: gasInfo.isEstimated,
+			});
+		}
+		for (const chunk of chunks) {
+			steps.push({
+				type: StepType.NFT_TRANSFER,
+				description: `Transfer ${chunk.length} NFTs to the graveyard`,
+				tokenId: tokenIdStr,
+				receiverId: graveyardId,
+				serials: chunk,
+			});
+			// Records the burial on-chain (NFTsBuried with viaStaking = false). Cannot be estimated
+			// until the transfer lands, and the NFTs are already buried if it fails, so it is optional
+			steps.push({
+				type: StepType.CONTRACT_CALL,
+				description: `Register ${chunk.length} sent NFTs in the burial registry`,
+				function: 'registerDirectBurial',
+				params: [tokenAddress, chunk],
+				gasLimit: GAS_LIMITS.DIRECT_BURIAL,
+				isEstimated: false,
+				optional: true,
+			});
+		}
+		batches = chunks.length;
+	}
+
+	return {
+		version: PLAN_VERSION,
+		createdAt: new Date().toISOString(),
+		network,
+		operator: operatorIdStr,
+		graveyard: graveyardId,
+		token: {
+			id: tokenIdStr,
+			evmAddress: tokenAddress,
+			name: tokenDetails?.name || null,
+			symbol: tokenDetails?.symbol || null,
+		},
+		serials,
+		skipped,
+		method: useStaking ? 'staking' : 'direct_transfer',
+		royalty: {
+			hasFallback: royaltyInfo.hasFallback,
+			fallbackFees: royaltyInfo.fallbackFees,
+		},
+		batches,
+		association,
+		allowances: { lazy, nft },
+		ownership,
+		steps,
+		warnings,
+	};
+}
+
+/**
+ * Pack collections' serials into stakeManyToTheGrave calls of at most `max` serials in total
+ * Collections keep their order; one larger than the space left in a call is split across calls.
+ * @param {{ tokenId: string, serials: number[] }[]} collections - extra fields are kept on each entry
+ * @param {number} [max=MAX_STAKE_SERIALS]
+ * @returns {object[][]} entries for each call
+ */
+function packStakingCalls(collections, max = MAX_STAKE_SERIALS) {
+	const calls = [];
+	let current = [];
+	let size = 0;
+
+	for (const collection of collections) {
+		let offset = 0;
+		while (offset < collection.serials.length) {
+			const take = Math.min(max - size, collection.serials.length - offset);
+			current.push({ ...collection, serials: collection.serials.slice(offset, offset + take) });
+			size += take;
+			offset += take;
+
+			if (size === max) {
+				calls.push(current);
+				current = [];
+				size = 0;
+			}
+		}
+	}
+	if (current.length > 0) {
+		calls.push(current);
+	}
+
+	return calls;
+}
+
+/**
+ * Combine staking plans for several collections into one plan that stakes them with stakeManyToTheGrave
+ * NFT allowance and hbar association steps of each plan are kept. $LAZY allowances are merged into one
+ * for the combined association cost, as each allowance replaces the last rather than adding to it.
+ * @param {object[]} plans - staking plans from buildBurialPlan
+ * @returns {Promise<object>} the combined plan (method 'staking_many', the source plans in `collections`)
+ */
+async function combineStakingPlans(plans) {
+	const steps = [];
+	const warnings = [];
+	let lazy = null;
+	let lazyRequired = 0;
+
+	for (const plan of plans) {
+		for (const step of plan.steps) {
+			if (step.function === 'stakeNFTsToTheGrave' || step.type === StepType.SET_LAZY_ALLOWANCE) {
+				continue;
+			}
+			steps.push({ ...step, token: plan.token.id });
+		}
+
+		if (plan.allowances.lazy.required > 0) {
+			lazy = plan.allowances.lazy;
+			lazyRequired += lazy.required;
+		}
+		warnings.push(...plan.warnings.map(w => `${plan.token.id}: ${w}`));
+	}
+
+	if (lazy && lazy.balance !== null && lazy.balance < lazyRequired) {
+		warnings.push(`$LAZY balance ${lazy.balance} is below the ${lazyRequired} (raw) combined association cost`);
+	}
+	if (lazy && lazy.current < lazyRequired) {
+		steps.unshift({
+			type: StepType.SET_LAZY_ALLOWANCE,
+			description: `Approve ${lazyRequired} $LAZY (raw) to LazyGasStation`,
+			tokenId: lazy.tokenId,
+			spenderId: lazy.spenderId,
+			amount: lazyRequired,
+		});
+	}
+
+	const calls = packStakingCalls(plans.map(plan => ({
+		tokenId: plan.token.id,
+		evmAddress: plan.token.evmAddress,
+		serials: plan.serials,
+	})));
+
+	let batches = 0;
+	for (const entries of calls) {
+		const params = [entries.map(e => e.evmAddress), entries.map(e => e.serials)];
+		const count = entries.reduce((n, e) => n + e.serials.length, 0);
+		const callBatches = entries.reduce((n, e) => n + Math.ceil(e.serials.length / SERIALS_PER_BATCH), 0);
+		const fallbackGas = Math.min(GAS_LIMITS.STAKING_BURIAL * callBatches, MAX_CONTRACT_GAS);
+		const gasInfo = await estimateContractGas('stakeManyToTheGrave', params, fallbackGas);
+
+		steps.push({
+			type: StepType.CONTRACT_CALL,
+			description: `Stake ${count} NFTs of ${entries.length} collection(s) to the graveyard in ${callBatches} batch(es)`,
+			function: 'stakeManyToTheGrave',
+			params,
+			entries: entries.map(({ tokenId, serials }) => ({ tokenId, serials })),
+			batches: callBatches,
+			gasLimit: gasInfo.gasLimit,
+			isEstimated: gasInfo.isEstimated,
+		});
+		batches += callBatches;
+	}
+
+	const [first] = plans;
+	return {
+		version: PLAN_VERSION,
+		createdAt: new Date().toISOString(),
+		network: first.network,
+		operator: first.operator,
+		graveyard: first.graveyard,
+		method: 'staking_many',
+		collections: plans,
+		batches,
+		steps,
+		warnings,
+	};
+}
+
+/**
+ * Convert a human token amount to the token's smallest unit
+ * Parsed as a decimal string so no precision is lost to floating point
+ * @param {string} amountStr - Amount (e.g. 12.5)
+ * @param {number} decimals - Token decimals
+ * @returns {number} amount in the smallest unit
+ * @throws {Error} code INVALID_AMOUNT if the amount is not positive, has too many decimal places or is too large
+ */
+function parseTokenAmount(amountStr, decimals) {
+	const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_AMOUNT' });
+
+	const match = String(amountStr).trim().match(/^(\d*)(?:\.(\d*))?$/);
+	if (!match || (match[1] === '' && !match[2])) {
+		throw invalid(`Invalid amount: ${amountStr}`);
+	}
+
+	const fraction = (match[2] || '').replace(/0+$/, '');
+	if (fraction.length > decimals) {
+		throw invalid(`Amount ${amountStr} has more than ${decimals} decimal place(s)`);
+	}
+
+	const raw = Number(`${match[1] || '0'}${fraction.padEnd(decimals, '0')}`);
+	if (raw === 0) {
+		throw invalid('Amount must be greater than 0');
+	}
+	if (!Number.isSafeInteger(raw)) {
+		throw invalid(`Amount ${amountStr} is too large`);
+	}
+	return raw;
+}
+
+/**
+ * Build a fungible (FT dust) burial plan without submitting any transaction
+ * @param {string} tokenIdStr - Token ID (e.g. 0.0.48486075)
+ * @param {string} amountStr - Amount in whole tokens, scaled by the token's decimals
+ * @param {object} [options]
+ * @param {boolean} [options.payWithHbar] - Pay for association with associateTokenWithHbar instead of $LAZY
+ * @returns {Promise<object>} the plan
+ * @throws {Error} code NOT_FUNGIBLE for NFT collections, CANNOT_BURY_LAZY for $LAZY
+ */
+async function buildFungibleBurialPlan(tokenIdStr, amountStr, options = {}) {
+	const { operatorId, env, network } = createClient();
+	const graveyardId = getGraveyardId().toString();
+
+	const [tokenDetails, tokenAddress] = await Promise.all([
+		getTokenDetails(env, tokenIdStr),
+		homebrewPopulateAccountEvmAddress(env, tokenIdStr, EntityType.TOKEN),
+	]);
+
+	if (!tokenDetails) {
+		throw new Error(`Could not read token details for ${tokenIdStr}`);
+	}
+	if (tokenDetails.type !== 'FUNGIBLE_COMMON') {
+		const err = new Error(`${tokenIdStr} is not a fungible token - bury NFTs with: bury.js ${tokenIdStr} <serials>`);
+		err.code = 'NOT_FUNGIBLE';
+		throw err;
+	}
+	if (tokenAddress.toLowerCase() === (await getLazyTokenAddress()).toLowerCase()) {
+		const err = new Error('$LAZY cannot be buried (the graveyard\'s $LAZY balance is withdrawable by admins)');
+		err.code = 'CANNOT_BURY_LAZY';
+		throw err;
+	}
+
+	const decimals = Number(tokenDetails.decimals) || 0;
+	const amount = parseTokenAmount(amountStr, decimals);
+	const warnings = [];
+
+	let balance = null;
+	try {
+		balance = await checkMirrorBalance(env, operatorId, tokenIdStr);
+	}
+	catch {
+		// reported below as unknown
+	}
+	if (balance === null) {
+		warnings.push('Could not check token balance');
+	}
+	else if (balance < amount) {
+		warnings.push(`Token balance ${balance} is below the ${amount} (raw) to bury`);
+	}
+
+	const steps = [];
+	const { association, lazy } = await planAssociationPayment(tokenIdStr, tokenAddress, !!options.payWithHbar, steps, warnings);
+
+	// FT allowance to the graveyard, spent by the staking transfer
+	const ft = { required: amount, current: 0, sufficient: false };
+	try {
+		ft.current = parseInt(await checkMirrorAllowance(env, operatorId, tokenIdStr, graveyardId)) || 0;
+	}
+	catch (err) {
+		warnings.push(`Could not check token allowance: ${err.message}`);
+	}
+	ft.sufficient = ft.current >= amount;
+
+	if (!ft.sufficient) {
+		steps.push({
+			type: StepType.SET_FT_ALLOWANCE,
+			description: `Approve ${amountStr} ${tokenDetails.symbol || tokenIdStr} (${amount} raw) to the graveyard`,
+			tokenId: tokenIdStr,
+			spenderId: graveyardId,
+			amount,
+		});
+	}
+
+	// Association (and its $LAZY payment) happens inside the staking call, unless paid in hbar above
+	const params = [tokenAddress, amount];
+	const gasInfo = await estimateContractGas('stakeFungibleToTheGrave', params, GAS_LIMITS.STAKING_BURIAL);
+	steps.push({
+		type: StepType.CONTRACT_CALL,
+		description: `Stake ${amountStr} ${tokenDetails.symbol || tokenIdStr} to the graveyard`,
+		function: 'stakeFungibleToTheGrave',
+		params,
+		gasLimit: gasInfo.gasLimit,
+		isEstimated: gasInfo.isEstimated,
+	});
+
+	return {
+		version: PLAN_VERSION,
+		createdAt: new Date().toISOString(),
+		network,
+		operator: operatorId.toString(),
+		graveyard: graveyardId,
+		token: {
+			id: tokenIdStr,
+			evmAddress: tokenAddress,
+			name: tokenDetails.name || null,
+			symbol: tokenDetails.symbol || null,
+			decimals,
+		},
+		amount: { display: amountStr, raw: amount },
+		balance,
+		method: 'fungible',
+		association,
+		allowances: { lazy, ft },
+		steps,
+		warnings,
+	};
+}
+
+/**
+ * Check a plan is for the currently configured network, operator and graveyard
+ * @param {object} plan
+ */
+function validatePlan(plan) {
+	if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.steps)) {
+		throw new Error('Unsupported or malformed burial plan');
+	}
+
+	const { operatorId, network } = createClient();
+	const graveyardId = getGraveyardId().toString();
+
+	if (plan.network !== network) {
+		throw new Error(`Plan was built for ${plan.network} but ENVIRONMENT is ${network}`);
+	}
+	if (plan.operator !== operatorId.toString()) {
+		throw new Error(`Plan was built for operator ${plan.operator} but ACCOUNT_ID is ${operatorId.toString()}`);
+	}
+	if (plan.graveyard !== graveyardId) {
+		throw new Error(`Plan was built for graveyard ${plan.graveyard} but GRAVEYARD_CONTRACT_ID is ${graveyardId}`);
+	}
+}
+
+/**
+ * Build the transaction a plan step submits (not frozen)
+ * @param {object} step
+ * @returns {Transaction}
+ */
+function buildStepTransaction(step) {
+	const { operatorId } = createClient();
+
+	switch (step.type) {
+	case StepType.SET_LAZY_ALLOWANCE:
+	case StepType.SET_FT_ALLOWANCE:
+		return new AccountAllowanceApproveTransaction()
+			.approveTokenAllowance(step.tokenId, operatorId, step.spenderId, step.amount)
+			.setTransactionMemo('Token burial allowance');
+	case StepType.SET_NFT_ALLOWANCE:
+		return new AccountAllowanceApproveTransaction()
+			.approveTokenNftAllowanceAllSerials(step.tokenId, operatorId, step.spenderId)
+			.setTransactionMemo('Sending to the graveyard');
+	case StepType.CONTRACT_CALL:
+		return buildContractTransaction(step.function, step.params, step.gasLimit, step.payableTinybars ?? 0);
+	case StepType.NFT_TRANSFER: {
+		const tokenId = TokenId.fromString(step.tokenId);
+		const receiverId = AccountId.fromString(step.receiverId);
+		const transferTx = new TransferTransaction();
+
+		for (const serial of step.serials) {
+			transferTx.addNftTransfer(tokenId, serial, operatorId, receiverId);
+		}
+		return transferTx;
+	}
+	default:
+		throw new Error(`Unknown plan step type: ${step.type}`);
+	}
+}
+
+/**
+ * Execute a single plan step
+ * @param {object} step
+ * @returns {Promise<{ success: boolean, status: string, transactionId?: string, gasInfo?: object }>}
+ */
+async function executeStep(step) {
+	const { client, operatorId } = createClient();
+
+	switch (step.type) {
+	case StepType.SET_LAZY_ALLOWANCE:
+	case StepType.SET_FT_ALLOWANCE: {
+		const status = await setFTAllowance(client, step.tokenId, operatorId, step.spenderId, step.amount, 'Token burial allowance');
+		return { success: status === 'SUCCESS', status };
+	}
+	case StepType.SET_NFT_ALLOWANCE: {
+		const status = await setNFTAllowanceAll(client, [step.tokenId], operatorId, step.spenderId, 'Sending to the graveyard');
+		return { success: status === 'SUCCESS', status };
+	}
+	case StepType.CONTRACT_CALL: {
+		// Use the planned gas limit verbatim - no re-estimation
+		const result = await executeContract(step.function, step.params, step.gasLimit, false, step.payableTinybars ?? 0);
+		return {
+			success: result.status === 'SUCCESS',
+			status: result.status,
+			transactionId: result.record?.transactionId?.toString(),
+			gasInfo: result.gasInfo,
+		};
+	}
+	case StepType.NFT_TRANSFER: {
+		const response = await buildStepTransaction(step).execute(client);
+		const receipt = await response.getReceipt(client);
+		const status = receipt.status.toString();
+
+		return {
+			success: status === 'SUCCESS',
+			status,
+			transactionId: response.transactionId.toString(),
+		};
+	}
+	default:
+		throw new Error(`Unknown plan step type: ${step.type}`);
+	}
+}
+
+/**
+ * Export every step of one or more plans as unsigned transactions (watch-only)
+ * @param {object[]} plans
+ * @returns {object} export from exportUnsigned
+ */
+function exportBurialPlans(plans) {
+	plans.forEach(plan => validatePlan(plan));
+
+	return exportUnsigned(plans.flatMap(plan => plan.steps.map(step => ({
+		transaction: buildStepTransaction(step),
+		description: step.description,
+	}))));
+}
+
+/**
+ * Execute every step of a plan in order, stopping at the first failure
+ * Failed optional steps (burial registration) are reported in `warnings` and do not stop the plan.
+ * A watch-only run exports the plan unsigned instead, returned in `unsigned` (see unsigned.js).
+ * @param {object} plan - Plan from buildBurialPlan (or loaded from disk)
+ * @param {object} [hooks]
+ * @param {function(object, number): void} [hooks.onStep] - Called before each step runs
+ * @param {function(object, number, object): void} [hooks.onResult] - Called with each step's result (including failures)
+ * @returns {Promise<{ success: boolean, method: string, steps: object[], warnings: string[], failedStep?: object,
+ *   unsigned?: object }>}
+ */
+async function executeBurialPlan(plan, hooks = {}) {
+	validatePlan(plan);
+
+	if (isWatchOnly()) {
+		return {
+			success: true,
+			method: plan.method,
+			steps: [],
+			warnings: [],
+			unsigned: exportBurialPlans([plan]),
+		};
+	}
+
+	const results = [];
+	const warnings = [];
+
+	for (let i = 0; i < plan.steps.length; i++) {
+		const step = plan.steps[i];
+		if (hooks.onStep) hooks.onStep(step, i);
+
+		let result;
+		try {
+			result = await executeStep(step);
+		}
+		catch (err) {
+			result = { success: false, status: 'ERROR', error: err.message };
+		}
+
+		results.push({ type: step.type, function: step.function, ...result });
+		if (hooks.onResult) hooks.onResult(step, i, result);
+
+		if (!result.success && step.optional) {
+			warnings.push(`Step ${i + 1} (${step.description}) failed: ${result.error || result.status}`);
+			continue;
+		}
+
+		if (!result.success) {
+			return {
+				success: false,
+				method: plan.method,
+				steps: results,
+				warnings,
+				failedStep: { index: i, ...step },
+			};
+		}
+	}
+
+	const lastTx = results.filter(r => r.transactionId).pop();
+
+	return {
+		success: true,
+		method: plan.method,
+		steps: results,
+		warnings,
+		transactionId: lastTx?.transactionId,
+	};
+}
+
+module.exports = {
+	PLAN_VERSION,
+	MAX_DIRECT_SEND,
+	MAX_STAKE_SERIALS,
+	SERIALS_PER_BATCH,
+	StepType,
+	buildBurialPlan,
+	buildFungibleBurialPlan,
+	packStakingCalls,
+	combineStakingPlans,
+	parseTokenAmount,
+	validatePlan,
+	exportBurialPlans,
+	executeBurialPlan,
+};
@@ -0,0 +1,140 @@
+/**
+ * Named Profiles
+ * Switch between graveyard deployments (network, contract IDs) without editing .env
+ *
+ * Profiles live in graveyard.profiles.json (or GRAVEYARD_PROFILES_FILE). Each profile is a set of
+ * .env settings that override .env for the run:
+ * {
+ *   "default": "testnet",
+ *   "profiles": {
+ *     "testnet": { "ENVIRONMENT": "TEST", "GRAVEYARD_CONTRACT_ID": "0.0.1234", ... },
+ *     "mainnet": { "ENVIRONMENT": "MAIN", "GRAVEYARD_CONTRACT_ID": "0.0.5678", ... }
+ *   }
+ * }
+ *
+ * The profile used is --profile <name>, else GRAVEYARD_PROFILE, else the file's default.
+ */
+
+const fs = require('fs');
+const { getOption } = require('./args');
+
+// GRAVEYARD_PROFILE may come from .env, which must be loaded before the profile is picked
+require('dotenv').config();
+
+const DEFAULT_PROFILES_FILE = 'graveyard.profiles.json';
+
+// Settings whose values are masked when profiles are listed
+const SECRET_SETTING = /KEY|SECRET|PASSPHRASE|PASSWORD/i;
+
+// Name of the profile applied to process.env (null until applyProfile picks one)
+let activeProfile = null;
+
+/**
+ * Profiles file path
+ * @returns {string}
+ */
+function profilesPath() {
+	return process.env.GRAVEYARD_PROFILES_FILE || DEFAULT_PROFILES_FILE;
+}
+
+/**
+ * Read and validate the profiles file
+ * @param {string} [filePath]
+ * @returns {{ path: string, exists: boolean, default: string|null, profiles: object }}
+ * @throws {Error} if the file is not valid JSON or a profile is malformed
+ */
+function readProfiles(filePath = profilesPath()) {
+	if (!fs.existsSync(filePath)) {
+		return { path: filePath, exists: false, default: null, profiles: {} };
+	}
+
+	let data;
+	try {
+		data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	}
+	catch (err) {
+		throw new Error(`Profiles file ${filePath} is not valid JSON: ${err.message}`);
+	}
+
+	const profiles = data.profiles ?? {};
+	for (const [name, settings] of Object.entries(profiles)) {
+		if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+			throw new Error(`Profile "${name}" in ${filePath} must be an object of .env settings`);
+		}
+		for (const [setting, value] of Object.entries(settings)) {
+			if (typeof value !== 'string') {
+				throw new Error(`Profile "${name}" setting ${setting} must be a string`);
+			}
+		}
+	}
+	if (data.default && !profiles[data.default]) {
+		throw new Error(`Default profile "${data.default}" is not defined in ${filePath}`);
+	}
+
+	return { path: filePath, exists: true, default: data.default ?? null, profiles };
+}
+
+/**
+ * Name of the profile this run asks for
+ * @param {object} file - from readProfiles
+ * @returns {string|null}
+ */
+function requestedProfile(file) {
+	return getOption('profile') || process.env.GRAVEYARD_PROFILE || file.default;
+}
+
+/**
+ * Apply the requested profile's settings to process.env (once per run)
+ * @returns {string|null} profile name, null when no profile is used
+ * @throws {Error} if the requested profile does not exist
+ */
+function applyProfile() {
+	if (activeProfile) {
+		return activeProfile;
+	}
+
+	const file = readProfiles();
+	const name = requestedProfile(file);
+	if (!name) {
+		return null;
+	}
+
+	const settings = file.profiles[name];
+	if (!settings) {
+		const known = Object.keys(file.profiles);
+		throw new Error(`Unknown profile "${name}" (${known.length > 0 ? `defined: ${known.join(', ')}` : `no profiles in ${file.path}`})`);
+	}
+
+	Object.assign(process.env, settings);
+	activeProfile = name;
+	return name;
+}
+
+/**
+ * Profile applied to this run
+ * @returns {string|null}
+ */
+function getActiveProfile() {
+	return activeProfile;
+}
+
+/**
+ * Settings of a profile with secrets masked
+ * @param {object} settings
+ * @returns {object}
+ */
+function maskSettings(settings) {
+	return Object.fromEntries(Object.entries(settings).map(([setting, value]) => [
+		setting,
+		SECRET_SETTING.test(setting) && value ? '****' : value,
+	]));
+}
+
+module.exports = {
+	profilesPath,
+	readProfiles,
+	requestedProfile,
+	applyProfile,
+	getActiveProfile,
+	maskSettings,
+};
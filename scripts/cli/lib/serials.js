@@ -0,0 +1,118 @@
+/**
+ * Serial List Parsing
+ * Accepts comma-separated serials, ranges and @file input
+ *
+ * Examples:
+ *   1,2,3
+ *   1-400
+ *   1-50,75,90-100
+ *   @serials.txt   (serials/ranges separated by commas, whitespace or newlines; # comments allowed)
+ */
+
+const fs = require('fs');
+
+// Guard against typos like 1-1000000 expanding to a huge list
+const MAX_RANGE_SIZE = 10_000;
+
+/**
+ * Parse a single positive integer serial
+ * @param {string} str
+ * @returns {number}
+ */
+function parseSerial(str) {
+	if (!/^\d+$/.test(str)) {
+		throw new Error(`Invalid serial number: ${str}`);
+	}
+
+	const num = Number(str);
+	if (num <= 0 || !Number.isSafeInteger(num)) {
+		throw new Error(`Invalid serial number: ${str}`);
+	}
+
+	return num;
+}
+
+/**
+ * Expand one token of a serial list (a serial or an inclusive range)
+ * @param {string} part
+ * @returns {number[]}
+ */
+function expandPart(part) {
+	const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+	if (!range) {
+		return [parseSerial(part)];
+	}
+
+	const start = parseSerial(range[1]);
+	const end = parseSerial(range[2]);
+	if (start > end) {
+		throw new Error(`Invalid serial range: ${part} (start is after end)`);
+	}
+	if (end - start + 1 > MAX_RANGE_SIZE) {
+		throw new Error(`Serial range ${part} is larger than ${MAX_RANGE_SIZE.toLocaleString()} serials`);
+	}
+
+	const serials = [];
+	for (let s = start; s <= end; s++) {
+		serials.push(s);
+	}
+	return serials;
+}
+
+/**
+ * Read the serial list text from an @file reference
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readSerialsFile(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Serials file not found: ${filePath}`);
+	}
+
+	return fs.readFileSync(filePath, 'utf8')
+		.split(/\r?\n/)
+		.map(line => line.replace(/#.*$/, ''))
+		.join(',');
+}
+
+/**
+ * Parse a serial list specification into unique serial numbers
+ * @param {string} spec - e.g. "1-50,75,90-100" or "@serials.txt"
+ * @returns {number[]} serials in the order given
+ * @throws {Error} on invalid input or duplicate serials (err.duplicates lists them)
+ */
+function parseSerials(spec) {
+	const text = spec.startsWith('@') ? readSerialsFile(spec.substring(1)) : spec;
+
+	const parts = text.split(/[,\s]+/).filter(p => p);
+	if (parts.length === 0) {
+		throw new Error('At least one serial number required');
+	}
+
+	const serials = [];
+	for (const part of parts) {
+		serials.push(...expandPart(part));
+	}
+
+	const seen = new Set();
+	const duplicates = new Set();
+	for (const serial of serials) {
+		if (seen.has(serial)) duplicates.add(serial);
+		seen.add(serial);
+	}
+
+	if (duplicates.size > 0) {
+		const list = [...duplicates].sort((a, b) => a - b);
+		const shown = list.length > 20 ? `${list.slice(0, 20).join(', ')}, ... (${list.length} total)` : list.join(', ');
+		const err = new Error(`Duplicate serial numbers: ${shown}`);
+		err.duplicates = list;
+		throw err;
+	}
+
+	return serials;
+}
+
+module.exports = {
+	MAX_RANGE_SIZE,
+	parseSerials,
+};
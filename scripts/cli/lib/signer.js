@@ -0,0 +1,337 @@
+/**
+ * Operator Signing
+ * Where the CLI's operator signatures come from, checked in this order:
+ *   PRIVATE_KEY      raw key in .env
+ *   KEYSTORE_FILE    encrypted keystore (keystore.js create), unlocked on first use with
+ *                    KEYSTORE_PASSPHRASE or a passphrase prompt
+ *   SIGNER_COMMAND   external signing process: each message is written to its stdin as hex and it
+ *                    prints the signature as hex on stdout. SIGNER_PUBLIC_KEY is the key it signs with
+ *
+ * With none of them, or with --watch-only / WATCH_ONLY=true, the CLI is watch-only: read commands
+ * work as usual and write commands export unsigned frozen transactions (see unsigned.js).
+ * A profile can switch source by blanking the others, e.g. "PRIVATE_KEY": "".
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { exec } = require('child_process');
+const { PrivateKey, PublicKey } = require('@hashgraph/sdk');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_TYPE = 'hedera-keystore';
+const DEFAULT_KEYSTORE_FILE = 'graveyard.keystore.json';
+
+// scrypt cost for new keystores (the parameters used are stored in each keystore)
+const KDF_PARAMS = { n: 2 ** 17, r: 8, p: 1 };
+
+const DEFAULT_SIGNER_TIMEOUT = 60_000;
+
+const KeySource = {
+	PRIVATE_KEY: 'private-key',
+	KEYSTORE: 'keystore',
+	COMMAND: 'signer-command',
+	WATCH_ONLY: 'watch-only',
+};
+
+/**
+ * Whether the run was asked to be watch-only even if a key is configured
+ * @param {object} vars
+ * @param {string[]} argv
+ * @returns {boolean}
+ */
+function isWatchOnlyRequested(vars = process.env, argv = process.argv) {
+	return argv.includes('--watch-only') || vars.WATCH_ONLY === 'true';
+}
+
+/**
+ * Derive the keystore cipher key from a passphrase
+ * @param {string} passphrase
+ * @param {{ n: number, r: number, p: number, salt: string }} params
+ * @returns {Promise<Buffer>}
+ */
+function deriveKey(passphrase, { n, r, p, salt }) {
+	return scrypt(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), 32, {
+		N: n,
+		r,
+		p,
+		maxmem: 256 * n * r * p,
+	});
+}
+
+/**
+ * Encrypt a private key into a keystore (scrypt + AES-256-GCM)
+ * @param {PrivateKey} privateKey
+ * @param {string} passphrase
+ * @param {object} [options]
+ * @param {string} [options.accountId] - Account the key operates, stored in the clear
+ * @param {object} [options.kdfParams] - scrypt n, r and p (defaults to KDF_PARAMS)
+ * @returns {Promise<object>} keystore JSON
+ */
+async function encryptKeystore(privateKey, passphrase, { accountId = null, kdfParams = KDF_PARAMS } = {}) {
+	if (!passphrase) {
+		throw new Error('Keystore passphrase must not be empty');
+	}
+
+	const publicKey = privateKey.publicKey.toStringDer();
+	const params = { ...kdfParams, salt: crypto.randomBytes(32).toString('hex') };
+	const iv = crypto.randomBytes(12);
+
+	const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(passphrase, params), iv);
+	cipher.setAAD(Buffer.from(publicKey, 'utf8'));
+	const ciphertext = Buffer.concat([cipher.update(privateKey.toStringDer(), 'utf8'), cipher.final()]);
+
+	return {
+		version: KEYSTORE_VERSION,
+		type: KEYSTORE_TYPE,
+		accountId,
+		keyType: privateKey.type,
+		publicKey,
+		crypto: {
+			kdf: 'scrypt',
+			kdfparams: params,
+			cipher: 'aes-256-gcm',
+			iv: iv.toString('hex'),
+			tag: cipher.getAuthTag().toString('hex'),
+			ciphertext: ciphertext.toString('hex'),
+		},
+	};
+}
+
+/**
+ * Decrypt a keystore
+ * @param {object} keystore - from readKeystore
+ * @param {string} passphrase
+ * @returns {Promise<PrivateKey>}
+ * @throws {Error} on a wrong passphrase or a key that does not match the stored public key
+ */
+async function decryptKeystore(keystore, passphrase) {
+	const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+
+	let der;
+	try {
+		const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKey(passphrase, kdfparams), Buffer.from(iv, 'hex'));
+		decipher.setAAD(Buffer.from(keystore.publicKey, 'utf8'));
+		decipher.setAuthTag(Buffer.from(tag, 'hex'));
+		der = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+	}
+	catch {
+		throw new Error('Wrong keystore passphrase');
+	}
+
+	const privateKey = PrivateKey.fromStringDer(der);
+	if (privateKey.publicKey.toStringDer() !== keystore.publicKey) {
+		throw new Error('Keystore key does not match its public key');
+	}
+	return privateKey;
+}
+
+/**
+ * Read and validate a keystore file
+ * @param {string} filePath
+ * @returns {object}
+ * @throws {Error} if the file is missing or not a keystore
+ */
+function readKeystore(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Keystore not found: ${filePath}`);
+	}
+
+	let keystore;
+	try {
+		keystore = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	}
+	catch (err) {
+		throw new Error(`Keystore ${filePath} is not valid JSON: ${err.message}`);
+	}
+
+	if (keystore.type !== KEYSTORE_TYPE || keystore.version !== KEYSTORE_VERSION || keystore.crypto?.kdf !== 'scrypt') {
+		throw new Error(`${filePath} is not a version ${KEYSTORE_VERSION} ${KEYSTORE_TYPE} file`);
+	}
+	return keystore;
+}
+
+/**
+ * Ask for a secret on the terminal without echoing it (prompt on stderr, so JSON output stays clean)
+ * @param {string} question
+ * @returns {Promise<string>}
+ * @throws {Error} if stdin is not a terminal or the prompt is cancelled with Ctrl+C
+ */
+function promptHidden(question) {
+	const { stdin, stderr } = process;
+	if (!stdin.isTTY) {
+		return Promise.reject(new Error('No terminal to prompt for the passphrase - set KEYSTORE_PASSPHRASE'));
+	}
+
+	return new Promise((resolve, reject) => {
+		let value = '';
+
+		const finish = (err) => {
+			stdin.removeListener('data', onData);
+			stdin.setRawMode(false);
+			stdin.pause();
+			stderr.write('\n');
+			if (err) reject(err);
+			else resolve(value);
+		};
+
+		const onData = (chars) => {
+			for (const ch of chars) {
+				if (ch === '\r' || ch === '\n') {
+					finish();
+					return;
+				}
+				if (ch === '\u0003') {
+					finish(new Error('Cancelled'));
+					return;
+				}
+				value = ch === '\u007f' || ch === '\b' ? value.slice(0, -1) : value + ch;
+			}
+		};
+
+		// Raw mode (no echo) before the prompt, so nothing typed as soon as it shows is echoed
+		stdin.setRawMode(true);
+		stderr.write(question);
+		stdin.setEncoding('utf8');
+		stdin.on('data', onData);
+		stdin.resume();
+	});
+}
+
+/**
+ * Signing function backed by an external command
+ * The command is run once per message: the message goes to stdin as hex (one line) and the
+ * signature is read from stdout as hex. Signatures are checked against the public key.
+ * @param {string} command - Shell command
+ * @param {PublicKey} publicKey - Key the command signs with
+ * @param {number} [timeoutMs]
+ * @returns {function(Uint8Array): Promise<Uint8Array>}
+ */
+function commandSigner(command, publicKey, timeoutMs = DEFAULT_SIGNER_TIMEOUT) {
+	return message => new Promise((resolve, reject) => {
+		const child = exec(command, { timeout: timeoutMs }, (err, stdout, stderr) => {
+			if (err) {
+				reject(new Error(`Signer command failed: ${stderr.trim() || err.message}`));
+				return;
+			}
+
+			const hex = stdout.trim().replace(/^0x/i, '');
+			if (!/^([0-9a-f]{2})+$/i.test(hex)) {
+				reject(new Error('Signer command did not print a hex signature'));
+				return;
+			}
+
+			const signature = Buffer.from(hex, 'hex');
+			if (!publicKey.verify(message, signature)) {
+				reject(new Error('Signer command signature does not match SIGNER_PUBLIC_KEY'));
+				return;
+			}
+			resolve(new Uint8Array(signature));
+		});
+		child.stdin.end(`${Buffer.from(message).toString('hex')}\n`);
+	});
+}
+
+/**
+ * Signing function for a keystore, which asks for the passphrase the first time it signs
+ * @param {object} keystore
+ * @param {string} filePath
+ * @param {string} [passphrase] - KEYSTORE_PASSPHRASE, prompted for if not set
+ * @returns {function(Uint8Array): Promise<Uint8Array>}
+ */
+function keystoreSigner(keystore, filePath, passphrase) {
+	let unlocking = null;
+
+	return async message => {
+		unlocking ??= (passphrase
+			? Promise.resolve(passphrase)
+			: promptHidden(`Passphrase for ${filePath}: `)
+		).then(secret => decryptKeystore(keystore, secret));
+
+		const privateKey = await unlocking;
+		return privateKey.sign(message);
+	};
+}
+
+/**
+ * Load the operator's signing source from the environment
+ * @param {object} [vars=process.env]
+ * @param {string[]} [argv=process.argv]
+ * @returns {{ source: string, accountId: string|null, publicKey: PublicKey|null, privateKey: PrivateKey|null,
+ *   sign: function(Uint8Array): Promise<Uint8Array>|null, keystore: string|null }}
+ *   privateKey is only set for PRIVATE_KEY; sign is null when watch-only
+ * @throws {Error} if a configured source is unusable
+ */
+function loadOperatorSigner(vars = process.env, argv = process.argv) {
+	const signer = { accountId: null, publicKey: null, privateKey: null, sign: null, keystore: null };
+
+	if (isWatchOnlyRequested(vars, argv)) {
+		return { ...signer, source: KeySource.WATCH_ONLY };
+	}
+
+	if (vars.PRIVATE_KEY) {
+		const privateKey = PrivateKey.fromString(vars.PRIVATE_KEY);
+		return {
+			...signer,
+			source: KeySource.PRIVATE_KEY,
+			publicKey: privateKey.publicKey,
+			privateKey,
+			sign: async message => privateKey.sign(message),
+		};
+	}
+
+	if (vars.KEYSTORE_FILE) {
+		const keystore = readKeystore(vars.KEYSTORE_FILE);
+		return {
+			...signer,
+			source: KeySource.KEYSTORE,
+			accountId: keystore.accountId,
+			publicKey: PublicKey.fromString(keystore.publicKey),
+			sign: keystoreSigner(keystore, vars.KEYSTORE_FILE, vars.KEYSTORE_PASSPHRASE),
+			keystore: vars.KEYSTORE_FILE,
+		};
+	}
+
+	if (vars.SIGNER_COMMAND) {
+		if (!vars.SIGNER_PUBLIC_KEY) {
+			throw new Error('SIGNER_PUBLIC_KEY required with SIGNER_COMMAND');
+		}
+		const publicKey = PublicKey.fromString(vars.SIGNER_PUBLIC_KEY);
+		const timeoutMs = vars.SIGNER_TIMEOUT_MS ? parseInt(vars.SIGNER_TIMEOUT_MS, 10) : DEFAULT_SIGNER_TIMEOUT;
+		return {
+			...signer,
+			source: KeySource.COMMAND,
+			publicKey,
+			sign: commandSigner(vars.SIGNER_COMMAND, publicKey, timeoutMs),
+		};
+	}
+
+	return { ...signer, source: KeySource.WATCH_ONLY };
+}
+
+/**
+ * Signing source for display or JSON output
+ * @param {object} signer - from loadOperatorSigner
+ * @returns {{ source: string, publicKey: string|null, keystore: string|null }}
+ */
+function describeSigner(signer) {
+	return {
+		source: signer.source,
+		publicKey: signer.publicKey ? signer.publicKey.toStringDer() : null,
+		keystore: signer.keystore,
+	};
+}
+
+module.exports = {
+	KeySource,
+	DEFAULT_KEYSTORE_FILE,
+	encryptKeystore,
+	decryptKeystore,
+	readKeystore,
+	promptHidden,
+	commandSigner,
+	loadOperatorSigner,
+	describeSigner,
+};
@@ -0,0 +1,213 @@
+/**
+ * Burial Statistics
+ * Aggregates indexed NFTsBuried rows (see indexer.js) into leaderboards and a daily series, and
+ * FTBuried rows into per-token totals
+ *
+ * Counts are serials buried (one NFTsBuried event can bury many serials) alongside the number
+ * of burial events. Days are UTC calendar days of the consensus timestamp.
+ * Direct burials count towards totals, collections and days but credit no burier: the contract
+ * cannot prove who sent the serials, and the event's user is only the account that registered them.
+ * Fungible amounts are raw (smallest unit) and summed per token, so they are never compared across tokens.
+ */
+
+const { csvCell } = require('./manifest');
+
+const CSV_COLUMNS = ['view', 'rank', 'key', 'name', 'symbol', 'serials', 'burials', 'buriers', 'collections'];
+
+/**
+ * Parse a --from/--to date
+ * A bare date (YYYY-MM-DD) used as --to covers the whole day
+ * @param {string} value - ISO date or date-time
+ * @param {boolean} [endOfDay=false]
+ * @returns {number} seconds since the epoch
+ * @throws {Error} if the date is invalid
+ */
+function parseDate(value, endOfDay = false) {
+	const ms = Date.parse(value);
+	if (isNaN(ms)) {
+		throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or an ISO date-time)`);
+	}
+	const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+	return (ms + (endOfDay && dayOnly ? 86_400_000 : 0)) / 1000;
+}
+
+/**
+ * Build a time window from CLI options
+ * @param {object} options
+ * @param {string} [options.from] - Start date (inclusive)
+ * @param {string} [options.to] - End date (inclusive for a bare date)
+ * @param {string} [options.days] - Last n days (instead of --from)
+ * @param {number} [now=Date.now()]
+ * @returns {{ from: number|null, to: number|null }} seconds, exclusive upper bound
+ * @throws {Error} on invalid or conflicting options
+ */
+function parseWindow(options, now = Date.now()) {
+	if (options.days && options.from) {
+		throw new Error('Use either --days or --from, not both');
+	}
+
+	let from = options.from ? parseDate(options.from) : null;
+	const to = options.to ? parseDate(options.to, true) : null;
+
+	if (options.days) {
+		const days = Number(options.days);
+		if (!Number.isInteger(days) || days <= 0) {
+			throw new Error('--days must be a positive whole number');
+		}
+		from = now / 1000 - days * 86_400;
+	}
+
+	if (from !== null && to !== null && from >= to) {
+		throw new Error('--from must be before --to');
+	}
+
+	return { from, to };
+}
+
+/**
+ * UTC day of a consensus timestamp
+ * @param {string} timestamp - seconds.nanos
+ * @returns {string} YYYY-MM-DD
+ */
+function toDay(timestamp) {
+	return new Date(parseFloat(timestamp) * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a row falls inside a window
+ * @param {{ timestamp: string }} row
+ * @param {{ from: number|null, to: number|null }} window
+ * @returns {boolean}
+ */
+function inWindow(row, window) {
+	const time = parseFloat(row.timestamp);
+	if (window.from !== null && time < window.from) return false;
+	if (window.to !== null && time >= window.to) return false;
+	return true;
+}
+
+/**
+ * Sort aggregates by serials, then burials, then key
+ * @param {object[]} entries
+ * @param {string} keyField
+ * @returns {object[]}
+ */
+function rank(entries, keyField) {
+	return entries.sort((a, b) =>
+		b.serials - a.serials
+		|| b.burials - a.burials
+		|| a[keyField].localeCompare(b[keyField]));
+}
+
+/**
+ * Aggregate burials by user, token and day
+ * @param {object[]} burials - indexed burial rows
+ * @param {{ from: number|null, to: number|null }} [window]
+ * @returns {{ totals: object, users: object[], tokens: object[], days: object[] }}
+ */
+function aggregateBurials(burials, window = { from: null, to: null }) {
+	const users = new Map();
+	const tokens = new Map();
+	const days = new Map();
+	const totals = { burials: 0, serials: 0, viaStaking: 0, direct: 0, first: null, last: null };
+
+	for (const burial of burials) {
+		if (!inWindow(burial, window)) continue;
+
+		const serials = burial.serials.length;
+		totals.burials++;
+		totals.serials += serials;
+		totals[burial.viaStaking ? 'viaStaking' : 'direct'] += serials;
+		totals.first = totals.first ?? burial.timestamp;
+		totals.last = burial.timestamp;
+
+		if (burial.viaStaking) {
+			const user = users.get(burial.user) ?? { account: burial.user, serials: 0, burials: 0, collections: new Set() };
+			user.serials += serials;
+			user.burials++;
+			user.collections.add(burial.token);
+			users.set(burial.user, user);
+		}
+
+		const token = tokens.get(burial.token) ?? { token: burial.token, serials: 0, burials: 0, buriers: new Set() };
+		token.serials += serials;
+		token.burials++;
+		if (burial.viaStaking) token.buriers.add(burial.user);
+		tokens.set(burial.token, token);
+
+		const dayKey = toDay(burial.timestamp);
+		const day = days.get(dayKey) ?? { date: dayKey, serials: 0, burials: 0, buriers: new Set() };
+		day.serials += serials;
+		day.burials++;
+		if (burial.viaStaking) day.buriers.add(burial.user);
+		days.set(dayKey, day);
+	}
+
+	return {
+		totals: { ...totals, buriers: users.size, collections: tokens.size },
+		users: rank([...users.values()].map(u => ({ ...u, collections: u.collections.size })), 'account'),
+		tokens: rank([...tokens.values()].map(t => ({ ...t, buriers: t.buriers.size })), 'token'),
+		days: [...days.values()]
+			.map(d => ({ ...d, buriers: d.buriers.size }))
+			.sort((a, b) => a.date.localeCompare(b.date)),
+	};
+}
+
+/**
+ * Aggregate fungible burials by token
+ * Tokens are ranked by burials, then buriers; amounts are raw strings
+ * @param {object[]} ftBurials - indexed ftBurials rows
+ * @param {{ from: number|null, to: number|null }} [window]
+ * @returns {{ totals: object, tokens: object[] }}
+ */
+function aggregateFtBurials(ftBurials, window = { from: null, to: null }) {
+	const tokens = new Map();
+	const users = new Set();
+	let burials = 0;
+
+	for (const burial of ftBurials) {
+		if (!inWindow(burial, window)) continue;
+
+		burials++;
+		users.add(burial.user);
+		const token = tokens.get(burial.token) ?? { token: burial.token, amount: 0n, burials: 0, buriers: new Set() };
+		token.amount += BigInt(burial.amount);
+		token.burials++;
+		token.buriers.add(burial.user);
+		tokens.set(burial.token, token);
+	}
+
+	return {
+		totals: { burials, buriers: users.size, tokens: tokens.size },
+		tokens: [...tokens.values()]
+			.map(t => ({ ...t, amount: t.amount.toString(), buriers: t.buriers.size }))
+			.sort((a, b) => b.burials - a.burials || b.buriers - a.buriers || a.token.localeCompare(b.token)),
+	};
+}
+
+/**
+ * Render statistics as CSV, one row per leaderboard or day entry
+ * The view column is user, token or day; unused columns are left empty
+ * @param {{ users: object[], tokens: object[], days: object[] }} stats - tokens may carry name and symbol
+ * @returns {string}
+ */
+function statsToCsv(stats) {
+	const rows = [
+		...stats.users.map((u, i) => ({ view: 'user', rank: i + 1, key: u.account, ...u })),
+		...stats.tokens.map((t, i) => ({ view: 'token', rank: i + 1, key: t.token, ...t })),
+		...stats.days.map(d => ({ view: 'day', key: d.date, ...d })),
+	];
+
+	const lines = [CSV_COLUMNS.join(',')];
+	for (const r of rows) {
+		lines.push(CSV_COLUMNS.map(col => csvCell(r[col])).join(','));
+	}
+	return lines.join('\n') + '\n';
+}
+
+module.exports = {
+	parseWindow,
+	aggregateBurials,
+	aggregateFtBurials,
+	statsToCsv,
+};
@@ -0,0 +1,172 @@
+/**
+ * Unsigned Transaction Export
+ * Watch-only runs (see signer.js) never submit anything. Instead the first write a command reaches
+ * is frozen with the operator as payer and exported, unsigned, to a JSON file for signing elsewhere:
+ * {
+ *   "version": 1,
+ *   "type": "unsigned-transactions",
+ *   "network": "testnet",
+ *   "operator": "0.0.1234",
+ *   "transactions": [{ "description", "type", "transactionId", "validStart", "validUntil", "nodeAccountIds", "bytes" }]
+ * }
+ * bytes is the hex of Transaction.toBytes() - load it with Transaction.fromBytes(), sign and submit
+ * before validUntil. --valid-start <ISO time> moves the window later to leave time for signing.
+ */
+
+const fs = require('fs');
+const { TransactionId, Timestamp } = require('@hashgraph/sdk');
+const { createClient } = require('./client');
+const { getOption } = require('./args');
+const { KeySource } = require('./signer');
+const {
+	isJsonMode,
+	createResponse,
+	output,
+	header,
+	row,
+	table,
+	info,
+	success,
+} = require('./format');
+
+const EXPORT_VERSION = 1;
+
+// Longest transaction valid duration the network accepts
+const MAX_VALID_DURATION = 180;
+
+/**
+ * Whether this run is watch-only (no operator key, or --watch-only)
+ * @returns {boolean}
+ */
+function isWatchOnly() {
+	return createClient().signer.source === KeySource.WATCH_ONLY;
+}
+
+/**
+ * Default export path for a transaction (e.g. unsigned-0.0.1001-1700000000-000000000.json)
+ * @param {string} transactionId
+ * @returns {string}
+ */
+function defaultExportPath(transactionId) {
+	return `unsigned-${transactionId.replace('@', '-').replace(/[^\w.-]/g, '_')}.json`;
+}
+
+/**
+ * Valid start for exported transactions (--valid-start, else now)
+ * @returns {Date|null} null for now
+ * @throws {Error} if --valid-start is not a date
+ */
+function requestedValidStart() {
+	const value = getOption('valid-start');
+	if (!value) {
+		return null;
+	}
+
+	const date = new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new Error(`Invalid --valid-start "${value}" - expected an ISO date/time`);
+	}
+	return date;
+}
+
+/**
+ * Freeze a transaction with the operator as payer, without signing it
+ * @param {Transaction} transaction - Not yet frozen
+ * @param {Date|null} [validStart] - Defaults to now
+ * @param {number} [offsetNanos=0] - Keeps the IDs of several transactions with the same valid start apart
+ * @returns {Transaction}
+ */
+function freezeUnsigned(transaction, validStart = null, offsetNanos = 0) {
+	const { client, operatorId } = createClient();
+
+	const transactionId = validStart
+		? TransactionId.withValidStart(operatorId, Timestamp.fromDate(validStart).plusNanos(offsetNanos))
+		: TransactionId.generate(operatorId);
+
+	return transaction
+		.setTransactionId(transactionId)
+		.setTransactionValidDuration(MAX_VALID_DURATION)
+		.freezeWith(client);
+}
+
+/**
+ * Export entry for a frozen transaction
+ * @param {Transaction} transaction - Frozen
+ * @param {string} description
+ * @returns {object}
+ */
+function describeUnsigned(transaction, description) {
+	const { transactionId } = transaction;
+	const validStart = transactionId.validStart.toDate();
+
+	return {
+		description,
+		type: transaction.constructor.name,
+		transactionId: transactionId.toString(),
+		validStart: validStart.toISOString(),
+		validUntil: new Date(validStart.getTime() + MAX_VALID_DURATION * 1000).toISOString(),
+		nodeAccountIds: transaction.nodeAccountIds.map(id => id.toString()),
+		bytes: Buffer.from(transaction.toBytes()).toString('hex'),
+	};
+}
+
+/**
+ * Freeze the transactions a write command would submit and write them unsigned to --export <file>
+ * (or unsigned-<transactionId>.json)
+ * @param {{ transaction: Transaction, description: string }[]} writes - In submission order, not yet frozen
+ * @returns {{ exported: true, file: string, version: number, type: string, network: string,
+ *   operator: string, createdAt: string, transactions: object[] }}
+ */
+function exportUnsigned(writes) {
+	const { operatorId, network } = createClient();
+	const validStart = requestedValidStart();
+
+	const transactions = writes.map(({ transaction, description }, i) =>
+		describeUnsigned(freezeUnsigned(transaction, validStart, i), description),
+	);
+
+	const file = getOption('export') || defaultExportPath(transactions[0].transactionId);
+	const data = {
+		version: EXPORT_VERSION,
+		type: 'unsigned-transactions',
+		network,
+		operator: operatorId.toString(),
+		createdAt: new Date().toISOString(),
+		transactions,
+	};
+	fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+	return { exported: true, file, ...data };
+}
+
+/**
+ * Report an export from exportUnsigned
+ * @param {object} exported
+ */
+function reportUnsigned(exported) {
+	const { file, transactions } = exported;
+
+	if (isJsonMode()) {
+		output(createResponse(true, { watchOnly: true, ...exported }));
+		return;
+	}
+
+	header('Unsigned Transactions (watch-only)');
+	table(
+		['#', 'Transaction', 'Description', 'Transaction ID'],
+		transactions.map((tx, i) => [String(i + 1), tx.type.replace(/Transaction$/, ''), tx.description, tx.transactionId]),
+	);
+	console.log('');
+	row('Valid Until', transactions[transactions.length - 1].validUntil);
+	success(`Nothing submitted - ${transactions.length} unsigned transaction(s) written to ${file}`);
+	info('Sign and submit them before they expire, or rerun with a key configured');
+	console.log('');
+}
+
+module.exports = {
+	isWatchOnly,
+	freezeUnsigned,
+	describeUnsigned,
+	exportUnsigned,
+	reportUnsigned,
+};
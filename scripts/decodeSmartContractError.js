@@ -3,11 +3,17 @@ const {
 } = require('@hashgraph/sdk');
 
 const { ethers } = require('ethers');
-const axios = require('axios');
+const { getMirrorClient, getProfileMirrorClient } = require('../utils/mirrorClient');
+const { loadNetworkProfile } = require('../utils/networkProfile');
+
+require('dotenv').config();
 
 let contractId = '';
 let mirrorUrl = '';
 
+// Public function and error signature database, queried through the shared client for its retries
+const SIGNATURE_DB_URL = 'https://www.4byte.directory';
+
 function errorSignature(error_message) {
 	const error = {
 		data: '',
@@ -27,10 +33,7 @@ async function getErrorFromMirror(silent, depth = 1) {
 	};
 
 	// get the results from mirror
-	const url = `https://${mirrorUrl}.mirrornode.hedera.com/api/v1/contracts/${contractId}/results?order=desc&limit=${depth}`;
-
-	const response = await axios(url);
-	const jsonResponse = response.data;
+	const jsonResponse = await getMirrorClient(mirrorUrl).get(`/api/v1/contracts/${contractId}/results?order=desc&limit=${depth}`);
 
 	if (jsonResponse.results[depth - 1].error_message) {
 		const error_message = jsonResponse.results[depth - 1].error_message;
@@ -53,10 +56,7 @@ async function getErrorFromMirror(silent, depth = 1) {
 }
 
 async function getAbi(signature, silent) {
-	const url = `https://www.4byte.directory/api/v1/signatures/?hex_signature=${signature}`;
-
-	const response = await axios(url);
-	const jsonResponse = response.data;
+	const jsonResponse = await getMirrorClient(SIGNATURE_DB_URL).get(`/api/v1/signatures/?hex_signature=${signature}`);
 
 	if (jsonResponse.count == 1) {
 		return jsonResponse.results[0].text_signature;
@@ -158,9 +158,15 @@ async function main() {
 	console.log('  node decodeSmartContractError.js <mirror_url> <contract_id>');
 	console.log('  node decodeSmartContractError.js <mirror_url> <contract_id> <depth>');
 	console.log('');
+	console.log('<mirror_url> is a network (testnet, mainnet, previewnet, local), a mirror node URL');
+	console.log('or "profile" for the mirror node of the .env / NETWORK_PROFILE network profile.');
+	console.log('');
 
 	// get the command line parameters
 	const args = process.argv.slice(2);
+	if (args.length >= 2 && args[0] == 'profile') {
+		args[0] = getProfileMirrorClient(loadNetworkProfile()).baseUrl;
+	}
 	if (args.length == 1) {
 		const error = await errorSignature(args[0]);
 		await processError(error, false, 0);
@@ -1,5 +1,4 @@
 const {
-	Client,
 	AccountId,
 	PrivateKey,
 	ContractCreateFlow,
@@ -15,13 +14,14 @@ const readline = require('readline');
 const { ethers } = require('ethers');
 const { getTokenDetails, homebrewPopulateAccountEvmAddress, EntityType, checkMirrorHbarBalance } = require('../utils/hederaMirrorHelpers');
 const { contractExecuteFunction, readOnlyEVMFromMirrorNode } = require('../utils/solidityHelpers');
+const { loadNetworkProfile, createNetworkClient } = require('../utils/networkProfile');
+const { getProfileMirrorClient } = require('../utils/mirrorClient');
 
 require('dotenv').config();
 
 // Get operator from .env file
 const operatorKey = PrivateKey.fromString(process.env.PRIVATE_KEY);
 const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
-const env = process.env.ENVIRONMENT ?? null;
 
 // Contract configuration
 const lazyContractId = process.env.LAZY_SCT_CONTRACT_ID ? ContractId.fromString(process.env.LAZY_SCT_CONTRACT_ID) : null;
@@ -33,6 +33,7 @@ const lazyBurnPerc = Number(process.env.INITIAL_LAZY_BURN_PERCENTAGE) || 25;
 const lazyCost = Number(process.env.LAZY_GRAVEYARD_COST) || 10;
 
 let client;
+let env;
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -64,22 +65,23 @@ const main = async () => {
 	console.log('║       Token Graveyard v2.1 - Deployment Script           ║');
 	console.log('╚═══════════════════════════════════════════════════════════╝\n');
 
-	console.log('Using ENVIRONMENT:', env);
-	console.log('Using Operator:', operatorId.toString());
-
-	if (env.toUpperCase() == 'TEST') {
-		client = Client.forTestnet();
-		console.log('Deploying in *TESTNET*\n');
-	}
-	else if (env.toUpperCase() == 'MAIN') {
-		client = Client.forMainnet();
-		console.log('Deploying in *MAINNET*\n');
+	let profile;
+	try {
+		profile = loadNetworkProfile();
 	}
-	else {
-		console.log('ERROR: Must specify either MAIN or TEST as environment in .env file');
+	catch (err) {
+		console.log(`ERROR: ${err.message} in .env file (or the NETWORK_PROFILE file)`);
 		rl.close();
 		return;
 	}
+	// Mirror queries use the profile's mirror node (and API key)
+	env = getProfileMirrorClient(profile).baseUrl;
+
+	console.log('Using ENVIRONMENT:', profile.environment);
+	console.log('Using Operator:', operatorId.toString());
+
+	client = createNetworkClient(profile);
+	console.log(`Deploying in *${profile.network.toUpperCase()}*\n`);
 
 	client.setOperator(operatorId, operatorKey);
 
@@ -1,155 +1,118 @@
 const {
-	AccountId,
 	ContractId,
 } = require('@hashgraph/sdk');
 
 require('dotenv').config();
 const fs = require('fs');
-const axios = require('axios');
-const { ethers } = require('ethers');
+const { getProfileMirrorClient } = require('../utils/mirrorClient');
+const { loadNetworkProfile } = require('../utils/networkProfile');
+const { createEventDecoder } = require('../utils/eventDecoder');
 
-const baseUrlForMainnet = 'https://mainnet-public.mirrornode.hedera.com';
-const baseUrlForTestnet = 'http://testnet.mirrornode.hedera.com';
-const env = process.env.ENVIRONMENT ?? null;
 const contractName = process.env.CONTRACT_NAME ?? 'TokenGraveyard';
-const eventName = process.env.EVENT_NAME ?? null;
+// Optional - decode every event when unset
+const eventName = process.env.EVENT_NAME || null;
 
-let iface; // ethers Interface for ABI decoding
+let decoder;
 
 async function main() {
-	console.log('Using ENVIRONMENT:', env);
-
-	if (env === undefined || env == null) {
-		console.log('Environment required, please specify TEST or MAIN in the .env file');
-		return;
+	let profile;
+	try {
+		profile = loadNetworkProfile();
 	}
-
-	if (eventName === undefined || eventName == null) {
-		console.log('EVENT_NAME required to decode in the .env file');
-		console.log('Available events in TokenGraveyard v2.0:');
-		console.log('  - NFTsBuried');
-		console.log('  - TokenAssociated');
-		console.log('  - RoleUpdated');
-		console.log('  - CostUpdated');
+	catch (err) {
+		console.log(`${err.message} - set it in the .env file or the NETWORK_PROFILE file`);
 		return;
 	}
+	console.log('Using ENVIRONMENT:', profile.environment);
 
 	// import ABI
 	const json = JSON.parse(fs.readFileSync(`./artifacts/contracts/${contractName}.sol/${contractName}.json`, 'utf8'));
-	iface = new ethers.Interface(json.abi);
+	decoder = createEventDecoder(json.abi);
+
+	if (eventName && !decoder.eventNames.includes(eventName)) {
+		console.log(`EVENT_NAME ${eventName} is not an event of ${contractName}`);
+		console.log(`Available events in ${contractName}:`);
+		decoder.eventNames.forEach(name => console.log(`  - ${name}`));
+		return;
+	}
 
 	const contractId = process.env.GRAVEYARD_CONTRACT_ID
 		? ContractId.fromString(process.env.GRAVEYARD_CONTRACT_ID)
 		: ContractId.fromString(process.env.CONTRACT_ID);
 
 	console.log('Fetching events for contract:', contractId.toString());
-	console.log('Event filter:', eventName);
+	console.log('Event filter:', eventName ?? 'all events');
 
 	// get contract events from a mirror node
-	await getEventsFromMirror(contractId);
+	await getEventsFromMirror(contractId, profile);
+}
+
+/**
+ * Format a decoded field for the console
+ * @param {any} value
+ * @returns {string}
+ */
+function formatField(value) {
+	if (Array.isArray(value)) {
+		return value.map(formatField).join(', ');
+	}
+	if (value !== null && typeof value === 'object') {
+		return JSON.stringify(value);
+	}
+	return String(value);
 }
 
 /**
  * Gets all the events for a given ContractId from a mirror node
  * @param contractId
+ * @param {object} profile - network profile (utils/networkProfile.js)
  */
 
-async function getEventsFromMirror(contractId) {
+async function getEventsFromMirror(contractId, profile) {
 	console.log('\n-Getting event(s) from mirror nodes...\n');
 
-	const baseUrl = env.toUpperCase() == 'MAIN' ? baseUrlForMainnet : baseUrlForTestnet;
-
-	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?order=asc`;
-	console.log('Mirror URL:', url, '\n');
-
-	axios.get(url)
-		.then(function (response) {
-			const jsonResponse = response.data;
-			let eventCount = 0;
-
-			jsonResponse.logs.forEach((log, index) => {
-				// decode the event data
-				if (log.data == '0x') return;
-
-				try {
-					const event = decodeEvent(log.data, log.topics);
-					if (!event) return;
-
-					eventCount++;
-					console.log(`\n═══ Event #${eventCount} (Log Index: ${index}) ═══`);
-					console.log('Timestamp:', new Date(parseFloat(log.timestamp) * 1000).toISOString());
-
-					// Format output based on event type
-					if (eventName === 'NFTsBuried') {
-						const user = AccountId.fromSolidityAddress(event.user).toString();
-						const token = AccountId.fromSolidityAddress(event.token).toString();
-						const serials = event.serials || [];
-						const viaStaking = event.viaStaking;
-
-						console.log('User:', user);
-						console.log('Token:', token);
-						console.log('Serials:', serials.join(', '));
-						console.log('Via Staking:', viaStaking);
-					}
-					else if (eventName === 'TokenAssociated') {
-						const token = AccountId.fromSolidityAddress(event.token).toString();
-						const paidBy = event.paidBy ? AccountId.fromSolidityAddress(event.paidBy).toString() : 'Free (Admin)';
-
-						console.log('Token:', token);
-						console.log('Paid By:', paidBy);
-					}
-					else if (eventName === 'RoleUpdated') {
-						const user = AccountId.fromSolidityAddress(event.user).toString();
-						const roleNum = event.role;
-						const roleName = roleNum == 0 ? 'Admin' : 'ContractUser';
-						const granted = event.granted;
-
-						console.log('User:', user);
-						console.log('Role:', roleName);
-						console.log('Action:', granted ? 'GRANTED' : 'REVOKED');
-					}
-					else if (eventName === 'CostUpdated') {
-						console.log('$LAZY Cost:', event.lazyCost);
-						console.log('Burn Percentage:', event.lazyBurnPercentage + '%');
-					}
-					else {
-						// Generic output for unknown events
-						for (let f = 0; f < event.__length__; f++) {
-							const field = event[f];
-							let output = field;
-							if (typeof field === 'string' && field.startsWith('0x')) {
-								try {
-									output = AccountId.fromSolidityAddress(field).toString();
-								}
-								catch {
-									// Keep as hex if conversion fails
-								}
-							}
-							console.log(`Field ${f}:`, output);
-						}
-					}
-				}
-				catch (err) {
-					console.log(`\nError decoding log ${index}:`, err.message);
-				}
-			});
-
-			console.log('\n═══════════════════════════════════════');
-			console.log(`Total ${eventName} events found: ${eventCount}`);
-		})
-		.catch(function (err) {
-			console.error('Error fetching from mirror node:', err.message);
-		});
-}
-
-/**
- * Decodes event contents using the ABI definition of the event
- * @param log log data as a Hex string
- * @param topics an array of event topics (including topic0)
- */
-function decodeEvent(log, topics) {
-	const decoded = iface.decodeEventLog(eventName, log, topics);
-	return decoded;
+	const mirror = getProfileMirrorClient(profile);
+
+	const path = `/api/v1/contracts/${contractId.toString()}/results/logs?order=asc&limit=100`;
+	console.log('Mirror URL:', `${mirror.baseUrl}${path}`, '\n');
+
+	try {
+		// Follow links.next so every page of logs is decoded
+		const logs = await mirror.getAll(path, 'logs');
+
+		const counts = {};
+		let eventCount = 0;
+		let undecoded = 0;
+
+		for (const [index, log] of logs.entries()) {
+			const event = await decoder.decode(log);
+			if (!event) {
+				undecoded++;
+				continue;
+			}
+			if (eventName && event.name !== eventName) continue;
+
+			eventCount++;
+			counts[event.name] = (counts[event.name] ?? 0) + 1;
+
+			console.log(`\n═══ Event #${eventCount}: ${event.name} (Log Index: ${index}) ═══`);
+			console.log('Timestamp:', new Date(parseFloat(log.timestamp) * 1000).toISOString());
+			console.log('Tx Hash:', log.transaction_hash);
+			for (const [field, value] of Object.entries(event.fields)) {
+				console.log(`${field}:`, formatField(value));
+			}
+		}
+
+		console.log('\n═══════════════════════════════════════');
+		console.log(`Total ${eventName ? `${eventName} ` : ''}events found: ${eventCount}`);
+		Object.entries(counts).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+		if (undecoded > 0) {
+			console.log(`Logs not described by the ${contractName} ABI: ${undecoded}`);
+		}
+	}
+	catch (err) {
+		console.error('Error fetching from mirror node:', err.message);
+	}
 }
 
-void main();
\ No newline at end of file
+void main();
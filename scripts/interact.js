@@ -1,5 +1,4 @@
 const {
-	Client,
 	AccountId,
 	PrivateKey,
 	ContractFunctionParameters,
@@ -14,6 +13,7 @@ const {
 const fs = require('fs');
 const { ethers } = require('ethers');
 const readline = require('readline');
+const { loadNetworkProfile, createNetworkClient } = require('../utils/networkProfile');
 
 require('dotenv').config();
 
@@ -27,7 +27,6 @@ const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
 const graveyardId = process.env.GRAVEYARD_CONTRACT_ID ? ContractId.fromString(process.env.GRAVEYARD_CONTRACT_ID) : null;
 const lazyTokenId = TokenId.fromString(process.env.LAZY_TOKEN);
 const lazyGasStationId = ContractId.fromString(process.env.LAZY_GAS_STATION_CONTRACT_ID);
-const env = process.env.ENVIRONMENT ?? null;
 
 let client;
 
@@ -94,23 +93,22 @@ const main = async () => {
 		return;
 	}
 
-	console.log('Using ENVIRONMENT:', env);
-	console.log('Using Operator:', operatorId.toString());
-
-	if (env.toUpperCase() == 'TEST') {
-		client = Client.forTestnet();
-		console.log('Connecting to *TESTNET*');
-	}
-	else if (env.toUpperCase() == 'MAIN') {
-		client = Client.forMainnet();
-		console.log('Connecting to *MAINNET*');
+	let profile;
+	try {
+		profile = loadNetworkProfile();
 	}
-	else {
-		console.log('❌ ERROR: Must specify either MAIN or TEST as environment in .env file');
+	catch (err) {
+		console.log(`❌ ERROR: ${err.message} in .env file (or the NETWORK_PROFILE file)`);
 		rl.close();
 		return;
 	}
 
+	console.log('Using ENVIRONMENT:', profile.environment);
+	console.log('Using Operator:', operatorId.toString());
+
+	client = createNetworkClient(profile);
+	console.log(`Connecting to *${profile.network.toUpperCase()}*`);
+
 	client.setOperator(operatorId, operatorKey);
 
 	console.log('\n📍 Contract:', graveyardId.toString());
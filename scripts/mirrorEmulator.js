@@ -0,0 +1,47 @@
+/**
+ * Run the mirror node emulator against a fixture file
+ *
+ * Usage:
+ *   node scripts/mirrorEmulator.js [fixture.json] [--port 8000]
+ *
+ * Then point the CLI at it:
+ *   MIRROR_NODE_URL=http://127.0.0.1:8000 node scripts/cli/info.js cost
+ */
+
+const path = require('path');
+const { MirrorEmulator } = require('../utils/mirrorEmulator');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'test', 'fixtures', 'mirror.json');
+const DEFAULT_PORT = 8000;
+
+async function main() {
+	const args = process.argv.slice(2);
+	const portIndex = args.indexOf('--port');
+	const port = portIndex >= 0 ? Number(args[portIndex + 1]) : DEFAULT_PORT;
+	const fixturePath = args.find((arg, i) => !arg.startsWith('--') && (portIndex < 0 || i !== portIndex + 1)) || DEFAULT_FIXTURE;
+
+	if (!Number.isInteger(port) || port < 0) {
+		console.error('Invalid --port');
+		process.exit(2);
+	}
+
+	const emulator = MirrorEmulator.fromFile(fixturePath);
+	const url = await emulator.start(port);
+
+	console.log(`Mirror emulator serving ${fixturePath}`);
+	console.log(`  MIRROR_NODE_URL=${url}`);
+	console.log('Press Ctrl+C to stop');
+
+	const shutdown = async () => {
+		await emulator.stop();
+		console.log(`\nServed ${emulator.requests.length} request(s)`);
+		process.exit(0);
+	};
+	process.on('SIGINT', shutdown);
+	process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+	console.error(err.message);
+	process.exit(1);
+});
@@ -0,0 +1,811 @@
+/* eslint-disable comma-dangle */
+/**
+ * Offline TokenGraveyard suite
+ *
+ * Runs on the in-process Hardhat network with no Hedera access. MockHederaTokenService is
+ * installed at the HTS precompile address (0x167) via hardhat_setCode, NFT collections are
+ * MockHTSNonFungibleToken facades, fungible tokens are MockHTSFungibleToken facades and
+ * $LAZY / LazyGasStation are replaced by mocks.
+ *
+ * npm run test:local
+ */
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+
+const HTS_PRECOMPILE_ADDRESS = '0x0000000000000000000000000000000000000167';
+
+// Response codes returned by the mock precompile
+const SUCCESS = 22n;
+const INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE = 259n;
+
+const lazyCost = 10n;
+const lazyBurnPerc = 25n;
+
+// reused variables
+let provider;
+let operator;
+let alice;
+let bob;
+let hts;
+let lazyToken;
+let lazyGasStation;
+let graveyard;
+let graveyardAddress;
+let tokenWithRoyalty;
+let tokenNoRoyalty;
+
+/**
+ * Deploy a contract from the Hardhat artifacts
+ * @param {string} name - Contract name
+ * @param {Array} args - Constructor arguments
+ * @param {ethers.Signer} signer - Deployer
+ * @returns {Promise<ethers.Contract>}
+ */
+async function deploy(name, args = [], signer = operator) {
+	const artifact = await hre.artifacts.readArtifact(name);
+	const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+	const contract = await factory.deploy(...args);
+	await contract.waitForDeployment();
+	return contract;
+}
+
+/**
+ * Expect a transaction to revert with a custom error
+ * @param {Promise} txPromise - Pending contract call
+ * @param {ethers.Contract} contract - Contract whose interface declares the error
+ * @param {string} errorName - Expected custom error
+ */
+async function expectRevert(txPromise, contract, errorName) {
+	try {
+		const tx = await txPromise;
+		await tx.wait();
+	}
+	catch (err) {
+		// Hardhat nests revert data it cannot attribute to a known error
+		const data = err.data ?? err.info?.error?.data?.data;
+		const decoded = data ? contract.interface.parseError(data) : null;
+		expect(decoded?.name, err.message).to.equal(errorName);
+		return;
+	}
+	expect.fail(`Expected ${errorName} revert`);
+}
+
+/**
+ * Send a transaction and wait for it to be mined
+ * @param {Promise} txPromise - Pending contract call
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+async function mined(txPromise) {
+	const tx = await txPromise;
+	return await tx.wait();
+}
+
+/**
+ * Read an hbar (wei) balance straight from the node, bypassing the ethers request cache
+ * @param {string} address
+ * @returns {Promise<bigint>}
+ */
+async function getBalance(address) {
+	return ethers.toBigInt(await hre.network.provider.send('eth_getBalance', [address, 'latest']));
+}
+
+/**
+ * Mint serials 1..count of a mock collection to an account
+ * @param {ethers.Contract} token - MockHTSNonFungibleToken
+ * @param {string} to - Receiver
+ * @param {number} count - Number of serials
+ */
+async function mintSerials(token, to, count) {
+	const serials = Array.from({ length: count }, (_, i) => i + 1);
+	await mined(hts.mintTo(await token.getAddress(), to, serials));
+}
+
+describe('Deployment: ', function () {
+	it('Should install the HTS mock and deploy the graveyard', async function () {
+		provider = new ethers.BrowserProvider(hre.network.provider);
+		[operator, alice, bob] = await Promise.all([0, 1, 2].map(i => provider.getSigner(i)));
+
+		const htsArtifact = await hre.artifacts.readArtifact('MockHederaTokenService');
+		await hre.network.provider.send('hardhat_setCode', [HTS_PRECOMPILE_ADDRESS, htsArtifact.deployedBytecode]);
+		hts = new ethers.Contract(HTS_PRECOMPILE_ADDRESS, htsArtifact.abi, operator);
+
+		lazyToken = await deploy('MockLazyToken');
+		lazyGasStation = await deploy('MockLazyGasStation', [await lazyToken.getAddress()]);
+		await mined(operator.sendTransaction({ to: await lazyGasStation.getAddress(), value: ethers.parseEther('1') }));
+
+		// Alice mints both collections, as in the testnet suite
+		tokenWithRoyalty = await deploy('MockHTSNonFungibleToken', ['Royalty NFT', 'RNFT', true]);
+		tokenNoRoyalty = await deploy('MockHTSNonFungibleToken', ['Plain NFT', 'PNFT', false]);
+		await mintSerials(tokenWithRoyalty, alice.address, 20);
+		await mintSerials(tokenNoRoyalty, alice.address, 20);
+
+		await mined(lazyToken.mint(alice.address, 1_000));
+		await mined(lazyToken.mint(bob.address, 1_000));
+
+		graveyard = await deploy('TokenGraveyard', [
+			await lazyToken.getAddress(),
+			await lazyGasStation.getAddress(),
+			ethers.ZeroAddress,
+			lazyCost,
+			lazyBurnPerc,
+		]);
+		graveyardAddress = await graveyard.getAddress();
+
+		await mined(lazyGasStation.addContractUser(graveyardAddress));
+
+		expect(await hts.isAssociated(graveyardAddress, await lazyToken.getAddress())).to.be.true;
+		expect(await graveyard.isAdmin(operator.address)).to.be.true;
+		const [cost, burn] = await graveyard.getCost();
+		expect(cost).to.equal(lazyCost);
+		expect(burn).to.equal(lazyBurnPerc);
+	});
+
+	it('Rejects zero addresses and burn percentage > 100 in constructor', async function () {
+		const artifact = await hre.artifacts.readArtifact('TokenGraveyard');
+		const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, operator);
+		const lazyAddress = await lazyToken.getAddress();
+		const lgsAddress = await lazyGasStation.getAddress();
+
+		await expectRevert(factory.deploy(ethers.ZeroAddress, lgsAddress, ethers.ZeroAddress, 1, 1), graveyard, 'ZeroAddress');
+		await expectRevert(factory.deploy(lazyAddress, lgsAddress, ethers.ZeroAddress, 1, 101), graveyard, 'InvalidBurnPercentage');
+	});
+});
+
+describe('Access Control: ', function () {
+	it('Admin can add another admin', async function () {
+		await mined(graveyard.addAdmin(bob.address));
+		expect(await graveyard.isAdmin(bob.address)).to.be.true;
+	});
+
+	it('Admin can add contract user', async function () {
+		await mined(graveyard.addContractUser(alice.address));
+		expect(await graveyard.isContractUser(alice.address)).to.be.true;
+	});
+
+	it('Non-admin cannot add admin', async function () {
+		await expectRevert(graveyard.connect(alice).addAdmin(alice.address), graveyard, 'PermissionDenied');
+	});
+
+	it('Admin can update cost', async function () {
+		await mined(graveyard.updateCost(lazyCost * 2n, lazyBurnPerc));
+		expect((await graveyard.getCost())[0]).to.equal(lazyCost * 2n);
+		await mined(graveyard.updateCost(lazyCost, lazyBurnPerc));
+	});
+
+	it('Rejects burn percentage > 100', async function () {
+		await expectRevert(graveyard.updateCost(lazyCost, 101), graveyard, 'InvalidBurnPercentage');
+	});
+});
+
+describe('Token Association: ', function () {
+	it('Regular user can associate token with payment', async function () {
+		await mined(graveyard.removeAdmin(bob.address));
+
+		const supplyBefore = await lazyToken.totalSupply();
+		await mined(lazyToken.connect(bob).approve(await lazyGasStation.getAddress(), lazyCost));
+		await mined(graveyard.connect(bob).associateToken(await tokenNoRoyalty.getAddress()));
+
+		expect(await graveyard.isTokenAssociated(await tokenNoRoyalty.getAddress())).to.be.true;
+		expect(await hts.isAssociated(graveyardAddress, await tokenNoRoyalty.getAddress())).to.be.true;
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(1_000n - lazyCost);
+		expect(supplyBefore - (await lazyToken.totalSupply())).to.equal((lazyCost * lazyBurnPerc) / 100n);
+	});
+
+	it('Contract user can associate token for free', async function () {
+		const balanceBefore = await lazyToken.balanceOf(alice.address);
+		await mined(graveyard.connect(alice).associateTokenFree(await tokenWithRoyalty.getAddress()));
+
+		expect(await graveyard.isTokenAssociated(await tokenWithRoyalty.getAddress())).to.be.true;
+		expect(await lazyToken.balanceOf(alice.address)).to.equal(balanceBefore);
+	});
+
+	it('Regular user cannot use free association', async function () {
+		await expectRevert(
+			graveyard.connect(bob).associateTokenFree(await lazyToken.getAddress()),
+			graveyard,
+			'PermissionDenied'
+		);
+	});
+});
+
+describe('Staking NFT Burial (With Royalties): ', function () {
+	it('Direct send of a royalty NFT is rejected by the fallback fee', async function () {
+		const code = await hts.connect(alice).transferNFT.staticCall(
+			await tokenWithRoyalty.getAddress(),
+			alice.address,
+			graveyardAddress,
+			1
+		);
+		expect(code).to.equal(INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE);
+	});
+
+	it('Staking without an NFT allowance fails', async function () {
+		await expectRevert(
+			graveyard.connect(alice).stakeNFTsToTheGrave(await tokenWithRoyalty.getAddress(), [1]),
+			graveyard,
+			'NFTTransferFailed'
+		);
+	});
+
+	it('Alice stakes NFTs to graveyard (bypasses royalties)', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		await mined(hts.connect(alice).setApprovalForAll(tokenAddress, graveyardAddress, true));
+
+		const serials = [1, 2, 3, 4, 5];
+		const receipt = await mined(graveyard.connect(alice).stakeNFTsToTheGrave(tokenAddress, serials));
+
+		for (const serial of serials) {
+			expect(await tokenWithRoyalty.ownerOf(serial)).to.equal(graveyardAddress);
+		}
+
+		const event = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'NFTsBuried');
+		expect(event.args.user).to.equal(alice.address);
+		expect(event.args.viaStaking).to.be.true;
+	});
+
+	it('Staking handles more than 8 NFTs (batching)', async function () {
+		const serials = [6, 7, 8, 9, 10, 11, 12, 13, 14];
+		await mined(graveyard.connect(alice).stakeNFTsToTheGrave(await tokenWithRoyalty.getAddress(), serials));
+
+		for (const serial of serials) {
+			expect(await tokenWithRoyalty.ownerOf(serial)).to.equal(graveyardAddress);
+		}
+	});
+
+	it('Contract user can stake on behalf of another user', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		// A royalty NFT cannot be sent to Bob without an hbar leg, so mint him his own serial
+		await mined(hts.mintTo(tokenAddress, bob.address, [21]));
+		await mined(hts.connect(bob).setApprovalForAll(tokenAddress, graveyardAddress, true));
+
+		await mined(graveyard.connect(alice).stakeNFTsToTheGraveOnBehalf(tokenAddress, [21], bob.address));
+		expect(await tokenWithRoyalty.ownerOf(21)).to.equal(graveyardAddress);
+	});
+
+	it('Rejects staking with zero serial', async function () {
+		await expectRevert(
+			graveyard.connect(alice).stakeNFTsToTheGrave(await tokenWithRoyalty.getAddress(), [16, 0, 17]),
+			graveyard,
+			'InvalidSerialNumber'
+		);
+	});
+
+	it('Rejects staking with empty serial array', async function () {
+		await expectRevert(
+			graveyard.connect(alice).stakeNFTsToTheGrave(await tokenWithRoyalty.getAddress(), []),
+			graveyard,
+			'EmptySerialArray'
+		);
+	});
+
+	it('Rejects staking more than 50 serials', async function () {
+		const serials = Array.from({ length: 51 }, (_, i) => i + 100);
+		await expectRevert(
+			graveyard.connect(alice).stakeNFTsToTheGrave(await tokenWithRoyalty.getAddress(), serials),
+			graveyard,
+			'TooManySerials'
+		);
+	});
+});
+
+describe('Burial Registry: ', function () {
+	it('Records serials buried per collection', async function () {
+		expect(await graveyard.getBuriedCount(await tokenWithRoyalty.getAddress())).to.equal(15n);
+		expect(await graveyard.getTotalBuried()).to.equal(15n);
+	});
+
+	it('Records serials buried per user (on-behalf credited to owner)', async function () {
+		expect(await graveyard.getBuriedCountByUser(alice.address)).to.equal(14n);
+		expect(await graveyard.getBuriedCountForUser(await tokenWithRoyalty.getAddress(), bob.address)).to.equal(1n);
+	});
+
+	it('Paginates buried collections and buriers', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+
+		const [tokens, tokenCounts] = await graveyard.getBuriedTokensPaginated(0, 10);
+		expect(tokens).to.deep.equal([tokenAddress]);
+		expect(tokenCounts[0]).to.equal(15n);
+
+		expect(await graveyard.getTokenBurierCount(tokenAddress)).to.equal(2n);
+		const [users, userCounts] = await graveyard.getTokenBuriersPaginated(tokenAddress, 1, 1);
+		expect(users).to.deep.equal([bob.address]);
+		expect(userCounts[0]).to.equal(1n);
+
+		const [emptyUsers] = await graveyard.getBuriersPaginated(10, 10);
+		expect(emptyUsers.length).to.equal(0);
+	});
+});
+
+describe('Direct Burial Registration (No Royalties): ', function () {
+	it('Alice sends NFTs directly and registers the burial', async function () {
+		const tokenAddress = await tokenNoRoyalty.getAddress();
+		const serials = [1, 2];
+
+		for (const serial of serials) {
+			expect(await hts.connect(alice).transferNFT.staticCall(tokenAddress, alice.address, graveyardAddress, serial)).to.equal(SUCCESS);
+			await mined(hts.connect(alice).transferNFT(tokenAddress, alice.address, graveyardAddress, serial));
+		}
+
+		const receipt = await mined(graveyard.connect(alice).registerDirectBurial(tokenAddress, serials));
+		const event = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'NFTsBuried');
+		expect(event.args.viaStaking).to.be.false;
+
+		expect(await graveyard.getBuriedCount(tokenAddress)).to.equal(2n);
+		expect(await graveyard.isSerialBuried(tokenAddress, 1)).to.be.true;
+	});
+
+	it('Does not credit anyone with a direct burial', async function () {
+		const tokenAddress = await tokenNoRoyalty.getAddress();
+		const burierCount = await graveyard.getBurierCount();
+
+		expect(await graveyard.getBuriedCountForUser(tokenAddress, alice.address)).to.equal(0n);
+		expect(await graveyard.getTokenBurierCount(tokenAddress)).to.equal(0n);
+
+		// Bob registers a serial Alice sent: accepted, but neither of them is credited
+		await mined(hts.connect(alice).transferNFT(tokenAddress, alice.address, graveyardAddress, 5));
+		await mined(graveyard.connect(bob).registerDirectBurial(tokenAddress, [5]));
+
+		expect(await graveyard.getBuriedCount(tokenAddress)).to.equal(3n);
+		expect(await graveyard.getBuriedCountForUser(tokenAddress, bob.address)).to.equal(0n);
+		expect(await graveyard.getBuriedCountForUser(tokenAddress, alice.address)).to.equal(0n);
+		expect(await graveyard.getBurierCount()).to.equal(burierCount);
+	});
+
+	it('Rejects registering a serial the graveyard does not hold', async function () {
+		await expectRevert(
+			graveyard.connect(alice).registerDirectBurial(await tokenNoRoyalty.getAddress(), [3]),
+			graveyard,
+			'SerialNotHeld'
+		);
+	});
+
+	it('Rejects registering a serial twice', async function () {
+		await expectRevert(
+			graveyard.connect(bob).registerDirectBurial(await tokenNoRoyalty.getAddress(), [1]),
+			graveyard,
+			'SerialAlreadyBuried'
+		);
+	});
+
+	it('Rejects registering a serial already buried via staking', async function () {
+		await expectRevert(
+			graveyard.connect(bob).registerDirectBurial(await tokenWithRoyalty.getAddress(), [1]),
+			graveyard,
+			'SerialAlreadyBuried'
+		);
+		expect(await graveyard.getBuriedCount(await tokenWithRoyalty.getAddress())).to.equal(15n);
+	});
+});
+
+describe('Burn-to-Redeem Hook: ', function () {
+	let hook;
+
+	it('Only an admin can set a hook, and only to a contract', async function () {
+		hook = await deploy('MockBurialHook', [graveyardAddress]);
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		const hookAddress = await hook.getAddress();
+
+		await expectRevert(graveyard.connect(alice).setBurialHook(tokenAddress, hookAddress), graveyard, 'PermissionDenied');
+		await expectRevert(graveyard.setBurialHook(tokenAddress, bob.address), graveyard, 'HookNotContract');
+
+		const receipt = await mined(graveyard.setBurialHook(tokenAddress, hookAddress));
+		const event = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'BurialHookUpdated');
+		expect(event.args.hook).to.equal(hookAddress);
+		expect(await graveyard.getBurialHook(tokenAddress)).to.equal(hookAddress);
+	});
+
+	it('Staking burial calls the hook with burier, token and serials', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		const receipt = await mined(graveyard.connect(alice).stakeNFTsToTheGrave(tokenAddress, [15, 16]));
+
+		const redeemed = receipt.logs
+			.map(log => hook.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'Redeemed');
+		expect(redeemed.args.burier).to.equal(alice.address);
+		expect(redeemed.args.token).to.equal(tokenAddress);
+		expect(redeemed.args.count).to.equal(2n);
+		expect(await hook.redemptions(alice.address)).to.equal(2n);
+	});
+
+	it('On-behalf burials credit the NFT owner in the hook', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		await mined(hts.mintTo(tokenAddress, bob.address, [22]));
+
+		await mined(graveyard.connect(alice).stakeNFTsToTheGraveOnBehalf(tokenAddress, [22], bob.address));
+		expect(await hook.redemptions(bob.address)).to.equal(1n);
+	});
+
+	it('A reverting hook reverts the burial', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		await mined(hook.setMode(1));
+
+		await expectRevert(graveyard.connect(alice).stakeNFTsToTheGrave(tokenAddress, [17]), hook, 'HookRejected');
+		expect(await tokenWithRoyalty.ownerOf(17)).to.equal(alice.address);
+		expect(await graveyard.isSerialBuried(tokenAddress, 17)).to.be.false;
+	});
+
+	it('A hook cannot re-enter the graveyard', async function () {
+		await mined(hook.setMode(2));
+
+		// A different serial from the previous test - ethers briefly caches identical gas estimates
+		try {
+			await mined(graveyard.connect(alice).stakeNFTsToTheGrave(await tokenWithRoyalty.getAddress(), [18]));
+			expect.fail('Expected a reentrancy revert');
+		}
+		catch (err) {
+			expect(err.message).to.contain('ReentrancyGuard: reentrant call');
+		}
+		expect(await tokenWithRoyalty.ownerOf(18)).to.equal(alice.address);
+	});
+
+	it('Direct burials do not call the hook', async function () {
+		const tokenAddress = await tokenNoRoyalty.getAddress();
+		await mined(hook.setMode(0));
+		await mined(graveyard.setBurialHook(tokenAddress, await hook.getAddress()));
+
+		await mined(hts.connect(alice).transferNFT(tokenAddress, alice.address, graveyardAddress, 4));
+		await mined(graveyard.connect(alice).registerDirectBurial(tokenAddress, [4]));
+		expect(await hook.redemptions(alice.address)).to.equal(2n);
+	});
+
+	it('Clearing the hook stops the callbacks', async function () {
+		const tokenAddress = await tokenWithRoyalty.getAddress();
+		await mined(graveyard.setBurialHook(tokenAddress, ethers.ZeroAddress));
+		expect(await graveyard.getBurialHook(tokenAddress)).to.equal(ethers.ZeroAddress);
+
+		await mined(graveyard.connect(alice).stakeNFTsToTheGrave(tokenAddress, [19]));
+		expect(await tokenWithRoyalty.ownerOf(19)).to.equal(graveyardAddress);
+		expect(await hook.redemptions(alice.address)).to.equal(2n);
+	});
+});
+
+describe('Collection Pricing & Fee Waivers: ', function () {
+	let pricedToken;
+
+	/**
+	 * Find a TokenAssociated event in a receipt
+	 * @param {ethers.TransactionReceipt} receipt
+	 * @returns {ethers.LogDescription}
+	 */
+	function associatedEvent(receipt) {
+		return receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'TokenAssociated');
+	}
+
+	it('Only an admin can override a collection cost', async function () {
+		pricedToken = await deploy('MockHTSNonFungibleToken', ['Priced NFT', 'PRNFT', true]);
+		const tokenAddress = await pricedToken.getAddress();
+
+		await expectRevert(graveyard.connect(alice).setTokenCost(tokenAddress, 30), graveyard, 'PermissionDenied');
+		await expectRevert(graveyard.setTokenCost(ethers.ZeroAddress, 30), graveyard, 'ZeroAddress');
+
+		const receipt = await mined(graveyard.setTokenCost(tokenAddress, 30));
+		const event = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'TokenCostUpdated');
+		expect(event.args.lazyCost).to.equal(30n);
+		expect(event.args.overridden).to.be.true;
+
+		const [cost, burn, overridden] = await graveyard.getTokenCost(tokenAddress);
+		expect([cost, burn, overridden]).to.deep.equal([30n, lazyBurnPerc, true]);
+		expect((await graveyard.getAssociationCost(tokenAddress, bob.address))[0]).to.equal(30n);
+		expect(await graveyard.getPricedTokens()).to.deep.equal([tokenAddress]);
+	});
+
+	it('Associating a priced collection charges the override', async function () {
+		const tokenAddress = await pricedToken.getAddress();
+		const balanceBefore = await lazyToken.balanceOf(bob.address);
+
+		await mined(lazyToken.connect(bob).approve(await lazyGasStation.getAddress(), 30));
+		const receipt = await mined(graveyard.connect(bob).associateToken(tokenAddress));
+
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(balanceBefore - 30n);
+		expect(associatedEvent(receipt).args.paidAssociation).to.be.true;
+	});
+
+	it('Staking into an unassociated priced collection charges the override', async function () {
+		const token = await deploy('MockHTSNonFungibleToken', ['Cheap NFT', 'CNFT', true]);
+		const tokenAddress = await token.getAddress();
+		await mined(graveyard.setTokenCost(tokenAddress, 5));
+		await mintSerials(token, bob.address, 1);
+
+		const balanceBefore = await lazyToken.balanceOf(bob.address);
+		await mined(lazyToken.connect(bob).approve(await lazyGasStation.getAddress(), 5));
+		await mined(hts.connect(bob).setApprovalForAll(tokenAddress, graveyardAddress, true));
+		await mined(graveyard.connect(bob).stakeNFTsToTheGrave(tokenAddress, [1]));
+
+		expect(await token.ownerOf(1)).to.equal(graveyardAddress);
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(balanceBefore - 5n);
+	});
+
+	it('A zero override makes a collection free to associate', async function () {
+		const token = await deploy('MockHTSNonFungibleToken', ['Free NFT', 'FNFT', false]);
+		const tokenAddress = await token.getAddress();
+		await mined(graveyard.setTokenCost(tokenAddress, 0));
+
+		const balanceBefore = await lazyToken.balanceOf(bob.address);
+		const receipt = await mined(graveyard.connect(bob).associateToken(tokenAddress));
+
+		expect(await graveyard.isTokenAssociated(tokenAddress)).to.be.true;
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(balanceBefore);
+		expect(associatedEvent(receipt).args.paidAssociation).to.be.false;
+	});
+
+	it('Clearing an override restores the global cost', async function () {
+		const tokenAddress = await pricedToken.getAddress();
+		await mined(graveyard.clearTokenCost(tokenAddress));
+
+		const [cost, , overridden] = await graveyard.getTokenCost(tokenAddress);
+		expect(cost).to.equal(lazyCost);
+		expect(overridden).to.be.false;
+		expect(await graveyard.getPricedTokens()).to.not.include(tokenAddress);
+		expect(await graveyard.clearTokenCost.staticCall(tokenAddress)).to.be.false;
+	});
+
+	it('Only an admin can waive an account', async function () {
+		await expectRevert(graveyard.connect(alice).setWaiver(alice.address, true), graveyard, 'PermissionDenied');
+		await expectRevert(graveyard.setWaiver(ethers.ZeroAddress, true), graveyard, 'ZeroAddress');
+
+		const receipt = await mined(graveyard.setWaiver(bob.address, true));
+		const event = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'WaiverUpdated');
+		expect(event.args.account).to.equal(bob.address);
+		expect(event.args.waived).to.be.true;
+
+		expect(await graveyard.isWaived(bob.address)).to.be.true;
+		expect(await graveyard.getWaivedAccounts()).to.deep.equal([bob.address]);
+	});
+
+	it('A waived account associates for free, whatever the collection cost', async function () {
+		const token = await deploy('MockHTSNonFungibleToken', ['Waived NFT', 'WNFT', false]);
+		const tokenAddress = await token.getAddress();
+		await mined(graveyard.setTokenCost(tokenAddress, 500));
+		expect((await graveyard.getAssociationCost(tokenAddress, bob.address))[0]).to.equal(0n);
+		expect((await graveyard.getAssociationCost(tokenAddress, alice.address))[0]).to.equal(500n);
+
+		const balanceBefore = await lazyToken.balanceOf(bob.address);
+		const receipt = await mined(graveyard.connect(bob).associateToken(tokenAddress));
+
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(balanceBefore);
+		expect(associatedEvent(receipt).args.paidAssociation).to.be.false;
+	});
+
+	it('Revoking a waiver restores charging', async function () {
+		await mined(graveyard.setWaiver(bob.address, false));
+
+		expect(await graveyard.isWaived(bob.address)).to.be.false;
+		expect(await graveyard.getWaivedAccounts()).to.deep.equal([]);
+		expect((await graveyard.getAssociationCost(await lazyToken.getAddress(), bob.address))[0]).to.equal(lazyCost);
+	});
+});
+
+describe('Hbar Association: ', function () {
+	const hbarCost = 1_000n;
+
+	it('The hbar path is disabled until an admin prices it', async function () {
+		const token = await deploy('MockHTSNonFungibleToken', ['Hbar NFT', 'HNFT', false]);
+		await expectRevert(
+			graveyard.connect(bob).associateTokenWithHbar(await token.getAddress(), { value: hbarCost }),
+			graveyard,
+			'HbarPaymentDisabled'
+		);
+		await expectRevert(graveyard.connect(alice).updateHbarCost(hbarCost), graveyard, 'PermissionDenied');
+
+		const receipt = await mined(graveyard.updateHbarCost(hbarCost));
+		const event = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'HbarCostUpdated');
+		expect(event.args.hbarCost).to.equal(hbarCost);
+		expect(await graveyard.getHbarCost()).to.deep.equal([hbarCost, 0n]);
+	});
+
+	it('Associating with hbar charges the exact price and no $LAZY', async function () {
+		const token = await deploy('MockHTSNonFungibleToken', ['Hbar Paid NFT', 'HPNFT', false]);
+		const tokenAddress = await token.getAddress();
+		expect(await graveyard.getHbarAssociationCost(tokenAddress, bob.address)).to.equal(hbarCost);
+
+		await expectRevert(
+			graveyard.connect(bob).associateTokenWithHbar(tokenAddress, { value: hbarCost - 1n }),
+			graveyard,
+			'IncorrectHbarPayment'
+		);
+
+		const lazyBefore = await lazyToken.balanceOf(bob.address);
+		const hbarBefore = await getBalance(graveyardAddress);
+		const receipt = await mined(graveyard.connect(bob).associateTokenWithHbar(tokenAddress, { value: hbarCost }));
+
+		expect(await graveyard.isTokenAssociated(tokenAddress)).to.be.true;
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(lazyBefore);
+		expect(await getBalance(graveyardAddress)).to.equal(hbarBefore + hbarCost);
+		expect((await graveyard.getHbarCost())[1]).to.equal(hbarCost);
+
+		const paid = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'HbarAssociationPaid');
+		expect(paid.args.payer).to.equal(bob.address);
+		expect(paid.args.amount).to.equal(hbarCost);
+
+		// Alice rather than Bob - ethers briefly caches identical gas estimates
+		await expectRevert(
+			graveyard.connect(alice).associateTokenWithHbar(tokenAddress, { value: hbarCost }),
+			graveyard,
+			'TokenAlreadyAssociated'
+		);
+	});
+
+	it('Collections free in $LAZY are free in hbar too', async function () {
+		const token = await deploy('MockHTSNonFungibleToken', ['Hbar Free NFT', 'HFNFT', false]);
+		const tokenAddress = await token.getAddress();
+		await mined(graveyard.setTokenCost(tokenAddress, 0));
+		expect(await graveyard.getHbarAssociationCost(tokenAddress, bob.address)).to.equal(0n);
+
+		await mined(graveyard.connect(bob).associateTokenWithHbar(tokenAddress));
+		expect(await graveyard.isTokenAssociated(tokenAddress)).to.be.true;
+		expect((await graveyard.getHbarCost())[1]).to.equal(hbarCost);
+	});
+});
+
+describe('Fungible Burial: ', function () {
+	let ft;
+	let ftAddress;
+
+	it('Buries FT dust via allowance, paying for association', async function () {
+		ft = await deploy('MockHTSFungibleToken', ['Dust Token', 'DUST', 2]);
+		ftAddress = await ft.getAddress();
+		await mined(hts.mintFungibleTo(ftAddress, bob.address, 1_000));
+
+		await mined(hts.connect(bob).approve(ftAddress, graveyardAddress, 250));
+		await mined(lazyToken.connect(bob).approve(await lazyGasStation.getAddress(), lazyCost));
+		const lazyBefore = await lazyToken.balanceOf(bob.address);
+
+		const receipt = await mined(graveyard.connect(bob).stakeFungibleToTheGrave(ftAddress, 250));
+
+		expect(await graveyard.isTokenAssociated(ftAddress)).to.be.true;
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(lazyBefore - lazyCost);
+		expect(await ft.balanceOf(bob.address)).to.equal(750n);
+		expect(await ft.balanceOf(graveyardAddress)).to.equal(250n);
+		expect((await hts.allowance(ftAddress, bob.address, graveyardAddress))[1]).to.equal(0n);
+		expect(await graveyard.getBuriedFungibleAmount(ftAddress)).to.equal(250n);
+
+		const buried = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.find(parsed => parsed?.name === 'FTBuried');
+		expect(buried.args.user).to.equal(bob.address);
+		expect(buried.args.token).to.equal(ftAddress);
+		expect(buried.args.amount).to.equal(250n);
+	});
+
+	it('Further burials of an associated token are not charged', async function () {
+		await mined(hts.connect(bob).approve(ftAddress, graveyardAddress, 100));
+		const lazyBefore = await lazyToken.balanceOf(bob.address);
+
+		await mined(graveyard.connect(bob).stakeFungibleToTheGrave(ftAddress, 100));
+
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(lazyBefore);
+		expect(await graveyard.getBuriedFungibleAmount(ftAddress)).to.equal(350n);
+		// FT burials do not touch the serial registry
+		expect(await graveyard.getBuriedCount(ftAddress)).to.equal(0n);
+	});
+
+	it('Rejects zero amounts, $LAZY and amounts beyond the allowance', async function () {
+		await expectRevert(graveyard.connect(bob).stakeFungibleToTheGrave(ftAddress, 0), graveyard, 'ZeroAmount');
+		await expectRevert(
+			graveyard.connect(bob).stakeFungibleToTheGrave(await lazyToken.getAddress(), 1),
+			graveyard,
+			'CannotBuryLazy'
+		);
+
+		await mined(hts.connect(bob).approve(ftAddress, graveyardAddress, 10));
+		await expectRevert(graveyard.connect(bob).stakeFungibleToTheGrave(ftAddress, 11), graveyard, 'FTTransferFailed');
+		expect(await ft.balanceOf(bob.address)).to.equal(650n);
+	});
+});
+
+describe('Multi-Collection Staking: ', function () {
+	let first;
+	let second;
+
+	it('Buries several collections in one call, paying once per newly associated collection', async function () {
+		first = await deploy('MockHTSNonFungibleToken', ['Many One', 'MONE', true]);
+		second = await deploy('MockHTSNonFungibleToken', ['Many Two', 'MTWO', false]);
+		const [firstAddress, secondAddress] = [await first.getAddress(), await second.getAddress()];
+		await mintSerials(first, bob.address, 30);
+		await mintSerials(second, bob.address, 30);
+		await mined(hts.connect(bob).setApprovalForAll(firstAddress, graveyardAddress, true));
+		await mined(hts.connect(bob).setApprovalForAll(secondAddress, graveyardAddress, true));
+
+		// The second collection is already associated, so only the first is charged
+		await mined(graveyard.associateTokenFree(secondAddress));
+		await mined(lazyToken.connect(bob).approve(await lazyGasStation.getAddress(), lazyCost * 2n));
+		const lazyBefore = await lazyToken.balanceOf(bob.address);
+		const totalBefore = await graveyard.getTotalBuried();
+
+		const receipt = await mined(graveyard.connect(bob).stakeManyToTheGrave(
+			[firstAddress, secondAddress],
+			[[1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2]]
+		));
+
+		expect(await lazyToken.balanceOf(bob.address)).to.equal(lazyBefore - lazyCost);
+		expect(await first.ownerOf(9)).to.equal(graveyardAddress);
+		expect(await second.ownerOf(2)).to.equal(graveyardAddress);
+		expect(await graveyard.getBuriedCount(firstAddress)).to.equal(9n);
+		expect(await graveyard.getBuriedCount(secondAddress)).to.equal(2n);
+		expect(await graveyard.getTotalBuried()).to.equal(totalBefore + 11n);
+
+		const buried = receipt.logs
+			.map(log => graveyard.interface.parseLog(log))
+			.filter(parsed => parsed?.name === 'NFTsBuried');
+		expect(buried.map(e => e.args.token)).to.deep.equal([firstAddress, secondAddress]);
+		expect(buried[1].args.serials).to.deep.equal([1n, 2n]);
+	});
+
+	it('Rejects mismatched arrays, empty serial lists and more than 50 serials in total', async function () {
+		const [firstAddress, secondAddress] = [await first.getAddress(), await second.getAddress()];
+
+		await expectRevert(graveyard.connect(bob).stakeManyToTheGrave([], []), graveyard, 'BadArguments');
+		await expectRevert(graveyard.connect(bob).stakeManyToTheGrave([firstAddress], [[10], [11]]), graveyard, 'BadArguments');
+		await expectRevert(
+			graveyard.connect(bob).stakeManyToTheGrave([firstAddress, secondAddress], [[10], []]),
+			graveyard,
+			'EmptySerialArray'
+		);
+
+		// 26 + 25 serials: each list is under the per-call cap, the total is not
+		const serials = [
+			Array.from({ length: 26 }, (_, i) => i + 100),
+			Array.from({ length: 25 }, (_, i) => i + 200),
+		];
+		await expectRevert(
+			graveyard.connect(bob).stakeManyToTheGrave([firstAddress, secondAddress], serials),
+			graveyard,
+			'TooManySerials'
+		);
+	});
+
+	it('A failed collection reverts the whole call', async function () {
+		const [firstAddress, secondAddress] = [await first.getAddress(), await second.getAddress()];
+
+		// Serial 1 of the second collection is already in the graveyard
+		await expectRevert(
+			graveyard.connect(bob).stakeManyToTheGrave([firstAddress, secondAddress], [[10], [1]]),
+			graveyard,
+			'NFTTransferFailed'
+		);
+		expect(await first.ownerOf(10)).to.equal(bob.address);
+	});
+});
+
+describe('Admin Functions: ', function () {
+	it('Admin can withdraw hbar', async function () {
+		// The staking refill drew hbar from the gas station
+		const balance = await getBalance(graveyardAddress);
+		expect(balance > 0n).to.be.true;
+
+		await mined(graveyard.withdrawHbar(bob.address, balance));
+		expect(await getBalance(graveyardAddress)).to.equal(0n);
+	});
+
+	it('Admin can withdraw $LAZY', async function () {
+		await mined(lazyToken.mint(graveyardAddress, 50));
+		await mined(graveyard.withdrawLazy(bob.address, 50));
+		expect(await lazyToken.balanceOf(graveyardAddress)).to.equal(0n);
+	});
+
+	it('Non-admin cannot withdraw', async function () {
+		await expectRevert(graveyard.connect(bob).withdrawHbar(bob.address, 1), graveyard, 'PermissionDenied');
+	});
+
+	it('Cannot remove last admin', async function () {
+		await expectRevert(graveyard.removeAdmin(operator.address), graveyard, 'LastAdmin');
+	});
+});
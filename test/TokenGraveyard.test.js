@@ -769,6 +769,149 @@ describe('Staking NFT Burial (With Royalties): ', function () {
 	});
 });
 
+describe('Burial Registry: ', function () {
+	it('Records serials buried per collection', async function () {
+		client.setOperator(operatorId, operatorKey);
+
+		// Alice staked 5 + 9 serials, Bob had 1 staked on his behalf
+		const buriedCount = await readContract(graveyardIface, graveyardId, 'getBuriedCount', [tokenWithRoyaltyId.toSolidityAddress()]);
+		expect(Number(buriedCount)).to.equal(15);
+
+		const totalBuried = await readContract(graveyardIface, graveyardId, 'getTotalBuried');
+		expect(Number(totalBuried)).to.equal(15);
+		console.log('Collection burial count:', Number(buriedCount));
+	});
+
+	it('Records serials buried per user (on-behalf credited to owner)', async function () {
+		client.setOperator(operatorId, operatorKey);
+
+		const aliceCount = await readContract(graveyardIface, graveyardId, 'getBuriedCountByUser', [aliceId.toSolidityAddress()]);
+		const bobCount = await readContract(graveyardIface, graveyardId, 'getBuriedCountForUser', [tokenWithRoyaltyId.toSolidityAddress(), bobId.toSolidityAddress()]);
+		expect(Number(aliceCount)).to.equal(14);
+		expect(Number(bobCount)).to.equal(1);
+		console.log('Alice buried:', Number(aliceCount), 'Bob buried:', Number(bobCount));
+	});
+
+	it('Paginates buried collections and buriers', async function () {
+		client.setOperator(operatorId, operatorKey);
+
+		const [tokens, tokenCounts] = await readContract(graveyardIface, graveyardId, 'getBuriedTokensPaginated', [0, 10]);
+		expect(tokens.length).to.equal(1);
+		expect(tokens[0].toLowerCase()).to.equal(`0x${tokenWithRoyaltyId.toSolidityAddress()}`.toLowerCase());
+		expect(Number(tokenCounts[0])).to.equal(15);
+
+		const burierCount = await readContract(graveyardIface, graveyardId, 'getTokenBurierCount', [tokenWithRoyaltyId.toSolidityAddress()]);
+		expect(Number(burierCount)).to.equal(2);
+
+		// Second page of one
+		const [users, userCounts] = await readContract(graveyardIface, graveyardId, 'getTokenBuriersPaginated', [tokenWithRoyaltyId.toSolidityAddress(), 1, 1]);
+		expect(users.length).to.equal(1);
+		expect(users[0].toLowerCase()).to.equal(`0x${bobId.toSolidityAddress()}`.toLowerCase());
+		expect(Number(userCounts[0])).to.equal(1);
+
+		// Offset past the end returns empty arrays
+		const [emptyUsers] = await readContract(graveyardIface, graveyardId, 'getBuriersPaginated', [10, 10]);
+		expect(emptyUsers.length).to.equal(0);
+		console.log('Registry pagination verified');
+	});
+});
+
+describe('Direct Burial Registration (No Royalties): ', function () {
+	it('Alice sends NFTs directly and registers the burial', async function () {
+		client.setOperator(aliceId, alicePK);
+
+		const serials = [1, 2];
+		const graveyardAccountId = AccountId.fromString(graveyardId.toString());
+		await sendNFT(client, aliceId, graveyardAccountId, tokenNoRoyaltyId, serials);
+		await sleep(4000);
+
+		const result = await contractExecuteFunction(
+			graveyardId,
+			graveyardIface,
+			client,
+			1_200_000,
+			'registerDirectBurial',
+			[tokenNoRoyaltyId.toSolidityAddress(), serials]
+		);
+		expect(result[0]?.status.toString()).to.equal('SUCCESS');
+		await sleep(4000);
+
+		const buriedCount = await readContract(graveyardIface, graveyardId, 'getBuriedCount', [tokenNoRoyaltyId.toSolidityAddress()]);
+		expect(Number(buriedCount)).to.equal(serials.length);
+
+		// The sender cannot be proven, so direct burials are not credited to anyone
+		const aliceCount = await readContract(graveyardIface, graveyardId, 'getBuriedCountForUser', [tokenNoRoyaltyId.toSolidityAddress(), aliceId.toSolidityAddress()]);
+		expect(Number(aliceCount)).to.equal(0);
+
+		const isBuried = await readContract(graveyardIface, graveyardId, 'isSerialBuried', [tokenNoRoyaltyId.toSolidityAddress(), 1]);
+		expect(isBuried).to.be.true;
+		console.log('Direct send registered in burial registry');
+	});
+
+	it('Rejects registering a serial the graveyard does not hold', async function () {
+		client.setOperator(aliceId, alicePK);
+
+		const result = await contractExecuteFunction(
+			graveyardId,
+			graveyardIface,
+			client,
+			1_200_000,
+			'registerDirectBurial',
+			[tokenNoRoyaltyId.toSolidityAddress(), [3]]
+		);
+		const status = result[0]?.status;
+		expect(
+			status?.name === 'SerialNotHeld' ||
+			status?.toString().includes('REVERT') ||
+			status?.toString() !== 'SUCCESS'
+		).to.be.true;
+		console.log('Unsent serial correctly rejected - status:', status?.name || status?.toString());
+	});
+
+	it('Rejects registering a serial twice', async function () {
+		client.setOperator(bobId, bobPK);
+
+		const result = await contractExecuteFunction(
+			graveyardId,
+			graveyardIface,
+			client,
+			1_200_000,
+			'registerDirectBurial',
+			[tokenNoRoyaltyId.toSolidityAddress(), [1]]
+		);
+		const status = result[0]?.status;
+		expect(
+			status?.name === 'SerialAlreadyBuried' ||
+			status?.toString().includes('REVERT') ||
+			status?.toString() !== 'SUCCESS'
+		).to.be.true;
+		console.log('Double registration correctly rejected - status:', status?.name || status?.toString());
+	});
+
+	it('Rejects registering a serial already buried via staking', async function () {
+		client.setOperator(bobId, bobPK);
+
+		const result = await contractExecuteFunction(
+			graveyardId,
+			graveyardIface,
+			client,
+			1_200_000,
+			'registerDirectBurial',
+			[tokenWithRoyaltyId.toSolidityAddress(), [1]]
+		);
+		const status = result[0]?.status;
+		expect(
+			status?.name === 'SerialAlreadyBuried' ||
+			status?.toString().includes('REVERT') ||
+			status?.toString() !== 'SUCCESS'
+		).to.be.true;
+
+		const buriedCount = await readContract(graveyardIface, graveyardId, 'getBuriedCount', [tokenWithRoyaltyId.toSolidityAddress()]);
+		expect(Number(buriedCount)).to.equal(15);
+		console.log('Staked serial cannot be registered again - status:', status?.name || status?.toString());
+	});
+});
+
 describe('Admin Functions: ', function () {
 	it('Admin can withdraw hbar', async function () {
 		client.setOperator(operatorId, operatorKey);
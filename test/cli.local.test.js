@@ -0,0 +1,1659 @@
+/**
+ * Offline CLI and mirror helper suite
+ *
+ * Serves test/fixtures/mirror.json from the mirror node emulator and runs the mirror helpers,
+ * GraveyardClient's read paths and the read-only CLI commands against it (MIRROR_NODE_URL).
+ * No Hedera access and no transactions.
+ *
+ * npm run test:cli
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawn, spawnSync } = require('child_process');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+const { describe, it, before, after } = require('mocha');
+const { AccountId, Client, ContractId, PrivateKey, Transaction } = require('@hashgraph/sdk');
+const { MirrorEmulator, longZeroAddress } = require('../utils/mirrorEmulator');
+const {
+	MirrorClient,
+	MirrorNotFoundError,
+	MirrorServerError,
+	MirrorRequestError,
+	MirrorNetworkError,
+	getBaseURL,
+} = require('../utils/mirrorClient');
+const { loadNetworkProfile, createNetworkClient, parseNodes } = require('../utils/networkProfile');
+const {
+	getSerialsOwned,
+	getTokenDetails,
+	checkTokenHasFallbackRoyalty,
+	checkMirrorAllowance,
+	checkMirrorBalance,
+	homebrewPopulateAccountEvmAddress,
+	homebrewPopulateAccountNum,
+	checkLastMirrorEvent,
+	EntityType,
+} = require('../utils/hederaMirrorHelpers');
+const { readOnlyEVMFromMirrorNode } = require('../utils/solidityHelpers');
+const { GraveyardClient } = require('../lib/GraveyardClient');
+const { createEventDecoder, getEnumNames } = require('../utils/eventDecoder');
+const { parseTokenAmount, packStakingCalls } = require('../scripts/cli/lib/plan');
+const { CACHE_TTL, DiskCache } = require('../scripts/cli/lib/cache');
+const { loadManifest } = require('../scripts/cli/lib/manifest');
+const { MAX_RANGE_SIZE, parseSerials } = require('../scripts/cli/lib/serials');
+const { encryptKeystore } = require('../scripts/cli/lib/signer');
+const { signCertificate } = require('../scripts/cli/lib/certificate');
+
+const fixture = require('./fixtures/mirror.json');
+
+const CLI_DIR = path.join(__dirname, '..', 'scripts', 'cli');
+const CLI_TIMEOUT = 60_000;
+
+const OPERATOR = '0.0.1001';
+const OTHER_ACCOUNT = '0.0.1002';
+const LAZY_TOKEN = '0.0.2000';
+const LAZY_GAS_STATION = '0.0.3000';
+const PLAIN_TOKEN = '0.0.4000';
+const ROYALTY_TOKEN = '0.0.4001';
+const LARGE_TOKEN = '0.0.4002';
+const FUNGIBLE_TOKEN = '0.0.4003';
+const GRAVEYARD = '0.0.5000';
+
+// Throwaway ED25519 key - the CLI only needs something parseable for read-only commands
+const DUMMY_KEY = '302e020100300506032b657004220420' + '11'.repeat(32);
+const OTHER_KEY = '302e020100300506032b657004220420' + '22'.repeat(32);
+
+// Consensus node that refuses connections, so every submitted transaction fails (in about 10s)
+const OFFLINE_NODES = { CONSENSUS_NODES: '127.0.0.1:1=0.0.3' };
+
+// External signer for SIGNER_COMMAND: signs the hex message on stdin with TEST_SIGNER_KEY (DER hex)
+const SIGNER_SCRIPT = `const crypto = require('crypto');
+const key = crypto.createPrivateKey({ key: Buffer.from(process.env.TEST_SIGNER_KEY, 'hex'), format: 'der', type: 'pkcs8' });
+let input = '';
+process.stdin.on('data', d => input += d).on('end', () => {
+	process.stdout.write(crypto.sign(null, Buffer.from(input.trim(), 'hex'), key).toString('hex'));
+});
+`;
+
+const graveyardAbi = require('../abi/TokenGraveyard.json');
+const graveyardIface = new ethers.Interface(graveyardAbi);
+
+// reused variables
+let emulator;
+let mirrorUrl;
+let cliRuns = 0;
+
+/**
+ * Fixture copy with the operator's key, a large collection and a page-spanning event log added
+ * @returns {object}
+ */
+function buildFixture() {
+	const data = JSON.parse(JSON.stringify(fixture));
+
+	data.accounts[OPERATOR].key = { _type: 'ED25519', key: PrivateKey.fromStringDer(DUMMY_KEY).publicKey.toStringRaw() };
+
+	data.tokens[LARGE_TOKEN] = { name: 'Large Collection', symbol: 'LARGE', type: 'NON_FUNGIBLE_UNIQUE' };
+	data.nfts[LARGE_TOKEN] = [];
+	for (let s = 1; s <= 160; s++) {
+		data.nfts[LARGE_TOKEN].push({ serial_number: s, account_id: s % 16 === 0 ? OTHER_ACCOUNT : OPERATOR });
+	}
+
+	data.contracts[GRAVEYARD].logs = [];
+	for (let i = 1; i <= 30; i++) {
+		data.contracts[GRAVEYARD].logs.push({
+			timestamp: `1700000000.${String(i).padStart(9, '0')}`,
+			block_number: i,
+			transaction_hash: ethers.zeroPadValue(ethers.toBeHex(i), 32),
+			topics: [],
+			data: '0x',
+		});
+	}
+
+	return data;
+}
+
+/**
+ * Environment for a CLI run against the emulator
+ * @param {string} cachePath
+ * @param {object} extraEnv
+ * @returns {object}
+ */
+function cliEnv(cachePath, extraEnv) {
+	return {
+		...process.env,
+		ENVIRONMENT: 'TEST',
+		ACCOUNT_ID: OPERATOR,
+		PRIVATE_KEY: DUMMY_KEY,
+		GRAVEYARD_CONTRACT_ID: GRAVEYARD,
+		LAZY_TOKEN,
+		LAZY_GAS_STATION_CONTRACT_ID: LAZY_GAS_STATION,
+		MIRROR_NODE_URL: mirrorUrl,
+		GRAVEYARD_CACHE_FILE: cachePath,
+		...extraEnv,
+	};
+}
+
+/**
+ * Run a CLI script against the emulator
+ * @param {string} script - Script path relative to scripts/cli
+ * @param {string[]} args - Command line arguments
+ * @param {string} [input] - Text written to stdin
+ * @param {object} [extraEnv] - Environment overrides (GRAVEYARD_CACHE_FILE shares a lookup cache
+ *   between runs; by default each run gets a fresh one)
+ * @returns {Promise<{ code: number, stdout: string, stderr: string, json: object|null }>}
+ */
+function runCli(script, args, input = '', extraEnv = {}) {
+	const ownCache = !extraEnv.GRAVEYARD_CACHE_FILE;
+	const cachePath = extraEnv.GRAVEYARD_CACHE_FILE ?? path.join(os.tmpdir(), `graveyard-cache-${process.pid}-${++cliRuns}.json`);
+	const env = cliEnv(cachePath, extraEnv);
+
+	return new Promise((resolve) => {
+		const child = execFile('node', [path.join(CLI_DIR, script), ...args], { env, cwd: path.join(__dirname, '..'), timeout: CLI_TIMEOUT }, (err, stdout, stderr) => {
+			let json = null;
+			try {
+				json = JSON.parse(stdout);
+			}
+			catch {
+				// human-readable output
+			}
+			if (ownCache) fs.rmSync(cachePath, { force: true });
+			resolve({ code: err ? err.code : 0, stdout, stderr, json });
+		});
+		child.stdin.end(input);
+	});
+}
+
+/**
+ * Run a CLI script on a pseudo-terminal (util-linux `script`), typing each answer once its prompt is shown
+ * @param {string} script
+ * @param {string[]} args
+ * @param {[string, string][]} answers - prompt text and the line to type after it, in order
+ * @param {object} [extraEnv]
+ * @returns {Promise<{ code: number, output: string }>}
+ */
+function runCliInPty(script, args, answers, extraEnv = {}) {
+	const cachePath = path.join(os.tmpdir(), `graveyard-cache-${process.pid}-${++cliRuns}.json`);
+	const command = [process.execPath, path.join(CLI_DIR, script), ...args].map(arg => `'${arg}'`).join(' ');
+
+	return new Promise((resolve) => {
+		const child = spawn('script', ['-qfec', command, '/dev/null'], { env: cliEnv(cachePath, extraEnv), cwd: path.join(__dirname, '..') });
+		const timer = setTimeout(() => child.kill(), CLI_TIMEOUT);
+		const pending = [...answers];
+		let output = '';
+		let searchFrom = 0;
+
+		child.stdout.on('data', (chunk) => {
+			output += chunk.toString();
+			while (pending.length > 0) {
+				const at = output.indexOf(pending[0][0], searchFrom);
+				if (at === -1) break;
+				searchFrom = at + pending[0][0].length;
+				child.stdin.write(`${pending.shift()[1]}\r`);
+			}
+		});
+		child.on('close', (code) => {
+			clearTimeout(timer);
+			child.stdin.destroy();
+			fs.rmSync(cachePath, { force: true });
+			resolve({ code, output });
+		});
+	});
+}
+
+/**
+ * Requests the emulator received for a path
+ * @param {string} pathname
+ * @returns {object[]}
+ */
+function requestsTo(pathname) {
+	return emulator.requests.filter(r => r.path === pathname);
+}
+
+/**
+ * Serve a graveyard call by OPERATOR at 1700000090 that staked ROYALTY_TOKEN #1 and #2, both still held
+ */
+function stageCertificateBurial() {
+	const tokenAddress = ethers.getAddress(longZeroAddress(ROYALTY_TOKEN));
+
+	emulator.fixture.contracts[GRAVEYARD].results = [{
+		timestamp: '1700000100.000000001',
+		hash: ethers.zeroPadValue('0xbeef', 32),
+		transaction_id: '0.0.1001-1700000090-000000000',
+		result: 'SUCCESS',
+		function_parameters: graveyardIface.encodeFunctionData('stakeNFTsToTheGrave', [tokenAddress, [1, 2]]),
+		call_result: '0x',
+		logs: [{
+			contract_id: GRAVEYARD,
+			index: 0,
+			...graveyardIface.encodeEventLog('NFTsBuried', [ethers.getAddress(longZeroAddress(OPERATOR)), tokenAddress, [1, 2], true]),
+		}],
+	}];
+	emulator.fixture.nfts[ROYALTY_TOKEN] = [
+		{ serial_number: 1, account_id: GRAVEYARD },
+		{ serial_number: 2, account_id: GRAVEYARD },
+	];
+}
+
+/**
+ * Number of signatures on a transaction, across every node
+ * @param {Transaction} transaction
+ * @returns {number}
+ */
+function signatureCount(transaction) {
+	return [...transaction.getSignatures().values()]
+		.flatMap(byTransaction => [...byTransaction.values()])
+		.reduce((sum, pairs) => sum + pairs.size, 0);
+}
+
+describe('Mirror Emulator: ', function() {
+	before(async function() {
+		emulator = new MirrorEmulator(buildFixture());
+		mirrorUrl = await emulator.start();
+	});
+
+	after(async function() {
+		await emulator.stop();
+	});
+
+	it('Should follow links.next to collect every owned serial', async function() {
+		emulator.requests.length = 0;
+		const serials = await getSerialsOwned(mirrorUrl, OPERATOR, LARGE_TOKEN);
+
+		expect(serials.length).to.be.equal(150);
+		expect(serials).to.not.include(16);
+		expect(new Set(serials).size).to.be.equal(150);
+
+		const pages = requestsTo(`/api/v1/tokens/${LARGE_TOKEN}/nfts`);
+		expect(pages.length).to.be.equal(2);
+		expect(pages[1].query['account.id']).to.be.equal(OPERATOR);
+		expect(pages[1].query.serial_number).to.match(/^lt:\d+$/);
+	});
+
+	it('Should page contract logs by timestamp in either order', async function() {
+		const seen = [];
+		let next = `/api/v1/contracts/${GRAVEYARD}/results/logs?limit=10`;
+		while (next) {
+			const response = await axios.get(`${mirrorUrl}${next}`);
+			seen.push(...response.data.logs.map(log => log.block_number));
+			next = response.data.links.next;
+		}
+		expect(seen).to.be.deep.equal([...Array(30).keys()].map(i => 30 - i));
+
+		const asc = await axios.get(`${mirrorUrl}/api/v1/contracts/${GRAVEYARD}/results/logs?order=asc&limit=5`);
+		expect(asc.data.logs.map(log => log.block_number)).to.be.deep.equal([1, 2, 3, 4, 5]);
+		expect(asc.data.links.next).to.contain('timestamp=gt:1700000000.000000005');
+	});
+
+	it('Should serve token details and royalty fees', async function() {
+		const details = await getTokenDetails(mirrorUrl, LAZY_TOKEN);
+		expect(details.symbol).to.be.equal('LAZY');
+		expect(Number(details.decimals)).to.be.equal(1);
+
+		const royalty = await checkTokenHasFallbackRoyalty(mirrorUrl, ROYALTY_TOKEN);
+		expect(royalty.hasFallback).to.be.true;
+
+		const plain = await checkTokenHasFallbackRoyalty(mirrorUrl, PLAIN_TOKEN);
+		expect(plain.hasFallback).to.be.false;
+	});
+
+	it('Should serve allowances and token balances', async function() {
+		expect(await checkMirrorAllowance(mirrorUrl, OPERATOR, LAZY_TOKEN, LAZY_GAS_STATION)).to.be.equal(50);
+		expect(await checkMirrorAllowance(mirrorUrl, OPERATOR, LAZY_TOKEN, GRAVEYARD)).to.be.equal(0);
+		expect(await checkMirrorBalance(mirrorUrl, OPERATOR, LAZY_TOKEN)).to.be.equal(5000);
+	});
+
+	it('Should resolve entities by id and by EVM address', async function() {
+		const address = await homebrewPopulateAccountEvmAddress(mirrorUrl, GRAVEYARD, EntityType.CONTRACT);
+		expect(address.toLowerCase()).to.be.equal(longZeroAddress(GRAVEYARD));
+
+		expect(await homebrewPopulateAccountNum(mirrorUrl, address, EntityType.CONTRACT)).to.be.equal(GRAVEYARD);
+		expect(await homebrewPopulateAccountNum(mirrorUrl, longZeroAddress(OPERATOR), EntityType.ACCOUNT)).to.be.equal(OPERATOR);
+	});
+
+	it('Should return the last contract event with its description', async function() {
+		const logs = emulator.fixture.contracts[GRAVEYARD].logs;
+		logs.push({
+			timestamp: '1700000099.000000000',
+			block_number: 99,
+			transaction_hash: ethers.zeroPadValue('0x63', 32),
+			...graveyardIface.encodeEventLog('NFTsBuried', [longZeroAddress(OTHER_ACCOUNT), longZeroAddress(PLAIN_TOKEN), [7], false]),
+		});
+
+		try {
+			const last = await checkLastMirrorEvent(mirrorUrl, ContractId.fromString(GRAVEYARD), graveyardIface, 0, true);
+			expect(last.value.toString()).to.be.equal(OTHER_ACCOUNT);
+			expect(last.description).to.match(/^Block: 99 : Tx Hash: 0x0+63 : Event: NFTsBuried : /);
+		}
+		finally {
+			logs.pop();
+		}
+	});
+
+	it('Should 404 unknown entities', async function() {
+		try {
+			await axios.get(`${mirrorUrl}/api/v1/accounts/0.0.999999`);
+			expect.fail('Should have thrown');
+		}
+		catch (err) {
+			expect(err.response.status).to.be.equal(404);
+			expect(err.response.data._status.messages[0].message).to.be.equal('Not found');
+		}
+	});
+
+	it('Should retry rate limits and server errors before succeeding', async function() {
+		const tokenPath = `/api/v1/tokens/${PLAIN_TOKEN}`;
+		emulator.requests.length = 0;
+		emulator.failNext(tokenPath, 429);
+		emulator.failNext(tokenPath, 503);
+
+		const details = await getTokenDetails(mirrorUrl, PLAIN_TOKEN);
+
+		expect(details.name).to.be.equal('Plain Collection');
+		expect(requestsTo(tokenPath).length).to.be.equal(3);
+	});
+
+	it('Should throw typed errors once retries run out', async function() {
+		const client = new MirrorClient(mirrorUrl, { retries: 1, baseDelayMs: 1 });
+
+		const tokenPath = `/api/v1/tokens/${PLAIN_TOKEN}`;
+		emulator.failNext(tokenPath, 503, 2);
+		const server = await client.get(tokenPath).catch(err => err);
+		expect(server).to.be.instanceOf(MirrorServerError);
+		expect(server).to.include({ status: 503, attempts: 2, code: 'MIRROR_SERVER_ERROR' });
+
+		const missing = await client.get('/api/v1/tokens/0.0.999999').catch(err => err);
+		expect(missing).to.be.instanceOf(MirrorNotFoundError);
+		expect(missing.attempts).to.be.equal(1);
+		expect(await getTokenDetails(mirrorUrl, '0.0.999999')).to.be.null;
+
+		const rejected = await client.post('/api/v1/contracts/call', { data: '0x', to: longZeroAddress(GRAVEYARD) }).catch(err => err);
+		expect(rejected).to.be.instanceOf(MirrorRequestError);
+		expect(rejected.response.status).to.be.equal(400);
+
+		const unreachable = await new MirrorClient('http://127.0.0.1:1', { retries: 0 }).get('/api/v1/tokens').catch(err => err);
+		expect(unreachable).to.be.instanceOf(MirrorNetworkError);
+		expect(unreachable.status).to.be.null;
+	});
+
+	it('Should follow links.next for allowances and cap requests in flight', async function() {
+		const allowances = emulator.fixture.accounts[OPERATOR].allowances.tokens;
+		const original = [...allowances];
+		for (let i = 0; i < 120; i++) {
+			allowances.push({ token_id: `0.0.${6000 + i}`, spender: GRAVEYARD, amount: i + 1, amount_granted: i + 1 });
+		}
+
+		try {
+			emulator.requests.length = 0;
+			expect(await checkMirrorAllowance(mirrorUrl, OPERATOR, '0.0.6119', GRAVEYARD)).to.be.equal(120);
+			expect(requestsTo(`/api/v1/accounts/${OPERATOR}/allowances/tokens`).length).to.be.equal(2);
+		}
+		finally {
+			allowances.splice(0, allowances.length, ...original);
+		}
+
+		let active = 0;
+		let peak = 0;
+		const http = {
+			request: async () => {
+				active++;
+				peak = Math.max(peak, active);
+				await new Promise(resolve => setTimeout(resolve, 5));
+				active--;
+				return { status: 200, data: {} };
+			},
+		};
+		const client = new MirrorClient(mirrorUrl, { concurrency: 2, http });
+		await Promise.all([...Array(6)].map(() => client.get('/api/v1/network/supply')));
+		expect(peak).to.be.equal(2);
+	});
+
+	it('Should answer contracts/call from the fixture call table', async function() {
+		const graveyardId = ContractId.fromString(GRAVEYARD);
+		const operatorId = AccountId.fromString(OPERATOR);
+
+		const costResult = await readOnlyEVMFromMirrorNode(mirrorUrl, graveyardId, graveyardIface.encodeFunctionData('getCost'), operatorId, false);
+		const [cost, burnPerc] = graveyardIface.decodeFunctionResult('getCost', costResult);
+		expect(Number(cost)).to.be.equal(100);
+		expect(Number(burnPerc)).to.be.equal(25);
+
+		// Full calldata entries take precedence over the selector default
+		const isAdminCall = (id) => graveyardIface.encodeFunctionData('isAdmin', [longZeroAddress(id)]);
+		const adminResult = await readOnlyEVMFromMirrorNode(mirrorUrl, graveyardId, isAdminCall(OPERATOR), operatorId, false);
+		const otherResult = await readOnlyEVMFromMirrorNode(mirrorUrl, graveyardId, isAdminCall(OTHER_ACCOUNT), operatorId, false);
+		expect(graveyardIface.decodeFunctionResult('isAdmin', adminResult)[0]).to.be.true;
+		expect(graveyardIface.decodeFunctionResult('isAdmin', otherResult)[0]).to.be.false;
+
+		const estimate = await readOnlyEVMFromMirrorNode(
+			mirrorUrl,
+			graveyardId,
+			graveyardIface.encodeFunctionData('associateToken', [longZeroAddress(PLAIN_TOKEN)]),
+			operatorId,
+			true,
+		);
+		expect(Number(estimate)).to.be.equal(750_000);
+	});
+
+	it('Should revert calls missing from the fixture', async function() {
+		try {
+			await readOnlyEVMFromMirrorNode(
+				mirrorUrl,
+				ContractId.fromString(GRAVEYARD),
+				graveyardIface.encodeFunctionData('withdrawHbar', [longZeroAddress(OPERATOR), 1]),
+				AccountId.fromString(OPERATOR),
+				false,
+			);
+			expect.fail('Should have thrown');
+		}
+		catch (err) {
+			expect(err.response.status).to.be.equal(400);
+			expect(err.response.data._status.messages[0].message).to.be.equal('CONTRACT_REVERT_EXECUTED');
+		}
+	});
+});
+
+describe('GraveyardClient against the Mirror Emulator: ', function() {
+	let client;
+	let graveyard;
+
+	before(async function() {
+		emulator = new MirrorEmulator(buildFixture());
+		mirrorUrl = await emulator.start();
+
+		client = Client.forTestnet().setOperator(OPERATOR, DUMMY_KEY);
+		graveyard = new GraveyardClient({ client, mirrorUrl, graveyardId: GRAVEYARD });
+	});
+
+	after(async function() {
+		client.close();
+		await emulator.stop();
+	});
+
+	it('Should require a client, mirror URL and graveyard ID', function() {
+		expect(() => new GraveyardClient({ mirrorUrl, graveyardId: GRAVEYARD })).to.throw('Hedera client');
+		expect(() => new GraveyardClient({ client, graveyardId: GRAVEYARD })).to.throw('mirror node base URL');
+		expect(() => new GraveyardClient({ client, mirrorUrl })).to.throw('graveyard contract ID');
+
+		expect(graveyard.graveyardId.toString()).to.be.equal(GRAVEYARD);
+		expect(graveyard.operatorId.toString()).to.be.equal(OPERATOR);
+	});
+
+	it('Should read costs and association state through the mirror node', async function() {
+		emulator.requests.length = 0;
+
+		expect(await graveyard.getCost()).to.be.deep.equal({ lazyCost: '100', lazyBurnPercentage: 25 });
+		expect(await graveyard.getAssociationCost(PLAIN_TOKEN, OTHER_ACCOUNT)).to.be.deep.equal({ lazyCost: '100', lazyBurnPercentage: 25 });
+		expect(await graveyard.getHbarAssociationCost(PLAIN_TOKEN)).to.be.deep.equal({ enabled: false, tinybars: 0 });
+
+		expect(await graveyard.isTokenAssociated(ROYALTY_TOKEN)).to.be.true;
+		expect(await graveyard.isTokenAssociated(longZeroAddress(PLAIN_TOKEN))).to.be.false;
+
+		// Calls are made from the operator, token and account IDs resolved on the mirror node
+		const calls = requestsTo('/api/v1/contracts/call');
+		expect(calls.every(r => r.body.from === longZeroAddress(OPERATOR).slice(2))).to.be.true;
+		expect(requestsTo('/api/v1/tokens/4000').length).to.be.equal(1);
+		expect(requestsTo('/api/v1/accounts/1002').length).to.be.equal(1);
+	});
+
+	it('Should detect fallback royalties from token IDs and EVM addresses', async function() {
+		expect((await graveyard.checkTokenHasFallbackRoyalty(ROYALTY_TOKEN)).hasFallback).to.be.true;
+		expect((await graveyard.checkTokenHasFallbackRoyalty(longZeroAddress(PLAIN_TOKEN))).hasFallback).to.be.false;
+	});
+
+	it('Should estimate gas with a buffer and fall back when the call reverts', async function() {
+		const tokenAddress = await graveyard.resolveTokenAddress(PLAIN_TOKEN);
+
+		const estimate = await graveyard.estimateGas('associateToken', [tokenAddress]);
+		expect(estimate).to.be.deep.equal({ gasLimit: 900_000, isEstimated: true, estimatedGas: 750_000 });
+
+		const fallback = await graveyard.estimateGas('withdrawHbar', [longZeroAddress(OPERATOR), 1], 123_000);
+		expect(fallback).to.be.deep.equal({ gasLimit: 123_000, isEstimated: false });
+	});
+
+	it('Should not write to the console', async function() {
+		const written = [];
+		const originals = {};
+		for (const method of ['log', 'error', 'warn', 'info']) {
+			originals[method] = console[method];
+			console[method] = (...args) => written.push(args.join(' '));
+		}
+
+		try {
+			// Unknown payer: the EVM address lookup falls back to the long-zero address
+			await graveyard.getAssociationCost(PLAIN_TOKEN, '0.0.999999');
+			await graveyard.estimateGas('withdrawHbar', [longZeroAddress(OPERATOR), 1], 123_000);
+			await graveyard.resolveTokenAddress('0.0.999998');
+		}
+		finally {
+			Object.assign(console, originals);
+		}
+
+		expect(written).to.be.deep.equal([]);
+	});
+
+	it('Should pass fungible amounts through as bigint and resolve SDK failures to a failed result', async function() {
+		this.timeout(CLI_TIMEOUT);
+		const offline = Client.forTestnet().setOperator(OPERATOR, DUMMY_KEY);
+		offline.setNetwork({ '127.0.0.1:1': '0.0.3' });
+		const offlineGraveyard = new GraveyardClient({ client: offline, mirrorUrl, graveyardId: GRAVEYARD });
+
+		const executed = [];
+		const execute = offlineGraveyard.execute.bind(offlineGraveyard);
+		offlineGraveyard.execute = (functionName, params, ...rest) => {
+			executed.push(params);
+			return execute(functionName, params, ...rest);
+		};
+
+		try {
+			const result = await offlineGraveyard.stakeFungibleToTheGrave(FUNGIBLE_TOKEN, '123456789012345678901', { gasLimit: 500_000 });
+			expect(executed[0][1]).to.be.equal(123456789012345678901n);
+			expect(result).to.include({ success: false, status: 'UNKNOWN', errorName: null });
+			expect(result.error).to.contain('All nodes are unhealthy');
+
+			let thrown = null;
+			try {
+				await offlineGraveyard.stakeFungibleToTheGrave(FUNGIBLE_TOKEN, '1.5', { gasLimit: 500_000 });
+			}
+			catch (err) {
+				thrown = err;
+			}
+			expect(thrown).to.be.instanceOf(SyntaxError);
+			expect(executed).to.have.lengthOf(1);
+		}
+		finally {
+			offline.close();
+		}
+	});
+});
+
+describe('CLI against the Mirror Emulator: ', function() {
+	this.timeout(CLI_TIMEOUT * 2);
+
+	before(async function() {
+		emulator = new MirrorEmulator(buildFixture());
+		mirrorUrl = await emulator.start();
+	});
+
+	after(async function() {
+		await emulator.stop();
+	});
+
+	it('info.js cost should scale the $LAZY cost by the token decimals', async function() {
+		const { code, json } = await runCli('info.js', ['cost', '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.success).to.be.true;
+		expect(json.data.lazyCost).to.be.equal(10);
+		expect(json.data.lazyBurnPercentage).to.be.equal(25);
+		expect(json.data.lazyToken.id).to.be.equal(LAZY_TOKEN);
+	});
+
+	it('info.js cost <token> should show the collection override and the operator waiver', async function() {
+		const calls = emulator.fixture.contracts[GRAVEYARD].calls;
+		const coder = ethers.AbiCoder.defaultAbiCoder();
+		const saved = calls['getAssociationCost(address,address)'];
+		calls['getTokenCost(address)'] = coder.encode(['uint256', 'uint256', 'bool'], [50, 25, true]);
+		calls['getAssociationCost(address,address)'] = coder.encode(['uint256', 'uint256'], [0, 25]);
+		calls['isWaived(address)'] = coder.encode(['bool'], [true]);
+
+		const { code, json } = await runCli('info.js', ['cost', PLAIN_TOKEN, '--json']);
+		delete calls['getTokenCost(address)'];
+		delete calls['isWaived(address)'];
+		calls['getAssociationCost(address,address)'] = saved;
+
+		expect(code).to.be.equal(0);
+		expect(json.data.tokenId).to.be.equal(PLAIN_TOKEN);
+		expect(json.data.lazyCost).to.be.equal(5);
+		expect(json.data.overridden).to.be.true;
+		expect(json.data.operator).to.be.deep.equal({ account: OPERATOR, waived: true, lazyCost: 0, lazyCostRaw: '0', hbarCostTinybars: null });
+	});
+
+	it('info.js is-admin should resolve the account and query the contract', async function() {
+		const { code, json } = await runCli('info.js', ['is-admin', OPERATOR, '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.data.isAdmin).to.be.true;
+		expect(json.data.evmAddress.toLowerCase()).to.be.equal(longZeroAddress(OPERATOR));
+	});
+
+	it('info.js buried should list the burial registry', async function() {
+		const { code, json } = await runCli('info.js', ['buried', '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.success).to.be.true;
+		expect(JSON.stringify(json.data)).to.contain(ROYALTY_TOKEN);
+	});
+
+	it('info.js hook should resolve a collection\'s burn-to-redeem hook', async function() {
+		emulator.fixture.contracts[GRAVEYARD].calls['getBurialHook(address)'] =
+			ethers.AbiCoder.defaultAbiCoder().encode(['address'], [longZeroAddress(LAZY_GAS_STATION)]);
+
+		const { code, json } = await runCli('info.js', ['hook', ROYALTY_TOKEN, '--json']);
+		delete emulator.fixture.contracts[GRAVEYARD].calls['getBurialHook(address)'];
+
+		expect(code).to.be.equal(0);
+		expect(json.data.hook).to.be.equal(LAZY_GAS_STATION);
+	});
+
+	it('bury.js plan should plan a direct send for a token without royalties', async function() {
+		const { code, json } = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1-3', '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.data.method).to.be.equal('direct_transfer');
+		expect(json.data.network).to.be.equal('testnet');
+		expect(json.data.serials).to.be.deep.equal([1, 2, 3]);
+
+		const stepTypes = json.data.steps.map(s => s.function || s.type);
+		expect(stepTypes).to.be.deep.equal(['set_lazy_allowance', 'associateToken', 'nft_transfer', 'registerDirectBurial']);
+		expect(json.data.steps[0].amount).to.be.equal(100);
+	});
+
+	it('bury.js plan --hbar should pay for association in hbar instead of $LAZY', async function() {
+		const calls = emulator.fixture.contracts[GRAVEYARD].calls;
+		const coder = ethers.AbiCoder.defaultAbiCoder();
+		const saved = [calls['getHbarCost()'], calls['getHbarAssociationCost(address,address)']];
+		calls['getHbarCost()'] = coder.encode(['uint256', 'uint256'], [100_000_000, 0]);
+		calls['getHbarAssociationCost(address,address)'] = coder.encode(['uint256'], [100_000_000]);
+
+		const lazyPlan = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1-2', '--json']);
+		const hbarPlan = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1-2', '--hbar', '--json']);
+		[calls['getHbarCost()'], calls['getHbarAssociationCost(address,address)']] = saved;
+
+		// The 50 $LAZY allowance is short of the 100 cost, so hbar is offered
+		expect(lazyPlan.json.data.association.payment).to.be.equal('lazy');
+		expect(lazyPlan.json.data.association.hbarAlternative).to.be.equal(100_000_000);
+
+		expect(hbarPlan.code).to.be.equal(0);
+		expect(hbarPlan.json.data.association.payment).to.be.equal('hbar');
+		expect(hbarPlan.json.data.allowances.lazy.required).to.be.equal(0);
+		const stepTypes = hbarPlan.json.data.steps.map(s => s.function || s.type);
+		expect(stepTypes).to.be.deep.equal(['associateTokenWithHbar', 'nft_transfer', 'registerDirectBurial']);
+		expect(hbarPlan.json.data.steps[0].payableTinybars).to.be.equal(100_000_000);
+	});
+
+	it('bury.js plan should stake a fallback-royalty token using the estimated gas', async function() {
+		const { code, json } = await runCli('bury.js', ['plan', ROYALTY_TOKEN, '1,2', '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.data.method).to.be.equal('staking');
+
+		const stake = json.data.steps.find(s => s.function === 'stakeNFTsToTheGrave');
+		expect(stake.isEstimated).to.be.true;
+		expect(stake.gasLimit).to.be.equal(1_920_000);
+		expect(json.data.steps.some(s => s.type === 'set_nft_allowance')).to.be.true;
+	});
+
+	it('bury.js plan all should page through owned serials', async function() {
+		const { code, json } = await runCli('bury.js', ['plan', LARGE_TOKEN, 'all', '--except', '1-10', '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.data.serials.length).to.be.equal(140);
+		expect(json.data.serials).to.not.include(5);
+	});
+
+	it('bury.js --manifest should combine staking collections into stakeManyToTheGrave', async function() {
+		const manifestPath = path.join(os.tmpdir(), `graveyard-manifest-${process.pid}.csv`);
+		const resultsPath = path.join(os.tmpdir(), `graveyard-manifest-${process.pid}.results.json`);
+		fs.writeFileSync(manifestPath, `token,serial\n${ROYALTY_TOKEN},1\n${ROYALTY_TOKEN},2\n${LARGE_TOKEN},11\n${LARGE_TOKEN},12\n`);
+
+		try {
+			const { code, stdout } = await runCli('bury.js', ['--manifest', manifestPath, '--results', resultsPath, '--force-stake'], 'no\n');
+
+			expect(code).to.be.equal(0);
+			expect(stdout).to.contain('staking (combined)');
+			expect(stdout).to.contain('2 staking collections combined into 1 stakeManyToTheGrave call(s)');
+
+			const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+			expect(results.length).to.be.equal(4);
+			expect(results.every(r => r.error === 'Cancelled by user')).to.be.true;
+		}
+		finally {
+			fs.rmSync(manifestPath, { force: true });
+			fs.rmSync(resultsPath, { force: true });
+		}
+
+		const range = (from, count) => Array.from({ length: count }, (_, i) => from + i);
+		const calls = packStakingCalls([{ tokenId: 'a', serials: range(1, 30) }, { tokenId: 'b', serials: range(1, 30) }]);
+		expect(calls.map(entries => entries.map(e => `${e.tokenId}:${e.serials.length}`))).to.be.deep.equal([['a:30', 'b:20'], ['b:10']]);
+		expect(calls[1][0].serials[0]).to.be.equal(21);
+	});
+
+	it('loadManifest should only treat the first line as a header', async function() {
+		const manifestPath = path.join(os.tmpdir(), `graveyard-header-${process.pid}.csv`);
+
+		try {
+			fs.writeFileSync(manifestPath, `# burial list\ntoken,serial\n${PLAIN_TOKEN},1\n\n${PLAIN_TOKEN},2\n`);
+			expect(loadManifest(manifestPath).map(r => [r.row, r.serial])).to.be.deep.equal([[3, 1], [5, 2]]);
+
+			fs.writeFileSync(manifestPath, `token,serial\n0.0.abc,1\n${PLAIN_TOKEN},2\n`);
+			expect(() => loadManifest(manifestPath)).to.throw('Manifest row 2: invalid token ID \'0.0.abc\'');
+
+			// Without a header, a mistyped first row is not mistaken for one
+			fs.writeFileSync(manifestPath, `0.0.abc,1\n${PLAIN_TOKEN},2\n`);
+			expect(() => loadManifest(manifestPath)).to.throw('Manifest row 1: invalid token ID \'0.0.abc\'');
+
+			fs.writeFileSync(manifestPath, `token,serial\ntoken,serial\n${PLAIN_TOKEN},2\n`);
+			expect(() => loadManifest(manifestPath)).to.throw('Manifest row 2: invalid token ID \'token\'');
+		}
+		finally {
+			fs.rmSync(manifestPath, { force: true });
+		}
+	});
+
+	it('Should reuse cached lookups across runs unless --no-cache is passed', async function() {
+		const cachePath = path.join(os.tmpdir(), `graveyard-cache-${process.pid}.json`);
+		const tokenPath = `/api/v1/tokens/${PLAIN_TOKEN}`;
+		const evmPath = `/api/v1/tokens/${PLAIN_TOKEN.split('.')[2]}`;
+
+		try {
+			const first = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1-3', '--json'], '', { GRAVEYARD_CACHE_FILE: cachePath });
+			expect(first.code).to.be.equal(0);
+			expect(requestsTo(tokenPath).length).to.be.greaterThan(0);
+			expect(requestsTo(evmPath).length).to.be.greaterThan(0);
+
+			// Token details and the token's EVM address now come from the cache
+			emulator.requests.length = 0;
+			const second = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1-3', '--json'], '', { GRAVEYARD_CACHE_FILE: cachePath });
+			expect(second.code).to.be.equal(0);
+			expect(second.json.data.steps).to.be.deep.equal(first.json.data.steps);
+			expect(requestsTo(tokenPath)).to.have.length(0);
+			expect(requestsTo(evmPath)).to.have.length(0);
+
+			const bypass = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1-3', '--no-cache', '--json'], '', { GRAVEYARD_CACHE_FILE: cachePath });
+			expect(bypass.code).to.be.equal(0);
+			expect(requestsTo(tokenPath).length).to.be.greaterThan(0);
+
+			const status = await runCli('cache.js', ['status', '--file', cachePath, '--json']);
+			expect(status.code).to.be.equal(0);
+			const mirror = status.json.data.mirrors.find(m => m.mirror === mirrorUrl);
+			expect(mirror.kinds.token).to.be.greaterThan(0);
+			expect(mirror.kinds.evmAddress).to.be.greaterThan(0);
+			expect(mirror.expired).to.be.equal(0);
+
+			const cleared = await runCli('cache.js', ['clear', '--file', cachePath, '--json']);
+			expect(cleared.code).to.be.equal(0);
+			expect(cleared.json.data.removed).to.be.equal(mirror.entries);
+			expect(fs.existsSync(cachePath)).to.be.false;
+		}
+		finally {
+			fs.rmSync(cachePath, { force: true });
+		}
+
+		// Token details expire, ID <-> EVM address mappings do not
+		let now = 1_000;
+		try {
+			const cache = new DiskCache(cachePath, mirrorUrl, { now: () => now });
+			cache.set('token', PLAIN_TOKEN, { name: 'Plain' });
+			cache.set('evmAddress', `tokens:${PLAIN_TOKEN}`, longZeroAddress(PLAIN_TOKEN));
+			cache.set('account', OPERATOR, { balance: 1 });
+			now += CACHE_TTL.token;
+
+			const reloaded = new DiskCache(cachePath, mirrorUrl, { now: () => now });
+			expect(reloaded.get('token', PLAIN_TOKEN)).to.be.undefined;
+			expect(reloaded.get('evmAddress', `tokens:${PLAIN_TOKEN}`)).to.be.equal(longZeroAddress(PLAIN_TOKEN));
+			expect(reloaded.get('account', OPERATOR)).to.be.undefined;
+		}
+		finally {
+			fs.rmSync(cachePath, { force: true });
+		}
+	});
+
+	it('info.js status should follow a LOCAL network profile file and send its mirror API key', async function() {
+		const profilePath = path.join(os.tmpdir(), `graveyard-network-${process.pid}.json`);
+		fs.writeFileSync(profilePath, JSON.stringify({
+			environment: 'LOCAL',
+			mirrorUrl,
+			relayUrl: 'http://127.0.0.1:7546',
+			mirrorApiKey: 'secret-key',
+		}));
+
+		try {
+			emulator.requests.length = 0;
+			const { code, json } = await runCli('info.js', ['status', '--json'], '', { NETWORK_PROFILE: profilePath, ENVIRONMENT: '', MIRROR_NODE_URL: '' });
+
+			expect(code).to.be.equal(0);
+			expect(json.data.network).to.be.equal('local');
+			expect(json.data.networkProfile).to.include({
+				environment: 'LOCAL',
+				mirrorUrl,
+				relayUrl: 'http://127.0.0.1:7546',
+				mirrorApiKey: 'x-api-key: ****',
+				source: profilePath,
+			});
+			expect(json.data.networkProfile.nodes).to.be.deep.equal({ '127.0.0.1:50211': '0.0.3' });
+			expect(emulator.requests.length).to.be.greaterThan(0);
+			expect(emulator.requests.every(r => r.headers['x-api-key'] === 'secret-key')).to.be.true;
+		}
+		finally {
+			fs.rmSync(profilePath, { force: true });
+		}
+
+		const preview = await runCli('info.js', ['status', '--json'], '', { ENVIRONMENT: 'PREVIEW' });
+		expect(preview.code).to.be.equal(0);
+		expect(preview.json.data.network).to.be.equal('previewnet');
+
+		const unknown = await runCli('info.js', ['status', '--json'], '', { ENVIRONMENT: 'DEVNET' });
+		expect(unknown.code).to.be.equal(1);
+		expect(unknown.json.error.message).to.include('TEST, MAIN, PREVIEW or LOCAL');
+	});
+
+	it('--profile should switch deployments from graveyard.profiles.json and tag JSON responses', async function() {
+		const profilesPath = path.join(os.tmpdir(), `graveyard-profiles-${process.pid}.json`);
+		fs.writeFileSync(profilesPath, JSON.stringify({
+			default: 'emulator',
+			profiles: {
+				emulator: { ENVIRONMENT: 'TEST', MIRROR_NODE_URL: mirrorUrl, GRAVEYARD_CONTRACT_ID: GRAVEYARD },
+				staging: { ENVIRONMENT: 'PREVIEW', MIRROR_NODE_URL: mirrorUrl, PRIVATE_KEY: DUMMY_KEY },
+			},
+		}));
+		const withProfiles = { GRAVEYARD_PROFILES_FILE: profilesPath };
+
+		try {
+			const list = await runCli('info.js', ['profiles', '--json'], '', withProfiles);
+			expect(list.code).to.be.equal(0);
+			expect(list.json.profile).to.be.equal('emulator');
+			expect(list.json.data.default).to.be.equal('emulator');
+			expect(list.json.data.profiles.map(p => [p.name, p.active])).to.be.deep.equal([['emulator', true], ['staging', false]]);
+			expect(list.json.data.profiles[1].settings.PRIVATE_KEY).to.be.equal('****');
+
+			// The profile's value is not mistaken for a positional argument
+			const staging = await runCli('info.js', ['--profile', 'staging', 'is-admin', OPERATOR, '--json'], '', withProfiles);
+			expect(staging.code).to.be.equal(0);
+			expect(staging.json.profile).to.be.equal('staging');
+			expect(staging.json.data.isAdmin).to.be.true;
+
+			const status = await runCli('info.js', ['status', '--profile=staging', '--json'], '', withProfiles);
+			expect(status.code).to.be.equal(0);
+			expect(status.json.data.network).to.be.equal('previewnet');
+
+			// Responses made without a client are tagged too
+			const early = await runCli('bury.js', ['verify-certificate', 'missing-certificate.json', '--json', '--profile', 'staging'], '', withProfiles);
+			expect(early.code).to.be.equal(1);
+			expect(early.json.profile).to.be.equal('staging');
+			const cache = await runCli('cache.js', ['status', '--json'], '', withProfiles);
+			expect(cache.json.profile).to.be.equal('emulator');
+
+			const unknown = await runCli('info.js', ['status', '--profile', 'prod', '--json'], '', withProfiles);
+			expect(unknown.code).to.be.equal(1);
+			expect(unknown.json.profile).to.be.null;
+			expect(unknown.json.error.message).to.include('Unknown profile "prod" (defined: emulator, staging)');
+		}
+		finally {
+			fs.rmSync(profilesPath, { force: true });
+		}
+
+		const plain = await runCli('info.js', ['is-admin', OPERATOR, '--json']);
+		expect(plain.json.profile).to.be.null;
+	});
+
+	it('bury.js ft should scale the amount by the token decimals and plan an FT allowance', async function() {
+		const { code, stdout } = await runCli('bury.js', ['ft', FUNGIBLE_TOKEN, '12.5'], 'no\n');
+
+		expect(code).to.be.equal(0);
+		expect(stdout).to.contain('12.5 (1250 raw)');
+		expect(stdout).to.contain('Approve 100 $LAZY (raw) to LazyGasStation');
+		expect(stdout).to.contain('Approve 12.5 DUST (1250 raw) to the graveyard');
+		expect(stdout).to.contain('Stake 12.5 DUST to the graveyard [gas 1,080,000, estimated]');
+		expect(stdout).to.contain('cancelled');
+	});
+
+	it('bury.js ft should refuse NFT collections and amounts finer than the decimals', async function() {
+		const nft = await runCli('bury.js', ['ft', PLAIN_TOKEN, '1', '--json']);
+		expect(nft.code).to.be.equal(1);
+		expect(nft.json.error.code).to.be.equal('NOT_FUNGIBLE');
+
+		const fine = await runCli('bury.js', ['ft', FUNGIBLE_TOKEN, '0.001', '--json']);
+		expect(fine.code).to.be.equal(2);
+		expect(fine.json.error.code).to.be.equal('INVALID_AMOUNT');
+
+		expect(parseTokenAmount('12.50', 2)).to.be.equal(1250);
+		expect(parseTokenAmount('.5', 1)).to.be.equal(5);
+		expect(parseTokenAmount('7', 0)).to.be.equal(7);
+		expect(() => parseTokenAmount('0', 2)).to.throw('greater than 0');
+		expect(() => parseTokenAmount('1e3', 2)).to.throw('Invalid amount');
+	});
+
+	it('admin.js add-admin should require --confirm in JSON mode', async function() {
+		emulator.requests.length = 0;
+		const { code } = await runCli('admin.js', ['add-admin', OTHER_ACCOUNT, '--json']);
+
+		expect(code).to.be.equal(2);
+		expect(requestsTo(`/api/v1/accounts/${OTHER_ACCOUNT.split('.').pop()}`).length).to.be.equal(1);
+	});
+
+	it('admin.js add-admin should do nothing when the prompt is declined', async function() {
+		const { code, stdout } = await runCli('admin.js', ['add-admin', OTHER_ACCOUNT], 'no\n');
+
+		expect(code).to.be.equal(0);
+		expect(stdout).to.contain('Cancelled');
+	});
+
+	it('bury.js certificate should issue a signed proof of burial that verify-certificate accepts', async function() {
+		const certPath = path.join(os.tmpdir(), `graveyard-cert-${process.pid}.json`);
+		const htmlPath = certPath.replace(/\.json$/, '.html');
+		stageCertificateBurial();
+
+		const { code, json } = await runCli('bury.js', ['certificate', `${OPERATOR}@1700000090.0`, '--out', certPath, '--json']);
+		const html = fs.readFileSync(htmlPath, 'utf8');
+
+		expect(code).to.be.equal(0);
+		expect(json.data.certificate).to.include({
+			graveyard: GRAVEYARD,
+			transactionId: '0.0.1001-1700000090-000000000',
+			consensusTimestamp: '1700000100.000000001',
+			verified: true,
+		});
+		expect(json.data.certificate.burials).to.be.deep.equal([{
+			token: ROYALTY_TOKEN,
+			name: 'Royalty Collection',
+			symbol: 'ROYAL',
+			burier: OPERATOR,
+			method: 'staking',
+			serials: [
+				{ serial: 1, owner: GRAVEYARD, heldByGraveyard: true },
+				{ serial: 2, owner: GRAVEYARD, heldByGraveyard: true },
+			],
+		}]);
+		expect(json.data.signature.signer).to.be.equal(OPERATOR);
+		expect(html).to.contain('Certificate of Burial').and.contain('Royalty Collection');
+
+		const verified = await runCli('bury.js', ['verify-certificate', certPath, '--json']);
+		expect(verified.code).to.be.equal(0);
+		expect(verified.json.data).to.include({ valid: true, signatureValid: true });
+		expect(verified.json.data.problems).to.be.empty;
+
+		const issued = fs.readFileSync(certPath, 'utf8');
+		/**
+		 * Edit the issued certificate, re-sign it with a key (keeping the signer account) and verify it
+		 * @param {function(object): void} edit
+		 * @param {string} key - DER private key
+		 */
+		const forge = async (edit, key) => {
+			const { certificate, signature } = JSON.parse(issued);
+			edit(certificate);
+			const privateKey = PrivateKey.fromStringDer(key);
+			const forged = await signCertificate(certificate, { publicKey: privateKey.publicKey, sign: async m => privateKey.sign(m) }, signature.signer);
+			fs.writeFileSync(certPath, JSON.stringify(forged));
+			return runCli('bury.js', ['verify-certificate', certPath, '--json']);
+		};
+
+		// Any edit to the certificate breaks the signature
+		const signed = JSON.parse(issued);
+		signed.certificate.burials[0].serials.push({ serial: 3, owner: GRAVEYARD, heldByGraveyard: true });
+		fs.writeFileSync(certPath, JSON.stringify(signed));
+		const tampered = await runCli('bury.js', ['verify-certificate', certPath, '--json']);
+		expect(tampered.code).to.be.equal(1);
+		expect(tampered.json.data.signatureValid).to.be.false;
+
+		// Re-signed with another key, still naming the operator as signer
+		const resigned = await forge(c => c.burials[0].serials.push({ serial: 3, owner: GRAVEYARD, heldByGraveyard: true }), OTHER_KEY);
+		expect(resigned.code).to.be.equal(1);
+		expect(resigned.json.data).to.include({ valid: false, signatureValid: true });
+		expect(resigned.json.data.problems).to.be.deep.equal([
+			`Signing key is not the mirror node key of account ${OPERATOR}`,
+			'Burials do not match the transaction\'s NFTsBuried log(s)',
+		]);
+
+		// Signed with the operator's own key, but not what the transaction did
+		const burier = await forge(c => { c.burials[0].burier = OTHER_ACCOUNT; }, DUMMY_KEY);
+		expect(burier.json.data.problems).to.be.deep.equal(['Burials do not match the transaction\'s NFTsBuried log(s)']);
+		const hash = await forge(c => { c.transactionHash = ethers.zeroPadValue('0xdead', 32); }, DUMMY_KEY);
+		expect(hash.json.data.problems[0]).to.match(/^Transaction hash 0x0+dead does not match/);
+		const missing = await forge(c => { c.transactionId = '0.0.1001-1700000999-000000000'; }, DUMMY_KEY);
+		expect(missing.code).to.be.equal(1);
+		expect(missing.json.data.problems[0]).to.contain('No successful graveyard call found for 0.0.1001-1700000999-000000000');
+
+		fs.writeFileSync(certPath, issued);
+		const otherGraveyard = await runCli('bury.js', ['verify-certificate', certPath, '--json'], '', { GRAVEYARD_CONTRACT_ID: '0.0.9999' });
+		expect(otherGraveyard.code).to.be.equal(1);
+		expect(otherGraveyard.json.data.problems).to.be.deep.equal([`Certificate was issued for graveyard ${GRAVEYARD} but GRAVEYARD_CONTRACT_ID is 0.0.9999`]);
+
+		// A serial that has left the graveyard is flagged and the command fails
+		emulator.fixture.nfts[ROYALTY_TOKEN][1].account_id = OTHER_ACCOUNT;
+		const moved = await runCli('bury.js', ['certificate', `${OPERATOR}@1700000090.0`, '--out', certPath, '--json']);
+		expect(moved.code).to.be.equal(1);
+		expect(moved.json.data.certificate.verified).to.be.false;
+		expect(moved.json.data.certificate.burials[0].serials[1]).to.include({ owner: OTHER_ACCOUNT, heldByGraveyard: false });
+
+		fs.rmSync(certPath, { force: true });
+		fs.rmSync(htmlPath, { force: true });
+	});
+
+	it('keystore.js and SIGNER_COMMAND should sign without a PRIVATE_KEY', async function() {
+		const keystorePath = path.join(os.tmpdir(), `graveyard-keystore-${process.pid}.json`);
+		const signerPath = path.join(os.tmpdir(), `graveyard-signer-${process.pid}.js`);
+		const certPath = path.join(os.tmpdir(), `graveyard-signed-cert-${process.pid}.json`);
+		const publicKey = PrivateKey.fromStringDer(DUMMY_KEY).publicKey.toStringDer();
+		const certificateArgs = ['certificate', `${OPERATOR}@1700000090.0`, '--out', certPath, '--json'];
+		stageCertificateBurial();
+		fs.rmSync(keystorePath, { force: true });
+
+		const created = await runCli('keystore.js', ['create', '--out', keystorePath, '--json'], '', { KEYSTORE_PASSPHRASE: 'correct horse' });
+		expect(created.code).to.be.equal(0);
+		expect(created.json.data).to.include({ accountId: OPERATOR, keyType: 'ED25519', publicKey });
+		expect(fs.readFileSync(keystorePath, 'utf8')).to.not.contain('11'.repeat(32));
+
+		const inspected = await runCli('keystore.js', ['inspect', keystorePath, '--json']);
+		expect(inspected.json.data).to.include({ accountId: OPERATOR, publicKey, kdf: 'scrypt' });
+		const overwrite = await runCli('keystore.js', ['create', '--out', keystorePath, '--json'], '', { KEYSTORE_PASSPHRASE: 'other' });
+		expect(overwrite.code).to.be.equal(1);
+		expect(overwrite.json.error.message).to.contain('--force');
+
+		// ACCOUNT_ID comes from the keystore as well
+		const keystoreEnv = { PRIVATE_KEY: '', ACCOUNT_ID: '', KEYSTORE_FILE: keystorePath, KEYSTORE_PASSPHRASE: 'correct horse' };
+		const status = await runCli('info.js', ['status', '--json'], '', keystoreEnv);
+		expect(status.json.data.operator).to.be.equal(OPERATOR);
+		expect(status.json.data.signing).to.be.deep.equal({ source: 'keystore', publicKey, keystore: keystorePath });
+
+		const fromKeystore = await runCli('bury.js', certificateArgs, '', keystoreEnv);
+		expect(fromKeystore.code).to.be.equal(0);
+		expect(fromKeystore.json.data.signature).to.include({ signer: OPERATOR, publicKey });
+		expect((await runCli('bury.js', ['verify-certificate', certPath, '--json'])).json.data.signatureValid).to.be.true;
+
+		const wrongPassphrase = await runCli('bury.js', certificateArgs, '', { ...keystoreEnv, KEYSTORE_PASSPHRASE: 'wrong' });
+		expect(wrongPassphrase.code).to.be.equal(1);
+		expect(wrongPassphrase.json.error.message).to.be.equal('Wrong keystore passphrase');
+		const noTerminal = await runCli('bury.js', certificateArgs, '', { ...keystoreEnv, KEYSTORE_PASSPHRASE: '' });
+		expect(noTerminal.json.error.message).to.contain('set KEYSTORE_PASSPHRASE');
+
+		// External signer: message in as hex on stdin, signature out as hex on stdout
+		fs.writeFileSync(signerPath, SIGNER_SCRIPT);
+		const signerEnv = { PRIVATE_KEY: '', SIGNER_COMMAND: `node "${signerPath}"`, SIGNER_PUBLIC_KEY: publicKey, TEST_SIGNER_KEY: DUMMY_KEY };
+		const fromCommand = await runCli('bury.js', certificateArgs, '', signerEnv);
+		expect(fromCommand.code).to.be.equal(0);
+		expect(fromCommand.json.data.signature).to.include({ signer: OPERATOR, publicKey });
+		expect((await runCli('bury.js', ['verify-certificate', certPath, '--json'])).json.data.signatureValid).to.be.true;
+
+		const wrongKey = await runCli('bury.js', certificateArgs, '', { ...signerEnv, TEST_SIGNER_KEY: OTHER_KEY });
+		expect(wrongKey.code).to.be.equal(1);
+		expect(wrongKey.json.error.message).to.contain('does not match SIGNER_PUBLIC_KEY');
+		const noPublicKey = await runCli('bury.js', certificateArgs, '', { ...signerEnv, SIGNER_PUBLIC_KEY: '' });
+		expect(noPublicKey.json.error.message).to.contain('SIGNER_PUBLIC_KEY required');
+
+		for (const file of [keystorePath, signerPath, certPath, certPath.replace(/\.json$/, '.html')]) {
+			fs.rmSync(file, { force: true });
+		}
+	});
+
+	it('bury.js should not echo a keystore passphrase typed after the confirmation prompts', async function() {
+		if (spawnSync('script', ['--version']).error) {
+			this.skip();
+		}
+
+		const keystorePath = path.join(os.tmpdir(), `graveyard-pty-keystore-${process.pid}.json`);
+		const journalPath = path.join(os.tmpdir(), `graveyard-pty-${process.pid}.journal.jsonl`);
+		const passphrase = 'tomb-stone-passphrase';
+		const keystore = await encryptKeystore(PrivateKey.fromStringDer(DUMMY_KEY), passphrase, { accountId: OPERATOR, kdfParams: { n: 2 ** 10, r: 8, p: 1 } });
+		fs.writeFileSync(keystorePath, JSON.stringify(keystore));
+
+		try {
+			const { code, output } = await runCliInPty('bury.js', [PLAIN_TOKEN, '1', '--journal', journalPath], [
+				['(yes/no): ', 'yes'],
+				['  > ', 'BURY'],
+				[`Passphrase for ${keystorePath}: `, passphrase],
+			], { PRIVATE_KEY: '', KEYSTORE_FILE: keystorePath, ...OFFLINE_NODES });
+
+			expect(output).to.contain(`Passphrase for ${keystorePath}: `);
+			expect(output).to.not.contain(passphrase);
+			// Unlocked - the step only fails to reach the (offline) network
+			expect(output).to.not.contain('Wrong keystore passphrase');
+			expect(output).to.contain('All nodes are unhealthy');
+			expect(code).to.be.equal(1);
+		}
+		finally {
+			fs.rmSync(keystorePath, { force: true });
+			fs.rmSync(journalPath, { force: true });
+		}
+	});
+
+	it('Watch-only runs should export unsigned frozen transactions instead of submitting', async function() {
+		const exportPath = path.join(os.tmpdir(), `graveyard-unsigned-${process.pid}.json`);
+		emulator.requests.length = 0;
+
+		// No key configured: watch-only
+		const admin = await runCli('admin.js', ['add-admin', OTHER_ACCOUNT, '--confirm', '--json', '--export', exportPath], '', { PRIVATE_KEY: '' });
+		expect(admin.code).to.be.equal(0);
+		expect(admin.json.data).to.include({ watchOnly: true, file: exportPath, network: 'testnet', operator: OPERATOR });
+		expect(JSON.parse(fs.readFileSync(exportPath, 'utf8')).transactions).to.be.deep.equal(admin.json.data.transactions);
+
+		const [call] = admin.json.data.transactions;
+		expect(call).to.include({ description: 'addAdmin', type: 'ContractExecuteTransaction' });
+		const callTx = Transaction.fromBytes(Buffer.from(call.bytes, 'hex'));
+		expect(callTx.contractId.toString()).to.be.equal(GRAVEYARD);
+		expect(callTx.transactionId.accountId.toString()).to.be.equal(OPERATOR);
+		expect(graveyardIface.decodeFunctionData('addAdmin', callTx.functionParameters)[0].toLowerCase())
+			.to.be.equal(longZeroAddress(OTHER_ACCOUNT).toLowerCase());
+		expect(signatureCount(callTx)).to.be.equal(0);
+
+		// --watch-only wins over a configured key, --valid-start leaves time to sign
+		const allowance = await runCli('allowance.js', ['lazy', '100', '--confirm', '--json', '--watch-only', '--export', exportPath, '--valid-start', '2030-01-01T00:00:00Z']);
+		expect(allowance.code).to.be.equal(0);
+		const [approval] = allowance.json.data.transactions;
+		expect(approval).to.include({
+			type: 'AccountAllowanceApproveTransaction',
+			validStart: '2030-01-01T00:00:00.000Z',
+			validUntil: '2030-01-01T00:03:00.000Z',
+		});
+		const approvalTx = Transaction.fromBytes(Buffer.from(approval.bytes, 'hex'));
+		expect(approvalTx.tokenApprovals[0].tokenId.toString()).to.be.equal(LAZY_TOKEN);
+		expect(approvalTx.tokenApprovals[0].spenderAccountId.toString()).to.be.equal(LAZY_GAS_STATION);
+		expect(signatureCount(approvalTx)).to.be.equal(0);
+
+		// A burial exports every planned step, in order
+		const burial = await runCli('bury.js', [PLAIN_TOKEN, '1', '--confirm', '--json', '--watch-only', '--export', exportPath]);
+		expect(burial.code).to.be.equal(0);
+		const planned = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1', '--json']);
+		expect(burial.json.data.transactions.map(t => t.description)).to.be.deep.equal(planned.json.data.steps.map(s => s.description));
+
+		// Certificates need a real signature
+		const certificate = await runCli('bury.js', ['certificate', `${OPERATOR}@1700000090.0`, '--json', '--watch-only']);
+		expect(certificate.code).to.be.equal(1);
+		expect(certificate.json.error.message).to.contain('watch-only');
+
+		fs.rmSync(exportPath, { force: true });
+	});
+
+	it('bury.js execute should run a saved plan as written and exit 1 when it fails', async function() {
+		const planPath = path.join(os.tmpdir(), `graveyard-plan-${process.pid}.json`);
+		const exportPath = path.join(os.tmpdir(), `graveyard-plan-unsigned-${process.pid}.json`);
+		const journalPath = path.join(os.tmpdir(), `graveyard-plan-${process.pid}.journal.jsonl`);
+
+		expect((await runCli('bury.js', ['plan', PLAIN_TOKEN, '1,2', '--out', planPath, '--json'])).code).to.be.equal(0);
+
+		// Hand-edit the saved plan - it must run with the edit, not be rebuilt
+		const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+		const register = plan.steps.find(step => step.function === 'registerDirectBurial');
+		register.gasLimit = 1_234_567;
+		fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+
+		emulator.requests.length = 0;
+		const exported = await runCli('bury.js', ['execute', planPath, '--confirm', '--json', '--watch-only', '--export', exportPath]);
+		expect(exported.code).to.be.equal(0);
+		expect(exported.json.data.transactions.map(t => t.description)).to.be.deep.equal(plan.steps.map(step => step.description));
+		const registerTx = Transaction.fromBytes(Buffer.from(exported.json.data.transactions.at(-1).bytes, 'hex'));
+		expect(Number(registerTx.gas)).to.be.equal(1_234_567);
+		expect(requestsTo('/api/v1/contracts/call')).to.be.empty;
+
+		const failed = await runCli('bury.js', ['execute', planPath, '--confirm', '--json', '--journal', journalPath], '', OFFLINE_NODES);
+		expect(failed.code).to.be.equal(1);
+		expect(failed.json.success).to.be.false;
+		expect(failed.json.data.failedStep).to.include({ index: 0, type: plan.steps[0].type });
+		expect(failed.json.data.steps).to.have.lengthOf(1);
+
+		for (const file of [planPath, exportPath, journalPath]) {
+			fs.rmSync(file, { force: true });
+		}
+	});
+
+	it('bury.js execute should report a failed registration step as a warning', async function() {
+		const planPath = path.join(os.tmpdir(), `graveyard-register-plan-${process.pid}.json`);
+		const journalPath = path.join(os.tmpdir(), `graveyard-register-plan-${process.pid}.journal.jsonl`);
+
+		// Only the optional registration is left, as after a transfer that landed
+		const planned = await runCli('bury.js', ['plan', PLAIN_TOKEN, '1,2', '--json']);
+		const plan = { ...planned.json.data, steps: planned.json.data.steps.filter(step => step.optional) };
+		fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+
+		const { code, json } = await runCli('bury.js', ['execute', planPath, '--confirm', '--json', '--journal', journalPath], '', OFFLINE_NODES);
+
+		expect(code).to.be.equal(0);
+		expect(json.success).to.be.true;
+		expect(json.data.steps).to.have.lengthOf(1);
+		expect(json.data.steps[0]).to.include({ function: 'registerDirectBurial', success: false });
+		expect(json.data.warnings).to.have.lengthOf(1);
+		expect(json.data.warnings[0]).to.match(/^Step 1 \(Register 2 sent NFTs in the burial registry\) failed: /);
+
+		for (const file of [planPath, journalPath]) {
+			fs.rmSync(file, { force: true });
+		}
+	});
+
+	it('bury.js resume should skip the steps an interrupted run completed', async function() {
+		const journalPath = path.join(os.tmpdir(), `graveyard-resume-${process.pid}.journal.jsonl`);
+		const exportPath = path.join(os.tmpdir(), `graveyard-resume-unsigned-${process.pid}.json`);
+
+		const interrupted = await runCli('bury.js', [PLAIN_TOKEN, '1,2,3', '--confirm', '--json', '--journal', journalPath], '', OFFLINE_NODES);
+		expect(interrupted.code).to.be.equal(1);
+		const journaled = fs.readFileSync(journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+		expect(journaled.map(entry => entry.type)).to.be.deep.equal(['plan', 'submit', 'receipt']);
+		expect(journaled[0].plan.steps.map(step => step.type)).to.include.members(['set_lazy_allowance', 'contract_call', 'nft_transfer']);
+
+		// Bring the mirror up to date as if the allowance, association and serial 1 had landed before the run died
+		const nfts = emulator.fixture.nfts[PLAIN_TOKEN];
+		const allowances = emulator.fixture.accounts[OPERATOR].allowances.tokens;
+		const calls = emulator.fixture.contracts[GRAVEYARD].calls;
+		const savedNfts = JSON.parse(JSON.stringify(nfts));
+		const savedAllowances = JSON.parse(JSON.stringify(allowances));
+		const associatedKey = ethers.id('isTokenAssociated(address)').substring(0, 10) + ethers.zeroPadValue(ethers.toBeHex(Number(PLAIN_TOKEN.split('.')[2])), 32).substring(2);
+
+		nfts.find(nft => nft.serial_number === 1).account_id = GRAVEYARD;
+		allowances[0].amount = 100;
+		allowances[0].amount_granted = 100;
+		calls[associatedKey] = ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [true]);
+
+		try {
+			const resumed = await runCli('bury.js', ['resume', journalPath, '--confirm', '--json', '--watch-only', '--export', exportPath]);
+
+			expect(resumed.code).to.be.equal(0);
+			expect(resumed.json.data.transactions.map(t => t.description)).to.be.deep.equal([
+				'Transfer 2 NFTs to the graveyard',
+				'Register 2 sent NFTs in the burial registry',
+			]);
+			const transfer = Transaction.fromBytes(Buffer.from(resumed.json.data.transactions[0].bytes, 'hex'));
+			expect(transfer.nftTransfers.get(PLAIN_TOKEN).map(t => Number(t.serial))).to.be.deep.equal([2, 3]);
+
+			const reconciled = await runCli('bury.js', ['resume', journalPath, '--confirm', '--json'], '', OFFLINE_NODES);
+			expect(reconciled.code).to.be.equal(1);
+			expect(reconciled.json.data.reconciliation).to.be.deep.equal([
+				{ token: PLAIN_TOKEN, method: 'direct_transfer', landed: [1], pending: [2, 3], elsewhere: [] },
+			]);
+			expect(reconciled.json.data.results[0].steps[0]).to.include({ type: 'nft_transfer', success: false });
+		}
+		finally {
+			nfts.splice(0, nfts.length, ...savedNfts);
+			allowances.splice(0, allowances.length, ...savedAllowances);
+			delete calls[associatedKey];
+			fs.rmSync(journalPath, { force: true });
+			fs.rmSync(exportPath, { force: true });
+		}
+	});
+
+	it('bury.js resume should reject a journal from another network or graveyard', async function() {
+		const journalPath = path.join(os.tmpdir(), `graveyard-foreign-${process.pid}.journal.jsonl`);
+
+		await runCli('bury.js', [PLAIN_TOKEN, '1', '--confirm', '--json', '--journal', journalPath], '', OFFLINE_NODES);
+		const entries = fs.readFileSync(journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+		/**
+		 * Rewrite the journal's plans with one field changed
+		 * @param {object} change
+		 */
+		const retarget = (change) => fs.writeFileSync(journalPath, entries
+			.map(entry => JSON.stringify(entry.type === 'plan' ? { ...entry, plan: { ...entry.plan, ...change } } : entry))
+			.join('\n') + '\n');
+
+		try {
+			retarget({ network: 'mainnet' });
+			const network = await runCli('bury.js', ['resume', journalPath, '--confirm', '--json']);
+			expect(network.code).to.be.equal(1);
+			expect(network.json.error.message).to.contain('built for mainnet but ENVIRONMENT is testnet');
+
+			retarget({ graveyard: '0.0.9999' });
+			emulator.requests.length = 0;
+			const graveyard = await runCli('bury.js', ['resume', journalPath, '--confirm', '--json']);
+			expect(graveyard.code).to.be.equal(1);
+			expect(graveyard.json.error.message).to.contain('built for graveyard 0.0.9999 but GRAVEYARD_CONTRACT_ID is 0.0.5000');
+			expect(emulator.requests.filter(r => r.path.endsWith('/nfts'))).to.be.empty;
+		}
+		finally {
+			fs.rmSync(journalPath, { force: true });
+		}
+	});
+});
+
+describe('events.js against the Mirror Emulator: ', function() {
+	this.timeout(CLI_TIMEOUT * 2);
+
+	const storePath = path.join(os.tmpdir(), `graveyard-events-${process.pid}.json`);
+	const address = id => ethers.getAddress(longZeroAddress(id));
+
+	/**
+	 * Mirror node log for a graveyard event
+	 * @param {string} name - Event name
+	 * @param {Array} args - Event arguments
+	 * @param {number} second - Consensus second offset
+	 * @param {number} [index=0] - Log index within the transaction
+	 * @returns {object}
+	 */
+	function eventLog(name, args, second, index = 0) {
+		return {
+			timestamp: `${1700000000 + second}.000000000`,
+			index,
+			block_number: second,
+			transaction_hash: ethers.zeroPadValue(ethers.toBeHex(second), 32),
+			...graveyardIface.encodeEventLog(name, args),
+		};
+	}
+
+	before(async function() {
+		const data = buildFixture();
+		const logs = [
+			eventLog('CostUpdated', [address(OPERATOR), 100, 25], 1),
+			eventLog('RoleUpdated', [address(OPERATOR), address(OTHER_ACCOUNT), 0, true], 2),
+			eventLog('TokenAssociated', [address(OPERATOR), address(ROYALTY_TOKEN), true], 3),
+			eventLog('GraveyardStatus', ['Hbar Received', address(OPERATOR), 5], 4),
+			eventLog('TokenCostUpdated', [address(OPERATOR), address(PLAIN_TOKEN), 40, true], 5),
+			eventLog('WaiverUpdated', [address(OPERATOR), address(OTHER_ACCOUNT), true], 6),
+			eventLog('TokenCostUpdated', [address(OPERATOR), address(PLAIN_TOKEN), 0, false], 7),
+			eventLog('HbarCostUpdated', [address(OPERATOR), 500], 8),
+			eventLog('HbarAssociationPaid', [address(OTHER_ACCOUNT), address(PLAIN_TOKEN), 500], 9),
+			eventLog('TokenAssociated', [address(OTHER_ACCOUNT), address(PLAIN_TOKEN), true], 9, 1),
+		];
+		for (let i = 0; i < 120; i++) {
+			const user = i % 2 === 0 ? OPERATOR : OTHER_ACCOUNT;
+			logs.push(eventLog('NFTsBuried', [address(user), address(ROYALTY_TOKEN), [i + 1], true], 10 + i));
+		}
+		logs.push(eventLog('FTBuried', [address(OTHER_ACCOUNT), address(FUNGIBLE_TOKEN), 2500], 130));
+		logs.push(eventLog('LazyWithdrawn', [address(OPERATOR), address(OPERATOR), 40], 200));
+		logs.push(eventLog('HbarWithdrawn', [address(OPERATOR), address(OTHER_ACCOUNT), 1000], 201));
+		data.contracts[GRAVEYARD].logs = logs;
+
+		emulator = new MirrorEmulator(data);
+		mirrorUrl = await emulator.start();
+	});
+
+	after(async function() {
+		await emulator.stop();
+		fs.rmSync(storePath, { force: true });
+	});
+
+	it('sync should index every log page into the store', async function() {
+		const { code, json } = await runCli('events.js', ['sync', '--store', storePath, '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.data.pages).to.be.equal(2);
+		expect(json.data.added).to.be.deep.equal({ burials: 120, ftBurials: 1, associations: 2, roleChanges: 1, costChanges: 5, withdrawals: 2 });
+		expect(json.data.ignored).to.be.equal(1);
+		expect(json.data.cursor.timestamp).to.be.equal('1700000201.000000000');
+	});
+
+	it('sync should only add logs after the cursor, including the same transaction', async function() {
+		const logs = emulator.fixture.contracts[GRAVEYARD].logs;
+		logs.push(eventLog('NFTsBuried', [address(OPERATOR), address(PLAIN_TOKEN), [7, 8], false], 201, 1));
+		logs.push(eventLog('NFTsBuried', [address(OPERATOR), address(PLAIN_TOKEN), [9], false], 202));
+
+		const { code, json } = await runCli('events.js', ['sync', '--store', storePath, '--json']);
+
+		expect(code).to.be.equal(0);
+		expect(json.data.pages).to.be.equal(1);
+		expect(json.data.added.burials).to.be.equal(2);
+		expect(json.data.totals.burials).to.be.equal(122);
+		expect(json.data.totals.withdrawals).to.be.equal(2);
+	});
+
+	it('show should filter by account and token', async function() {
+		const byOther = await runCli('events.js', ['show', 'burials', '--account', OTHER_ACCOUNT, '--limit', '5', '--store', storePath, '--json']);
+		expect(byOther.json.data.total).to.be.equal(60);
+		expect(byOther.json.data.rows.length).to.be.equal(5);
+		expect(byOther.json.data.rows.every(r => r.user === OTHER_ACCOUNT && r.viaStaking)).to.be.true;
+
+		const direct = await runCli('events.js', ['show', 'burials', '--token', PLAIN_TOKEN, '--store', storePath, '--json']);
+		expect(direct.json.data.rows.map(r => r.serials)).to.be.deep.equal([[7, 8], [9]]);
+
+		const ftBurials = await runCli('events.js', ['show', 'ftBurials', '--store', storePath, '--json']);
+		expect(ftBurials.json.data.rows).to.have.lengthOf(1);
+		expect(ftBurials.json.data.rows[0]).to.include({ user: OTHER_ACCOUNT, token: FUNGIBLE_TOKEN, amount: '2500' });
+		const ftHuman = await runCli('events.js', ['show', 'ftBurials', '--account', OTHER_ACCOUNT, '--store', storePath]);
+		expect(ftHuman.stdout).to.contain(`${OTHER_ACCOUNT} buried 2500 (raw) of ${FUNGIBLE_TOKEN}`);
+
+		const roles = await runCli('events.js', ['show', 'roleChanges', '--store', storePath, '--json']);
+		expect(roles.json.data.rows[0]).to.include({ executor: OPERATOR, target: OTHER_ACCOUNT, role: 'Admin', added: true });
+
+		const withdrawals = await runCli('events.js', ['show', 'withdrawals', '--store', storePath, '--json']);
+		expect(withdrawals.json.data.rows.map(r => r.asset)).to.be.deep.equal(['lazy', 'hbar']);
+
+		const costs = await runCli('events.js', ['show', 'costChanges', '--store', storePath, '--json']);
+		expect(costs.json.data.rows.map(r => r.kind)).to.be.deep.equal(['global', 'token', 'waiver', 'token', 'hbar']);
+		expect(costs.json.data.rows[0]).to.include({ executor: OPERATOR, lazyCost: '100', lazyBurnPercentage: 25 });
+		expect(costs.json.data.rows[1]).to.include({ executor: OPERATOR, token: PLAIN_TOKEN, lazyCost: '40', overridden: true });
+		expect(costs.json.data.rows[3]).to.include({ token: PLAIN_TOKEN, lazyCost: '0', overridden: false });
+		expect(costs.json.data.rows[4]).to.include({ executor: OPERATOR, hbarCost: '500' });
+
+		const tokenCosts = await runCli('events.js', ['show', 'costChanges', '--token', PLAIN_TOKEN, '--store', storePath]);
+		expect(tokenCosts.stdout).to.contain(`${OPERATOR} set the ${PLAIN_TOKEN} cost to 40 (raw)`);
+		expect(tokenCosts.stdout).to.contain(`${OPERATOR} cleared the ${PLAIN_TOKEN} cost override`);
+		const waivers = await runCli('events.js', ['show', 'costChanges', '--account', OTHER_ACCOUNT, '--store', storePath, '--json']);
+		expect(waivers.json.data.rows).to.have.lengthOf(1);
+		expect(waivers.json.data.rows[0]).to.include({ kind: 'waiver', executor: OPERATOR, account: OTHER_ACCOUNT, waived: true });
+
+		// HbarAssociationPaid is folded into the association it paid for
+		const associations = await runCli('events.js', ['show', 'associations', '--store', storePath, '--json']);
+		expect(associations.json.data.rows).to.have.lengthOf(2);
+		expect(associations.json.data.rows[0]).to.include({ token: ROYALTY_TOKEN, paid: true, paidInHbar: false, hbarAmount: null });
+		expect(associations.json.data.rows[1]).to.include({ executor: OTHER_ACCOUNT, token: PLAIN_TOKEN, paid: true, paidInHbar: true, hbarAmount: '500' });
+		const hbarAssociations = await runCli('events.js', ['show', 'associations', '--token', PLAIN_TOKEN, '--store', storePath]);
+		expect(hbarAssociations.stdout).to.contain(`${OTHER_ACCOUNT} associated ${PLAIN_TOKEN} (paid 500 tinybars)`);
+	});
+
+	it('info.js stats should rank buriers and collections and count burials per day', async function() {
+		const csvPath = `${storePath}.csv`;
+		const { code, json } = await runCli('info.js', ['stats', '--store', storePath, '--top', '1', '--csv', csvPath, '--json']);
+		const csv = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+		fs.rmSync(csvPath, { force: true });
+
+		expect(code).to.be.equal(0);
+		expect(json.data.totals).to.include({ burials: 122, serials: 123, viaStaking: 120, direct: 3, buriers: 2, collections: 2 });
+		// Direct burials are not credited to the account that registered them
+		expect(json.data.topBuriers).to.be.deep.equal([{ account: OPERATOR, serials: 60, burials: 60, collections: 1 }]);
+		expect(json.data.topCollections[0]).to.include({ token: ROYALTY_TOKEN, name: 'Royalty Collection', symbol: 'ROYAL', serials: 120, buriers: 2 });
+		expect(json.data.perDay).to.be.deep.equal([{ date: '2023-11-14', serials: 123, burials: 122, buriers: 2 }]);
+		expect(json.data.fungible.totals).to.be.deep.equal({ burials: 1, buriers: 1, tokens: 1 });
+		expect(json.data.fungible.topTokens).to.be.deep.equal([{ token: FUNGIBLE_TOKEN, amount: '2500', burials: 1, buriers: 1, name: 'Dust Token', symbol: 'DUST' }]);
+
+		expect(csv[0]).to.be.equal('view,rank,key,name,symbol,serials,burials,buriers,collections');
+		expect(csv).to.include(`user,2,${OTHER_ACCOUNT},,,60,60,,1`);
+		expect(csv).to.include(`token,2,${PLAIN_TOKEN},Plain Collection,PLAIN,3,2,0,`);
+		expect(csv).to.include('day,,2023-11-14,,,123,122,2,');
+
+		// Only the direct burials fall after second 160
+		const windowed = await runCli('info.js', ['stats', '--store', storePath, '--from', '2023-11-14T22:16:00Z', '--json']);
+		expect(windowed.json.data.totals).to.include({ serials: 3, burials: 2, buriers: 0 });
+		expect(windowed.json.data.topCollections.map(t => t.token)).to.be.deep.equal([PLAIN_TOKEN]);
+		expect(windowed.json.data.fungible.totals.burials).to.be.equal(0);
+
+		const bad = await runCli('info.js', ['stats', '--days', '7', '--from', '2023-11-14']);
+		expect(bad.code).to.be.equal(2);
+	});
+
+	it('info.js audit should compare associations, held NFTs and fungible balances with the burial totals', async function() {
+		const { code, json } = await runCli('info.js', ['audit', '--store', storePath, '--json']);
+
+		expect(code).to.be.equal(1);
+		expect(json.error.code).to.be.equal('AUDIT_DISCREPANCIES');
+		expect(json.data.discrepancies).to.be.equal(4);
+		expect(json.data.findings.map(f => `${f.token}:${f.type}`)).to.be.deep.equal([
+			`${LAZY_TOKEN}:untracked-association`,
+			`${PLAIN_TOKEN}:missing-nfts`,
+			`${ROYALTY_TOKEN}:missing-nfts`,
+			`${FUNGIBLE_TOKEN}:missing-tokens`,
+		]);
+		expect(json.data.tokens.find(t => t.token === ROYALTY_TOKEN)).to.include({ tracked: true, associated: true, held: 12, buried: 120 });
+		expect(json.data.tokens.find(t => t.token === FUNGIBLE_TOKEN)).to.include({ associated: false, held: '0', buried: '2500' });
+
+		// Reconciled: every association tracked and every buried serial and amount held (plus unregistered extras)
+		const calls = emulator.fixture.contracts[GRAVEYARD].calls;
+		const graveyardAccount = emulator.fixture.accounts[GRAVEYARD];
+		const original = { calls: calls['getAssociatedTokens()'], tokens: graveyardAccount.tokens };
+		calls['getAssociatedTokens()'] = graveyardIface.encodeFunctionResult('getAssociatedTokens', [[LAZY_TOKEN, ROYALTY_TOKEN, PLAIN_TOKEN, FUNGIBLE_TOKEN].map(address)]);
+		graveyardAccount.tokens = { [LAZY_TOKEN]: 40, [PLAIN_TOKEN]: 5, [ROYALTY_TOKEN]: 120, [FUNGIBLE_TOKEN]: 2600 };
+
+		try {
+			const clean = await runCli('info.js', ['audit', '--store', storePath, '--json']);
+			expect(clean.code).to.be.equal(0);
+			expect(clean.json.data.discrepancies).to.be.equal(0);
+			// $LAZY was never buried, so its balance is not compared
+			expect(clean.json.data.findings).to.be.deep.equal([{
+				token: PLAIN_TOKEN,
+				type: 'unregistered-nfts',
+				message: '2 held serial(s) have no NFTsBuried event (unregistered direct sends)',
+			}, {
+				token: FUNGIBLE_TOKEN,
+				type: 'unregistered-tokens',
+				message: '100 (raw) held beyond the FTBuried total (unregistered direct sends)',
+			}]);
+
+			emulator.fixture.tokens[PLAIN_TOKEN].deleted = true;
+			const deleted = await runCli('info.js', ['audit', '--store', storePath]);
+			expect(deleted.code).to.be.equal(1);
+			expect(deleted.stdout).to.contain(`${PLAIN_TOKEN}: Token has been deleted`);
+		}
+		finally {
+			calls['getAssociatedTokens()'] = original.calls;
+			graveyardAccount.tokens = original.tokens;
+			delete emulator.fixture.tokens[PLAIN_TOKEN].deleted;
+		}
+	});
+
+	it('getContractLogs.js should decode every event without EVENT_NAME', async function() {
+		const { code, stdout } = await runCli('../getContractLogs.js', []);
+
+		expect(code).to.be.equal(0);
+		expect(stdout).to.contain('Event filter: all events');
+		expect(stdout).to.contain(`target: ${OTHER_ACCOUNT}`);
+		expect(stdout).to.contain('role: Admin');
+		expect(stdout).to.contain('paidAssociation: true');
+		expect(stdout).to.contain('NFTsBuried: 122');
+	});
+
+	it('status should refuse a store built for another graveyard', async function() {
+		const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+		const otherPath = `${storePath}.other`;
+		fs.writeFileSync(otherPath, JSON.stringify({ ...stored, contract: '0.0.9999' }));
+
+		const { code, json } = await runCli('events.js', ['status', '--store', otherPath, '--json']);
+		fs.rmSync(otherPath, { force: true });
+
+		expect(code).to.be.equal(1);
+		expect(json.error.message).to.contain('0.0.9999');
+	});
+});
+
+describe('Network Profile: ', function() {
+	it('Should default each environment and let .env settings override the profile file', async function() {
+		const local = loadNetworkProfile({ ENVIRONMENT: 'local' });
+		expect(local).to.include({ environment: 'LOCAL', network: 'local', mirrorUrl: 'http://localhost:5551', relayUrl: 'http://localhost:7546' });
+		expect(local.mirrorHeaders).to.be.deep.equal({});
+		expect(getBaseURL('previewnet')).to.be.equal('https://previewnet.mirrornode.hedera.com');
+
+		const profilePath = path.join(os.tmpdir(), `graveyard-network-unit-${process.pid}.json`);
+		fs.writeFileSync(profilePath, JSON.stringify({ environment: 'TEST', mirrorUrl: 'https://mirror.example.com/', mirrorApiKey: 'file-key' }));
+		try {
+			const profile = loadNetworkProfile({
+				NETWORK_PROFILE: profilePath,
+				RELAY_URL: 'https://relay.example.com',
+				MIRROR_API_KEY_HEADER: 'authorization',
+				CONSENSUS_NODES: '10.0.0.1:50211=0.0.3, 10.0.0.2:50211=0.0.4',
+			});
+			expect(profile).to.include({ environment: 'TEST', mirrorUrl: 'https://mirror.example.com', relayUrl: 'https://relay.example.com' });
+			expect(profile.mirrorHeaders).to.be.deep.equal({ authorization: 'file-key' });
+
+			const client = createNetworkClient(profile);
+			try {
+				expect(Object.keys(client.network)).to.have.members(['10.0.0.1:50211', '10.0.0.2:50211']);
+				expect(client.ledgerId.toString()).to.be.equal('testnet');
+			}
+			finally {
+				client.close();
+			}
+		}
+		finally {
+			fs.rmSync(profilePath, { force: true });
+		}
+
+		expect(() => parseNodes('10.0.0.1:50211')).to.throw('expected host:port=0.0.N');
+		expect(() => loadNetworkProfile({})).to.throw('ENVIRONMENT must be TEST, MAIN, PREVIEW or LOCAL');
+	});
+});
+
+describe('Event Decoder: ', function() {
+	const decoder = createEventDecoder(graveyardAbi);
+	const address = id => ethers.getAddress(longZeroAddress(id));
+	const log = (name, args) => ({ timestamp: '1700000000.000000001', index: 3, ...graveyardIface.encodeEventLog(name, args) });
+
+	it('Should read enum member names from the Solidity source', async function() {
+		expect(getEnumNames('enum IRoles.Role')).to.be.deep.equal(['Admin', 'GasStationAuthorizer', 'GasStationContractUser', 'AdminOrCreator']);
+		expect(getEnumNames('enum IMissing.Role')).to.be.null;
+	});
+
+	it('Should name fields from the ABI and map enums and addresses', async function() {
+		const event = await decoder.decode(log('RoleUpdated', [address(OPERATOR), address(OTHER_ACCOUNT), 2, false]));
+
+		expect(event.name).to.be.equal('RoleUpdated');
+		expect(event.index).to.be.equal(3);
+		expect(event.fields).to.be.deep.equal({
+			executor: OPERATOR,
+			target: OTHER_ACCOUNT,
+			role: 'GasStationContractUser',
+			added: false,
+		});
+	});
+
+	it('Should decode events whose fields are all indexed', async function() {
+		const encoded = log('TokenAssociated', [address(OPERATOR), address(ROYALTY_TOKEN), true]);
+		expect(encoded.data).to.be.equal('0x');
+
+		const event = await decoder.decode(encoded);
+		expect(event.fields).to.be.deep.equal({ executor: OPERATOR, token: ROYALTY_TOKEN, paidAssociation: true });
+	});
+
+	it('Should decode arrays and keep large numbers exact', async function() {
+		const buried = await decoder.decode(log('NFTsBuried', [address(OPERATOR), address(PLAIN_TOKEN), [1, 2, 3], false]));
+		expect(buried.fields.serials).to.be.deep.equal([1, 2, 3]);
+
+		const withdrawn = await decoder.decode(log('HbarWithdrawn', [address(OPERATOR), address(OPERATOR), 10n ** 20n]));
+		expect(withdrawn.fields.amount).to.be.equal('100000000000000000000');
+	});
+
+	it('Should leave alias addresses for the resolver', async function() {
+		const alias = '0x1234567890AbcdEF1234567890aBcdef12345678';
+		const unresolved = await decoder.decode(log('GraveyardStatus', ['Hbar Received', alias, 5]));
+		expect(unresolved.fields).to.be.deep.equal({ message: 'Hbar Received', sender: alias, value: 5 });
+
+		const resolved = await decoder.decode(log('GraveyardStatus', ['Hbar Received', alias, 5]), async () => '0.0.7777');
+		expect(resolved.fields.sender).to.be.equal('0.0.7777');
+	});
+
+	it('Should return null for logs the ABI does not describe', async function() {
+		expect(await decoder.decode({ topics: [], data: '0x' })).to.be.null;
+		expect(await decoder.decode({ topics: [ethers.id('Unknown(uint256)')], data: '0x' })).to.be.null;
+	});
+});
+
+describe('Serial Lists: ', function() {
+	it('Should expand serials and ranges in the order given', async function() {
+		expect(parseSerials('5,1-3, 9')).to.be.deep.equal([5, 1, 2, 3, 9]);
+		expect(parseSerials('7-7')).to.be.deep.equal([7]);
+		expect(parseSerials(`1-${MAX_RANGE_SIZE}`)).to.have.lengthOf(MAX_RANGE_SIZE);
+	});
+
+	it('Should reject reversed and oversized ranges', async function() {
+		expect(() => parseSerials('10-2')).to.throw('Invalid serial range: 10-2 (start is after end)');
+		expect(() => parseSerials(`1-${MAX_RANGE_SIZE + 1}`)).to.throw(`is larger than ${MAX_RANGE_SIZE.toLocaleString()} serials`);
+		expect(() => parseSerials('1-1000000000')).to.throw('Serial range 1-1000000000 is larger than');
+	});
+
+	it('Should list every duplicate, including overlaps between ranges', async function() {
+		expect(() => parseSerials('1-5,3,4-6,9,9'))
+			.to.throw('Duplicate serial numbers: 3, 4, 5, 9')
+			.with.property('duplicates').that.deep.equals([3, 4, 5, 9]);
+
+		expect(() => parseSerials('1-30,1-30')).to.throw('... (30 total)');
+	});
+
+	it('Should read @file input with comments and mixed separators', async function() {
+		const serialsPath = path.join(os.tmpdir(), `graveyard-serials-${process.pid}.txt`);
+		fs.writeFileSync(serialsPath, '# burial batch\n1-3, 7\r\n10\t12 # last two\n\n');
+
+		try {
+			expect(parseSerials(`@${serialsPath}`)).to.be.deep.equal([1, 2, 3, 7, 10, 12]);
+
+			fs.writeFileSync(serialsPath, '# nothing to bury\n');
+			expect(() => parseSerials(`@${serialsPath}`)).to.throw('At least one serial number required');
+		}
+		finally {
+			fs.rmSync(serialsPath, { force: true });
+		}
+
+		expect(() => parseSerials(`@${serialsPath}`)).to.throw(`Serials file not found: ${serialsPath}`);
+	});
+
+	it('Should reject malformed tokens', async function() {
+		for (const spec of ['abc', '1,x,3', '0', '-5', '1.5', '0x10', '3-', '1-2-3', '1e3', '99999999999999999999']) {
+			expect(() => parseSerials(spec), spec).to.throw(/^Invalid serial/);
+		}
+		expect(() => parseSerials('0-5')).to.throw('Invalid serial number: 0');
+		expect(() => parseSerials(' , ')).to.throw('At least one serial number required');
+	});
+});
@@ -0,0 +1,174 @@
+/**
+ * Event Decoding
+ * Decodes contract logs with the ABI: field names come from the event fragment, address fields
+ * become Hedera IDs and enum fields are mapped to the member names declared in the Solidity source
+ * (e.g. `enum IRoles.Role` -> Admin, GasStationAuthorizer, ...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { AccountId } = require('@hashgraph/sdk');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+
+// internalType -> member names (null if the enum could not be found)
+const enumCache = new Map();
+
+/**
+ * Member names of a Solidity enum, read from the contract source
+ * @param {string} internalType - ABI internalType, e.g. "enum IRoles.Role"
+ * @returns {string[]|null} names in declaration order, or null if the source is not available
+ */
+function getEnumNames(internalType) {
+	if (enumCache.has(internalType)) {
+		return enumCache.get(internalType);
+	}
+
+	let names = null;
+	const match = internalType.match(/^enum\s+(?:(\w+)\.)?(\w+)$/);
+	if (match) {
+		const [, contractName, enumName] = match;
+		const candidates = contractName
+			? [`${contractName}.sol`, path.join('interfaces', `${contractName}.sol`)]
+			: [];
+
+		for (const candidate of candidates) {
+			const filePath = path.join(CONTRACTS_DIR, candidate);
+			if (!fs.existsSync(filePath)) continue;
+
+			const source = fs.readFileSync(filePath, 'utf8')
+				.replace(/\/\*[\s\S]*?\*\//g, '')
+				.replace(/\/\/.*$/gm, '');
+			const body = source.match(new RegExp(`enum\\s+${enumName}\\s*\\{([^}]*)\\}`));
+			if (body) {
+				names = body[1].split(',').map(n => n.trim()).filter(n => n);
+				break;
+			}
+		}
+	}
+
+	enumCache.set(internalType, names);
+	return names;
+}
+
+/**
+ * Convert an EVM address to a Hedera ID where that needs no lookup
+ * Long-zero addresses map directly to 0.0.x; aliases (e.g. ECDSA accounts) are returned unchanged
+ * @param {string} address
+ * @returns {string}
+ */
+function toHederaId(address) {
+	if (/^0x0{24}/i.test(address)) {
+		return AccountId.fromSolidityAddress(address).toString();
+	}
+	return address;
+}
+
+/**
+ * Convert a decoded value to its display form using its ABI parameter
+ * @param {object} param - ABI JSON parameter (name, type, internalType, components)
+ * @param {any} value - Value decoded by ethers
+ * @param {function(string): Promise<string>|string} resolveAddress
+ * @returns {Promise<any>}
+ */
+async function decodeValue(param, value, resolveAddress) {
+	// Indexed dynamic values are only available as their hash
+	if (value instanceof ethers.Indexed) {
+		return value.hash;
+	}
+
+	const arrayMatch = param.type.match(/^(.*)\[\d*\]$/);
+	if (arrayMatch) {
+		const child = {
+			...param,
+			type: arrayMatch[1],
+			internalType: param.internalType?.replace(/\[\d*\]$/, ''),
+		};
+		const items = [];
+		for (const item of value) {
+			items.push(await decodeValue(child, item, resolveAddress));
+		}
+		return items;
+	}
+
+	if (param.type === 'tuple') {
+		const fields = {};
+		for (let i = 0; i < param.components.length; i++) {
+			fields[param.components[i].name || i] = await decodeValue(param.components[i], value[i], resolveAddress);
+		}
+		return fields;
+	}
+
+	if (param.type === 'address') {
+		return await resolveAddress(value);
+	}
+
+	if (param.internalType?.startsWith('enum ')) {
+		const names = getEnumNames(param.internalType);
+		return names?.[Number(value)] ?? Number(value);
+	}
+
+	// Numbers where exact, strings beyond 2^53
+	if (typeof value === 'bigint') {
+		return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+	}
+
+	return value;
+}
+
+/**
+ * Create a decoder for a contract's events
+ * @param {any[]} abi - Contract ABI (JSON, so enum internalTypes are available)
+ * @returns {{ iface: ethers.Interface, eventNames: string[], decode: function(object, function=): Promise<object|null> }}
+ */
+function createEventDecoder(abi) {
+	const iface = new ethers.Interface(abi);
+	const eventInputs = new Map(abi
+		.filter(item => item.type === 'event')
+		.map(item => [item.name, item.inputs]));
+
+	return {
+		iface,
+		eventNames: [...eventInputs.keys()],
+
+		/**
+		 * Decode a mirror node log
+		 * @param {object} log - { topics, data, timestamp, index, transaction_hash, block_number }
+		 * @param {function(string): Promise<string>|string} [resolveAddress] - Address -> Hedera ID
+		 * @returns {Promise<object|null>} { name, signature, fields, ... } or null if the ABI does not describe the log
+		 */
+		async decode(log, resolveAddress = toHederaId) {
+			let event;
+			try {
+				event = iface.parseLog({ topics: log.topics, data: log.data });
+			}
+			catch {
+				event = null;
+			}
+			if (!event) return null;
+
+			const fields = {};
+			const inputs = eventInputs.get(event.name);
+			for (let i = 0; i < inputs.length; i++) {
+				fields[inputs[i].name || i] = await decodeValue(inputs[i], event.args[i], resolveAddress);
+			}
+
+			return {
+				name: event.name,
+				signature: event.signature,
+				fields,
+				timestamp: log.timestamp,
+				index: log.index != null ? Number(log.index) : null,
+				transactionHash: log.transaction_hash,
+				blockNumber: log.block_number,
+			};
+		},
+	};
+}
+
+module.exports = {
+	createEventDecoder,
+	getEnumNames,
+	toHederaId,
+};
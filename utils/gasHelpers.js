@@ -10,9 +10,10 @@ const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
  * @param {Array} parameters - Function parameters
  * @param {number} fallbackGas - Fallback gas limit if estimation fails
  * @param {number} [value=0] - Amount of hbar to send in tinybars
+ * @param {boolean} [quiet=false] - Suppress console output (for library use)
  * @returns {Promise<{gasLimit: number, isEstimated: boolean, estimatedGas?: number}>}
  */
-async function estimateGas(env, contractId, contractInterface, operatorId, functionName, parameters, fallbackGas, value = 0) {
+async function estimateGas(env, contractId, contractInterface, operatorId, functionName, parameters, fallbackGas, value = 0, quiet = false) {
 	const openerString = `🔍 Estimating gas for ${functionName}...`;
 	try {
 		const encodedCommand = contractInterface.encodeFunctionData(functionName, parameters);
@@ -32,7 +33,7 @@ async function estimateGas(env, contractId, contractInterface, operatorId, funct
 		const gasWithBuffer = Math.min(Math.ceil(estimatedGas * multiplier), 14_500_000);
 		// Cap at 14.5 million gas
 
-		console.log(`${openerString}\t📊 Gas Estimate: ${estimatedGas.toLocaleString()} | With ${((multiplier - 1) * 100).toFixed(0)}% buffer: ${gasWithBuffer.toLocaleString()}`);
+		if (!quiet) console.log(`${openerString}\t📊 Gas Estimate: ${estimatedGas.toLocaleString()} | With ${((multiplier - 1) * 100).toFixed(0)}% buffer: ${gasWithBuffer.toLocaleString()}`);
 
 		return {
 			gasLimit: gasWithBuffer,
@@ -41,8 +42,10 @@ async function estimateGas(env, contractId, contractInterface, operatorId, funct
 		};
 	}
 	catch (error) {
-		console.log(`${openerString}\t⚠️  Gas estimation failed for ${functionName}:`, error.message);
-		console.log(`📋 Using fallback gas limit: ${fallbackGas}`);
+		if (!quiet) {
+			console.log(`${openerString}\t⚠️  Gas estimation failed for ${functionName}:`, error.message);
+			console.log(`📋 Using fallback gas limit: ${fallbackGas}`);
+		}
 
 		return {
 			gasLimit: fallbackGas,
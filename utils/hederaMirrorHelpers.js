@@ -1,6 +1,18 @@
+/**
+ * Hedera Mirror Node Helpers
+ * Account, token, allowance, NFT and contract queries built on the shared mirror client
+ * (./mirrorClient.js), which retries, rate limits and follows links.next.
+ *
+ * Failed requests throw typed errors (MirrorNodeError and subclasses). Lookups of a single
+ * entity return null when the mirror node does not know it (404).
+ *
+ * Token details and ID <-> EVM address resolution go through the client's cache when one is
+ * attached (the CLI attaches an on-disk cache, see scripts/cli/lib/cache.js).
+ */
+
 const { AccountId, TokenId } = require('@hashgraph/sdk');
-const { default: axios } = require('axios');
 const { getAddress, ZeroAddress } = require('ethers');
+const { getMirrorClient, getBaseURL, MirrorNodeError, MirrorNotFoundError } = require('./mirrorClient');
 
 // Entity type enum for mirror node queries
 const EntityType = {
@@ -9,183 +21,144 @@ const EntityType = {
 	CONTRACT: 'contracts',
 };
 
-function getBaseURL(env) {
-	if (env.toLowerCase() == 'test' || env.toLowerCase() == 'testnet') {
-		return 'https://testnet.mirrornode.hedera.com';
-	}
-	else if (env.toLowerCase() == 'main' || env.toLowerCase() == 'mainnet') {
-		return 'https://mainnet-public.mirrornode.hedera.com';
-	}
-	else if (env.toLowerCase() == 'preview' || env.toLowerCase() == 'previewnet') {
-		return 'https://previewnet.mirrornode.hedera.com';
-	}
-	else if (env.toLowerCase() == 'local') {
-		return 'http://localhost:8000';
+/**
+ * GET a single entity, or null if the mirror node does not know it
+ * @param {string} env
+ * @param {string} path
+ * @returns {Promise<object|null>}
+ * @throws {MirrorNodeError} on any failure other than 404
+ */
+async function getOrNull(env, path) {
+	try {
+		return await getMirrorClient(env).get(path);
 	}
-	else {
-		throw new Error('ERROR: Must specify either MAIN, TEST, LOCAL or PREVIEW as environment');
+	catch (err) {
+		if (err instanceof MirrorNotFoundError) return null;
+		throw err;
 	}
 }
 
 /**
- * Chyeck mirror for the allowance
- * @param {AccountId} _userId
- * @param {TokenId} _tokenId
- * @param {AccountId} _spenderId
+ * Whether a failed lookup means the entity is missing (rather than the mirror node failing)
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isMissing(err) {
+	return !(err instanceof MirrorNodeError) || err instanceof MirrorNotFoundError;
+}
+
+/**
+ * Check mirror for a fungible token allowance
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @param {TokenId|string} _tokenId
+ * @param {AccountId|string} _spenderId
+ * @returns {Promise<number>} allowance amount, 0 if none
  */
 async function checkMirrorAllowance(env, _userId, _tokenId, _spenderId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/tokens`;
-
-	let rtnVal = 0;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-
-			jsonResponse.allowances.forEach(allowance => {
-				if (allowance.spender == _spenderId.toString() && allowance.token_id == _tokenId.toString()) {
-					// console.log(' -Mirror Node: Found allowance for', allowance.owner, 'with allowance', allowance.amount, 'of token', allowance.token_id);
-					rtnVal = Number(allowance.amount);
-				}
-			});
-		})
-		.catch(function (err) {
-			console.error(err);
-			return 0;
-		});
+	const allowances = await getMirrorClient(env).getAll(`/api/v1/accounts/${_userId.toString()}/allowances/tokens?limit=100`, 'allowances');
 
-	return rtnVal;
+	const allowance = allowances.find(a => a.spender == _spenderId.toString() && a.token_id == _tokenId.toString());
+	return allowance ? Number(allowance.amount) : 0;
 }
 
+/**
+ * Approved-for-all NFT allowances of an account, grouped by spender
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @returns {Promise<Map<string, string[]>>} spender -> token IDs
+ */
 async function getNFTApprovedForAllAllowances(env, _userId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/nfts?limit=100`;
+	const allowances = await getMirrorClient(env).getAll(`/api/v1/accounts/${_userId.toString()}/allowances/nfts?limit=100`, 'allowances');
 
 	const spenderTokenMap = new Map();
+	for (const allowance of allowances) {
+		if (!allowance.approved_for_all) continue;
 
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-
-			const allowances = jsonResponse.allowances;
-
-			for (let n = 0; n < allowances.length; n++) {
-				const value = allowances[n];
-				if (value.approved_for_all) {
-					// check if the map already has the key (spender)
-					if (spenderTokenMap.has(value.spender)) {
-						const tokenList = spenderTokenMap.get(value.spender);
-						tokenList.push(value.token_id);
-						spenderTokenMap.set(value.spender, tokenList);
-					}
-					else {
-						spenderTokenMap.set(value.spender, [value.token_id]);
-					}
-				}
-			}
-		})
-		.catch(function (err) {
-			console.error(err);
-			return 0;
-		});
+		const tokenList = spenderTokenMap.get(allowance.spender) ?? [];
+		tokenList.push(allowance.token_id);
+		spenderTokenMap.set(allowance.spender, tokenList);
+	}
 
 	return spenderTokenMap;
 }
 
+/**
+ * Spender approved for a single serial held by an account
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @param {TokenId|string} _tokenId
+ * @param {number} _serial
+ * @returns {Promise<string|null|undefined>} spender, null if none, undefined if the account does not hold the serial
+ */
 async function checkMirrorNFTAllowance(env, _userId, _tokenId, _serial) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/tokens/${_tokenId}/nfts?account.id=${_userId.toString()}`;
-
-	let rtnVal;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-
-			jsonResponse.nfts.forEach(nft => {
-				if (nft.serial_number == _serial && nft.token_id == _tokenId.toString()) {
-					// console.log(' -Mirror Node: Found NFT allowance for', nft.account_id, 'serial', nft.serial_number, 'to be spent by', nft.spender, '(delegating spender =', nft.delegating_spender, ')');
-					rtnVal = nft.spender;
-				}
-			});
-		})
-		.catch(function (err) {
-			console.error(err);
-			return 0;
-		});
-
-	return rtnVal;
+	const nft = await getOrNull(env, `/api/v1/tokens/${_tokenId.toString()}/nfts/${_serial}`);
+	if (!nft || nft.account_id != _userId.toString()) {
+		return undefined;
+	}
+	return nft.spender;
 }
 
+/**
+ * Every fungible token allowance granted by an account
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @returns {Promise<object[]>}
+ */
 async function checkFTAllowances(env, _userId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/tokens`;
-
-	console.log('Checking FT Allowances:', url);
-
-	const rtnVal = [];
-	return axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			jsonResponse.allowances.forEach(allowance => {
-				rtnVal.push(allowance);
-			});
-			return rtnVal;
-		})
-		.catch(function (err) {
-			console.error(err);
-			return 0;
-		});
+	return await getMirrorClient(env).getAll(`/api/v1/accounts/${_userId.toString()}/allowances/tokens?limit=100`, 'allowances');
 }
 
-
+/**
+ * Every hbar allowance granted by an account
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @returns {Promise<object[]>}
+ */
 async function checkHbarAllowances(env, _userId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/crypto`;
-
-	console.log('Checking Hbar Allowances:', url);
-
-	const rtnVal = [];
-	return axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			jsonResponse.allowances.forEach(allowance => {
-				rtnVal.push(allowance);
-			});
-			return rtnVal;
-		})
-		.catch(function (err) {
-			console.error(err);
-			return 0;
-		});
+	return await getMirrorClient(env).getAll(`/api/v1/accounts/${_userId.toString()}/allowances/crypto?limit=100`, 'allowances');
 }
 
+/**
+ * Serials of a collection held by an account
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @param {TokenId|string} _tokenId
+ * @returns {Promise<number[]>}
+ */
 async function getSerialsOwned(env, _userId, _tokenId) {
-	const baseUrl = getBaseURL(env);
-	let url = `${baseUrl}/api/v1/tokens/${_tokenId.toString()}/nfts?account.id=${_userId.toString()}&limit=100`;
-
-	const rtnVal = [];
-
-	try {
-		do {
-			const response = await axios.get(url);
-			const jsonResponse = response.data;
+	const nfts = await getMirrorClient(env).getAll(`/api/v1/tokens/${_tokenId.toString()}/nfts?account.id=${_userId.toString()}&limit=100`, 'nfts');
+	return nfts.map(nft => Number(nft.serial_number));
+}
 
-			jsonResponse.nfts.forEach(token => {
-				rtnVal.push(Number(token.serial_number));
-			});
+/**
+ * Every token an account is associated with
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @returns {Promise<object[]>} [{ token_id, balance, ... }]
+ */
+async function getAccountTokens(env, _userId) {
+	return await getMirrorClient(env).getAll(`/api/v1/accounts/${_userId.toString()}/tokens?limit=100`, 'tokens');
+}
 
-			// Check for pagination - follow the cursor to get all NFTs
-			if (!jsonResponse.links || !jsonResponse.links.next) break;
-			url = `${baseUrl}${jsonResponse.links.next}`;
+/**
+ * Describe a decoded log as a single line (Block : Tx Hash : Event : args)
+ * @param {object} log - mirror node log
+ * @param {ethers.LogDescription} event
+ * @returns {string}
+ */
+function describeEvent(log, event) {
+	const fields = [...event.args].map(field => {
+		if (typeof field === 'string') {
+			return field.startsWith('0x') ? AccountId.fromEvmAddress(0, 0, field).toString() : field;
 		}
-		while (url);
+		return field.toString();
+	});
 
-		return rtnVal;
-	}
-	catch (err) {
-		console.error(err);
-		return null;
-	}
+	return 'Block: ' + log.block_number
+		+ ' : Tx Hash: ' + log.transaction_hash
+		+ ' : Event: ' + event.name + ' : '
+		+ fields.join(' : ');
 }
 
 /**
@@ -195,91 +168,37 @@ async function getSerialsOwned(env, _userId, _tokenId) {
  * @param {ethers.Interface} iface
  * @param {Number} offset
  * @param {boolean} account if the return should be an account id instead of a number
- * @returns {Number|AccountId} the value of the event
- * @throws {Error} if the event is not found
+ * @returns {Promise<{ value: Number|AccountId|undefined, description: string|null }>} the value of the event
+ *   and a one-line description of it (see describeEvent) for the caller to print
  */
 async function checkLastMirrorEvent(env, contractId, iface, offset = 1, account = false) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=1`;
-
-	let rtnVal;
-	await axios.get(url)
-		.then(function (response) {
-			const jsonResponse = response.data;
-
-			jsonResponse.logs.forEach(log => {
-				// decode the event data
-				if (log.data == '0x') return;
-				const event = iface.parseLog({ topics: log.topics, data: log.data });
-
-				let outputStr = 'Block: ' + log.block_number
-					+ ' : Tx Hash: ' + log.transaction_hash
-					+ ' : Event: ' + event.name + ' : ';
-
-				for (let f = 0; f < event.args.length; f++) {
-					const field = event.args[f];
-					// console.log('Field:', f, field, typeof field);
-
-					let output;
-					if (typeof field === 'string') {
-						output = field.startsWith('0x') ? AccountId.fromEvmAddress(0, 0, field).toString() : field;
-					}
-					else {
-						output = field.toString();
-					}
-					output = f == 0 ? output : ' : ' + output;
-					outputStr += output;
-				}
-				console.log(outputStr);
-				rtnVal = account ? AccountId.fromEvmAddress(0, 0, event.args[offset]) : Number(event.args[offset]);
-			});
-		})
-		.catch(function (err) {
-			console.error(err);
-			return null;
-		});
-	return rtnVal;
+	const response = await getMirrorClient(env).get(`/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=1`);
+
+	let value;
+	let description = null;
+	for (const log of response.logs) {
+		if (log.data == '0x') continue;
+		const event = iface.parseLog({ topics: log.topics, data: log.data });
+
+		description = describeEvent(log, event);
+		value = account ? AccountId.fromEvmAddress(0, 0, event.args[offset]) : Number(event.args[offset]);
+	}
+	return { value, description };
 }
 
+/**
+ * Every event a contract has emitted, newest first, one line each
+ * @param {string} env
+ * @param {ContractId} contractId
+ * @param {ethers.Interface} iface
+ * @returns {Promise<string[]>}
+ */
 async function getEventsFromMirror(env, contractId, iface) {
-	const baseUrl = getBaseURL(env);
-
-	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=100`;
-
-	const eventsToReturn = [];
-	return axios.get(url)
-		.then(function (response) {
-			const jsonResponse = response.data;
-			jsonResponse.logs.forEach(log => {
-				// decode the event data
-				if (log.data == '0x') return;
-				const event = iface.parseLog({ topics: log.topics, data: log.data });
-
-				let outputStr = 'Block: ' + log.block_number
-					+ ' : Tx Hash: ' + log.transaction_hash
-					+ ' : Event: ' + event.name + ' : ';
-
-				for (let f = 0; f < event.args.length; f++) {
-					const field = event.args[f];
-					// console.log('Field:', f, field, typeof field);
-
-					let output;
-					if (typeof field === 'string') {
-						output = field.startsWith('0x') ? AccountId.fromEvmAddress(0, 0, field).toString() : field;
-					}
-					else {
-						output = field.toString();
-					}
-					output = f == 0 ? output : ' : ' + output;
-					outputStr += output;
-				}
-				eventsToReturn.push(outputStr);
-			});
-			return eventsToReturn;
-		})
-		.catch(function (err) {
-			console.error(err);
-		});
+	const logs = await getMirrorClient(env).getAll(`/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=100`, 'logs');
+
+	return logs
+		.filter(log => log.data != '0x')
+		.map(log => describeEvent(log, iface.parseLog({ topics: log.topics, data: log.data })));
 }
 
 /**
@@ -287,143 +206,118 @@ async function getEventsFromMirror(env, contractId, iface) {
  * @param {string} env
  * @param {AccountId} _userId
  * @param {TokenId} _tokenId
- * @returns {Number} balance of the token
+ * @returns {Number|null} balance of the token, 0 if it could be auto-associated, else null when not associated
  */
 async function checkMirrorBalance(env, _userId, _tokenId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/tokens?token.id=${_tokenId.toString()}`;
-
-	let rtnVal = null;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-
-			jsonResponse.tokens.forEach(token => {
-				if (token.token_id == _tokenId.toString()) {
-					// console.log(' -Mirror Node: Found balance for', _userId.toString(), 'of', token.balance, 'of token', token.token_id);
-					rtnVal = Number(token.balance);
-				}
-			});
-		})
-		.catch(function (err) {
-			console.error(err);
-			return null;
-		});
-
-	// if null then check hasUserGotAutoAssociations
-	if (rtnVal === null) {
-		if (await hasUserGotAutoAssociations(env, _userId)) {
-			rtnVal = 0;
-		}
+	const response = await getMirrorClient(env).get(`/api/v1/accounts/${_userId.toString()}/tokens?token.id=${_tokenId.toString()}`);
+
+	const token = response.tokens.find(t => t.token_id == _tokenId.toString());
+	if (token) {
+		return Number(token.balance);
 	}
 
-	return rtnVal;
+	return await hasUserGotAutoAssociations(env, _userId) ? 0 : null;
 }
 
+/**
+ * Whether an account has automatic association slots
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @param {number} [requiredAssociations=1] - -1 to accept any setting
+ * @returns {Promise<boolean>}
+ */
 async function hasUserGotAutoAssociations(env, _userId, requiredAssociations = 1) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}`;
-
-	// look for max_automatic_token_associations field
-	// if requiredAssociations == -1 or > requiredAssociations, return true
-	let rtnVal = false;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			if (jsonResponse.max_automatic_token_associations != null) {
-				if (requiredAssociations == -1) {
-					rtnVal = true;
-				}
-				else if (jsonResponse.max_automatic_token_associations > requiredAssociations) {
-					rtnVal = true;
-				}
-			}
-		});
-	return rtnVal;
+	const account = await getMirrorClient(env).get(`/api/v1/accounts/${_userId.toString()}`);
+
+	// max_automatic_token_associations: -1 is unlimited
+	const max = account.max_automatic_token_associations;
+	if (max == null) {
+		return false;
+	}
+	return requiredAssociations == -1 || max > requiredAssociations;
 }
 
 /**
  * Basic query of mirror node for Hbar balance
  * @param {string} env
  * @param {AccountId} _userId
- * @returns {Number} balance of Hbar in tinybars
+ * @returns {Number|null} balance of Hbar in tinybars, null if the account is unknown
  */
 async function checkMirrorHbarBalance(env, _userId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}`;
-
-	let rtnVal = null;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			rtnVal = jsonResponse.balance.balance;
-		})
-		.catch(function (err) {
-			console.error(err);
-			return null;
-		});
-
-	return rtnVal;
+	const account = await getOrNull(env, `/api/v1/accounts/${_userId.toString()}`);
+	return account ? account.balance.balance : null;
 }
 
+/**
+ * An account's key as the mirror node reports it
+ * @param {string} env
+ * @param {AccountId|string} _userId
+ * @returns {Promise<{ _type: string, key: string }|null>} null if the account is unknown or has no key
+ */
+async function getAccountKey(env, _userId) {
+	const account = await getOrNull(env, `/api/v1/accounts/${_userId.toString()}`);
+	return account?.key ?? null;
+}
+
+/**
+ * Current owner and allowance of a serial
+ * @param {string} env
+ * @param {TokenId|string} _tokenId
+ * @param {number} _serial
+ * @returns {Promise<object|null>} null if the serial does not exist
+ */
 async function checkNFTOwnership(env, _tokenId, _serial) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/tokens/${_tokenId.toString()}/nfts/${_serial}`;
-
-	let rtnVal = null;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			rtnVal = {
-				owner: jsonResponse.account_id,
-				serial: jsonResponse.serial_number,
-				token_id: jsonResponse.token_id,
-				spender: jsonResponse.spender,
-				delegating_spender: jsonResponse.delegating_spender,
-				deleted: jsonResponse.deleted,
-				metadata: jsonResponse.metadata,
-				create_time: jsonResponse.create_timestamp,
-				modified_time: jsonResponse.modified_timestamp,
-			};
-		})
-		.catch(function (err) {
-			console.error(err);
-		});
-
-	return rtnVal;
+	const nft = await getOrNull(env, `/api/v1/tokens/${_tokenId.toString()}/nfts/${_serial}`);
+	if (!nft) {
+		return null;
+	}
+
+	return {
+		owner: nft.account_id,
+		serial: nft.serial_number,
+		token_id: nft.token_id,
+		spender: nft.spender,
+		delegating_spender: nft.delegating_spender,
+		deleted: nft.deleted,
+		metadata: nft.metadata,
+		create_time: nft.create_timestamp,
+		modified_time: nft.modified_timestamp,
+	};
 }
 
 /**
  * Get the token details from mirror node
  * @param {string} env
  * @param {TokenId|string} _tokenId
- * @returns {Object} details of the token including custom_fees
+ * @returns {Object|null} details of the token including custom_fees, null if the token does not exist
  */
 async function getTokenDetails(env, _tokenId) {
-	const tokenAsString = typeof _tokenId === 'string' ? _tokenId : _tokenId.toString();
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/tokens/${tokenAsString}`;
-	let rtnVal = null;
-	await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			rtnVal = {
-				symbol: jsonResponse.symbol,
-				name: jsonResponse.name,
-				decimals: jsonResponse.decimals,
-				total_supply: jsonResponse.total_supply,
-				max_supply: jsonResponse.max_supply,
-				treasury_account_id: jsonResponse.treasury_account_id,
-				type: jsonResponse.type,
-				custom_fees: jsonResponse.custom_fees || null,
-			};
-		})
-		.catch(function (err) {
-			console.error(err);
-			return null;
-		});
-
-	return rtnVal;
+	return await getMirrorClient(env).cached('token', _tokenId.toString(), () => fetchTokenDetails(env, _tokenId));
+}
+
+/**
+ * Token details straight from the mirror node
+ * @param {string} env
+ * @param {TokenId|string} _tokenId
+ * @returns {Promise<Object|null>}
+ */
+async function fetchTokenDetails(env, _tokenId) {
+	const token = await getOrNull(env, `/api/v1/tokens/${_tokenId.toString()}`);
+	if (!token) {
+		return null;
+	}
+
+	return {
+		symbol: token.symbol,
+		name: token.name,
+		decimals: token.decimals,
+		total_supply: token.total_supply,
+		max_supply: token.max_supply,
+		treasury_account_id: token.treasury_account_id,
+		type: token.type,
+		deleted: token.deleted ?? false,
+		custom_fees: token.custom_fees || null,
+	};
 }
 
 /**
@@ -462,55 +356,48 @@ async function checkTokenHasFallbackRoyalty(env, _tokenId) {
 	};
 }
 
+/**
+ * Outcome of a contract call transaction, with the call result decoded
+ * @param {string} env
+ * @param {TransactionId|string} transactionIdOrHash - TransactionId object, mirror form ID or hash
+ * @param {ethers.Interface} iface
+ * @returns {Promise<object>} { success, result, call_result, error, ... }
+ */
 async function getContractResult(env, transactionIdOrHash, iface) {
-
 	const isTransactionIdObject = typeof transactionIdOrHash === 'object';
 	const idOrHashStr = isTransactionIdObject ? constructTransactionIdString(transactionIdOrHash) : transactionIdOrHash;
 
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/contracts/results/${idOrHashStr}`;
-
 	// declared here to avoid circular dependency
 	const { parseError } = require('./solidityHelpers');
 
-	try {
-		const response = await axios.get(url);
-		// console.log('Response:', response.data.result);
-		// console.log('Error:', response.data.error_message);
-		// console.log('Call Result:', response.data.call_result);
-
-		if (response?.data && response?.data?.result) {
-			if (response.data.result === 'SUCCESS') {
-				// infer the function parameters from the transaction
-				const txCalled = iface.parseTransaction({ data: response.data.function_parameters });
-				const functionName = txCalled.name;
-				const decoded = iface.decodeFunctionResult(functionName, response.data.call_result);
-
-				return {
-					success: true,
-					result: 'Transaction executed successfully!',
-					call_result: decoded,
-					error: null,
-				};
-			}
-			else {
-				return {
-					success: false,
-					result: response?.data?.result,
-					call_result: null,
-					error: parseError(iface, response.data.error_message) ?? null,
-				};
-			}
-		}
-		else {
-			return { success: false, error: 'No result found' };
-		}
-
+	const data = await getOrNull(env, `/api/v1/contracts/results/${idOrHashStr}`);
+	if (!data?.result) {
+		return { success: false, error: 'No result found' };
 	}
-	catch (error) {
-		console.error('Error:', error);
-		return { success: false, error: 'Failed to query the mirror node' };
+
+	if (data.result !== 'SUCCESS') {
+		return {
+			success: false,
+			result: data.result,
+			call_result: null,
+			error: parseError(iface, data.error_message) ?? null,
+		};
 	}
+
+	// infer the function parameters from the transaction
+	const txCalled = iface.parseTransaction({ data: data.function_parameters });
+	const decoded = iface.decodeFunctionResult(txCalled.name, data.call_result);
+
+	return {
+		success: true,
+		result: 'Transaction executed successfully!',
+		call_result: decoded,
+		error: null,
+		timestamp: data.timestamp,
+		hash: data.hash,
+		from: data.from,
+		logs: data.logs ?? [],
+	};
 }
 
 const translateTransactionForWebCall = (transactionHash) => {
@@ -536,19 +423,15 @@ const constructTransactionIdString = (transactionIdObj) => {
 	return `${shard}.${realm}.${num}-${seconds}-${nanos}`;
 };
 
+/**
+ * EVM address of a contract
+ * @param {string} env
+ * @param {ContractId|string} contractId
+ * @returns {Promise<string|null>} null if the contract does not exist
+ */
 async function getContractEVMAddress(env, contractId) {
-	const baseUrl = getBaseURL(env);
-	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}`;
-
-	return await axios.get(url)
-		.then((response) => {
-			const jsonResponse = response.data;
-			return jsonResponse.evm_address;
-		})
-		.catch(function (err) {
-			console.error(err);
-			return null;
-		});
+	const contract = await getOrNull(env, `/api/v1/contracts/${contractId.toString()}`);
+	return contract ? contract.evm_address : null;
 }
 
 /**
@@ -556,14 +439,15 @@ async function getContractEVMAddress(env, contractId) {
  * @param {string} env
  * @param {AccountId | string} accountId
  * @param {string} entityType - Optional: EntityType.ACCOUNT, EntityType.TOKEN, or EntityType.CONTRACT. Defaults to trying all if null.
+ * @param {boolean} [quiet=false] - Suppress console output (for library use)
  * @returns string
  */
-async function homebrewPopulateAccountEvmAddress(env, accountId, entityType = null) {
+async function homebrewPopulateAccountEvmAddress(env, accountId, entityType = null, quiet = false) {
 	if (accountId === null) {
 		throw new Error('field `accountId` should not be null');
 	}
 
-	const baseUrl = getBaseURL(env);
+	const mirror = getMirrorClient(env);
 
 	const acctId = (typeof accountId === 'string') ? AccountId.fromString(accountId) : accountId;
 
@@ -576,17 +460,35 @@ async function homebrewPopulateAccountEvmAddress(env, accountId, entityType = nu
 	}
 
 	const entityId = acctId.num.toString();
-	let evmAddress;
 
+	// The mapping never changes, so a resolved address is cached for good
+	const evmAddress = await mirror.cached('evmAddress', `${entityType ?? '*'}:${acctId.toString()}`,
+		() => lookupEvmAddress(mirror, entityId, entityType));
+	if (evmAddress) {
+		return evmAddress;
+	}
+
+	// If all failed, fall back to toEvmAddress
+	if (!quiet) console.error('Error fetching EVM address from all entity types, using toEvmAddress fallback');
+	return acctId.toEvmAddress();
+}
+
+/**
+ * Look an entity's EVM address up on the mirror node
+ * @param {MirrorClient} mirror
+ * @param {string} entityId - Entity number
+ * @param {string|null} entityType
+ * @returns {Promise<string|null>} null if no entity type knows it
+ */
+async function lookupEvmAddress(mirror, entityId, entityType) {
 	// If entityType is specified, try that specific type
 	if (entityType) {
 		try {
-			const url = `${baseUrl}/api/v1/${entityType}/${entityId}`;
-			const response = await axios.get(url);
-			evmAddress = getAddress(response.data.evm_address);
-			return evmAddress;
+			const data = await mirror.get(`/api/v1/${entityType}/${entityId}`);
+			return getAddress(data.evm_address);
 		}
 		catch (error) {
+			if (!isMissing(error)) throw error;
 			if (entityType === EntityType.TOKEN) {
 				// Tokens may not have an EVM address, fall back to toSolidityAddress
 				return TokenId.fromString(entityId).toEvmAddress();
@@ -599,21 +501,17 @@ async function homebrewPopulateAccountEvmAddress(env, accountId, entityType = nu
 
 	for (const type of typesToTry) {
 		try {
-			const url = `${baseUrl}/api/v1/${type}/${entityId}`;
-			const response = await axios.get(url);
-			evmAddress = getAddress(response.data.evm_address);
-			return evmAddress;
+			const data = await mirror.get(`/api/v1/${type}/${entityId}`);
+			return getAddress(data.evm_address);
 		}
-		catch {
+		catch (error) {
+			if (!isMissing(error)) throw error;
 			// Continue to next type
 			continue;
 		}
 	}
 
-	// If all failed, fall back to toEvmAddress
-	console.error('Error fetching EVM address from all entity types, using toEvmAddress fallback');
-	evmAddress = acctId.toEvmAddress();
-	return evmAddress;
+	return null;
 }
 
 /**
@@ -628,18 +526,32 @@ async function homebrewPopulateAccountNum(env, evmAddress, entityType = null) {
 		throw new Error('field `evmAddress` should not be null');
 	}
 
-	const baseUrl = getBaseURL(env);
+	const mirror = getMirrorClient(env);
+
+	// The mapping never changes, so a resolved ID is cached for good
+	return await mirror.cached('entityId', `${entityType ?? '*'}:${evmAddress.toLowerCase()}`,
+		() => lookupAccountNum(mirror, evmAddress, entityType));
+}
 
+/**
+ * Look the Hedera ID of an EVM address up on the mirror node
+ * @param {MirrorClient} mirror
+ * @param {string} evmAddress
+ * @param {string|null} entityType
+ * @returns {Promise<string>}
+ * @throws {Error} if no entity type knows the address
+ */
+async function lookupAccountNum(mirror, evmAddress, entityType) {
 	// If entityType is specified, try that specific type
 	if (entityType) {
 		try {
-			const url = `${baseUrl}/api/v1/${entityType}/${evmAddress}`;
-			const response = await axios.get(url);
+			const data = await mirror.get(`/api/v1/${entityType}/${evmAddress}`);
 			// Different entity types have different ID field names
-			const entityId = response.data.account || response.data.token_id || response.data.contract_id;
+			const entityId = data.account || data.token_id || data.contract_id;
 			return entityId;
 		}
 		catch (error) {
+			if (!isMissing(error)) throw error;
 			throw new Error(`Failed to resolve ${entityType} with EVM address ${evmAddress}: ${error.message}`);
 		}
 	}
@@ -653,12 +565,12 @@ async function homebrewPopulateAccountNum(env, evmAddress, entityType = null) {
 
 	for (const { type, idField } of typesToTry) {
 		try {
-			const url = `${baseUrl}/api/v1/${type}/${evmAddress}`;
-			const response = await axios.get(url);
-			const entityId = response.data[idField];
+			const data = await mirror.get(`/api/v1/${type}/${evmAddress}`);
+			const entityId = data[idField];
 			if (entityId) return entityId;
 		}
-		catch {
+		catch (error) {
+			if (!isMissing(error)) throw error;
 			// Continue to next type
 			continue;
 		}
@@ -673,6 +585,7 @@ module.exports = {
 	checkMirrorAllowance,
 	checkMirrorNFTAllowance,
 	getSerialsOwned,
+	getAccountTokens,
 	getBaseURL,
 	checkLastMirrorEvent,
 	checkMirrorBalance,
@@ -684,6 +597,7 @@ module.exports = {
 	translateTransactionForWebCall,
 	getContractEVMAddress,
 	checkMirrorHbarBalance,
+	getAccountKey,
 	checkHbarAllowances,
 	checkNFTOwnership,
 	getNFTApprovedForAllAllowances,
@@ -0,0 +1,388 @@
+/**
+ * Mirror Node Client
+ * Shared HTTP client for the Hedera mirror node REST API
+ *
+ * Every request goes through one client per base URL, which:
+ *   - retries 429, 5xx and network failures with exponential backoff (honouring Retry-After)
+ *   - limits how many requests are in flight at once
+ *   - follows links.next for list endpoints (getAll / pages)
+ *   - throws typed errors (MirrorNodeError and subclasses) instead of raw axios errors
+ *
+ * A cache ({ get(kind, id), set(kind, id, value) }) can be attached to a client; helpers then route
+ * lookups through cached(). Without one every lookup goes to the mirror node.
+ *
+ * Errors keep an axios-style `response` ({ status, data }) so callers that read the mirror
+ * node's _status messages (e.g. contracts/call reverts) work unchanged.
+ */
+
+const { default: axios } = require('axios');
+const { NETWORKS, resolveEnvironment } = require('./networkProfile');
+
+const DEFAULT_OPTIONS = {
+	retries: 4,
+	baseDelayMs: 250,
+	maxDelayMs: 8_000,
+	concurrency: 8,
+	timeoutMs: 30_000,
+	headers: {},
+};
+
+// Statuses worth retrying - rate limiting and transient server failures
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Base error for mirror node requests
+ */
+class MirrorNodeError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} [details]
+	 * @param {string} [details.method] - HTTP method
+	 * @param {string} [details.url] - Request URL
+	 * @param {number|null} [details.status] - HTTP status (null when no response was received)
+	 * @param {object|null} [details.data] - Response body
+	 * @param {number} [details.attempts] - Requests made, including retries
+	 * @param {Error} [details.cause] - Underlying error
+	 */
+	constructor(message, { method = 'GET', url = null, status = null, data = null, attempts = 1, cause } = {}) {
+		super(message, cause ? { cause } : undefined);
+		this.name = this.constructor.name;
+		this.code = 'MIRROR_NODE_ERROR';
+		this.method = method;
+		this.url = url;
+		this.status = status;
+		this.data = data;
+		this.attempts = attempts;
+		this.response = status === null ? undefined : { status, data };
+	}
+}
+
+/**
+ * 404 - the entity does not exist (or is not known to the mirror node yet)
+ */
+class MirrorNotFoundError extends MirrorNodeError {
+	constructor(message, details) {
+		super(message, details);
+		this.code = 'MIRROR_NOT_FOUND';
+	}
+}
+
+/**
+ * 429 that persisted through every retry
+ */
+class MirrorRateLimitError extends MirrorNodeError {
+	constructor(message, details) {
+		super(message, details);
+		this.code = 'MIRROR_RATE_LIMITED';
+	}
+}
+
+/**
+ * 5xx that persisted through every retry
+ */
+class MirrorServerError extends MirrorNodeError {
+	constructor(message, details) {
+		super(message, details);
+		this.code = 'MIRROR_SERVER_ERROR';
+	}
+}
+
+/**
+ * Other 4xx - the request itself was rejected (bad parameters, contract call reverted)
+ */
+class MirrorRequestError extends MirrorNodeError {
+	constructor(message, details) {
+		super(message, details);
+		this.code = 'MIRROR_REQUEST_ERROR';
+	}
+}
+
+/**
+ * No response - connection refused or reset, DNS failure or timeout
+ */
+class MirrorNetworkError extends MirrorNodeError {
+	constructor(message, details) {
+		super(message, details);
+		this.code = 'MIRROR_NETWORK_ERROR';
+	}
+}
+
+/**
+ * Resolve the mirror node base URL for an environment
+ * A full http(s) URL is passed through as-is so callers can inject their own mirror node;
+ * network names map to the default mirror node of their network profile
+ * @param {string} env - TEST, MAIN, PREVIEW, LOCAL or a mirror node base URL
+ * @returns {string} base URL without trailing slash
+ */
+function getBaseURL(env) {
+	if (/^https?:\/\//i.test(env)) {
+		return env.replace(/\/+$/, '');
+	}
+
+	const environment = resolveEnvironment(env);
+	if (!environment) {
+		throw new Error('ERROR: Must specify either MAIN, TEST, LOCAL or PREVIEW as environment');
+	}
+	return NETWORKS[environment].mirrorUrl;
+}
+
+/**
+ * First _status message of a mirror node error body
+ * @param {object|null} data
+ * @returns {string|null}
+ */
+function statusMessage(data) {
+	return data?._status?.messages?.[0]?.message ?? null;
+}
+
+/**
+ * Wait
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Mirror node client for one base URL
+ */
+class MirrorClient {
+	/**
+	 * @param {string} env - TEST, MAIN, PREVIEW, LOCAL or a mirror node base URL
+	 * @param {object} [options]
+	 * @param {number} [options.retries=4] - Retries after the first attempt (429, 5xx, network)
+	 * @param {number} [options.baseDelayMs=250] - First backoff delay, doubled on each retry
+	 * @param {number} [options.maxDelayMs=8000] - Backoff (and Retry-After) cap
+	 * @param {number} [options.concurrency=8] - Requests in flight at once
+	 * @param {number} [options.timeoutMs=30000] - Per-request timeout
+	 * @param {object} [options.headers] - Sent with every request (e.g. a mirror node API key)
+	 * @param {object} [options.http=axios] - axios-compatible instance (request(config))
+	 * @param {object} [options.cache] - Lookup cache used by cached() ({ get(kind, id), set(kind, id, value) })
+	 */
+	constructor(env, options = {}) {
+		this.baseUrl = getBaseURL(env);
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.http = options.http ?? axios;
+		this.cache = options.cache ?? null;
+
+		this._active = 0;
+		this._waiting = [];
+	}
+
+	/**
+	 * GET a path (or a full URL) and return the response body
+	 * @param {string} pathOrUrl - e.g. /api/v1/tokens/0.0.1234
+	 * @returns {Promise<object>}
+	 * @throws {MirrorNodeError}
+	 */
+	async get(pathOrUrl) {
+		return await this.request('GET', pathOrUrl);
+	}
+
+	/**
+	 * POST a JSON body and return the response body
+	 * @param {string} pathOrUrl
+	 * @param {object} body
+	 * @returns {Promise<object>}
+	 * @throws {MirrorNodeError}
+	 */
+	async post(pathOrUrl, body) {
+		return await this.request('POST', pathOrUrl, body);
+	}
+
+	/**
+	 * GET every page of a list endpoint, following links.next
+	 * @param {string} pathOrUrl
+	 * @param {string} key - Array field of each page (e.g. 'nfts', 'allowances', 'logs')
+	 * @returns {Promise<object[]>}
+	 * @throws {MirrorNodeError}
+	 */
+	async getAll(pathOrUrl, key) {
+		const items = [];
+		for await (const page of this.pages(pathOrUrl)) {
+			items.push(...(page[key] || []));
+		}
+		return items;
+	}
+
+	/**
+	 * Iterate the pages of a list endpoint, following links.next
+	 * @param {string} pathOrUrl
+	 * @yields {object} each page's response body
+	 * @throws {MirrorNodeError}
+	 */
+	async *pages(pathOrUrl) {
+		let next = pathOrUrl;
+		while (next) {
+			const page = await this.get(next);
+			yield page;
+			next = page?.links?.next ?? null;
+		}
+	}
+
+	/**
+	 * Return a cached lookup, or load it and cache the result
+	 * Without a cache this just calls load; null and undefined results are never cached
+	 * @param {string} kind - Entry kind (the cache decides how long each kind lives)
+	 * @param {string} id
+	 * @param {function(): Promise<any>} load
+	 * @returns {Promise<any>}
+	 */
+	async cached(kind, id, load) {
+		if (!this.cache) {
+			return await load();
+		}
+
+		const hit = this.cache.get(kind, id);
+		if (hit !== undefined) {
+			return hit;
+		}
+
+		const value = await load();
+		if (value !== null && value !== undefined) {
+			this.cache.set(kind, id, value);
+		}
+		return value;
+	}
+
+	/**
+	 * Make a request with retries and the concurrency limit
+	 * @param {string} method
+	 * @param {string} pathOrUrl
+	 * @param {object} [body]
+	 * @returns {Promise<object>} response body
+	 * @throws {MirrorNodeError}
+	 */
+	async request(method, pathOrUrl, body) {
+		const url = /^https?:\/\//i.test(pathOrUrl) ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+		const { retries, baseDelayMs, maxDelayMs, timeoutMs, headers } = this.options;
+
+		for (let attempt = 1; ; attempt++) {
+			let response;
+			let cause;
+
+			await this._acquire();
+			try {
+				response = await this.http.request({ method, url, headers, data: body, timeout: timeoutMs, validateStatus: () => true });
+			}
+			catch (err) {
+				cause = err;
+			}
+			finally {
+				this._release();
+			}
+
+			if (response && response.status >= 200 && response.status < 300) {
+				return response.data;
+			}
+
+			const status = response?.status ?? null;
+			const retryable = status === null || RETRYABLE_STATUSES.has(status);
+			if (!retryable || attempt > retries) {
+				throw this._error(method, url, response, cause, attempt);
+			}
+
+			// Exponential backoff with jitter, or the server's Retry-After if it asked for longer
+			const backoff = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+			const retryAfter = Number(response?.headers?.['retry-after']) * 1000;
+			const delay = Math.max(backoff / 2 + Math.random() * backoff / 2, Math.min(retryAfter || 0, maxDelayMs));
+			await sleep(delay);
+		}
+	}
+
+	/**
+	 * Build the typed error for a failed request
+	 * @param {string} method
+	 * @param {string} url
+	 * @param {object} [response]
+	 * @param {Error} [cause]
+	 * @param {number} attempts
+	 * @returns {MirrorNodeError}
+	 */
+	_error(method, url, response, cause, attempts) {
+		const path = url.startsWith(this.baseUrl) ? url.substring(this.baseUrl.length) : url;
+
+		if (!response) {
+			return new MirrorNetworkError(`Mirror node unreachable for ${method} ${path}: ${cause?.message ?? 'no response'}`,
+				{ method, url, attempts, cause });
+		}
+
+		const { status, data } = response;
+		const details = { method, url, status, data, attempts };
+		const reason = statusMessage(data) ?? `HTTP ${status}`;
+
+		if (status === 404) return new MirrorNotFoundError(`Not found on the mirror node: ${path}`, details);
+		if (status === 429) return new MirrorRateLimitError(`Mirror node rate limit hit for ${path} after ${attempts} attempt(s)`, details);
+		if (status >= 500) return new MirrorServerError(`Mirror node error for ${path} after ${attempts} attempt(s): ${reason}`, details);
+		return new MirrorRequestError(`Mirror node rejected ${method} ${path}: ${reason}`, details);
+	}
+
+	/**
+	 * Wait for a free request slot
+	 * @returns {Promise<void>}
+	 */
+	async _acquire() {
+		if (this._active < this.options.concurrency) {
+			this._active++;
+			return;
+		}
+		// The releasing request hands its slot straight over
+		await new Promise(resolve => this._waiting.push(resolve));
+	}
+
+	/**
+	 * Free a request slot, handing it to the next waiting request if any
+	 */
+	_release() {
+		const next = this._waiting.shift();
+		if (next) {
+			next();
+		}
+		else {
+			this._active--;
+		}
+	}
+}
+
+// One client per base URL, so the concurrency limit covers every caller
+const clients = new Map();
+
+/**
+ * Shared client for an environment
+ * Options only apply when the client for that base URL is first created
+ * @param {string} env - TEST, MAIN, PREVIEW, LOCAL or a mirror node base URL
+ * @param {object} [options] - see MirrorClient
+ * @returns {MirrorClient}
+ */
+function getMirrorClient(env, options) {
+	const baseUrl = getBaseURL(env);
+	if (!clients.has(baseUrl)) {
+		clients.set(baseUrl, new MirrorClient(baseUrl, options));
+	}
+	return clients.get(baseUrl);
+}
+
+/**
+ * Shared client for a network profile's mirror node, sending the profile's headers (API key)
+ * @param {object} profile - from loadNetworkProfile (utils/networkProfile.js)
+ * @returns {MirrorClient}
+ */
+function getProfileMirrorClient(profile) {
+	const mirror = getMirrorClient(profile.mirrorUrl);
+	mirror.options.headers = { ...mirror.options.headers, ...profile.mirrorHeaders };
+	return mirror;
+}
+
+module.exports = {
+	MirrorClient,
+	getMirrorClient,
+	getProfileMirrorClient,
+	getBaseURL,
+	MirrorNodeError,
+	MirrorNotFoundError,
+	MirrorRateLimitError,
+	MirrorServerError,
+	MirrorRequestError,
+	MirrorNetworkError,
+};
@@ -0,0 +1,634 @@
+/**
+ * Mirror Node Emulator
+ * Fixture-driven stand-in for the Hedera mirror node REST API, so the CLI scripts and
+ * mirror helpers can be exercised without network access.
+ *
+ * Point the CLI at it with MIRROR_NODE_URL=http://127.0.0.1:<port>
+ *
+ * Supported endpoints:
+ *   GET  /api/v1/accounts/{id|evm}
+ *   GET  /api/v1/accounts/{id}/tokens
+ *   GET  /api/v1/accounts/{id}/nfts
+ *   GET  /api/v1/accounts/{id}/allowances/{crypto|tokens|nfts}
+ *   GET  /api/v1/tokens/{id|evm}
+ *   GET  /api/v1/tokens/{id}/nfts
+ *   GET  /api/v1/tokens/{id}/nfts/{serial}
+ *   GET  /api/v1/contracts/{id|evm}
+ *   GET  /api/v1/contracts/{id}/results
+ *   GET  /api/v1/contracts/{id}/results/logs
+ *   GET  /api/v1/contracts/results/{transactionId|hash}
+ *   POST /api/v1/contracts/call
+ *
+ * List endpoints honour limit (default 25, max 100), order and the cursor filters the
+ * mirror node emits in links.next (e.g. serial_number=lt:40, timestamp=lt:1700000000.000000001).
+ *
+ * failNext(path, status, times) makes the next requests to a path fail (e.g. 429 or 503) to
+ * exercise client retries.
+ *
+ * Fixture shape (every section optional):
+ * {
+ *   "accounts": {
+ *     "0.0.1001": {
+ *       "evm_address": "0x...",            // defaults to the long-zero address
+ *       "balance": 500000000,              // tinybars
+ *       "max_automatic_token_associations": 0,
+ *       "tokens": { "0.0.2000": 1000 },    // token balances (presence = associated)
+ *       "allowances": { "crypto": [], "tokens": [], "nfts": [] }
+ *     }
+ *   },
+ *   "tokens": { "0.0.3000": { "name": "...", "type": "NON_FUNGIBLE_UNIQUE", "custom_fees": {...} } },
+ *   "nfts": { "0.0.3000": [{ "serial_number": 1, "account_id": "0.0.1001" }] },
+ *   "contracts": {
+ *     "0.0.5000": {
+ *       "calls": {
+ *         "getCost()": "0x...",            // keyed by signature, 4-byte selector or full calldata
+ *         "0x12345678": { "revert": "0x..." },
+ *         "burn(uint256)": { "result": "0x", "gas": 120000 }
+ *       },
+ *       "gasEstimate": 100000,             // used for estimate=true calls without their own gas
+ *       "logs": [{ "timestamp": "...", "topics": [], "data": "0x" }],
+ *       "results": [{ "timestamp": "...", "hash": "0x...", "transaction_id": "0.0.1001-170-0" }]
+ *     }
+ *   }
+ * }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const DEFAULT_GAS_ESTIMATE = 100_000;
+const API_PREFIX = '/api/v1';
+
+/**
+ * Long-zero EVM address for a shard.realm.num id
+ * @param {string} id - e.g. 0.0.1234
+ * @returns {string}
+ */
+function longZeroAddress(id) {
+	const num = Number(id.split('.').pop());
+	return '0x' + num.toString(16).padStart(40, '0');
+}
+
+/**
+ * Normalise an EVM address for comparison (lowercase, 0x-prefixed)
+ * @param {string} address
+ * @returns {string}
+ */
+function normaliseAddress(address) {
+	const hex = address.toLowerCase().replace(/^0x/, '');
+	return '0x' + hex.padStart(40, '0');
+}
+
+/**
+ * Sortable representation of an id, timestamp or serial ("0.0.12" -> [0, 0, 12])
+ * @param {string|number} value
+ * @returns {number[]}
+ */
+function sortKey(value) {
+	return String(value).split('.').map(Number);
+}
+
+/**
+ * Compare two ids, timestamps or serials
+ * @param {string|number} a
+ * @param {string|number} b
+ * @returns {number} negative, zero or positive
+ */
+function compareKeys(a, b) {
+	const ka = sortKey(a);
+	const kb = sortKey(b);
+	for (let i = 0; i < Math.max(ka.length, kb.length); i++) {
+		const diff = (ka[i] || 0) - (kb[i] || 0);
+		if (diff !== 0) return diff;
+	}
+	return 0;
+}
+
+/**
+ * Test a value against a mirror node filter (eq, ne, lt, lte, gt, gte)
+ * @param {string|number} value
+ * @param {string} filter - e.g. "lt:40" or "0.0.1001"
+ * @returns {boolean}
+ */
+function matchesFilter(value, filter) {
+	const match = filter.match(/^(eq|ne|lt|lte|gt|gte):(.*)$/);
+	const op = match ? match[1] : 'eq';
+	const cmp = compareKeys(value, match ? match[2] : filter);
+
+	switch (op) {
+	case 'ne': return cmp !== 0;
+	case 'lt': return cmp < 0;
+	case 'lte': return cmp <= 0;
+	case 'gt': return cmp > 0;
+	case 'gte': return cmp >= 0;
+	default: return cmp === 0;
+	}
+}
+
+/**
+ * Error carrying the HTTP status and mirror node style messages
+ */
+class MirrorError extends Error {
+	/**
+	 * @param {number} status - HTTP status code
+	 * @param {string} message - _status message
+	 * @param {object} [extra] - Additional message fields (e.g. revert data)
+	 */
+	constructor(status, message, extra = {}) {
+		super(message);
+		this.status = status;
+		this.extra = extra;
+	}
+}
+
+/**
+ * Mirror node emulator serving a fixture over HTTP
+ */
+class MirrorEmulator {
+	/**
+	 * @param {object} [fixture] - Fixture data (see module header for the shape)
+	 */
+	constructor(fixture = {}) {
+		this.fixture = fixture;
+		this.requests = [];
+		this.faults = [];
+		this.server = null;
+		this.url = null;
+	}
+
+	/**
+	 * Load a fixture from a JSON file
+	 * @param {string} filePath
+	 * @returns {MirrorEmulator}
+	 */
+	static fromFile(filePath) {
+		return new MirrorEmulator(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} [port=0] - 0 picks a free port
+	 * @param {string} [host='127.0.0.1']
+	 * @returns {Promise<string>} base URL to use as MIRROR_NODE_URL
+	 */
+	start(port = 0, host = '127.0.0.1') {
+		this.server = http.createServer((req, res) => this._handle(req, res));
+
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port, host, () => {
+				this.url = `http://${host}:${this.server.address().port}`;
+				resolve(this.url);
+			});
+		});
+	}
+
+	/**
+	 * Stop listening
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		if (!this.server) return Promise.resolve();
+
+		return new Promise((resolve) => {
+			this.server.close(() => resolve());
+			this.server.closeAllConnections?.();
+			this.server = null;
+		});
+	}
+
+	/**
+	 * Fail the next requests to a path with an error status
+	 * @param {string} path - Request path without query (e.g. /api/v1/tokens/0.0.4000)
+	 * @param {number} status - HTTP status to answer with
+	 * @param {number} [times=1] - Requests to fail
+	 * @param {object} [headers] - Extra response headers (e.g. { 'Retry-After': '1' })
+	 */
+	failNext(path, status, times = 1, headers = {}) {
+		this.faults.push({ path, status, times, headers });
+	}
+
+	// ============================================
+	// REQUEST HANDLING
+	// ============================================
+
+	/**
+	 * Route a request and write the JSON response
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	_handle(req, res) {
+		let body = '';
+		req.on('data', chunk => { body += chunk; });
+		req.on('end', () => {
+			const url = new URL(req.url, 'http://localhost');
+			const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers };
+			this.requests.push(entry);
+
+			const fault = this.faults.find(f => f.path === url.pathname && f.times > 0);
+			if (fault) {
+				fault.times--;
+				res.writeHead(fault.status, { 'Content-Type': 'application/json', ...fault.headers });
+				res.end(JSON.stringify({ _status: { messages: [{ message: `Injected ${fault.status}` }] } }));
+				return;
+			}
+
+			let status = 200;
+			let payload;
+			try {
+				if (body) entry.body = JSON.parse(body);
+				payload = this._route(req.method, url, entry.body);
+			}
+			catch (err) {
+				status = err instanceof MirrorError ? err.status : 400;
+				payload = { _status: { messages: [{ message: err.message, ...(err.extra || {}) }] } };
+			}
+
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(payload));
+		});
+	}
+
+	/**
+	 * Dispatch a request to its endpoint handler
+	 * @param {string} method
+	 * @param {URL} url
+	 * @param {object} [body]
+	 * @returns {object} response payload
+	 */
+	_route(method, url, body) {
+		if (!url.pathname.startsWith(API_PREFIX)) {
+			throw new MirrorError(404, 'Not found');
+		}
+		const parts = url.pathname.substring(API_PREFIX.length).split('/').filter(p => p);
+		const [collection, id, sub, subSub] = parts;
+
+		if (method === 'POST') {
+			if (collection === 'contracts' && id === 'call' && parts.length === 2) {
+				return this._contractCall(body || {});
+			}
+			throw new MirrorError(404, 'Not found');
+		}
+
+		if (collection === 'accounts' && id) {
+			const accountId = this._resolve('accounts', id);
+			if (!sub) return this._account(accountId);
+			if (sub === 'tokens') return this._accountTokens(accountId, url);
+			if (sub === 'nfts') return this._accountNfts(accountId, url);
+			if (sub === 'allowances' && ['crypto', 'tokens', 'nfts'].includes(subSub)) {
+				return this._allowances(accountId, subSub, url);
+			}
+		}
+		else if (collection === 'tokens' && id) {
+			const tokenId = this._resolve('tokens', id);
+			if (!sub) return this._token(tokenId);
+			if (sub === 'nfts' && !subSub) return this._tokenNfts(tokenId, url);
+			if (sub === 'nfts') return this._nft(tokenId, subSub);
+		}
+		else if (collection === 'contracts' && id === 'results' && sub) {
+			return this._resultByIdOrHash(decodeURIComponent(sub));
+		}
+		else if (collection === 'contracts' && id) {
+			const contractId = this._resolve('contracts', id);
+			if (!sub) return this._contract(contractId);
+			if (sub === 'results' && subSub === 'logs') return this._contractLogs(contractId, url);
+			if (sub === 'results' && !subSub) return this._contractResults(contractId, url);
+		}
+
+		throw new MirrorError(404, 'Not found');
+	}
+
+	/**
+	 * Resolve an id, bare entity number or EVM address to a fixture key
+	 * @param {'accounts'|'tokens'|'contracts'} collection
+	 * @param {string} idOrAddress
+	 * @returns {string} entity id (0.0.x)
+	 * @throws {MirrorError} 404 if the entity is not in the fixture
+	 */
+	_resolve(collection, idOrAddress) {
+		const entities = this.fixture[collection] || {};
+		const value = decodeURIComponent(idOrAddress);
+
+		if (/^\d+$/.test(value) && entities[`0.0.${value}`]) return `0.0.${value}`;
+		if (entities[value]) return value;
+
+		if (/^(0x)?[0-9a-fA-F]{40}$/.test(value)) {
+			const address = normaliseAddress(value);
+			for (const id of Object.keys(entities)) {
+				if (this._evmAddress(collection, id) === address || longZeroAddress(id) === address) {
+					return id;
+				}
+			}
+		}
+
+		throw new MirrorError(404, 'Not found');
+	}
+
+	/**
+	 * EVM address of a fixture entity
+	 * @param {'accounts'|'tokens'|'contracts'} collection
+	 * @param {string} id
+	 * @returns {string}
+	 */
+	_evmAddress(collection, id) {
+		const entity = (this.fixture[collection] || {})[id] || {};
+		return entity.evm_address ? normaliseAddress(entity.evm_address) : longZeroAddress(id);
+	}
+
+	/**
+	 * Filter, sort and page a list the way the mirror node does
+	 * @param {URL} url - Request URL (query supplies limit, order and filters)
+	 * @param {object[]} items
+	 * @param {string} field - Item field the list is ordered by
+	 * @param {string} param - Query parameter that filters on field (also the cursor)
+	 * @param {'asc'|'desc'} defaultOrder
+	 * @param {object} [filters] - Extra query parameter -> item field filters
+	 * @returns {{ page: object[], next: string|null }}
+	 */
+	_paginate(url, items, field, param, defaultOrder, filters = {}) {
+		const query = url.searchParams;
+		const order = (query.get('order') || defaultOrder).toLowerCase();
+		if (order !== 'asc' && order !== 'desc') {
+			throw new MirrorError(400, 'Invalid parameter: order');
+		}
+
+		const limitParam = query.get('limit');
+		const limit = limitParam === null ? DEFAULT_LIMIT : Number(limitParam);
+		if (!Number.isInteger(limit) || limit <= 0) {
+			throw new MirrorError(400, 'Invalid parameter: limit');
+		}
+
+		const allFilters = { ...filters, [param]: field };
+		let matched = items;
+		for (const [name, itemField] of Object.entries(allFilters)) {
+			for (const filter of query.getAll(name)) {
+				matched = matched.filter(item => item[itemField] != null && matchesFilter(item[itemField], filter));
+			}
+		}
+
+		matched = [...matched].sort((a, b) => compareKeys(a[field], b[field]) * (order === 'asc' ? 1 : -1));
+		const page = matched.slice(0, Math.min(limit, MAX_LIMIT));
+
+		let next = null;
+		if (matched.length > page.length) {
+			const cursorOp = order === 'asc' ? 'gt' : 'lt';
+			const nextQuery = new URLSearchParams();
+			for (const [name, value] of query) {
+				if (name === param && /^(lt|lte|gt|gte):/.test(value) && value.startsWith(cursorOp)) continue;
+				nextQuery.append(name, value);
+			}
+			nextQuery.append(param, `${cursorOp}:${page[page.length - 1][field]}`);
+			next = `${url.pathname}?${nextQuery.toString().replace(/%3A/gi, ':')}`;
+		}
+
+		return { page, next };
+	}
+
+	// ============================================
+	// ACCOUNTS
+	// ============================================
+
+	/**
+	 * GET /accounts/{id}
+	 * @param {string} accountId
+	 * @returns {object}
+	 */
+	_account(accountId) {
+		const account = this.fixture.accounts[accountId];
+		return {
+			account: accountId,
+			evm_address: this._evmAddress('accounts', accountId),
+			balance: {
+				balance: account.balance ?? 0,
+				timestamp: account.timestamp ?? '0.0',
+				tokens: this._tokenBalances(accountId).map(t => ({ token_id: t.token_id, balance: t.balance })),
+			},
+			max_automatic_token_associations: account.max_automatic_token_associations ?? 0,
+			key: account.key ?? null,
+			deleted: account.deleted ?? false,
+		};
+	}
+
+	/**
+	 * Token balances of an account as mirror node relationship rows
+	 * @param {string} accountId
+	 * @returns {object[]}
+	 */
+	_tokenBalances(accountId) {
+		const tokens = this.fixture.accounts[accountId].tokens || {};
+		return Object.entries(tokens).map(([tokenId, balance]) => ({
+			token_id: tokenId,
+			balance,
+			automatic_association: false,
+			freeze_status: 'NOT_APPLICABLE',
+			kyc_status: 'NOT_APPLICABLE',
+		}));
+	}
+
+	/**
+	 * GET /accounts/{id}/tokens
+	 * @param {string} accountId
+	 * @param {URL} url
+	 * @returns {object}
+	 */
+	_accountTokens(accountId, url) {
+		const { page, next } = this._paginate(url, this._tokenBalances(accountId), 'token_id', 'token.id', 'asc');
+		return { tokens: page, links: { next } };
+	}
+
+	/**
+	 * GET /accounts/{id}/nfts
+	 * @param {string} accountId
+	 * @param {URL} url
+	 * @returns {object}
+	 */
+	_accountNfts(accountId, url) {
+		const owned = this._allNfts().filter(nft => nft.account_id === accountId);
+		const { page, next } = this._paginate(url, owned, 'serial_number', 'serial_number', 'desc', { 'token.id': 'token_id' });
+		return { nfts: page, links: { next } };
+	}
+
+	/**
+	 * GET /accounts/{id}/allowances/{kind}
+	 * @param {string} accountId
+	 * @param {'crypto'|'tokens'|'nfts'} kind
+	 * @param {URL} url
+	 * @returns {object}
+	 */
+	_allowances(accountId, kind, url) {
+		const allowances = ((this.fixture.accounts[accountId].allowances || {})[kind] || [])
+			.map(allowance => ({ owner: accountId, ...allowance }));
+
+		const { page, next } = kind === 'crypto'
+			? this._paginate(url, allowances, 'spender', 'spender.id', 'asc')
+			: this._paginate(url, allowances, 'token_id', 'token.id', 'asc', { 'spender.id': 'spender' });
+
+		return { allowances: page, links: { next } };
+	}
+
+	// ============================================
+	// TOKENS
+	// ============================================
+
+	/**
+	 * GET /tokens/{id}
+	 * @param {string} tokenId
+	 * @returns {object}
+	 */
+	_token(tokenId) {
+		const token = this.fixture.tokens[tokenId];
+		return {
+			token_id: tokenId,
+			evm_address: this._evmAddress('tokens', tokenId),
+			type: 'NON_FUNGIBLE_UNIQUE',
+			decimals: '0',
+			custom_fees: { fixed_fees: [], fractional_fees: [], royalty_fees: [] },
+			...token,
+		};
+	}
+
+	/**
+	 * Every NFT in the fixture with its token id filled in
+	 * @returns {object[]}
+	 */
+	_allNfts() {
+		const nfts = [];
+		for (const [tokenId, serials] of Object.entries(this.fixture.nfts || {})) {
+			for (const nft of serials) {
+				nfts.push({ token_id: tokenId, deleted: false, spender: null, delegating_spender: null, metadata: '', ...nft });
+			}
+		}
+		return nfts;
+	}
+
+	/**
+	 * GET /tokens/{id}/nfts
+	 * @param {string} tokenId
+	 * @param {URL} url
+	 * @returns {object}
+	 */
+	_tokenNfts(tokenId, url) {
+		const nfts = this._allNfts().filter(nft => nft.token_id === tokenId);
+		const { page, next } = this._paginate(url, nfts, 'serial_number', 'serial_number', 'desc', { 'account.id': 'account_id' });
+		return { nfts: page, links: { next } };
+	}
+
+	/**
+	 * GET /tokens/{id}/nfts/{serial}
+	 * @param {string} tokenId
+	 * @param {string} serial
+	 * @returns {object}
+	 */
+	_nft(tokenId, serial) {
+		const nft = this._allNfts().find(n => n.token_id === tokenId && String(n.serial_number) === serial);
+		if (!nft) throw new MirrorError(404, 'Not found');
+		return nft;
+	}
+
+	// ============================================
+	// CONTRACTS
+	// ============================================
+
+	/**
+	 * GET /contracts/{id}
+	 * @param {string} contractId
+	 * @returns {object}
+	 */
+	_contract(contractId) {
+		// calls, logs, results and gasEstimate drive other endpoints - everything else is passed through
+		const details = Object.fromEntries(Object.entries(this.fixture.contracts[contractId])
+			.filter(([key]) => !['calls', 'logs', 'results', 'gasEstimate'].includes(key)));
+
+		return {
+			contract_id: contractId,
+			evm_address: this._evmAddress('contracts', contractId),
+			...details,
+		};
+	}
+
+	/**
+	 * GET /contracts/{id}/results/logs
+	 * @param {string} contractId
+	 * @param {URL} url
+	 * @returns {object}
+	 */
+	_contractLogs(contractId, url) {
+		const contract = this.fixture.contracts[contractId];
+		const logs = (contract.logs || []).map((log, index) => ({
+			address: this._evmAddress('contracts', contractId),
+			contract_id: contractId,
+			index,
+			...log,
+		}));
+		const { page, next } = this._paginate(url, logs, 'timestamp', 'timestamp', 'desc');
+		return { logs: page, links: { next } };
+	}
+
+	/**
+	 * GET /contracts/{id}/results
+	 * @param {string} contractId
+	 * @param {URL} url
+	 * @returns {object}
+	 */
+	_contractResults(contractId, url) {
+		const results = (this.fixture.contracts[contractId].results || [])
+			.map(result => ({ contract_id: contractId, ...result }));
+		const { page, next } = this._paginate(url, results, 'timestamp', 'timestamp', 'desc');
+		return { results: page, links: { next } };
+	}
+
+	/**
+	 * GET /contracts/results/{transactionId|hash}
+	 * @param {string} idOrHash
+	 * @returns {object}
+	 */
+	_resultByIdOrHash(idOrHash) {
+		for (const [contractId, contract] of Object.entries(this.fixture.contracts || {})) {
+			const result = (contract.results || []).find(r =>
+				r.hash === idOrHash || r.transaction_id === idOrHash || r.timestamp === idOrHash);
+			if (result) return { contract_id: contractId, ...result };
+		}
+		throw new MirrorError(404, 'Not found');
+	}
+
+	/**
+	 * POST /contracts/call - answered from the contract's call table
+	 * @param {object} body - { to, data, estimate, ... }
+	 * @returns {{ result: string }}
+	 * @throws {MirrorError} 400 CONTRACT_REVERT_EXECUTED for reverts and unknown calls
+	 */
+	_contractCall(body) {
+		if (!body.to) throw new MirrorError(400, 'Invalid parameter: to');
+		const contractId = this._resolve('contracts', body.to);
+		const contract = this.fixture.contracts[contractId];
+
+		const data = (body.data || '0x').toLowerCase();
+		const calls = {};
+		for (const [key, value] of Object.entries(contract.calls || {})) {
+			calls[key.startsWith('0x') ? key.toLowerCase() : ethers.id(key).substring(0, 10)] = value;
+		}
+
+		const entry = calls[data] ?? calls[data.substring(0, 10)];
+		if (entry === undefined || entry.revert !== undefined) {
+			throw new MirrorError(400, 'CONTRACT_REVERT_EXECUTED', {
+				detail: entry === undefined ? `No fixture for call ${data.substring(0, 10)}` : '',
+				data: entry?.revert ?? '0x',
+			});
+		}
+
+		if (body.estimate) {
+			const gas = entry.gas ?? contract.gasEstimate ?? DEFAULT_GAS_ESTIMATE;
+			return { result: '0x' + gas.toString(16) };
+		}
+
+		return { result: typeof entry === 'string' ? entry : (entry.result ?? '0x') };
+	}
+}
+
+module.exports = {
+	MirrorEmulator,
+	longZeroAddress,
+};
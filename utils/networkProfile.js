@@ -0,0 +1,179 @@
+/**
+ * Network Profile
+ * Describes the Hedera network the scripts talk to: consensus nodes, mirror node, JSON-RPC relay
+ * and an optional mirror node API key header
+ *
+ * A profile starts from the defaults for ENVIRONMENT (TEST, MAIN, PREVIEW or LOCAL), then takes the
+ * fields of the JSON file named by NETWORK_PROFILE, then these .env overrides:
+ *   MIRROR_NODE_URL, MIRROR_API_KEY, MIRROR_API_KEY_HEADER, RELAY_URL, CONSENSUS_NODES
+ *
+ * Profile file fields: environment, mirrorUrl, relayUrl, nodes ({ "host:port": "0.0.3" }),
+ * mirrorApiKey, mirrorApiKeyHeader.
+ */
+
+const fs = require('fs');
+const { Client } = require('@hashgraph/sdk');
+
+// Defaults per environment. nodes: null keeps the SDK's address book for the network
+const NETWORKS = {
+	TEST: {
+		network: 'testnet',
+		sdkName: 'testnet',
+		mirrorUrl: 'https://testnet.mirrornode.hedera.com',
+		relayUrl: 'https://testnet.hashio.io/api',
+		nodes: null,
+	},
+	MAIN: {
+		network: 'mainnet',
+		sdkName: 'mainnet',
+		mirrorUrl: 'https://mainnet-public.mirrornode.hedera.com',
+		relayUrl: 'https://mainnet.hashio.io/api',
+		nodes: null,
+	},
+	PREVIEW: {
+		network: 'previewnet',
+		sdkName: 'previewnet',
+		mirrorUrl: 'https://previewnet.mirrornode.hedera.com',
+		relayUrl: 'https://previewnet.hashio.io/api',
+		nodes: null,
+	},
+	// hedera-local-node's default ports
+	LOCAL: {
+		network: 'local',
+		sdkName: 'local-node',
+		mirrorUrl: 'http://localhost:5551',
+		relayUrl: 'http://localhost:7546',
+		nodes: { '127.0.0.1:50211': '0.0.3' },
+	},
+};
+
+// Accepted spellings of each environment
+const ALIASES = {
+	TEST: 'TEST',
+	TESTNET: 'TEST',
+	MAIN: 'MAIN',
+	MAINNET: 'MAIN',
+	PREVIEW: 'PREVIEW',
+	PREVIEWNET: 'PREVIEW',
+	LOCAL: 'LOCAL',
+	LOCALNET: 'LOCAL',
+	'LOCAL-NODE': 'LOCAL',
+};
+
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+
+/**
+ * Normalise an environment name
+ * @param {string} name - e.g. TEST, testnet, LOCAL
+ * @returns {string|null} TEST, MAIN, PREVIEW or LOCAL, null if unknown
+ */
+function resolveEnvironment(name) {
+	return name ? ALIASES[name.toUpperCase()] ?? null : null;
+}
+
+/**
+ * Parse a consensus node list
+ * @param {string} value - e.g. 127.0.0.1:50211=0.0.3,127.0.0.1:50212=0.0.4
+ * @returns {object} address -> node account ID
+ * @throws {Error} on an entry that is not address=account
+ */
+function parseNodes(value) {
+	const nodes = {};
+	for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+		const [address, accountId] = entry.split('=').map(p => p.trim());
+		if (!address || !/^\d+\.\d+\.\d+$/.test(accountId ?? '')) {
+			throw new Error(`Invalid consensus node "${entry}" - expected host:port=0.0.N`);
+		}
+		nodes[address] = accountId;
+	}
+	return nodes;
+}
+
+/**
+ * Read a network profile file
+ * @param {string} filePath
+ * @returns {object}
+ * @throws {Error} if the file is missing or not JSON
+ */
+function readProfileFile(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Network profile not found: ${filePath}`);
+	}
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	}
+	catch (err) {
+		throw new Error(`Network profile ${filePath} is not valid JSON: ${err.message}`);
+	}
+}
+
+/**
+ * Load the network profile from the environment (and the NETWORK_PROFILE file if set)
+ * @param {object} [vars=process.env]
+ * @returns {{ environment: string, network: string, sdkName: string, mirrorUrl: string, relayUrl: string,
+ *   nodes: object|null, mirrorHeaders: object, source: string }}
+ * @throws {Error} if the environment is missing or unknown
+ */
+function loadNetworkProfile(vars = process.env) {
+	const file = vars.NETWORK_PROFILE ? readProfileFile(vars.NETWORK_PROFILE) : {};
+
+	const requested = vars.ENVIRONMENT || file.environment;
+	const environment = resolveEnvironment(requested);
+	if (!environment) {
+		throw new Error(`ENVIRONMENT must be TEST, MAIN, PREVIEW or LOCAL${requested ? ` (got ${requested})` : ''}`);
+	}
+	const defaults = NETWORKS[environment];
+
+	const apiKey = vars.MIRROR_API_KEY || file.mirrorApiKey || null;
+	const apiKeyHeader = vars.MIRROR_API_KEY_HEADER || file.mirrorApiKeyHeader || DEFAULT_API_KEY_HEADER;
+
+	return {
+		environment,
+		network: defaults.network,
+		sdkName: defaults.sdkName,
+		mirrorUrl: (vars.MIRROR_NODE_URL || file.mirrorUrl || defaults.mirrorUrl).replace(/\/+$/, ''),
+		relayUrl: vars.RELAY_URL || file.relayUrl || defaults.relayUrl,
+		nodes: vars.CONSENSUS_NODES ? parseNodes(vars.CONSENSUS_NODES) : (file.nodes ?? defaults.nodes),
+		mirrorHeaders: apiKey ? { [apiKeyHeader]: apiKey } : {},
+		source: vars.NETWORK_PROFILE || '.env',
+	};
+}
+
+/**
+ * Build a Hedera client (no operator set) for a profile
+ * @param {object} profile - from loadNetworkProfile
+ * @returns {Client}
+ */
+function createNetworkClient(profile) {
+	const client = Client.forName(profile.sdkName);
+	if (profile.nodes) {
+		client.setNetwork(profile.nodes);
+	}
+	return client;
+}
+
+/**
+ * Profile for display or JSON output, with the API key masked
+ * @param {object} profile
+ * @returns {object}
+ */
+function describeNetworkProfile(profile) {
+	return {
+		environment: profile.environment,
+		network: profile.network,
+		mirrorUrl: profile.mirrorUrl,
+		relayUrl: profile.relayUrl,
+		nodes: profile.nodes,
+		mirrorApiKey: Object.keys(profile.mirrorHeaders).length > 0 ? `${Object.keys(profile.mirrorHeaders)[0]}: ****` : null,
+		source: profile.source,
+	};
+}
+
+module.exports = {
+	NETWORKS,
+	resolveEnvironment,
+	parseNodes,
+	loadNetworkProfile,
+	createNetworkClient,
+	describeNetworkProfile,
+};
@@ -1,8 +1,7 @@
 const ethers = require('ethers');
-const axios = require('axios');
 const dotenv = require('dotenv');
 const { ContractCallQuery, Client, TransactionRecordQuery, ContractExecuteTransaction, ContractCreateFlow } = require('@hashgraph/sdk');
-const { getBaseURL } = require('./hederaMirrorHelpers');
+const { getBaseURL, getMirrorClient } = require('./mirrorClient');
 const { formatTransactionAnalysis } = require('./transactionHelpers');
 dotenv.config();
 
@@ -32,9 +31,10 @@ async function useSetter(contractId, iface, client, fcnName, gasLim, ...values)
  * Generalised parsing function to error handle
  * @param {ethers.Interface | ethers.Interface[]} ifaceOrArray single interface or array of interfaces to try
  * @param {*} errorData bytes of the error
+ * @param {boolean} [quiet=false] - Suppress console output (for library use)
  * @returns {String} the error message
  */
-function parseError(ifaceOrArray, errorData) {
+function parseError(ifaceOrArray, errorData, quiet = false) {
 	// Safety check for undefined/null errorData
 	if (!errorData) {
 		return 'UNKNOWN ERROR: No error data provided';
@@ -131,7 +131,7 @@ function parseError(ifaceOrArray, errorData) {
 	}
 
 	// If no interface could parse it, return unknown error
-	console.error('Could not decode error with any provided interface:', errorData);
+	if (!quiet) console.error('Could not decode error with any provided interface:', errorData);
 	return `UNKNOWN ERROR: ${errorData}`;
 }
 
@@ -139,6 +139,7 @@ function parseError(ifaceOrArray, errorData) {
  * Generalised parsing function to error handle
  * If a client is passed in, it will use the network to get the record (paid for by the client).
  * If a environment (string) is passed in, it will use the mirror node to get the record (free but lower).
+ * Diagnostics go to stderr so callers' stdout (e.g. CLI --json output) stays clean.
  * @param {String | Client} envOrClient Environment being used to inform the mirror node call
  * @param {TransactionId} transactionId Hedera Tx Id
  * @param {ethers.Interface | ethers.Interface[]} ifaceOrArray single interface or array of interfaces to try
@@ -149,23 +150,23 @@ async function parseErrorTransactionId(envOrClient, transactionId, ifaceOrArray)
 			.setTransactionId(transactionId)
 			.setValidateReceiptStatus(false)
 			.execute(envOrClient);
-		console.log(' -Got record from network for transaction:', transactionId.toString());
-		console.log(' -Status:', record.receipt.status.toString());
+		console.error(' -Got record from network for transaction:', transactionId.toString());
+		console.error(' -Status:', record.receipt.status.toString());
 
 		const errorHex = record.contractFunctionResult.errorMessage;
 		const decodedError = parseError(ifaceOrArray, errorHex);
 
 		// Show both hex and decoded message
 		if (decodedError && typeof decodedError === 'object' && decodedError.message) {
-			console.log(' -Error message:', errorHex, '->', decodedError.message, 'calling:', record.contractFunctionResult.contractId.toString(), 'with gas used:', record.contractFunctionResult.gasUsed.toString());
+			console.error(' -Error message:', errorHex, '->', decodedError.message, 'calling:', record.contractFunctionResult.contractId.toString(), 'with gas used:', record.contractFunctionResult.gasUsed.toString());
 		}
 		else {
-			console.log(' -Error message:', errorHex, 'calling:', record.contractFunctionResult.contractId.toString(), 'with gas used:', record.contractFunctionResult.gasUsed.toString());
+			console.error(' -Error message:', errorHex, 'calling:', record.contractFunctionResult.contractId.toString(), 'with gas used:', record.contractFunctionResult.gasUsed.toString());
 		}
 
 		try {
 			if (!errorHex || errorHex == '0x') {
-				console.log('NO CONTRACT ERROR MESSAGE:', transactionId.toString(), formatTransactionAnalysis(record));
+				console.error('NO CONTRACT ERROR MESSAGE:', transactionId.toString(), formatTransactionAnalysis(record));
 				return `POORLY FORMED ERROR: ${transactionId}`;
 			}
 			return decodedError;
@@ -176,24 +177,14 @@ async function parseErrorTransactionId(envOrClient, transactionId, ifaceOrArray)
 		}
 	}
 
-	let url = getBaseURL(envOrClient);
-
 	await sleep(SLEEP_TIME);
 
 	// take tx Id in format 0.0.XXXX@11111.11111 and convert to 0.0.XXXX-11111-11111
 	const webFormatTxId = transactionId.accountId.toString() + '-' + transactionId.validStart.toString().substring(0, 10) + '-' + transactionId.validStart.toString().substring(11, 21);
-	url += `/api/v1/contracts/results/${webFormatTxId}`;
-
-	// console.log(' -Calling mirror node for transaction:', transactionId.toString(), url);
 
-	const response = await axios.get(url);
-	if (response.status != 200) {
-		console.log(' -ERROR', response.status, ' from mirror node');
-	}
-	else {
-		console.log(' -Got', response.data.error_message, 'from mirror node');
-		return parseError(ifaceOrArray, response.data.error_message);
-	}
+	const data = await getMirrorClient(envOrClient).get(`/api/v1/contracts/results/${webFormatTxId}`);
+	console.error(' -Got', data.error_message, 'from mirror node');
+	return parseError(ifaceOrArray, data.error_message);
 }
 
 /**
@@ -207,8 +198,6 @@ async function parseErrorTransactionId(envOrClient, transactionId, ifaceOrArray)
  * @returns {String} encoded result
  */
 async function readOnlyEVMFromMirrorNode(env, contractId, data, from, estimate = true, gas = 300_000, value = 0) {
-	const baseUrl = getBaseURL(env);
-
 	const body = {
 		'block': 'latest',
 		'data': data,
@@ -220,11 +209,9 @@ async function readOnlyEVMFromMirrorNode(env, contractId, data, from, estimate =
 		'value': value,
 	};
 
-	const url = `${baseUrl}/api/v1/contracts/call`;
-
-	const response = await axios.post(url, body);
+	const response = await getMirrorClient(env).post('/api/v1/contracts/call', body);
 
-	return response.data?.result;
+	return response?.result;
 }
 
 /**
@@ -285,6 +272,7 @@ async function contractExecuteQuery(contractId, iface, client, gasLim, fcnName,
 
 /**
  * Helper function for calling the contract methods
+ * Failure diagnostics go to stderr, leaving stdout to the caller.
  * @param {ContractId} contractId the contract to call
  * @param {ethers.Interface} iface defined ABI of the contract
  * @param {Client} client the client to use for execution
@@ -319,7 +307,7 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 		if (flagError) console.log('ERROR: Contract Transaction Failed');
 
 		if (!err?.contractFunctionResult?.errorMessage) {
-			console.log('TX FAILED - NO CONTRACT ERROR MESSAGE:', contractExecuteTx?.transactionId?.toString(), contractExecuteTx, err);
+			console.error('TX FAILED - NO CONTRACT ERROR MESSAGE:', contractExecuteTx?.transactionId?.toString(), contractExecuteTx, err);
 			return [{ status: err }, `${contractExecuteTx?.transactionId?.toString()} : ${contractId.toString()} : ${fcnName} : ${params}`, null];
 		}
 
@@ -340,8 +328,8 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 			return [{ status: error }, `${e.transactionId}`, null];
 		}
 		catch (subError) {
-			console.log('ERROR: Parsing Error Failed');
-			console.log('ERROR:', e.transactionId, typeof subError, subError);
+			console.error('ERROR: Parsing Error Failed');
+			console.error('ERROR:', e.transactionId, typeof subError, subError);
 			return [{ status: e }, `${e.transactionId}`, null];
 		}
 
@@ -355,11 +343,11 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 	}
 	catch (e) {
 		if (e.data == '0x') {
-			console.log(contractExecuteTx.transactionId.toString(), 'No data returned from contract - check the call');
+			console.error(contractExecuteTx.transactionId.toString(), 'No data returned from contract - check the call');
 		}
 		else {
-			console.log('Error', contractExecuteTx.transactionId.toString(), e);
-			console.log(parseError(iface, record.contractFunctionResult.bytes));
+			console.error('Error', contractExecuteTx.transactionId.toString(), e);
+			console.error(parseError(iface, record.contractFunctionResult.bytes));
 		}
 	}
 	// console.log('Contract Results:', contractResults);